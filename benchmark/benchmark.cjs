@@ -1,20 +1,58 @@
-const pbkdf2 = require('#pkg')
+const { pbkdf2Hmac: pbkdf2 } = require('#pkg')
+const { webcrypto } = require('crypto')
 
 const Benchmark = require('benchmark')
 
-const unfilteredVectors = require('../test-vectors/pbkdf2.js').vectors
+const c = 10000
+const dkLen = 32
+const hashes = ['SHA-1', 'SHA-256', 'SHA-384', 'SHA-512', 'SHA3-256', 'BLAKE2b-512']
+const webcryptoHashes = ['SHA-1', 'SHA-256', 'SHA-384', 'SHA-512']
 
-const vectors = unfilteredVectors.filter(val => !('error' in val))
+/*
+ The fallback used before the pure-JS HMAC engine, when the native PBKDF2 of
+ WebCrypto failed: one crypto.subtle.sign() HMAC, and so one promise, per
+ iteration. It is only kept here to measure the improvement.
+ */
+async function subtleSignPbkdf2 (P, S, c, dkLen, hash) {
+  const subtle = webcrypto.subtle
+  const key = await subtle.importKey('raw', new TextEncoder().encode(P), { name: 'HMAC', hash }, false, ['sign'])
+  const SInt = new Uint8Array(S.length + 4)
+  SInt.set(new TextEncoder().encode(S))
+  const DK = new Uint8Array(dkLen)
+  for (let i = 1, offset = 0; offset < dkLen; i++) {
+    new DataView(SInt.buffer).setUint32(S.length, i, false)
+    let U = new Uint8Array(await subtle.sign('HMAC', key, SInt))
+    const T = U.slice()
+    for (let j = 1; j < c; j++) {
+      U = new Uint8Array(await subtle.sign('HMAC', key, U))
+      for (let k = 0; k < T.length; k++) T[k] ^= U[k]
+    }
+    DK.set(T.subarray(0, Math.min(T.length, dkLen - offset)), offset)
+    offset += T.length
+  }
+  return DK.buffer
+}
+
+const implementations = {
+  native: async (hash) => await pbkdf2('password', 'salt', c, dkLen, hash, { backend: 'node' }),
+  js: async (hash) => await pbkdf2('password', 'salt', c, dkLen, hash, { backend: 'js' }),
+  'subtle.sign': async (hash) => await subtleSignPbkdf2('password', 'salt', c, dkLen, hash)
+}
 
 const suite = new Benchmark.Suite('PBKDF2')
-for (const vector of vectors) {
-  // add tests
-  suite.add(`${vector.comment ?? ''}: ${JSON.stringify(vector.input)} `, {
-    defer: true,
-    fn: function (deferred) {
-      pbkdf2(vector.input.P, vector.input.S, vector.input.c, vector.input.dkLen).then(() => deferred.resolve()).catch((reason) => console.error)
-    }
-  })
+for (const hash of hashes) {
+  for (const [name, derive] of Object.entries(implementations)) {
+    if (name === 'subtle.sign' && !webcryptoHashes.includes(hash)) continue
+    // add tests
+    suite.add(`[${name}] ${hash}, c = ${c}, dkLen = ${dkLen}`, {
+      defer: true,
+      fn: function (deferred) {
+        derive(hash).then(() => deferred.resolve()).catch((reason) => console.error(reason))
+      }
+    })
+    suite[suite.length - 1].implementation = name
+    suite[suite.length - 1].hash = hash
+  }
 }
 // add listeners
 suite.on('cycle', function (event) {
@@ -24,6 +62,13 @@ suite.on('cycle', function (event) {
     console.log('Starting benchmarks for PBKDF2... (keep calm)')
   })
   .on('complete', function () {
+    console.log('\nHow many times slower than the native implementation:')
+    for (const hash of hashes) {
+      const runs = Array.from(this).filter(run => run.hash === hash)
+      const native = runs.find(run => run.implementation === 'native')
+      const factors = runs.filter(run => run !== native).map(run => `${run.implementation} ${(native.hz / run.hz).toFixed(1)}x`)
+      console.log(`  ${hash}: ${factors.join(', ')}`)
+    }
     console.log('Benchmark completed')
   })
 // run
@@ -41,11 +41,12 @@ const pkgCamelisedName = camelise(name)
 
 const input = join(srcDir, 'index.ts')
 if (existsSync(input) !== true) throw new Error('The entry point should be index.ts')
+const cjsInput = join(srcDir, 'cjs.ts') // the default export with the named ones attached, so that require() and the IIFE/UMD globals are the function
 
 const tsPluginOptions = {
   tsconfig: tsConfigPath,
   outDir: undefined,
-  include: ['src/ts/**/*', 'build/typings/is-browser.d.ts'],
+  include: ['src/ts/**/*', 'build/typings/**/*.d.ts'],
   exclude: ['src/**/*.spec.ts']
 }
 
@@ -99,7 +100,6 @@ export default [
     ],
     plugins: [
       replace({
-        IS_BROWSER: true,
         _MODULE_TYPE: "'ESM'",
         preventAssignment: true
       }),
@@ -125,23 +125,65 @@ export default [
         file: join(rootDir, pkgJson.exports['./esm-browser-bundle']),
         format: 'es',
         plugins: [terser()]
-      },
+      }
+    ],
+    plugins: [
+      replace({
+        _MODULE_TYPE: "'BUNDLE'",
+        preventAssignment: true
+      }),
+      rollupPluginTs({
+        ...tsPluginOptions,
+        sourceMap: false
+      }),
+      commonjs({ extensions: ['.js', '.cjs', '.jsx', '.cjsx'] }),
+      json(),
+      resolve({ browser: true })
+    ]
+  },
+  { // Browser IIFE and UMD bundles
+    input: cjsInput,
+    output: [
       {
         file: join(rootDir, pkgJson.exports['./iife-browser-bundle']),
         format: 'iife',
         name: pkgCamelisedName,
+        exports: 'default',
         plugins: [terser()]
       },
       {
         file: join(rootDir, pkgJson.exports['./umd-browser-bundle']),
         format: 'umd',
         name: pkgCamelisedName,
+        exports: 'default',
+        plugins: [terser()]
+      }
+    ],
+    plugins: [
+      replace({
+        _MODULE_TYPE: "'BUNDLE'",
+        preventAssignment: true
+      }),
+      rollupPluginTs({
+        ...tsPluginOptions,
+        sourceMap: false
+      }),
+      commonjs({ extensions: ['.js', '.cjs', '.jsx', '.cjsx'] }),
+      json(),
+      resolve({ browser: true })
+    ]
+  },
+  { // Web Worker used by the browser builds to derive keys off the main thread
+    input: join(srcDir, 'worker.ts'),
+    output: [
+      {
+        file: join(rootDir, pkgJson.exports['./worker-browser-bundle']),
+        format: 'iife',
         plugins: [terser()]
       }
     ],
     plugins: [
       replace({
-        IS_BROWSER: true,
         _MODULE_TYPE: "'BUNDLE'",
         preventAssignment: true
       }),
@@ -155,13 +197,48 @@ export default [
     ]
   },
   { // Node CJS
-    input,
+    input: cjsInput,
     output: [
       {
         file: join(rootDir, pkgJson.exports['.'].node.require.default),
         ...sourcemapOutputOptions,
         format: 'cjs',
-        exports: 'auto',
+        exports: 'default',
+        plugins: [
+          terser()
+        ]
+      }
+    ],
+    plugins: [
+      replace({
+        'await import(': 'require(',
+        delimiters: ['', ''],
+        preventAssignment: true
+      }),
+      replace({
+        _MODULE_TYPE: "'CJS'",
+        preventAssignment: true
+      }),
+      rollupPluginTs(tsPluginOptions),
+      inject({
+        nodeCrypto: ['crypto', '*'],
+        nodeWorkerThreads: ['worker_threads', '*'],
+        nodeOs: ['os', '*']
+      }),
+      commonjs({ extensions: ['.js', '.cjs', '.jsx', '.cjsx'] }),
+      json(),
+      resolve({
+        exportConditions: ['node'],
+        resolveOnly
+      })
+    ]
+  },
+  { // Worker threads of the Node pool
+    input: join(srcDir, 'poolWorker.ts'),
+    output: [
+      {
+        file: join(rootDir, pkgJson.exports['./node-pool-worker']),
+        format: 'cjs',
         plugins: [
           terser()
         ]
@@ -174,13 +251,14 @@ export default [
         preventAssignment: true
       }),
       replace({
-        IS_BROWSER: false,
         _MODULE_TYPE: "'CJS'",
         preventAssignment: true
       }),
       rollupPluginTs(tsPluginOptions),
       inject({
-        crypto: ['crypto', 'webcrypto']
+        nodeCrypto: ['crypto', '*'],
+        nodeWorkerThreads: ['worker_threads', '*'],
+        nodeOs: ['os', '*']
       }),
       commonjs({ extensions: ['.js', '.cjs', '.jsx', '.cjsx'] }),
       json(),
@@ -204,7 +282,6 @@ export default [
     ],
     plugins: [
       replace({
-        IS_BROWSER: false,
         _MODULE_TYPE: "'ESM'",
         __filename: 'fileURLToPath(import.meta.url)',
         __dirname: 'fileURLToPath(new URL(\'.\', import.meta.url))',
@@ -213,7 +290,9 @@ export default [
       rollupPluginTs(tsPluginOptions),
       compileDts(tmpDeclarationsDir),
       inject({
-        crypto: ['crypto', 'webcrypto'],
+        nodeCrypto: ['crypto', '*'],
+        nodeWorkerThreads: ['worker_threads', '*'],
+        nodeOs: ['os', '*'],
         fileURLToPath: ['url', 'fileURLToPath']
       }),
       commonjs({ extensions: ['.js', '.cjs', '.jsx', '.cjsx'] }),
@@ -112,6 +112,16 @@ class TestServer {
           res.writeHead(200, { 'Content-Type': 'text/javascript' })
           res.end(data)
         })
+      } else if (req.url === '/bundle.worker.js') { // loaded by the ESM bundle, relative to itself, for the worker tests
+        fs.readFile(path.join(rootDir, pkgJson.exports['./worker-browser-bundle']), function (err, data) {
+          if (err) {
+            res.writeHead(404)
+            res.end(JSON.stringify(err))
+            return
+          }
+          res.writeHead(200, { 'Content-Type': 'text/javascript' })
+          res.end(data)
+        })
       } else if (req.url === '/index.html' || req.url === '/') {
         res.writeHead(200)
         res.end(indexHtml)
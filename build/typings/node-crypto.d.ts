@@ -0,0 +1,2 @@
+// Node's crypto module. The Node bundles get it injected as `import * as nodeCrypto from 'crypto'`, and the rest do not have it. It must only be accessed through getNodeCrypto()
+declare const nodeCrypto: typeof import('crypto')
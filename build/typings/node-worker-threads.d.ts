@@ -0,0 +1,3 @@
+// Node's worker_threads and os modules. The Node bundles get them injected as `import * as nodeWorkerThreads from 'worker_threads'` and `import * as nodeOs from 'os'`. The rest do not have them, so they must only be used once hasNodeWorkerThreads() says they are there
+declare const nodeWorkerThreads: typeof import('worker_threads')
+declare const nodeOs: typeof import('os')
@@ -0,0 +1,107 @@
+/**
+ * The error a derivation is rejected with when it is cancelled, either through the `signal` or the `timeoutMs` options
+ */
+export class AbortError extends Error {
+  /**
+   * the reason the signal was aborted with, if any
+   */
+  readonly cause?: unknown
+
+  constructor (message = 'The derivation was aborted', cause?: unknown) {
+    super(message)
+    this.name = 'AbortError'
+    if (cause !== undefined) this.cause = cause
+  }
+}
+
+/**
+ * Cancellation state of a single derivation, merging the caller's signal and the timeout
+ */
+export interface Cancellation {
+  /**
+   * the AbortError if the derivation has been cancelled, undefined otherwise. The timeout is also checked here, so that synchronous code, which never lets the timer fire, can honour it
+   */
+  readonly reason: AbortError | undefined
+  /**
+   * calls `listener` (just once) as soon as the derivation is cancelled, or right away if it already is
+   */
+  onCancel: (listener: (reason: AbortError) => void) => void
+  /**
+   * clears the timer and the listener on the caller's signal. It must be called once the derivation is settled
+   */
+  dispose: () => void
+}
+
+/**
+ * Sets up the cancellation of a derivation. It must be called synchronously before starting the derivation, so that a signal that is already aborted is honoured
+ */
+export function cancellation (signal?: AbortSignal, timeoutMs?: number): Cancellation {
+  let reason: AbortError | undefined
+  const listeners: Array<(reason: AbortError) => void> = []
+  let timer: ReturnType<typeof setTimeout> | undefined
+  const deadline = timeoutMs !== undefined ? Date.now() + timeoutMs : Infinity
+
+  const cancel = (error: AbortError): void => {
+    if (reason !== undefined) return
+    reason = error
+    dispose()
+    for (const listener of listeners) listener(error)
+  }
+  const onAbort = (): void => cancel(new AbortError(undefined, signal?.reason))
+  const onTimeout = (): void => cancel(new AbortError(`The derivation timed out after ${timeoutMs ?? 0} ms`))
+  const dispose = (): void => {
+    if (timer !== undefined) clearTimeout(timer)
+    signal?.removeEventListener('abort', onAbort)
+  }
+
+  if (signal?.aborted === true) {
+    onAbort()
+  } else {
+    signal?.addEventListener('abort', onAbort)
+    if (timeoutMs !== undefined) {
+      timer = setTimeout(onTimeout, timeoutMs)
+    }
+  }
+
+  return {
+    get reason (): AbortError | undefined {
+      if (reason === undefined && Date.now() >= deadline) onTimeout()
+      return reason
+    },
+    onCancel: (listener) => {
+      if (reason !== undefined) listener(reason)
+      else listeners.push(listener)
+    },
+    dispose
+  }
+}
+
+/**
+ * Runs a derivation that can be cancelled through the signal and/or the timeout. The returned promise is rejected with an AbortError as soon as it is cancelled, even if the derivation itself cannot be stopped, in which case its result is just discarded
+ */
+export async function cancellable<T> (signal: AbortSignal | undefined, timeoutMs: number | undefined, derive: (cancel: Cancellation) => Promise<T>): Promise<T> {
+  return await new Promise((resolve, reject) => {
+    const cancel = cancellation(signal, timeoutMs)
+    cancel.onCancel(reject)
+    if (cancel.reason !== undefined) return
+    derive(cancel).then(resolve, reject).finally(cancel.dispose)
+  })
+}
+
+/**
+ * Throws the AbortError if the derivation has been cancelled
+ */
+export function throwIfCancelled (cancel?: Cancellation): void {
+  const reason = cancel?.reason
+  if (reason !== undefined) throw reason
+}
+
+/**
+ * Throws the AbortError if the derivation was cancelled while a backend that cannot be stopped (the native implementations or a worker) was still running it, zero-filling its late result first, so that it never reaches the caller's `into` buffer
+ */
+export function discardIfCancelled (cancel: Cancellation, derivedKey: Uint8Array): void {
+  const reason = cancel.reason
+  if (reason === undefined) return
+  derivedKey.fill(0)
+  throw reason
+}
@@ -0,0 +1,120 @@
+import { checkJsAllowed } from './compliance'
+import { getNodeCrypto, getWebCrypto } from './environment'
+import { BackendError } from './errors'
+import { HashAlg, HASHALGS } from './hashAlgs'
+import { getNodeLimits, getWebCryptoLimits, NativeLimits, probeWebCrypto } from './limits'
+import type { ParsedPbkdf2Options } from './options'
+import { isBuiltinHash, PrfAlg } from './prf'
+
+/**
+ * The implementation used to derive the key:
+ *   - `'auto'` (default): the native one of the environment, i.e. Node's `crypto` where it is available (Node and Bun) and WebCrypto (`crypto.subtle`) elsewhere, falling back to the pure-JS one when the native one cannot be used, e.g. in insecure (http://) browser contexts, for hashes WebCrypto does not support, for iteration counts or key lengths over its limits (see {@link probeNativeLimits}) or when progress is requested
+ *   - `'node'`: Node's `crypto.pbkdf2()`. Only available with the Node builds, i.e. on Node and Bun
+ *   - `'webcrypto'`: WebCrypto's `crypto.subtle.deriveBits()`, which only supports SHA-1, SHA-256, SHA-384 and SHA-512 and has no synchronous API
+ *   - `'js'`: the pure-JS implementation, which works everywhere
+ *
+ * An explicit backend never falls back to another one: a derivation it cannot run is rejected with a {@link BackendError}. The errors of a native implementation are never retried with the pure-JS one, since derivations it cannot run are known beforehand
+ */
+export type Pbkdf2Backend = 'auto' | 'node' | 'webcrypto' | 'js'
+
+export const BACKENDS: Pbkdf2Backend[] = ['auto', 'node', 'webcrypto', 'js']
+
+/**
+ * What a derivation reports to the `onDiagnostics` callback once it is complete
+ */
+export interface Pbkdf2Diagnostics {
+  /**
+   * the backend that derived the key
+   */
+  backend: Exclude<Pbkdf2Backend, 'auto'>
+  /**
+   * the backend that was requested with the `backend` option
+   */
+  requestedBackend: Pbkdf2Backend
+  /**
+   * why the `'auto'` backend did not use the native implementation, if it fell back to the pure-JS one
+   */
+  fallbackReason?: string
+  /**
+   * whether the derivation ran in a worker
+   */
+  worker: boolean
+  /**
+   * time in milliseconds from the start of the derivation until the key was derived
+   */
+  elapsedMs: number
+}
+
+/**
+ * The backend a derivation runs with and, if the `'auto'` backend falls back to the pure-JS one, why
+ */
+export interface BackendSelection {
+  backend: Exclude<Pbkdf2Backend, 'auto'>
+  fallbackReason?: string
+}
+
+/**
+ * Chooses the backend of a derivation. Every implementation (async, sync, in a worker and the pool) goes through it, so that they all run the same backend for the same request. The limits of WebCrypto are only checked if they have already been probed, so asynchronous derivations go through {@link selectBackendProbing} instead
+ *
+ * @param sync - whether the key is derived synchronously
+ *
+ * @throws BackendError if an explicitly requested backend cannot run the derivation, or the compliance mode refuses the pure-JS implementation
+ */
+export function selectBackend (hash: PrfAlg, c: number, dkLen: number, options: ParsedPbkdf2Options, sync = false): BackendSelection {
+  const { backend, compliancePolicy } = options
+  if (backend === 'js') {
+    checkJsAllowed(compliancePolicy)
+    return { backend }
+  }
+  const native = nativeBackend(backend)
+  const reason = unavailableReason(native, hash, c, dkLen, options, sync)
+  if (reason === undefined) return { backend: native }
+  if (backend !== 'auto') throw new BackendError(`The ${backend} backend cannot be used: ${reason}`)
+  checkJsAllowed(compliancePolicy, reason)
+  return { backend: 'js', fallbackReason: reason }
+}
+
+/**
+ * Same as {@link selectBackend}, but the limits of WebCrypto are probed first if it may be used
+ *
+ * @throws BackendError if an explicitly requested backend cannot run the derivation
+ */
+export async function selectBackendProbing (hash: PrfAlg, c: number, dkLen: number, options: ParsedPbkdf2Options): Promise<BackendSelection> {
+  if (options.backend !== 'js' && nativeBackend(options.backend) === 'webcrypto') await probeWebCrypto(c)
+  return selectBackend(hash, c, dkLen, options)
+}
+
+/**
+ * The native backend to try: the requested one or, for `'auto'`, Node's `crypto` wherever it is available, since it supports every hash and has a synchronous API, and WebCrypto elsewhere
+ */
+function nativeBackend (backend: Exclude<Pbkdf2Backend, 'js'>): 'node' | 'webcrypto' {
+  return backend === 'auto' ? (getNodeCrypto() !== undefined ? 'node' : 'webcrypto') : backend
+}
+
+/**
+ * Why a native backend cannot run a derivation, if it cannot
+ */
+function unavailableReason (backend: 'node' | 'webcrypto', hash: PrfAlg, c: number, dkLen: number, { onProgress }: ParsedPbkdf2Options, sync: boolean): string | undefined {
+  if (!isBuiltinHash(hash)) return 'registered PRFs only have a pure-JS implementation'
+  if (onProgress !== undefined) return 'the native implementations cannot report progress'
+  if (backend === 'node') {
+    const limits = getNodeLimits()
+    if (limits === undefined) return 'Node\'s crypto is not available in this environment'
+    return exceededLimit('Node\'s crypto', limits, hash, c, dkLen)
+  }
+  if (getWebCrypto()?.subtle === undefined) return 'WebCrypto (crypto.subtle) is not available in this environment'
+  if (!HASHALGS[hash].webcrypto) return `WebCrypto does not support ${hash}`
+  if (sync) return 'WebCrypto has no synchronous API'
+  const limits = getWebCryptoLimits()
+  return limits !== undefined ? exceededLimit('WebCrypto', limits, hash, c, dkLen) : undefined
+}
+
+/**
+ * Which limit of a native implementation a derivation exceeds, if any
+ */
+export function exceededLimit (implementation: string, limits: NativeLimits, hash: HashAlg, c: number, dkLen: number): string | undefined {
+  if (!limits.hashes.includes(hash)) return `${implementation} does not support ${hash} in this environment`
+  if (c > limits.maxIterations) return `${implementation} does not support more than ${limits.maxIterations} iterations in this environment`
+  if (dkLen * 8 > limits.maxBits) return `${implementation} cannot derive more than ${limits.maxBits} bits in this environment`
+  return undefined
+}
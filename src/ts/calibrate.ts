@@ -0,0 +1,82 @@
+import { cancellation } from './abort'
+import { selectBackendProbing } from './backend'
+import { deriveKey } from './derive'
+import { InvalidOptionError } from './errors'
+import { parseInputs } from './inputs'
+import { probeNativeLimits } from './limits'
+import { parseOptions, Pbkdf2Options } from './options'
+import { prfOutputLength, PrfAlg } from './prf'
+
+/**
+ * Settings for {@link calibrate}
+ */
+export interface CalibrateOptions extends Pick<Pbkdf2Options, 'backend'> {
+  /**
+   * hash function to use for the HMAC. Defaults to 'SHA-256'. See {@link pbkdf2Hmac}
+   */
+  hash?: PrfAlg
+  /**
+   * intended length in octets of the derived key. Defaults to the output length of the hash. Every extra hLen-octet block takes as long as the first one
+   */
+  dkLen?: number
+  /**
+   * how long a derivation should take, in milliseconds. Defaults to 250
+   */
+  targetMs?: number
+  /**
+   * benchmarks again instead of returning the iteration count stored for the same settings, and stores the new one
+   */
+  recalibrate?: boolean
+}
+
+/**
+ * A derivation taking less than this is too short to be extrapolated from
+ */
+const MIN_SAMPLE_MS = 100
+
+const calibrations = new Map<string, Promise<number>>()
+
+/**
+ * Finds the iteration count that makes a derivation take about `targetMs` on this device, with the backend {@link pbkdf2Hmac} would use (Node's native implementation, WebCrypto or the pure-JS one). It is similar to Apple's `CCCalibratePBKDF`. It never exceeds the maximum iteration count of the native implementation (see {@link probeNativeLimits}), so where it is capped, e.g. at 100000 on Cloudflare Workers, a derivation with the result may take less than `targetMs`
+ *
+ * The result is stored for the rest of the process (or page) lifetime, so that the benchmark is run just once for the same settings
+ *
+ * @param options - the hash, the length of the derived key, the target duration and, optionally, the backend
+ *
+ * @returns the iteration count, a positive integer
+ *
+ * @throws InvalidOptionError, InvalidHashError or InvalidKeyLengthError if any of the options is not valid
+ */
+export async function calibrate (options: CalibrateOptions = {}): Promise<number> {
+  const { hash = 'SHA-256', targetMs = 250, recalibrate = false } = options
+  const dkLen = options.dkLen ?? prfOutputLength(hash) ?? 1 // an unknown hash is rejected by parseInputs
+  const { P: PArr, S: SArr } = parseInputs('password', new Uint8Array(16), 1, dkLen, hash)
+  const parsedOptions = parseOptions({ backend: options.backend })
+  if (typeof targetMs !== 'number' || !Number.isFinite(targetMs) || targetMs <= 0) throw new InvalidOptionError('targetMs must be a positive number')
+
+  const key = `${hash}:${dkLen}:${targetMs}:${parsedOptions.backend}`
+  let calibration = calibrations.get(key)
+  if (calibration === undefined || recalibrate) {
+    calibration = (async () => {
+      // Over the iteration limit of the native implementation, derivations would fall back to the much slower pure-JS one
+      const { backend } = await selectBackendProbing(hash, 1000, dkLen, parsedOptions)
+      const maxIterations = backend === 'js' ? Infinity : (await probeNativeLimits())[backend]?.maxIterations ?? Infinity
+      /*
+       Doubles the iteration count until a derivation takes long enough to
+       be measured accurately, and then extrapolates to the target duration
+       */
+      for (let c = Math.min(1000, maxIterations); ; c = Math.min(2 * c, maxIterations)) {
+        const start = performance.now()
+        await deriveKey(PArr, SArr, c, dkLen, hash, parsedOptions, cancellation())
+        const elapsed = performance.now() - start
+        if (elapsed >= Math.min(targetMs, MIN_SAMPLE_MS) || c === maxIterations) return Math.min(maxIterations, Math.max(1, Math.round(c * targetMs / elapsed)))
+      }
+    })()
+    const stored = calibration
+    calibrations.set(key, stored)
+    stored.catch(() => {
+      if (calibrations.get(key) === stored) calibrations.delete(key)
+    })
+  }
+  return await calibration
+}
@@ -0,0 +1,9 @@
+/**
+ * Entry point of the CJS build and the IIFE/UMD bundles. `require('pbkdf2-hmac')` (and the `pbkdf2Hmac` global of the bundles) has always been the pbkdf2Hmac function itself, so the named exports are attached to it rather than replacing it with a namespace object
+ *
+ * @packageDocumentation
+ */
+
+import pbkdf2Hmac, * as namedExports from './index'
+
+export default Object.assign(pbkdf2Hmac, namedExports)
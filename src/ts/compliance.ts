@@ -0,0 +1,103 @@
+import { BackendError, InvalidHashError, InvalidInputError, InvalidIterationsError, InvalidKeyLengthError, InvalidOptionError } from './errors'
+import type { HashAlg } from './hashAlgs'
+import type { PrfAlg } from './prf'
+
+/**
+ * Whether derivations must follow a standard:
+ *   - `'none'` (default): any valid input is accepted
+ *   - `'sp800-132'`: NIST SP 800-132. Salts must be at least 128 bits long, the iteration count at least 1000, derived keys at least 112 bits long and the hash an approved one, i.e. SHA-1, SHA-2 or SHA-3 (BLAKE2 and registered PRFs are refused). The pure-JS implementation, which is not a validated cryptographic module, is refused too, so that derivations the native implementation cannot run are rejected rather than falling back to it
+ *   - an object, to set a higher floor for the iteration count, to refuse SHA-1 too or to allow the pure-JS implementation anyway (see {@link Sp800132Options})
+ */
+export type Pbkdf2Compliance = 'none' | 'sp800-132' | Sp800132Options
+
+/**
+ * The settings of the `'sp800-132'` compliance mode
+ */
+export interface Sp800132Options {
+  mode: 'sp800-132'
+  /**
+   * minimum iteration count. Defaults to 1000, the minimum of SP 800-132, and it cannot be lower
+   */
+  minIterations?: number
+  /**
+   * whether HMAC-SHA-1 is refused. SP 800-132 allows it, since SHA-1 is still approved for HMAC (SP 800-107 and SP 800-131A), so this is a stricter policy of your own. Defaults to false
+   */
+  disallowSha1?: boolean
+  /**
+   * whether the pure-JS implementation may be used, e.g. where WebCrypto is not available or for progress reporting. Defaults to false
+   */
+  allowJs?: boolean
+}
+
+/**
+ * A compliance mode with the default values filled in, or undefined for `'none'`
+ */
+export interface CompliancePolicy {
+  minIterations: number
+  disallowSha1: boolean
+  allowJs: boolean
+}
+
+const SP800132_MIN_ITERATIONS = 1000
+const SP800132_MIN_SALT_BITS = 128
+const SP800132_MIN_KEY_BITS = 112
+const SP800132_HASHES: HashAlg[] = ['SHA-1', 'SHA-224', 'SHA-256', 'SHA-384', 'SHA-512', 'SHA-512/224', 'SHA-512/256', 'SHA3-256', 'SHA3-384', 'SHA3-512']
+
+let defaultCompliance: Pbkdf2Compliance = 'none'
+
+/**
+ * Sets the compliance mode of the derivations that do not set the `compliance` option, e.g. `setCompliance('sp800-132')` once at startup to enforce NIST SP 800-132 on the whole application
+ *
+ * @param compliance - the compliance mode. See {@link Pbkdf2Compliance}
+ *
+ * @throws InvalidOptionError if the compliance mode is not valid
+ */
+export function setCompliance (compliance: Pbkdf2Compliance): void {
+  parseCompliance(compliance)
+  defaultCompliance = compliance
+}
+
+/**
+ * Checks a compliance mode (the global one if undefined) and fills in the default values
+ *
+ * @throws InvalidOptionError if it is not valid
+ */
+export function parseCompliance (compliance: Pbkdf2Compliance = defaultCompliance): CompliancePolicy | undefined {
+  if (compliance === 'none') return undefined
+  if (compliance === 'sp800-132') return { minIterations: SP800132_MIN_ITERATIONS, disallowSha1: false, allowJs: false }
+  if (typeof compliance !== 'object' || compliance === null || compliance.mode !== 'sp800-132') throw new InvalidOptionError('Valid compliance values are any of none,sp800-132 or an object with mode sp800-132')
+  const { minIterations = SP800132_MIN_ITERATIONS, disallowSha1 = false, allowJs = false } = compliance
+  if (!Number.isSafeInteger(minIterations) || minIterations < SP800132_MIN_ITERATIONS) throw new InvalidOptionError(`minIterations must be an integer >= ${SP800132_MIN_ITERATIONS}, the minimum of SP 800-132`)
+  if (typeof disallowSha1 !== 'boolean') throw new InvalidOptionError('disallowSha1 must be a boolean')
+  if (typeof allowJs !== 'boolean') throw new InvalidOptionError('allowJs must be a boolean')
+  return { minIterations, disallowSha1, allowJs }
+}
+
+/**
+ * Checks that a derivation follows the compliance mode, if any
+ *
+ * @param saltLength - length in octets of the salt
+ *
+ * @throws InvalidHashError, InvalidInputError, InvalidIterationsError or InvalidKeyLengthError if the hash, the salt, the iteration count or the key length does not meet SP 800-132, or the hash is SHA-1 and the policy refuses it
+ */
+export function checkCompliance (policy: CompliancePolicy | undefined, saltLength: number, c: number, dkLen: number, hash: PrfAlg): void {
+  if (policy === undefined) return
+  if (!(SP800132_HASHES as PrfAlg[]).includes(hash)) throw new InvalidHashError(`SP 800-132 compliance mode only allows the approved hashes ${SP800132_HASHES.toString()}, not ${hash}`)
+  if (hash === 'SHA-1' && policy.disallowSha1) throw new InvalidHashError('The compliance policy refuses SHA-1 (disallowSha1), although SP 800-132 allows it')
+  if (saltLength * 8 < SP800132_MIN_SALT_BITS) throw new InvalidInputError(`SP 800-132 compliance mode requires a salt of at least ${SP800132_MIN_SALT_BITS} bits, but it is ${saltLength * 8} bits long`)
+  if (c < policy.minIterations) throw new InvalidIterationsError(`SP 800-132 compliance mode requires at least ${policy.minIterations} iterations, but c is ${c}`)
+  if (dkLen * 8 < SP800132_MIN_KEY_BITS) throw new InvalidKeyLengthError(`SP 800-132 compliance mode requires a derived key of at least ${SP800132_MIN_KEY_BITS} bits, but dkLen is ${dkLen} octets`)
+}
+
+/**
+ * Refuses the pure-JS implementation in compliance mode unless it is allowed
+ *
+ * @param fallbackReason - why the `'auto'` backend fell back to it, if it did
+ *
+ * @throws BackendError if the policy does not allow it
+ */
+export function checkJsAllowed (policy: CompliancePolicy | undefined, fallbackReason?: string): void {
+  if (policy === undefined || policy.allowJs) return
+  const why = fallbackReason !== undefined ? ` (the native one cannot be used: ${fallbackReason})` : ''
+  throw new BackendError(`SP 800-132 compliance mode refuses the pure-JS implementation, which is not a validated cryptographic module${why}. Set allowJs to use it anyway`)
+}
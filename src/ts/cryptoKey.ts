@@ -0,0 +1,167 @@
+import type { KeyObject } from 'crypto'
+import { cancellable, Cancellation, throwIfCancelled } from './abort'
+import { exceededLimit } from './backend'
+import { checkCompliance } from './compliance'
+import { deriveKey } from './derive'
+import { getNodeCrypto, getWebCrypto } from './environment'
+import { backendFailure, BackendError, InvalidKeyLengthError, InvalidOptionError } from './errors'
+import { HASHALGS } from './hashAlgs'
+import { parseInputs, TypedArray, wipeInputs } from './inputs'
+import { probeWebCrypto } from './limits'
+import { parseOptions, ParsedPbkdf2Options, Pbkdf2Options } from './options'
+import { isBuiltinHash, PrfAlg } from './prf'
+
+/**
+ * The algorithm of the key derived by {@link pbkdf2DeriveKey}, either as a name or as WebCrypto's import params. If not given, the length of the key is inferred: 256 bits for AES keys and the block size of the hash (e.g. 512 bits for SHA-256) for HMAC ones, whose hash defaults to SHA-256
+ */
+export type DerivedKeyAlgorithm = 'AES-CBC' | 'AES-CTR' | 'AES-GCM' | 'AES-KW' | 'HMAC' | {
+  name: 'AES-CBC' | 'AES-CTR' | 'AES-GCM' | 'AES-KW'
+  length?: 128 | 192 | 256
+} | {
+  name: 'HMAC'
+  hash?: 'SHA-1' | 'SHA-256' | 'SHA-384' | 'SHA-512'
+  /**
+   * length of the key in bits. It must be a multiple of 8
+   */
+  length?: number
+}
+
+/**
+ * Settings for {@link pbkdf2DeriveKey}. Besides them, it accepts the same options as {@link pbkdf2Hmac} but `output` and `into`
+ */
+export interface Pbkdf2DeriveKeyOptions extends Omit<Pbkdf2Options, 'output' | 'into'> {
+  /**
+   * hash function to use for the HMAC of PBKDF2. Defaults to 'SHA-256'. See {@link pbkdf2Hmac}
+   */
+  hash?: PrfAlg
+  /**
+   * the algorithm the derived key is to be used with
+   */
+  derivedKeyAlgorithm: DerivedKeyAlgorithm
+  /**
+   * whether the raw key can be exported. Defaults to false
+   */
+  extractable?: boolean
+  /**
+   * what the key can be used for. Defaults to `['encrypt', 'decrypt']` for AES-CBC, AES-CTR and AES-GCM, `['wrapKey', 'unwrapKey']` for AES-KW and `['sign', 'verify']` for HMAC
+   */
+  usages?: KeyUsage[]
+  /**
+   * `'cryptokey'` (default) for a WebCrypto CryptoKey, or `'keyobject'` for a Node.js KeyObject (only available on Node). Secret KeyObjects can always be exported, so `'keyobject'` requires `extractable: true`
+   */
+  output?: 'cryptokey' | 'keyobject'
+}
+
+type DerivedKeyParams = { name: 'AES-CBC' | 'AES-CTR' | 'AES-GCM' | 'AES-KW', length: number } | { name: 'HMAC', hash: string, length: number }
+
+const USAGES: Record<DerivedKeyParams['name'], KeyUsage[]> = {
+  'AES-CBC': ['encrypt', 'decrypt', 'wrapKey', 'unwrapKey'],
+  'AES-CTR': ['encrypt', 'decrypt', 'wrapKey', 'unwrapKey'],
+  'AES-GCM': ['encrypt', 'decrypt', 'wrapKey', 'unwrapKey'],
+  'AES-KW': ['wrapKey', 'unwrapKey'],
+  HMAC: ['sign', 'verify']
+}
+
+const DEFAULT_USAGES: Record<DerivedKeyParams['name'], KeyUsage[]> = {
+  'AES-CBC': ['encrypt', 'decrypt'],
+  'AES-CTR': ['encrypt', 'decrypt'],
+  'AES-GCM': ['encrypt', 'decrypt'],
+  'AES-KW': ['wrapKey', 'unwrapKey'],
+  HMAC: ['sign', 'verify']
+}
+
+/**
+  * Derives a key with PBKDF2-HMAC and returns it ready to use, as a CryptoKey (or a Node.js KeyObject) for AES or HMAC. When the native implementation can be used, i.e. with a hash supported by WebCrypto and neither the `'node'` or `'js'` backends nor progress reporting nor a worker, the key is derived with `crypto.subtle.deriveKey()`, so that the raw key is never visible to JS. Otherwise the raw key is derived as {@link pbkdf2Hmac} does, imported and then zero-filled
+  *
+  * @param P - a unicode string with a password
+  * @param S - a salt. This should be a random or pseudo-random value of at least 16 bytes. You can easily get one with crypto.getRandomValues(new Uint8Array(16))
+  * @param c - iteration count, a positive integer
+  * @param options - the algorithm of the derived key and other settings, e.g. the hash or whether the key is extractable
+  *
+  * @returns the derived key
+  *
+  * @throws InvalidOptionError or InvalidKeyLengthError if the algorithm, its length, the usages or the output are not valid, e.g. a `'keyobject'` output without `extractable: true`
+  * @throws InvalidHashError, InvalidIterationsError or InvalidInputError if the hash, `c`, the password or the salt are not valid
+  * @throws BackendError if there is no WebCrypto (`crypto.subtle`) to create the key with, or the requested backend cannot run the derivation
+  * @throws AbortError if the derivation is cancelled through the `signal` or `timeoutMs` options
+  */
+export async function pbkdf2DeriveKey (P: string | ArrayBuffer | TypedArray | DataView, S: string | ArrayBuffer | TypedArray | DataView, c: number, options: Pbkdf2DeriveKeyOptions & { output?: 'cryptokey' }): Promise<CryptoKey>
+export async function pbkdf2DeriveKey (P: string | ArrayBuffer | TypedArray | DataView, S: string | ArrayBuffer | TypedArray | DataView, c: number, options: Pbkdf2DeriveKeyOptions & { output: 'keyobject', extractable: true }): Promise<KeyObject>
+export async function pbkdf2DeriveKey (P: string | ArrayBuffer | TypedArray | DataView, S: string | ArrayBuffer | TypedArray | DataView, c: number, options: Pbkdf2DeriveKeyOptions): Promise<CryptoKey | KeyObject> {
+  if (typeof options !== 'object' || options === null) throw new InvalidOptionError('options must be an object with at least the derivedKeyAlgorithm')
+  const { hash = 'SHA-256', derivedKeyAlgorithm, extractable = false, usages, output = 'cryptokey', ...pbkdf2Options } = options
+  const params = parseDerivedKeyAlgorithm(derivedKeyAlgorithm)
+  const keyUsages = usages ?? DEFAULT_USAGES[params.name]
+  if (!Array.isArray(keyUsages) || keyUsages.length === 0 || keyUsages.some(usage => !USAGES[params.name].includes(usage))) throw new InvalidOptionError(`Valid usages of ${params.name} keys are any of ${USAGES[params.name].toString()}`)
+  if (typeof extractable !== 'boolean') throw new InvalidOptionError('extractable must be a boolean')
+  if (output !== 'cryptokey' && output !== 'keyobject') throw new InvalidOptionError('Valid output values are any of cryptokey,keyobject')
+  if (output === 'keyobject' && !extractable) throw new InvalidOptionError('A KeyObject can always be exported, so the keyobject output requires extractable: true')
+  const nodeCrypto = getNodeCrypto()
+  if (output === 'keyobject' && nodeCrypto === undefined) throw new BackendError('KeyObjects are only available on Node')
+  const subtle = getWebCrypto()?.subtle
+  if (subtle === undefined) throw new BackendError('WebCrypto (crypto.subtle) is needed to create a CryptoKey, but it is not available in this environment')
+
+  const dkLen = params.length / 8
+  const inputs = parseInputs(P, S, c, dkLen, hash, pbkdf2Options)
+  let key: CryptoKey
+  try {
+    const parsedOptions = parseOptions(pbkdf2Options)
+    checkCompliance(parsedOptions.compliancePolicy, inputs.S.length, c, dkLen, hash)
+    key = await cancellable(parsedOptions.signal, parsedOptions.timeoutMs, async cancel => await deriveCryptoKey(inputs.P, inputs.S, c, hash, params, extractable, keyUsages, parsedOptions, cancel))
+  } finally {
+    if (pbkdf2Options.wipe === true) wipeInputs(P, S, inputs)
+  }
+  return output === 'keyobject' ? (nodeCrypto as typeof import('crypto')).KeyObject.from(key) : key
+}
+
+/**
+ * Derives the key straight into a CryptoKey with WebCrypto if possible, i.e. within its probed limits, or otherwise derives the raw key and imports it
+ */
+async function deriveCryptoKey (PArr: Uint8Array, SArr: Uint8Array, c: number, hash: PrfAlg, params: DerivedKeyParams, extractable: boolean, usages: KeyUsage[], options: ParsedPbkdf2Options, cancel: Cancellation): Promise<CryptoKey> {
+  const { backend, onProgress, onDiagnostics, worker } = options
+  const subtle = (getWebCrypto() as Crypto).subtle // pbkdf2DeriveKey has already checked it
+  if (isBuiltinHash(hash) && HASHALGS[hash].webcrypto && (backend === 'auto' || backend === 'webcrypto') && onProgress === undefined && worker === false) {
+    const limits = await probeWebCrypto(c)
+    if (limits !== undefined && exceededLimit('WebCrypto', limits, hash, c, params.length / 8) === undefined) {
+      const start = performance.now()
+      let key: CryptoKey
+      try {
+        const PKey = await subtle.importKey('raw', PArr, 'PBKDF2', false, ['deriveKey'])
+        key = await subtle.deriveKey({ name: 'PBKDF2', hash, salt: SArr, iterations: c }, PKey, params, extractable, usages)
+      } catch (error) {
+        throw backendFailure('WebCrypto', error)
+      }
+      throwIfCancelled(cancel)
+      onDiagnostics?.({ backend: 'webcrypto', requestedBackend: backend, worker: false, elapsedMs: performance.now() - start })
+      return key
+    }
+  }
+  const derivedKey = await deriveKey(PArr, SArr, c, params.length / 8, hash, options, cancel)
+  try {
+    return await subtle.importKey('raw', derivedKey, params, extractable, usages)
+  } finally {
+    derivedKey.fill(0)
+  }
+}
+
+/**
+ * Fills in the default parameters of the derived key algorithm
+ *
+ * @throws InvalidOptionError or InvalidKeyLengthError if the algorithm or its length is not valid
+ */
+function parseDerivedKeyAlgorithm (algorithm: DerivedKeyAlgorithm): DerivedKeyParams {
+  const { name, ...params } = typeof algorithm === 'string' ? { name: algorithm } : (typeof algorithm === 'object' && algorithm !== null ? algorithm : { name: undefined })
+  if (name === 'HMAC') {
+    const { hash = 'SHA-256', length } = params as { hash?: string, length?: number }
+    if (!['SHA-1', 'SHA-256', 'SHA-384', 'SHA-512'].includes(hash)) throw new InvalidOptionError('The hash of an HMAC key must be any of SHA-1,SHA-256,SHA-384,SHA-512')
+    const keyLength = length ?? HASHALGS[hash as 'SHA-1' | 'SHA-256' | 'SHA-384' | 'SHA-512'].blockSize * 8
+    if (!Number.isInteger(keyLength) || keyLength <= 0 || keyLength % 8 !== 0) throw new InvalidKeyLengthError('The length of an HMAC key must be a positive multiple of 8')
+    return { name, hash, length: keyLength }
+  }
+  if (name !== undefined && Object.keys(USAGES).includes(name)) {
+    const { length = 256 } = params as { length?: number }
+    if (![128, 192, 256].includes(length)) throw new InvalidKeyLengthError('The length of an AES key must be any of 128,192,256')
+    return { name, length }
+  }
+  throw new InvalidOptionError(`Valid derivedKeyAlgorithm names are any of ${Object.keys(USAGES).toString()}`)
+}
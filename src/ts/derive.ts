@@ -0,0 +1,50 @@
+import { Cancellation, discardIfCancelled } from './abort'
+import { selectBackendProbing } from './backend'
+import { getNodeCrypto, getWebCrypto } from './environment'
+import { backendFailure } from './errors'
+import { HashAlg, HASHALGS } from './hashAlgs'
+import { ParsedPbkdf2Options } from './options'
+import { moveInto } from './output'
+import { pbkdf2JsAsync } from './pbkdf2Js'
+import { PrfAlg } from './prf'
+import { deriveInWorker } from './workerDeriver'
+
+/**
+ * Derives the key with the backend chosen by {@link selectBackendProbing} (in a worker if requested), into the buffer given with the `into` option if any
+ *
+ * @throws BackendError if the requested backend cannot run the derivation, or the native implementation fails
+ */
+export async function deriveKey (PArr: Uint8Array, SArr: Uint8Array, c: number, dkLen: number, hash: PrfAlg, options: ParsedPbkdf2Options, cancel: Cancellation): Promise<Uint8Array> {
+  const { onProgress, progressGranularity, onDiagnostics, worker, into, wipe } = options
+  const { backend, fallbackReason } = await selectBackendProbing(hash, c, dkLen, options)
+  const start = performance.now()
+
+  let derivedKey: Uint8Array
+  if (worker !== false) {
+    derivedKey = new Uint8Array(await deriveInWorker(worker, PArr, SArr, c, dkLen, hash, options, cancel))
+  } else if (backend === 'js') {
+    derivedKey = await pbkdf2JsAsync(PArr, SArr, c, dkLen, hash, { cancel, onProgress, progressGranularity, into, wipe })
+  } else if (backend === 'webcrypto') {
+    // Derivations over the probed limits of WebCrypto (e.g. Firefox used to fail when dkLen > 256) never get here, so its errors are not retried
+    const subtle = (getWebCrypto() as Crypto).subtle
+    try {
+      const PKey = await subtle.importKey('raw', PArr, 'PBKDF2', false, ['deriveBits'])
+      derivedKey = new Uint8Array(await subtle.deriveBits({ name: 'PBKDF2', hash, salt: SArr, iterations: c }, PKey, dkLen * 8))
+    } catch (error) {
+      throw backendFailure('WebCrypto', error)
+    }
+  } else {
+    const nodeAlg = HASHALGS[hash as HashAlg].nodeAlg
+    const nodeCrypto = getNodeCrypto() as typeof import('crypto')
+    derivedKey = await new Promise<Buffer>((resolve, reject) => {
+      nodeCrypto.pbkdf2(PArr, SArr, c, dkLen, nodeAlg, (err: Error | null, derivedKey: Buffer) => {
+        if (err != null) reject(backendFailure('Node\'s crypto', err))
+        else resolve(derivedKey) // it may be a view of a larger pooled buffer
+      })
+    })
+  }
+  discardIfCancelled(cancel, derivedKey)
+  derivedKey = moveInto(derivedKey, into)
+  onDiagnostics?.({ backend, requestedBackend: options.backend, fallbackReason, worker: worker !== false, elapsedMs: performance.now() - start })
+  return derivedKey
+}
@@ -0,0 +1,38 @@
+import { InvalidInputError } from './errors'
+
+/**
+ * How a string password or salt is encoded as bytes:
+ *   - `'utf-8'` (default): UTF-8, as RFC 8018 recommends. Unpaired surrogates cannot be encoded if it is requested explicitly. When it is just the default, they are replaced with U+FFFD, as earlier versions did, so that the keys derived from such strings do not change
+ *   - `'utf-16le'`: little-endian UTF-16, as some Windows tools do
+ *   - `'bmpstring'`: a null-terminated BMPString, i.e. big-endian UCS-2 followed by two zero bytes, as PKCS#12 (RFC 7292, appendix B.1) does. Characters outside the Basic Multilingual Plane cannot be encoded
+ *   - `'latin1'`: ISO-8859-1, one byte per character. Only characters up to U+00FF can be encoded
+ */
+export type StringEncoding = 'utf-8' | 'utf-16le' | 'bmpstring' | 'latin1'
+
+export const ENCODINGS: StringEncoding[] = ['utf-8', 'utf-16le', 'bmpstring', 'latin1']
+
+/**
+ * Encodes a string password or salt
+ *
+ * @param name - what is encoded, e.g. `'password'`, for the error messages
+ * @param replaceUnpaired - whether unpaired surrogates are replaced with U+FFFD in UTF-8 rather than rejected, i.e. whether UTF-8 is just the default encoding
+ *
+ * @throws InvalidInputError if the string has a character that cannot be encoded, e.g. an unpaired surrogate or, for `'latin1'`, a character above U+00FF
+ */
+export function encodeString (str: string, encoding: StringEncoding, name: string, replaceUnpaired = false): Uint8Array {
+  if (encoding === 'utf-8' && replaceUnpaired) return new TextEncoder().encode(str)
+
+  const codePoints = Array.from(str, char => char.codePointAt(0) as number)
+  const invalid = codePoints.find(codePoint => (codePoint >= 0xD800 && codePoint <= 0xDFFF) || (encoding === 'latin1' && codePoint > 0xFF) || (encoding === 'bmpstring' && codePoint > 0xFFFF))
+  if (invalid !== undefined) {
+    const hex = invalid.toString(16).toUpperCase().padStart(4, '0')
+    throw new InvalidInputError(`The ${name} has the ${invalid >= 0xD800 && invalid <= 0xDFFF ? 'unpaired surrogate' : 'character'} U+${hex}, which cannot be encoded as ${encoding}`)
+  }
+
+  if (encoding === 'utf-8') return new TextEncoder().encode(str)
+  if (encoding === 'latin1') return Uint8Array.from(codePoints)
+  const bytes = new Uint8Array(str.length * 2 + (encoding === 'bmpstring' ? 2 : 0))
+  const view = new DataView(bytes.buffer)
+  for (let i = 0; i < str.length; i++) view.setUint16(i * 2, str.charCodeAt(i), encoding === 'utf-16le')
+  return bytes
+}
@@ -0,0 +1,48 @@
+/**
+ * The JavaScript runtime the library is running on:
+ *   - `'node'`, `'bun'` and `'deno'`: the server-side runtimes
+ *   - `'workerd'`: Cloudflare Workers
+ *   - `'edge-light'`: Vercel Edge Functions and Middleware
+ *   - `'electron-renderer'`: an Electron renderer process with Node integration
+ *   - `'browser'` and `'webworker'`: a browser page and a Web Worker
+ *   - `'unknown'`: none of the above, e.g. React Native
+ */
+export type Runtime = 'node' | 'bun' | 'deno' | 'workerd' | 'edge-light' | 'electron-renderer' | 'browser' | 'webworker' | 'unknown'
+
+/**
+ * Detects the runtime from its globals, since any of them may end up loading any of the builds (e.g. Deno and Bun can load the Node ones, and Electron renderers the browser ones). Which backends are available does not depend on it though, but on what is actually there: Node's `crypto` module (only in the Node builds) and WebCrypto
+ */
+export function detectRuntime (): Runtime {
+  const global = globalThis as any
+  if (typeof global.Bun !== 'undefined') return 'bun'
+  if (typeof global.Deno !== 'undefined') return 'deno'
+  if (typeof global.EdgeRuntime === 'string') return 'edge-light'
+  if (typeof navigator !== 'undefined' && navigator.userAgent === 'Cloudflare-Workers') return 'workerd'
+  if (global.process?.versions?.electron !== undefined && global.process.type === 'renderer') return 'electron-renderer'
+  if (global.process?.versions?.node !== undefined) return 'node'
+  if (typeof window !== 'undefined' && typeof document !== 'undefined') return 'browser'
+  if (typeof global.importScripts === 'function') return 'webworker'
+  return 'unknown'
+}
+
+/**
+ * Node's `crypto` module, if this build has it. The Node builds (also used by Bun) import it, and the rest do not, so that they can be loaded where it does not exist
+ */
+export function getNodeCrypto (): typeof import('crypto') | undefined {
+  return typeof nodeCrypto !== 'undefined' ? nodeCrypto : undefined
+}
+
+/**
+ * Whether Node's `worker_threads` and `os` modules are available, i.e. whether a pool of worker threads can be created
+ */
+export function hasNodeWorkerThreads (): boolean {
+  return typeof nodeWorkerThreads !== 'undefined' && typeof nodeOs !== 'undefined'
+}
+
+/**
+ * WebCrypto: the global `crypto` where there is one (browsers, Deno, Bun, edge runtimes and Node 19+), or the one of Node's `crypto` module on older Node versions. Its `subtle` property is undefined in insecure (http://) browser contexts
+ */
+export function getWebCrypto (): Crypto | undefined {
+  if (typeof globalThis.crypto !== 'undefined') return globalThis.crypto
+  return getNodeCrypto()?.webcrypto as Crypto | undefined
+}
@@ -0,0 +1,114 @@
+/**
+ * The stable codes of the errors thrown by the library, which, unlike their messages, can be relied on:
+ *   - `'ERR_PBKDF2_INVALID_HASH'`: the hash is not supported, or a PRF cannot be registered
+ *   - `'ERR_PBKDF2_INVALID_ITERATIONS'`: the iteration count is not valid
+ *   - `'ERR_PBKDF2_INVALID_KEYLEN'`: the length of the derived key is not valid
+ *   - `'ERR_PBKDF2_INVALID_INPUT'`: the password or the salt is not valid, e.g. it is not a string or binary data, it has characters that cannot be encoded or normalized, or the salt is too short for a preset. Also a PHC string that cannot be parsed
+ *   - `'ERR_PBKDF2_INVALID_OPTION'`: any other option is not valid
+ *   - `'ERR_PBKDF2_BACKEND'`: the requested backend, or the workers, cannot be used in this environment, the workers cannot take the derivation (the queue of the pool is full or the pool is closed) or failed, or the native implementation failed
+ */
+export type Pbkdf2ErrorCode = 'ERR_PBKDF2_INVALID_HASH' | 'ERR_PBKDF2_INVALID_ITERATIONS' | 'ERR_PBKDF2_INVALID_KEYLEN' | 'ERR_PBKDF2_INVALID_INPUT' | 'ERR_PBKDF2_INVALID_OPTION' | 'ERR_PBKDF2_BACKEND'
+
+/**
+ * The base class of the errors the library throws for invalid inputs and options and for backends that cannot be used or fail. It extends RangeError, which is what they were thrown as before they had a code
+ */
+export class Pbkdf2Error extends RangeError {
+  /**
+   * a stable code telling what went wrong
+   */
+  readonly code: Pbkdf2ErrorCode
+  /**
+   * the underlying error, if any, e.g. the one a native implementation failed with
+   */
+  readonly cause?: unknown
+
+  constructor (message: string, code: Pbkdf2ErrorCode, cause?: unknown) {
+    super(message)
+    this.name = 'Pbkdf2Error'
+    this.code = code
+    if (cause !== undefined) this.cause = cause
+  }
+}
+
+/**
+ * The hash is not supported, or a PRF cannot be registered (`'ERR_PBKDF2_INVALID_HASH'`)
+ */
+export class InvalidHashError extends Pbkdf2Error {
+  constructor (message: string) {
+    super(message, 'ERR_PBKDF2_INVALID_HASH')
+    this.name = 'InvalidHashError'
+  }
+}
+
+/**
+ * The iteration count is not valid (`'ERR_PBKDF2_INVALID_ITERATIONS'`)
+ */
+export class InvalidIterationsError extends Pbkdf2Error {
+  constructor (message: string) {
+    super(message, 'ERR_PBKDF2_INVALID_ITERATIONS')
+    this.name = 'InvalidIterationsError'
+  }
+}
+
+/**
+ * The length of the derived key is not valid (`'ERR_PBKDF2_INVALID_KEYLEN'`)
+ */
+export class InvalidKeyLengthError extends Pbkdf2Error {
+  constructor (message: string) {
+    super(message, 'ERR_PBKDF2_INVALID_KEYLEN')
+    this.name = 'InvalidKeyLengthError'
+  }
+}
+
+/**
+ * The password, the salt or a PHC string is not valid (`'ERR_PBKDF2_INVALID_INPUT'`)
+ */
+export class InvalidInputError extends Pbkdf2Error {
+  constructor (message: string) {
+    super(message, 'ERR_PBKDF2_INVALID_INPUT')
+    this.name = 'InvalidInputError'
+  }
+}
+
+/**
+ * An option is not valid (`'ERR_PBKDF2_INVALID_OPTION'`)
+ */
+export class InvalidOptionError extends Pbkdf2Error {
+  constructor (message: string) {
+    super(message, 'ERR_PBKDF2_INVALID_OPTION')
+    this.name = 'InvalidOptionError'
+  }
+}
+
+/**
+ * The requested backend or the workers cannot be used in this environment, the workers cannot take the derivation or failed, or the native implementation failed, in which case its error is the `cause` (`'ERR_PBKDF2_BACKEND'`)
+ */
+export class BackendError extends Pbkdf2Error {
+  constructor (message: string, cause?: unknown) {
+    super(message, 'ERR_PBKDF2_BACKEND', cause)
+    this.name = 'BackendError'
+  }
+}
+
+const ERRORS: Record<Pbkdf2ErrorCode, new (message: string) => Pbkdf2Error> = {
+  ERR_PBKDF2_INVALID_HASH: InvalidHashError,
+  ERR_PBKDF2_INVALID_ITERATIONS: InvalidIterationsError,
+  ERR_PBKDF2_INVALID_KEYLEN: InvalidKeyLengthError,
+  ERR_PBKDF2_INVALID_INPUT: InvalidInputError,
+  ERR_PBKDF2_INVALID_OPTION: InvalidOptionError,
+  ERR_PBKDF2_BACKEND: BackendError
+}
+
+/**
+ * Rebuilds an error from its code and message, e.g. when it is sent by a worker
+ */
+export function fromCode (code: Pbkdf2ErrorCode, message: string): Pbkdf2Error {
+  return new ERRORS[code](message)
+}
+
+/**
+ * Wraps the error a native implementation failed with
+ */
+export function backendFailure (implementation: string, error: unknown): BackendError {
+  return new BackendError(`${implementation} failed to derive the key: ${error instanceof Error ? error.message : String(error)}`, error)
+}
@@ -0,0 +1,32 @@
+import { blake2b512, blake2s256 } from './hashes/blake2'
+import { sha1 } from './hashes/sha1'
+import { sha224, sha256, sha384, sha512, sha512t224, sha512t256 } from './hashes/sha2'
+import { sha3 } from './hashes/sha3'
+import { HashFunction } from './hashes/utils'
+
+export type HashAlg = 'SHA-1' | 'SHA-224' | 'SHA-256' | 'SHA-384' | 'SHA-512' | 'SHA-512/224' | 'SHA-512/256' | 'SHA3-256' | 'SHA3-384' | 'SHA3-512' | 'BLAKE2b-512' | 'BLAKE2s-256'
+
+type HashAlgs = {
+  [key in HashAlg]: HashFunction & {
+    nodeAlg: string // name of the hash in Node's crypto
+    webcrypto: boolean // whether WebCrypto supports it
+  }
+}
+
+/**
+ * The supported hash functions, with their output length and block size in octets, and their pure-JS implementation
+ */
+export const HASHALGS: HashAlgs = {
+  'SHA-1': { ...sha1, nodeAlg: 'sha1', webcrypto: true },
+  'SHA-224': { ...sha224, nodeAlg: 'sha224', webcrypto: false },
+  'SHA-256': { ...sha256, nodeAlg: 'sha256', webcrypto: true },
+  'SHA-384': { ...sha384, nodeAlg: 'sha384', webcrypto: true },
+  'SHA-512': { ...sha512, nodeAlg: 'sha512', webcrypto: true },
+  'SHA-512/224': { ...sha512t224, nodeAlg: 'sha512-224', webcrypto: false },
+  'SHA-512/256': { ...sha512t256, nodeAlg: 'sha512-256', webcrypto: false },
+  'SHA3-256': { ...sha3(256), nodeAlg: 'sha3-256', webcrypto: false }, // blockSize: 136
+  'SHA3-384': { ...sha3(384), nodeAlg: 'sha3-384', webcrypto: false }, // blockSize: 104
+  'SHA3-512': { ...sha3(512), nodeAlg: 'sha3-512', webcrypto: false }, // blockSize: 72
+  'BLAKE2b-512': { ...blake2b512, nodeAlg: 'blake2b512', webcrypto: false },
+  'BLAKE2s-256': { ...blake2s256, nodeAlg: 'blake2s256', webcrypto: false }
+}
@@ -0,0 +1,281 @@
+import { Hasher, HashFunction } from './utils'
+
+/*
+ BLAKE2b and BLAKE2s as defined in RFC 7693, unkeyed and with the default
+ parameter block. Words are little-endian, and BLAKE2b 64-bit words are
+ stored as pairs of 32-bit integers (low, high).
+ */
+
+const BLAKE2S_IV = Int32Array.from([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19])
+
+const BLAKE2B_IV = Int32Array.from([
+  0xf3bcc908, 0x6a09e667, 0x84caa73b, 0xbb67ae85, 0xfe94f82b, 0x3c6ef372, 0x5f1d36f1, 0xa54ff53a,
+  0xade682d1, 0x510e527f, 0x2b3e6c1f, 0x9b05688c, 0xfb41bd6b, 0x1f83d9ab, 0x137e2179, 0x5be0cd19
+])
+
+const SIGMA = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+  [14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3],
+  [11, 8, 12, 0, 5, 2, 15, 13, 10, 14, 3, 6, 7, 1, 9, 4],
+  [7, 9, 3, 1, 13, 12, 11, 14, 2, 6, 5, 10, 4, 0, 15, 8],
+  [9, 0, 5, 7, 2, 4, 10, 15, 14, 1, 11, 12, 6, 8, 3, 13],
+  [2, 12, 6, 10, 0, 11, 8, 3, 4, 13, 7, 5, 15, 14, 1, 9],
+  [12, 5, 1, 15, 14, 13, 4, 10, 0, 7, 6, 3, 9, 2, 8, 11],
+  [13, 11, 7, 14, 12, 1, 3, 9, 5, 0, 15, 4, 8, 6, 2, 10],
+  [6, 15, 14, 9, 11, 3, 0, 8, 12, 2, 13, 7, 1, 4, 10, 5],
+  [10, 2, 8, 4, 7, 6, 1, 5, 15, 11, 9, 14, 3, 12, 13, 0]
+]
+
+// Scratch space (working vector and message words), shared by all the BLAKE2 computations
+const V = new Int32Array(32)
+const M = new Int32Array(32)
+
+/**
+ * Common buffering and finalization of BLAKE2b and BLAKE2s. The last block has to be compressed with the final flag set, so a full buffer is not compressed until more data arrives
+ */
+abstract class Blake2 implements Hasher {
+  readonly blockSize: number
+  readonly outputLength: number
+  protected abstract readonly state: Int32Array
+  protected readonly view: DataView
+  private readonly buffer: Uint8Array
+  private pos: number
+  protected length: number // number of bytes compressed so far (the t counter)
+  private finished: boolean
+
+  constructor (blockSize: number, outputLength: number) {
+    this.blockSize = blockSize
+    this.outputLength = outputLength
+    this.buffer = new Uint8Array(blockSize)
+    this.view = new DataView(this.buffer.buffer)
+    this.pos = 0
+    this.length = 0
+    this.finished = false
+  }
+
+  /**
+   * Compresses the buffer. `length` has already been updated with the bytes in it
+   */
+  protected abstract compress (final: boolean): void
+
+  update (data: Uint8Array): this {
+    if (this.finished) throw new Error('Hash already finished')
+    const { buffer, blockSize } = this
+    for (let i = 0; i < data.length; i++) {
+      if (this.pos === blockSize) {
+        this.length += blockSize
+        this.compress(false)
+        this.pos = 0
+      }
+      buffer[this.pos++] = data[i]
+    }
+    return this
+  }
+
+  digestInto (out: Uint8Array): void {
+    if (this.finished) throw new Error('Hash already finished')
+    this.finished = true
+    this.length += this.pos
+    this.buffer.fill(0, this.pos)
+    this.compress(true)
+    for (let i = 0; i < this.outputLength; i++) {
+      out[i] = this.state[i >>> 2] >>> ((i & 3) << 3)
+    }
+  }
+
+  digest (): Uint8Array {
+    const out = new Uint8Array(this.outputLength)
+    this.digestInto(out)
+    return out
+  }
+
+  cloneInto (hasher?: Hasher): this {
+    const to = (hasher ?? new (this.constructor as new () => this)()) as this
+    to.state.set(this.state)
+    to.buffer.set(this.buffer)
+    to.pos = this.pos
+    to.length = this.length
+    to.finished = this.finished
+    return to
+  }
+
+  destroy (): void {
+    this.state.fill(0)
+    this.buffer.fill(0)
+    this.pos = 0
+    this.length = 0
+    V.fill(0) // the shared scratch space still holds the last block
+    M.fill(0)
+  }
+}
+
+class Blake2s extends Blake2 {
+  protected readonly state: Int32Array
+
+  constructor () {
+    super(64, 32)
+    this.state = Int32Array.from(BLAKE2S_IV)
+    this.state[0] ^= 0x01010000 ^ this.outputLength // fanout = depth = 1, no key
+  }
+
+  protected compress (final: boolean): void {
+    const h = this.state
+    for (let i = 0; i < 16; i++) M[i] = this.view.getInt32(4 * i, true)
+    for (let i = 0; i < 8; i++) {
+      V[i] = h[i]
+      V[i + 8] = BLAKE2S_IV[i]
+    }
+    V[12] ^= this.length
+    V[13] ^= this.length / 0x100000000
+    if (final) V[14] = ~V[14]
+
+    for (let r = 0; r < 10; r++) {
+      const s = SIGMA[r]
+      G32(0, 4, 8, 12, M[s[0]], M[s[1]])
+      G32(1, 5, 9, 13, M[s[2]], M[s[3]])
+      G32(2, 6, 10, 14, M[s[4]], M[s[5]])
+      G32(3, 7, 11, 15, M[s[6]], M[s[7]])
+      G32(0, 5, 10, 15, M[s[8]], M[s[9]])
+      G32(1, 6, 11, 12, M[s[10]], M[s[11]])
+      G32(2, 7, 8, 13, M[s[12]], M[s[13]])
+      G32(3, 4, 9, 14, M[s[14]], M[s[15]])
+    }
+    for (let i = 0; i < 8; i++) h[i] ^= V[i] ^ V[i + 8]
+  }
+}
+
+/**
+ * BLAKE2s mixing function G over the working vector V
+ */
+function G32 (a: number, b: number, c: number, d: number, x: number, y: number): void {
+  let va = V[a]
+  let vb = V[b]
+  let vc = V[c]
+  let vd = V[d]
+  va = (va + vb + x) | 0
+  vd ^= va
+  vd = (vd >>> 16) | (vd << 16)
+  vc = (vc + vd) | 0
+  vb ^= vc
+  vb = (vb >>> 12) | (vb << 20)
+  va = (va + vb + y) | 0
+  vd ^= va
+  vd = (vd >>> 8) | (vd << 24)
+  vc = (vc + vd) | 0
+  vb ^= vc
+  vb = (vb >>> 7) | (vb << 25)
+  V[a] = va
+  V[b] = vb
+  V[c] = vc
+  V[d] = vd
+}
+
+class Blake2b extends Blake2 {
+  protected readonly state: Int32Array
+
+  constructor () {
+    super(128, 64)
+    this.state = Int32Array.from(BLAKE2B_IV)
+    this.state[0] ^= 0x01010000 ^ this.outputLength // fanout = depth = 1, no key
+  }
+
+  protected compress (final: boolean): void {
+    const h = this.state
+    for (let i = 0; i < 32; i++) M[i] = this.view.getInt32(4 * i, true)
+    for (let i = 0; i < 16; i++) {
+      V[i] = h[i]
+      V[i + 16] = BLAKE2B_IV[i]
+    }
+    V[24] ^= this.length
+    V[25] ^= this.length / 0x100000000
+    if (final) {
+      V[28] = ~V[28]
+      V[29] = ~V[29]
+    }
+
+    for (let r = 0; r < 12; r++) {
+      const s = SIGMA[r % 10]
+      G64(0, 4, 8, 12, s[0], s[1])
+      G64(1, 5, 9, 13, s[2], s[3])
+      G64(2, 6, 10, 14, s[4], s[5])
+      G64(3, 7, 11, 15, s[6], s[7])
+      G64(0, 5, 10, 15, s[8], s[9])
+      G64(1, 6, 11, 12, s[10], s[11])
+      G64(2, 7, 8, 13, s[12], s[13])
+      G64(3, 4, 9, 14, s[14], s[15])
+    }
+    for (let i = 0; i < 16; i++) h[i] ^= V[i] ^ V[i + 16]
+  }
+}
+
+/**
+ * BLAKE2b mixing function G over the working vector V. a, b, c and d are indexes of 64-bit words in V, and x, y indexes of 64-bit message words in M
+ */
+function G64 (a: number, b: number, c: number, d: number, x: number, y: number): void {
+  a *= 2
+  b *= 2
+  c *= 2
+  d *= 2
+  x *= 2
+  y *= 2
+  let al = V[a]
+  let ah = V[a + 1]
+  let bl = V[b]
+  let bh = V[b + 1]
+  let cl = V[c]
+  let ch = V[c + 1]
+  let dl = V[d]
+  let dh = V[d + 1]
+  let t, l
+
+  // a = a + b + m[x]
+  l = (al >>> 0) + (bl >>> 0) + (M[x] >>> 0)
+  ah = (ah + bh + M[x + 1] + ((l / 0x100000000) | 0)) | 0
+  al = l | 0
+  // d = (d ^ a) >>> 32
+  t = dl ^ al
+  dl = dh ^ ah
+  dh = t
+  // c = c + d
+  l = (cl >>> 0) + (dl >>> 0)
+  ch = (ch + dh + ((l / 0x100000000) | 0)) | 0
+  cl = l | 0
+  // b = (b ^ c) >>> 24
+  bl ^= cl
+  bh ^= ch
+  t = (bl >>> 24) | (bh << 8)
+  bh = (bh >>> 24) | (bl << 8)
+  bl = t
+  // a = a + b + m[y]
+  l = (al >>> 0) + (bl >>> 0) + (M[y] >>> 0)
+  ah = (ah + bh + M[y + 1] + ((l / 0x100000000) | 0)) | 0
+  al = l | 0
+  // d = (d ^ a) >>> 16
+  dl ^= al
+  dh ^= ah
+  t = (dl >>> 16) | (dh << 16)
+  dh = (dh >>> 16) | (dl << 16)
+  dl = t
+  // c = c + d
+  l = (cl >>> 0) + (dl >>> 0)
+  ch = (ch + dh + ((l / 0x100000000) | 0)) | 0
+  cl = l | 0
+  // b = (b ^ c) >>> 63
+  bl ^= cl
+  bh ^= ch
+  t = (bh >>> 31) | (bl << 1)
+  bh = (bl >>> 31) | (bh << 1)
+  bl = t
+
+  V[a] = al
+  V[a + 1] = ah
+  V[b] = bl
+  V[b + 1] = bh
+  V[c] = cl
+  V[c + 1] = ch
+  V[d] = dl
+  V[d + 1] = dh
+}
+
+export const blake2b512: HashFunction = { outputLength: 64, blockSize: 128, create: () => new Blake2b() }
+export const blake2s256: HashFunction = { outputLength: 32, blockSize: 64, create: () => new Blake2s() }
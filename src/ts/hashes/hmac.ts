@@ -0,0 +1,55 @@
+import { HashFunction } from './utils'
+
+/**
+ * A keyed PRF. It writes PRF(K, msg) to the first `outputLength` bytes of `out`. `msg` and `out` can be the same array
+ */
+export type Prf = (msg: Uint8Array, out: Uint8Array) => void
+
+/**
+ * A {@link Prf} together with the function that zero-fills whatever it keeps derived from the key, i.e. the hash states of HMAC or the copy of the key. The PRF must not be used after it
+ */
+export interface KeyedPrf {
+  prf: Prf
+  destroy: () => void
+}
+
+/**
+ * HMAC (RFC 2104) using `hash` as the underlying hash function and `key` as the key. The inner and outer padded keys are hashed just once, and every PRF computation just resumes from those states
+ *
+ * @param hash - the underlying hash function
+ * @param key - the HMAC key
+ *
+ * @returns the keyed PRF and its disposer
+ */
+export function hmac (hash: HashFunction, key: Uint8Array): KeyedPrf {
+  const { blockSize, outputLength } = hash
+
+  const pad = new Uint8Array(blockSize)
+  if (key.length > blockSize) {
+    const keyHasher = hash.create().update(key)
+    const hashedKey = keyHasher.digest()
+    pad.set(hashedKey)
+    hashedKey.fill(0)
+    keyHasher.destroy()
+  } else {
+    pad.set(key)
+  }
+  for (let i = 0; i < blockSize; i++) pad[i] ^= 0x36
+  const inner = hash.create().update(pad)
+  for (let i = 0; i < blockSize; i++) pad[i] ^= 0x36 ^ 0x5c
+  const outer = hash.create().update(pad)
+  pad.fill(0)
+
+  const hasher = hash.create()
+  return {
+    prf: function (msg: Uint8Array, out: Uint8Array): void {
+      inner.cloneInto(hasher).update(msg).digestInto(out)
+      outer.cloneInto(hasher).update(out.length === outputLength ? out : out.subarray(0, outputLength)).digestInto(out)
+    },
+    destroy: () => {
+      inner.destroy()
+      outer.destroy()
+      hasher.destroy()
+    }
+  }
+}
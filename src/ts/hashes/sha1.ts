@@ -0,0 +1,63 @@
+import { HashFunction, MDHasher } from './utils'
+
+const W = new Int32Array(80) // message schedule, shared by all the SHA-1 computations
+
+/**
+ * SHA-1 as defined in FIPS 180-4
+ */
+class Sha1 extends MDHasher {
+  protected readonly state = Int32Array.from([0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0])
+
+  constructor () {
+    super(64, 20, 8)
+  }
+
+  protected compress (view: DataView, offset: number): void {
+    for (let t = 0; t < 16; t++, offset += 4) W[t] = view.getInt32(offset, false)
+    for (let t = 16; t < 80; t++) {
+      const x = W[t - 3] ^ W[t - 8] ^ W[t - 14] ^ W[t - 16]
+      W[t] = (x << 1) | (x >>> 31)
+    }
+
+    const state = this.state
+    let a = state[0]
+    let b = state[1]
+    let c = state[2]
+    let d = state[3]
+    let e = state[4]
+    for (let t = 0; t < 80; t++) {
+      let f, k
+      if (t < 20) {
+        f = (b & c) | (~b & d)
+        k = 0x5a827999
+      } else if (t < 40) {
+        f = b ^ c ^ d
+        k = 0x6ed9eba1
+      } else if (t < 60) {
+        f = (b & c) | (b & d) | (c & d)
+        k = 0x8f1bbcdc
+      } else {
+        f = b ^ c ^ d
+        k = 0xca62c1d6
+      }
+      const T = (((a << 5) | (a >>> 27)) + f + e + k + W[t]) | 0
+      e = d
+      d = c
+      c = (b << 30) | (b >>> 2)
+      b = a
+      a = T
+    }
+    state[0] = (state[0] + a) | 0
+    state[1] = (state[1] + b) | 0
+    state[2] = (state[2] + c) | 0
+    state[3] = (state[3] + d) | 0
+    state[4] = (state[4] + e) | 0
+  }
+
+  destroy (): void {
+    super.destroy()
+    W.fill(0) // the shared message schedule still holds the last block
+  }
+}
+
+export const sha1: HashFunction = { outputLength: 20, blockSize: 64, create: () => new Sha1() }
@@ -0,0 +1,280 @@
+import { HashFunction, MDHasher } from './utils'
+
+/*
+ The SHA-512 family works with 64-bit words. They are handled as pairs of 32-bit integers (high, low), which is why all the SHA-512 constants and state arrays have twice the number of words. The following helpers compute the high and low parts of the rotations and shifts of a 64-bit word (h, l):
+   - rotrSH/rotrSL: rotate right by s bits, with 0 < s < 32
+   - rotrBH/rotrBL: rotate right by s bits, with 32 < s < 64
+   - shrL: low part of the right shift by s bits (the high part is just h >>> s)
+ */
+const rotrSH = (h: number, l: number, s: number): number => (h >>> s) | (l << (32 - s))
+const rotrSL = (h: number, l: number, s: number): number => (l >>> s) | (h << (32 - s))
+const rotrBH = (h: number, l: number, s: number): number => (l >>> (s - 32)) | (h << (64 - s))
+const rotrBL = (h: number, l: number, s: number): number => (h >>> (s - 32)) | (l << (64 - s))
+const shrL = (h: number, l: number, s: number): number => (l >>> s) | (h << (32 - s))
+const carry = (sum: number): number => (sum / 0x100000000) | 0
+
+/**
+ * Adds the 64-bit word (h, l) to the 64-bit word stored at state[i], state[i + 1]
+ */
+function add64 (state: Int32Array, i: number, h: number, l: number): void {
+  const low = (state[i + 1] >>> 0) + (l >>> 0)
+  state[i] = (state[i] + h + carry(low)) | 0
+  state[i + 1] = low | 0
+}
+
+const SHA256_K = Int32Array.from([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+])
+
+const SHA256_IV = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]
+
+const SHA512_K = Int32Array.from([
+  0x428a2f98, 0xd728ae22, 0x71374491, 0x23ef65cd, 0xb5c0fbcf, 0xec4d3b2f, 0xe9b5dba5, 0x8189dbbc,
+  0x3956c25b, 0xf348b538, 0x59f111f1, 0xb605d019, 0x923f82a4, 0xaf194f9b, 0xab1c5ed5, 0xda6d8118,
+  0xd807aa98, 0xa3030242, 0x12835b01, 0x45706fbe, 0x243185be, 0x4ee4b28c, 0x550c7dc3, 0xd5ffb4e2,
+  0x72be5d74, 0xf27b896f, 0x80deb1fe, 0x3b1696b1, 0x9bdc06a7, 0x25c71235, 0xc19bf174, 0xcf692694,
+  0xe49b69c1, 0x9ef14ad2, 0xefbe4786, 0x384f25e3, 0x0fc19dc6, 0x8b8cd5b5, 0x240ca1cc, 0x77ac9c65,
+  0x2de92c6f, 0x592b0275, 0x4a7484aa, 0x6ea6e483, 0x5cb0a9dc, 0xbd41fbd4, 0x76f988da, 0x831153b5,
+  0x983e5152, 0xee66dfab, 0xa831c66d, 0x2db43210, 0xb00327c8, 0x98fb213f, 0xbf597fc7, 0xbeef0ee4,
+  0xc6e00bf3, 0x3da88fc2, 0xd5a79147, 0x930aa725, 0x06ca6351, 0xe003826f, 0x14292967, 0x0a0e6e70,
+  0x27b70a85, 0x46d22ffc, 0x2e1b2138, 0x5c26c926, 0x4d2c6dfc, 0x5ac42aed, 0x53380d13, 0x9d95b3df,
+  0x650a7354, 0x8baf63de, 0x766a0abb, 0x3c77b2a8, 0x81c2c92e, 0x47edaee6, 0x92722c85, 0x1482353b,
+  0xa2bfe8a1, 0x4cf10364, 0xa81a664b, 0xbc423001, 0xc24b8b70, 0xd0f89791, 0xc76c51a3, 0x0654be30,
+  0xd192e819, 0xd6ef5218, 0xd6990624, 0x5565a910, 0xf40e3585, 0x5771202a, 0x106aa070, 0x32bbd1b8,
+  0x19a4c116, 0xb8d2d0c8, 0x1e376c08, 0x5141ab53, 0x2748774c, 0xdf8eeb99, 0x34b0bcb5, 0xe19b48a8,
+  0x391c0cb3, 0xc5c95a63, 0x4ed8aa4a, 0xe3418acb, 0x5b9cca4f, 0x7763e373, 0x682e6ff3, 0xd6b2b8a3,
+  0x748f82ee, 0x5defb2fc, 0x78a5636f, 0x43172f60, 0x84c87814, 0xa1f0ab72, 0x8cc70208, 0x1a6439ec,
+  0x90befffa, 0x23631e28, 0xa4506ceb, 0xde82bde9, 0xbef9a3f7, 0xb2c67915, 0xc67178f2, 0xe372532b,
+  0xca273ece, 0xea26619c, 0xd186b8c7, 0x21c0c207, 0xeada7dd6, 0xcde0eb1e, 0xf57d4f7f, 0xee6ed178,
+  0x06f067aa, 0x72176fba, 0x0a637dc5, 0xa2c898a6, 0x113f9804, 0xbef90dae, 0x1b710b35, 0x131c471b,
+  0x28db77f5, 0x23047d84, 0x32caab7b, 0x40c72493, 0x3c9ebe0a, 0x15c9bebc, 0x431d67c4, 0x9c100d4c,
+  0x4cc5d4be, 0xcb3e42b6, 0x597f299c, 0xfc657e2a, 0x5fcb6fab, 0x3ad6faec, 0x6c44198c, 0x4a475817
+])
+
+const SHA224_IV = [0xc1059ed8, 0x367cd507, 0x3070dd17, 0xf70e5939, 0xffc00b31, 0x68581511, 0x64f98fa7, 0xbefa4fa4]
+
+const SHA384_IV = [
+  0xcbbb9d5d, 0xc1059ed8, 0x629a292a, 0x367cd507, 0x9159015a, 0x3070dd17, 0x152fecd8, 0xf70e5939,
+  0x67332667, 0xffc00b31, 0x8eb44a87, 0x68581511, 0xdb0c2e0d, 0x64f98fa7, 0x47b5481d, 0xbefa4fa4
+]
+
+const SHA512_IV = [
+  0x6a09e667, 0xf3bcc908, 0xbb67ae85, 0x84caa73b, 0x3c6ef372, 0xfe94f82b, 0xa54ff53a, 0x5f1d36f1,
+  0x510e527f, 0xade682d1, 0x9b05688c, 0x2b3e6c1f, 0x1f83d9ab, 0xfb41bd6b, 0x5be0cd19, 0x137e2179
+]
+
+// SHA-512/t initial hash values, computed with the SHA-512/t IV generation function of FIPS 180-4 section 5.3.6
+const SHA512_224_IV = [
+  0x8c3d37c8, 0x19544da2, 0x73e19966, 0x89dcd4d6, 0x1dfab7ae, 0x32ff9c82, 0x679dd514, 0x582f9fcf,
+  0x0f6d2b69, 0x7bd44da8, 0x77e36f73, 0x04c48942, 0x3f9d85a8, 0x6a1d36c8, 0x1112e6ad, 0x91d692a1
+]
+
+const SHA512_256_IV = [
+  0x22312194, 0xfc2bf72c, 0x9f555fa3, 0xc84c64c2, 0x2393b86b, 0x6f53b151, 0x96387719, 0x5940eabd,
+  0x96283ee2, 0xa88effe3, 0xbe5e1e25, 0x53863992, 0x2b0199fc, 0x2c85b8aa, 0x0eb72ddc, 0x81c52ca2
+]
+
+const SHA256_W = new Int32Array(64) // message schedule, shared by all the SHA-256 computations
+const SHA512_WH = new Int32Array(80) // message schedule (high parts), shared by all the SHA-512 computations
+const SHA512_WL = new Int32Array(80) // message schedule (low parts), shared by all the SHA-512 computations
+
+/**
+ * SHA-256 as defined in FIPS 180-4. Subclasses just change the initial hash value and the output length
+ */
+class Sha256 extends MDHasher {
+  protected readonly state: Int32Array
+
+  constructor (outputLength = 32, iv = SHA256_IV) {
+    super(64, outputLength, 8)
+    this.state = Int32Array.from(iv)
+  }
+
+  protected compress (view: DataView, offset: number): void {
+    const W = SHA256_W
+    for (let t = 0; t < 16; t++, offset += 4) W[t] = view.getInt32(offset, false)
+    for (let t = 16; t < 64; t++) {
+      const w15 = W[t - 15]
+      const w2 = W[t - 2]
+      const s0 = ((w15 >>> 7) | (w15 << 25)) ^ ((w15 >>> 18) | (w15 << 14)) ^ (w15 >>> 3)
+      const s1 = ((w2 >>> 17) | (w2 << 15)) ^ ((w2 >>> 19) | (w2 << 13)) ^ (w2 >>> 10)
+      W[t] = (s1 + W[t - 7] + s0 + W[t - 16]) | 0
+    }
+
+    const state = this.state
+    let a = state[0]
+    let b = state[1]
+    let c = state[2]
+    let d = state[3]
+    let e = state[4]
+    let f = state[5]
+    let g = state[6]
+    let h = state[7]
+    for (let t = 0; t < 64; t++) {
+      const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7))
+      const ch = (e & f) ^ (~e & g)
+      const T1 = (h + S1 + ch + SHA256_K[t] + W[t]) | 0
+      const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10))
+      const maj = (a & b) ^ (a & c) ^ (b & c)
+      const T2 = (S0 + maj) | 0
+      h = g
+      g = f
+      f = e
+      e = (d + T1) | 0
+      d = c
+      c = b
+      b = a
+      a = (T1 + T2) | 0
+    }
+    state[0] = (state[0] + a) | 0
+    state[1] = (state[1] + b) | 0
+    state[2] = (state[2] + c) | 0
+    state[3] = (state[3] + d) | 0
+    state[4] = (state[4] + e) | 0
+    state[5] = (state[5] + f) | 0
+    state[6] = (state[6] + g) | 0
+    state[7] = (state[7] + h) | 0
+  }
+
+  destroy (): void {
+    super.destroy()
+    SHA256_W.fill(0) // the shared message schedule still holds the last block
+  }
+}
+
+/**
+ * SHA-512 as defined in FIPS 180-4. Subclasses just change the initial hash value and the output length
+ */
+class Sha512 extends MDHasher {
+  protected readonly state: Int32Array
+
+  constructor (outputLength = 64, iv = SHA512_IV) {
+    super(128, outputLength, 16)
+    this.state = Int32Array.from(iv)
+  }
+
+  protected compress (view: DataView, offset: number): void {
+    const WH = SHA512_WH
+    const WL = SHA512_WL
+    for (let t = 0; t < 16; t++, offset += 8) {
+      WH[t] = view.getInt32(offset, false)
+      WL[t] = view.getInt32(offset + 4, false)
+    }
+    for (let t = 16; t < 80; t++) {
+      let h = WH[t - 15]
+      let l = WL[t - 15]
+      const s0h = rotrSH(h, l, 1) ^ rotrSH(h, l, 8) ^ (h >>> 7)
+      const s0l = rotrSL(h, l, 1) ^ rotrSL(h, l, 8) ^ shrL(h, l, 7)
+      h = WH[t - 2]
+      l = WL[t - 2]
+      const s1h = rotrSH(h, l, 19) ^ rotrBH(h, l, 61) ^ (h >>> 6)
+      const s1l = rotrSL(h, l, 19) ^ rotrBL(h, l, 61) ^ shrL(h, l, 6)
+      const low = (s1l >>> 0) + (WL[t - 7] >>> 0) + (s0l >>> 0) + (WL[t - 16] >>> 0)
+      WH[t] = (s1h + WH[t - 7] + s0h + WH[t - 16] + carry(low)) | 0
+      WL[t] = low | 0
+    }
+
+    const state = this.state
+    let Ah = state[0]
+    let Al = state[1]
+    let Bh = state[2]
+    let Bl = state[3]
+    let Ch = state[4]
+    let Cl = state[5]
+    let Dh = state[6]
+    let Dl = state[7]
+    let Eh = state[8]
+    let El = state[9]
+    let Fh = state[10]
+    let Fl = state[11]
+    let Gh = state[12]
+    let Gl = state[13]
+    let Hh = state[14]
+    let Hl = state[15]
+    for (let t = 0; t < 80; t++) {
+      const S1h = rotrSH(Eh, El, 14) ^ rotrSH(Eh, El, 18) ^ rotrBH(Eh, El, 41)
+      const S1l = rotrSL(Eh, El, 14) ^ rotrSL(Eh, El, 18) ^ rotrBL(Eh, El, 41)
+      const chh = (Eh & Fh) ^ (~Eh & Gh)
+      const chl = (El & Fl) ^ (~El & Gl)
+      const T1ll = (Hl >>> 0) + (S1l >>> 0) + (chl >>> 0) + (SHA512_K[2 * t + 1] >>> 0) + (WL[t] >>> 0)
+      const T1h = (Hh + S1h + chh + SHA512_K[2 * t] + WH[t] + carry(T1ll)) | 0
+      const T1l = T1ll | 0
+      const S0h = rotrSH(Ah, Al, 28) ^ rotrBH(Ah, Al, 34) ^ rotrBH(Ah, Al, 39)
+      const S0l = rotrSL(Ah, Al, 28) ^ rotrBL(Ah, Al, 34) ^ rotrBL(Ah, Al, 39)
+      const majh = (Ah & Bh) ^ (Ah & Ch) ^ (Bh & Ch)
+      const majl = (Al & Bl) ^ (Al & Cl) ^ (Bl & Cl)
+      const T2ll = (S0l >>> 0) + (majl >>> 0)
+      const T2h = (S0h + majh + carry(T2ll)) | 0
+      const T2l = T2ll | 0
+      Hh = Gh
+      Hl = Gl
+      Gh = Fh
+      Gl = Fl
+      Fh = Eh
+      Fl = El
+      const Ell = (Dl >>> 0) + (T1l >>> 0)
+      Eh = (Dh + T1h + carry(Ell)) | 0
+      El = Ell | 0
+      Dh = Ch
+      Dl = Cl
+      Ch = Bh
+      Cl = Bl
+      Bh = Ah
+      Bl = Al
+      const All = (T1l >>> 0) + (T2l >>> 0)
+      Ah = (T1h + T2h + carry(All)) | 0
+      Al = All | 0
+    }
+    add64(state, 0, Ah, Al)
+    add64(state, 2, Bh, Bl)
+    add64(state, 4, Ch, Cl)
+    add64(state, 6, Dh, Dl)
+    add64(state, 8, Eh, El)
+    add64(state, 10, Fh, Fl)
+    add64(state, 12, Gh, Gl)
+    add64(state, 14, Hh, Hl)
+  }
+
+  destroy (): void {
+    super.destroy()
+    SHA512_WH.fill(0) // the shared message schedule still holds the last block
+    SHA512_WL.fill(0)
+  }
+}
+
+class Sha224 extends Sha256 {
+  constructor () {
+    super(28, SHA224_IV)
+  }
+}
+
+class Sha384 extends Sha512 {
+  constructor () {
+    super(48, SHA384_IV)
+  }
+}
+
+class Sha512t224 extends Sha512 {
+  constructor () {
+    super(28, SHA512_224_IV)
+  }
+}
+
+class Sha512t256 extends Sha512 {
+  constructor () {
+    super(32, SHA512_256_IV)
+  }
+}
+
+export const sha224: HashFunction = { outputLength: 28, blockSize: 64, create: () => new Sha224() }
+export const sha256: HashFunction = { outputLength: 32, blockSize: 64, create: () => new Sha256() }
+export const sha384: HashFunction = { outputLength: 48, blockSize: 128, create: () => new Sha384() }
+export const sha512: HashFunction = { outputLength: 64, blockSize: 128, create: () => new Sha512() }
+export const sha512t224: HashFunction = { outputLength: 28, blockSize: 128, create: () => new Sha512t224() }
+export const sha512t256: HashFunction = { outputLength: 32, blockSize: 128, create: () => new Sha512t256() }
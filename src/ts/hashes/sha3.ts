@@ -0,0 +1,226 @@
+import { Hasher, HashFunction } from './utils'
+
+/*
+ Keccak-f[1600] works with 25 lanes of 64 bits. Every lane is stored as a
+ pair of 32-bit integers (low, high), so lane i is at state[2i], state[2i + 1].
+ Lanes are indexed as i = x + 5y.
+ */
+
+// Round constants as (low, high) pairs
+const RC = Int32Array.from([
+  0x00000001, 0x00000000, 0x00008082, 0x00000000, 0x0000808a, 0x80000000, 0x80008000, 0x80000000,
+  0x0000808b, 0x00000000, 0x80000001, 0x00000000, 0x80008081, 0x80000000, 0x00008009, 0x80000000,
+  0x0000008a, 0x00000000, 0x00000088, 0x00000000, 0x80008009, 0x00000000, 0x8000000a, 0x00000000,
+  0x8000808b, 0x00000000, 0x0000008b, 0x80000000, 0x00008089, 0x80000000, 0x00008003, 0x80000000,
+  0x00008002, 0x80000000, 0x00000080, 0x80000000, 0x0000800a, 0x00000000, 0x8000000a, 0x80000000,
+  0x80008081, 0x80000000, 0x00008080, 0x80000000, 0x80000001, 0x00000000, 0x80008008, 0x80000000
+])
+
+// Scratch space, shared by all the Keccak computations
+const B = new Int32Array(50)
+
+/**
+ * Keccak-f[1600] permutation (FIPS 202)
+ */
+function keccakF1600 (A: Int32Array): void {
+  for (let round = 0; round < 24; round++) {
+    // theta
+    const c0l = A[0] ^ A[10] ^ A[20] ^ A[30] ^ A[40]
+    const c0h = A[1] ^ A[11] ^ A[21] ^ A[31] ^ A[41]
+    const c1l = A[2] ^ A[12] ^ A[22] ^ A[32] ^ A[42]
+    const c1h = A[3] ^ A[13] ^ A[23] ^ A[33] ^ A[43]
+    const c2l = A[4] ^ A[14] ^ A[24] ^ A[34] ^ A[44]
+    const c2h = A[5] ^ A[15] ^ A[25] ^ A[35] ^ A[45]
+    const c3l = A[6] ^ A[16] ^ A[26] ^ A[36] ^ A[46]
+    const c3h = A[7] ^ A[17] ^ A[27] ^ A[37] ^ A[47]
+    const c4l = A[8] ^ A[18] ^ A[28] ^ A[38] ^ A[48]
+    const c4h = A[9] ^ A[19] ^ A[29] ^ A[39] ^ A[49]
+    // D[x] = C[x - 1] ^ rotl(C[x + 1], 1)
+    const d0l = c4l ^ ((c1l << 1) | (c1h >>> 31))
+    const d0h = c4h ^ ((c1h << 1) | (c1l >>> 31))
+    const d1l = c0l ^ ((c2l << 1) | (c2h >>> 31))
+    const d1h = c0h ^ ((c2h << 1) | (c2l >>> 31))
+    const d2l = c1l ^ ((c3l << 1) | (c3h >>> 31))
+    const d2h = c1h ^ ((c3h << 1) | (c3l >>> 31))
+    const d3l = c2l ^ ((c4l << 1) | (c4h >>> 31))
+    const d3h = c2h ^ ((c4h << 1) | (c4l >>> 31))
+    const d4l = c3l ^ ((c0l << 1) | (c0h >>> 31))
+    const d4h = c3h ^ ((c0h << 1) | (c0l >>> 31))
+    for (let i = 0; i < 50; i += 10) {
+      A[i] ^= d0l
+      A[i + 1] ^= d0h
+      A[i + 2] ^= d1l
+      A[i + 3] ^= d1h
+      A[i + 4] ^= d2l
+      A[i + 5] ^= d2h
+      A[i + 6] ^= d3l
+      A[i + 7] ^= d3h
+      A[i + 8] ^= d4l
+      A[i + 9] ^= d4h
+    }
+
+    /*
+     rho and pi, unrolled: lane i = x + 5y is rotated left by the rho offset
+     r[i] and moved to lane y + 5 * ((2x + 3y) % 5), whose (low, high) words
+     are B[j], B[j + 1] below. When r[i] >= 32 the words of the lane are
+     swapped and rotated by r[i] - 32. The rho offsets are
+     0, 1, 62, 28, 27, 36, 44, 6, 55, 20, 3, 10, 43, 25, 39, 41, 45, 15, 21, 8, 18, 2, 61, 56, 14
+     */
+    B[0] = A[0]
+    B[1] = A[1]
+    B[20] = (A[2] << 1) | (A[3] >>> 31)
+    B[21] = (A[3] << 1) | (A[2] >>> 31)
+    B[40] = (A[5] << 30) | (A[4] >>> 2)
+    B[41] = (A[4] << 30) | (A[5] >>> 2)
+    B[10] = (A[6] << 28) | (A[7] >>> 4)
+    B[11] = (A[7] << 28) | (A[6] >>> 4)
+    B[30] = (A[8] << 27) | (A[9] >>> 5)
+    B[31] = (A[9] << 27) | (A[8] >>> 5)
+    B[32] = (A[11] << 4) | (A[10] >>> 28)
+    B[33] = (A[10] << 4) | (A[11] >>> 28)
+    B[2] = (A[13] << 12) | (A[12] >>> 20)
+    B[3] = (A[12] << 12) | (A[13] >>> 20)
+    B[22] = (A[14] << 6) | (A[15] >>> 26)
+    B[23] = (A[15] << 6) | (A[14] >>> 26)
+    B[42] = (A[17] << 23) | (A[16] >>> 9)
+    B[43] = (A[16] << 23) | (A[17] >>> 9)
+    B[12] = (A[18] << 20) | (A[19] >>> 12)
+    B[13] = (A[19] << 20) | (A[18] >>> 12)
+    B[14] = (A[20] << 3) | (A[21] >>> 29)
+    B[15] = (A[21] << 3) | (A[20] >>> 29)
+    B[34] = (A[22] << 10) | (A[23] >>> 22)
+    B[35] = (A[23] << 10) | (A[22] >>> 22)
+    B[4] = (A[25] << 11) | (A[24] >>> 21)
+    B[5] = (A[24] << 11) | (A[25] >>> 21)
+    B[24] = (A[26] << 25) | (A[27] >>> 7)
+    B[25] = (A[27] << 25) | (A[26] >>> 7)
+    B[44] = (A[29] << 7) | (A[28] >>> 25)
+    B[45] = (A[28] << 7) | (A[29] >>> 25)
+    B[46] = (A[31] << 9) | (A[30] >>> 23)
+    B[47] = (A[30] << 9) | (A[31] >>> 23)
+    B[16] = (A[33] << 13) | (A[32] >>> 19)
+    B[17] = (A[32] << 13) | (A[33] >>> 19)
+    B[36] = (A[34] << 15) | (A[35] >>> 17)
+    B[37] = (A[35] << 15) | (A[34] >>> 17)
+    B[6] = (A[36] << 21) | (A[37] >>> 11)
+    B[7] = (A[37] << 21) | (A[36] >>> 11)
+    B[26] = (A[38] << 8) | (A[39] >>> 24)
+    B[27] = (A[39] << 8) | (A[38] >>> 24)
+    B[28] = (A[40] << 18) | (A[41] >>> 14)
+    B[29] = (A[41] << 18) | (A[40] >>> 14)
+    B[48] = (A[42] << 2) | (A[43] >>> 30)
+    B[49] = (A[43] << 2) | (A[42] >>> 30)
+    B[18] = (A[45] << 29) | (A[44] >>> 3)
+    B[19] = (A[44] << 29) | (A[45] >>> 3)
+    B[38] = (A[47] << 24) | (A[46] >>> 8)
+    B[39] = (A[46] << 24) | (A[47] >>> 8)
+    B[8] = (A[48] << 14) | (A[49] >>> 18)
+    B[9] = (A[49] << 14) | (A[48] >>> 18)
+
+    // chi, row by row
+    for (let i = 0; i < 50; i += 10) {
+      const b0l = B[i]
+      const b0h = B[i + 1]
+      const b1l = B[i + 2]
+      const b1h = B[i + 3]
+      const b2l = B[i + 4]
+      const b2h = B[i + 5]
+      const b3l = B[i + 6]
+      const b3h = B[i + 7]
+      const b4l = B[i + 8]
+      const b4h = B[i + 9]
+      A[i] = b0l ^ (~b1l & b2l)
+      A[i + 1] = b0h ^ (~b1h & b2h)
+      A[i + 2] = b1l ^ (~b2l & b3l)
+      A[i + 3] = b1h ^ (~b2h & b3h)
+      A[i + 4] = b2l ^ (~b3l & b4l)
+      A[i + 5] = b2h ^ (~b3h & b4h)
+      A[i + 6] = b3l ^ (~b4l & b0l)
+      A[i + 7] = b3h ^ (~b4h & b0h)
+      A[i + 8] = b4l ^ (~b0l & b1l)
+      A[i + 9] = b4h ^ (~b0h & b1h)
+    }
+
+    // iota
+    A[0] ^= RC[2 * round]
+    A[1] ^= RC[2 * round + 1]
+  }
+}
+
+/**
+ * SHA-3 (FIPS 202). The rate (the block size for HMAC) is 200 - 2 * outputLength octets
+ */
+class Sha3 implements Hasher {
+  readonly outputLength: number
+  readonly blockSize: number
+  private readonly state: Int32Array
+  private pos: number
+  private finished: boolean
+
+  constructor (outputLength = 32) {
+    this.outputLength = outputLength
+    this.blockSize = 200 - 2 * outputLength
+    this.state = new Int32Array(50)
+    this.pos = 0
+    this.finished = false
+  }
+
+  /**
+   * XORs a byte into the state at the current position (little-endian lanes)
+   */
+  private absorbByte (byte: number, pos: number): void {
+    this.state[pos >>> 2] ^= byte << ((pos & 3) << 3)
+  }
+
+  update (data: Uint8Array): this {
+    if (this.finished) throw new Error('Hash already finished')
+    for (let i = 0; i < data.length; i++) {
+      this.absorbByte(data[i], this.pos++)
+      if (this.pos === this.blockSize) {
+        keccakF1600(this.state)
+        this.pos = 0
+      }
+    }
+    return this
+  }
+
+  digestInto (out: Uint8Array): void {
+    if (this.finished) throw new Error('Hash already finished')
+    this.finished = true
+    // SHA-3 domain separation bits (01) followed by the pad10*1 padding
+    this.absorbByte(0x06, this.pos)
+    this.absorbByte(0x80, this.blockSize - 1)
+    keccakF1600(this.state)
+    for (let i = 0; i < this.outputLength; i++) { // the output length is always smaller than the rate
+      out[i] = this.state[i >>> 2] >>> ((i & 3) << 3)
+    }
+  }
+
+  digest (): Uint8Array {
+    const out = new Uint8Array(this.outputLength)
+    this.digestInto(out)
+    return out
+  }
+
+  cloneInto (hasher?: Hasher): this {
+    const to = (hasher ?? new Sha3(this.outputLength)) as this
+    to.state.set(this.state)
+    to.pos = this.pos
+    to.finished = this.finished
+    return to
+  }
+
+  destroy (): void {
+    this.state.fill(0)
+    this.pos = 0
+    B.fill(0) // the shared scratch space still holds the last permuted state
+  }
+}
+
+/**
+ * Returns the SHA-3 hash function with an output of the requested bit length
+ */
+export function sha3 (bits: 256 | 384 | 512): HashFunction {
+  const outputLength = bits / 8
+  return { outputLength, blockSize: 200 - 2 * outputLength, create: () => new Sha3(outputLength) }
+}
@@ -0,0 +1,148 @@
+/**
+ * An incremental hash computation. It is created by {@link HashFunction.create}
+ */
+export interface Hasher {
+  /**
+   * Feeds more data into the hash computation
+   * @param data - the bytes to hash
+   * @returns the hasher itself, so that calls can be chained
+   */
+  update: (data: Uint8Array) => Hasher
+  /**
+   * Finishes the hash computation and writes the digest to the first `outputLength` bytes of `out`. No more updates are allowed after calling it
+   * @param out - a Uint8Array of at least `outputLength` bytes
+   */
+  digestInto: (out: Uint8Array) => void
+  /**
+   * Finishes the hash computation and returns the digest. No more updates are allowed after calling it
+   */
+  digest: () => Uint8Array
+  /**
+   * Copies the internal state of this hasher into `to` (or into a new hasher if not provided). It allows reusing a partial computation, e.g. the HMAC inner and outer pads
+   * @param to - a hasher of the same kind whose state is going to be overwritten
+   */
+  cloneInto: (to?: Hasher) => Hasher
+  /**
+   * Zero-fills the internal state of the hasher
+   */
+  destroy: () => void
+}
+
+/**
+ * A hash function that can be used as the underlying hash of HMAC
+ */
+export interface HashFunction {
+  /**
+   * length in octets of the output of the hash function
+   */
+  outputLength: number
+  /**
+   * length in octets of the block the hash function internally operates on. It is needed by HMAC
+   */
+  blockSize: number
+  /**
+   * returns a new incremental hash computation
+   */
+  create: () => Hasher
+}
+
+/**
+ * Base class for Merkle–Damgård hash functions (SHA-1 and SHA-2) with a big-endian encoding of the message length in bits appended during padding. Subclasses only have to provide the internal state (as 32-bit words) and the compression function
+ */
+export abstract class MDHasher implements Hasher {
+  readonly blockSize: number
+  readonly outputLength: number
+  private readonly lengthFieldSize: number
+  protected abstract readonly state: Int32Array
+  private readonly buffer: Uint8Array
+  private readonly view: DataView
+  private pos: number
+  private length: number
+  private finished: boolean
+
+  constructor (blockSize: number, outputLength: number, lengthFieldSize: number) {
+    this.blockSize = blockSize
+    this.outputLength = outputLength
+    this.lengthFieldSize = lengthFieldSize
+    this.buffer = new Uint8Array(blockSize)
+    this.view = new DataView(this.buffer.buffer)
+    this.pos = 0
+    this.length = 0
+    this.finished = false
+  }
+
+  /**
+   * Updates the internal state with the block starting at `offset`
+   */
+  protected abstract compress (view: DataView, offset: number): void
+
+  update (data: Uint8Array): this {
+    if (this.finished) throw new Error('Hash already finished')
+    const { buffer, blockSize } = this
+    const len = data.length
+    let pos = 0
+    while (pos < len) {
+      if (this.pos === 0 && len - pos >= blockSize) { // full blocks can be processed straight from data
+        const dataView = new DataView(data.buffer, data.byteOffset, data.byteLength)
+        for (; len - pos >= blockSize; pos += blockSize) this.compress(dataView, pos)
+        continue
+      }
+      const take = Math.min(blockSize - this.pos, len - pos)
+      for (let i = 0; i < take; i++) buffer[this.pos++] = data[pos++] // faster than creating a subarray for the short inputs of HMAC
+      if (this.pos === blockSize) {
+        this.compress(this.view, 0)
+        this.pos = 0
+      }
+    }
+    this.length += len
+    return this
+  }
+
+  digestInto (out: Uint8Array): void {
+    if (this.finished) throw new Error('Hash already finished')
+    this.finished = true
+    const { buffer, view, blockSize, state } = this
+    let pos = this.pos
+    buffer[pos++] = 0x80
+    buffer.fill(0, pos)
+    if (blockSize - pos < this.lengthFieldSize) {
+      this.compress(view, 0)
+      buffer.fill(0)
+    }
+    const bitLength = this.length * 8
+    view.setUint32(blockSize - 8, Math.floor(bitLength / 2 ** 32), false)
+    view.setUint32(blockSize - 4, bitLength >>> 0, false)
+    this.compress(view, 0)
+
+    for (let i = 0, j = 0; j < this.outputLength; i++) { // big-endian
+      const word = state[i]
+      out[j++] = word >>> 24
+      out[j++] = word >>> 16
+      out[j++] = word >>> 8
+      out[j++] = word
+    }
+  }
+
+  digest (): Uint8Array {
+    const out = new Uint8Array(this.outputLength)
+    this.digestInto(out)
+    return out
+  }
+
+  cloneInto (hasher?: Hasher): this {
+    const to = (hasher ?? new (this.constructor as new () => this)()) as this
+    to.state.set(this.state)
+    to.buffer.set(this.buffer)
+    to.pos = this.pos
+    to.length = this.length
+    to.finished = this.finished
+    return to
+  }
+
+  destroy (): void {
+    this.state.fill(0)
+    this.buffer.fill(0)
+    this.pos = 0
+    this.length = 0
+  }
+}
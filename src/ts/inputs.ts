@@ -0,0 +1,63 @@
+import { encodeString, ENCODINGS } from './encoding'
+import { InvalidHashError, InvalidInputError, InvalidIterationsError, InvalidKeyLengthError, InvalidOptionError } from './errors'
+import { normalizePassword, NORMALIZATIONS } from './normalize'
+import type { Pbkdf2Options } from './options'
+import { prfNames, prfOutputLength, PrfAlg } from './prf'
+
+/**
+ * A TypedArray object describes an array-like view of an underlying binary data buffer.
+ */
+export type TypedArray = Int8Array | Uint8Array | Uint8ClampedArray | Int16Array | Uint16Array | Int32Array | Uint32Array | Float32Array | Float64Array | BigInt64Array | BigUint64Array
+
+/**
+ * Checks the inputs to PBKDF2 and returns the password and the salt as Uint8Arrays. Every implementation (async, sync, native and JS) goes through it, so that they all accept and reject the same inputs
+ *
+ * @param options - how string inputs are turned into bytes, i.e. the `normalize`, `passwordEncoding` and `saltEncoding` options
+ *
+ * @throws InvalidHashError, InvalidIterationsError, InvalidKeyLengthError or InvalidOptionError if the hash, `c`, `dkLen` or any of the options is not valid
+ * @throws InvalidInputError if the password or the salt is not a string or binary data, or a string input has a character that cannot be encoded
+ * @throws PasswordNormalizationError if the password cannot be normalized as requested
+ */
+export function parseInputs (P: string | ArrayBuffer | TypedArray | DataView, S: string | ArrayBuffer | TypedArray | DataView, c: number, dkLen: number, hash: PrfAlg, options: Pick<Pbkdf2Options, 'normalize' | 'passwordEncoding' | 'saltEncoding'> = {}): { P: Uint8Array, S: Uint8Array } {
+  const hLen = prfOutputLength(hash)
+  if (hLen === undefined) {
+    throw new InvalidHashError(`Valid hash algorithm values are any of ${prfNames().toString()}`)
+  }
+
+  const { normalize = 'none', passwordEncoding = 'utf-8', saltEncoding = 'utf-8' } = options
+  if (!NORMALIZATIONS.includes(normalize)) throw new InvalidOptionError(`Valid normalize values are any of ${NORMALIZATIONS.toString()}`)
+  if (!ENCODINGS.includes(passwordEncoding)) throw new InvalidOptionError(`Valid passwordEncoding values are any of ${ENCODINGS.toString()}`)
+  if (!ENCODINGS.includes(saltEncoding)) throw new InvalidOptionError(`Valid saltEncoding values are any of ${ENCODINGS.toString()}`)
+
+  const PArr = typeof P === 'string' ? encodeString(normalizePassword(P, normalize), passwordEncoding, 'password', options.passwordEncoding === undefined) : toUint8Array(P)
+  if (PArr === undefined) throw new InvalidInputError('P should be string, ArrayBuffer, TypedArray, DataView')
+
+  const SArr = typeof S === 'string' ? encodeString(S, saltEncoding, 'salt', options.saltEncoding === undefined) : toUint8Array(S)
+  if (SArr === undefined) throw new InvalidInputError('S should be string, ArrayBuffer, TypedArray, DataView')
+
+  if (!Number.isSafeInteger(c) || c <= 0) throw new InvalidIterationsError('c must be a positive integer')
+
+  /*
+   1.  If dkLen > (2^32 - 1) * hLen, output "derived key too long"
+           and stop.
+   */
+  if (!Number.isInteger(dkLen) || dkLen <= 0 || dkLen >= (2 ** 32 - 1) * hLen) throw new InvalidKeyLengthError('dkLen must be a positive integer < (2 ** 32 - 1) * hLen')
+
+  return { P: PArr, S: SArr }
+}
+
+/**
+ * Zero-fills the password and the salt encoded by {@link parseInputs}, i.e. those given as strings. Those given as bytes are the caller's, so they are left untouched
+ *
+ * @param inputs - what {@link parseInputs} returned for P and S
+ */
+export function wipeInputs (P: string | ArrayBuffer | TypedArray | DataView, S: string | ArrayBuffer | TypedArray | DataView, inputs: { P: Uint8Array, S: Uint8Array }): void {
+  if (typeof P === 'string') inputs.P.fill(0)
+  if (typeof S === 'string') inputs.S.fill(0)
+}
+
+function toUint8Array (input: ArrayBuffer | TypedArray | DataView): Uint8Array | undefined {
+  if (input instanceof ArrayBuffer) return new Uint8Array(input)
+  if (ArrayBuffer.isView(input)) return new Uint8Array(input.buffer, input.byteOffset, input.byteLength)
+  return undefined
+}
@@ -0,0 +1,159 @@
+import { getNodeCrypto, getWebCrypto } from './environment'
+import { HashAlg, HASHALGS } from './hashAlgs'
+
+/**
+ * What a native implementation of PBKDF2 supports in the current environment, as found by {@link probeNativeLimits}
+ */
+export interface NativeLimits {
+  /**
+   * the hash functions it supports
+   */
+  hashes: HashAlg[]
+  /**
+   * maximum iteration count, or Infinity if there is no known limit. WebCrypto is only probed for it when a derivation needs more iterations than the lowest limit known (100000), so until then it is that one
+   */
+  maxIterations: number
+  /**
+   * maximum length in bits of the derived key, or Infinity if there is no known limit
+   */
+  maxBits: number
+}
+
+/**
+ * Node's `crypto.pbkdf2()` takes the iteration count and the key length as 32-bit signed integers
+ */
+const INT32_MAX = 2 ** 31 - 1
+
+/**
+ * The lowest limits some WebCrypto implementations are known to have: Cloudflare Workers cap the iteration count at 100000, and old Firefox versions cannot derive more than 256 octets. Probing just above them tells whether there is any limit without running long derivations
+ */
+const KNOWN_MAX_ITERATIONS = 100000
+const KNOWN_MAX_DKLEN = 256
+
+let nodeLimits: NativeLimits | undefined
+let webCryptoLimits: NativeLimits | undefined
+let webCryptoProbe: Promise<NativeLimits> | undefined
+let webCryptoIterationsProbe: Promise<NativeLimits> | undefined
+
+/**
+ * Probes the limits of the native implementations of PBKDF2 of the current environment, i.e. Node's `crypto` and WebCrypto, so that derivations exceeding them go straight to the pure-JS implementation with the `'auto'` backend. They are only probed once, the first time they are needed, with single-iteration derivations. The iteration limit of WebCrypto takes a derivation of 100001 iterations, so it is only probed when a derivation needs more than 100000 iterations, or when this function is called
+ *
+ * @returns the limits of Node's `crypto` (only with the Node builds) and WebCrypto (only where `crypto.subtle` is available)
+ */
+export async function probeNativeLimits (): Promise<{ node?: NativeLimits, webcrypto?: NativeLimits }> {
+  return { node: getNodeLimits(), webcrypto: await probeWebCrypto(Infinity) }
+}
+
+/**
+ * The limits of Node's `crypto`, or undefined if it is not available. Its supported hashes depend on the OpenSSL it is linked with
+ */
+export function getNodeLimits (): NativeLimits | undefined {
+  const nodeCrypto = getNodeCrypto()
+  if (nodeCrypto === undefined) return undefined
+  if (nodeLimits === undefined) {
+    const available = nodeCrypto.getHashes()
+    const hashes = (Object.keys(HASHALGS) as HashAlg[]).filter(hash => available.includes(HASHALGS[hash].nodeAlg))
+    nodeLimits = { hashes, maxIterations: INT32_MAX, maxBits: INT32_MAX * 8 }
+  }
+  return nodeLimits
+}
+
+/**
+ * The limits of WebCrypto if they have already been probed, or undefined otherwise
+ */
+export function getWebCryptoLimits (): NativeLimits | undefined {
+  return webCryptoLimits
+}
+
+/**
+ * Probes the limits of WebCrypto once, and its iteration limit too the first time `c` exceeds the lowest one known
+ *
+ * @param c - the iteration count of the derivation the limits are needed for
+ *
+ * @returns the limits, or undefined if `crypto.subtle` is not available
+ */
+export async function probeWebCrypto (c = 1): Promise<NativeLimits | undefined> {
+  const subtle = getWebCrypto()?.subtle
+  if (subtle === undefined) return undefined
+  if (webCryptoProbe === undefined) {
+    webCryptoProbe = probe(subtle).then(limits => {
+      webCryptoLimits = limits
+      return limits
+    })
+  }
+  if (c <= KNOWN_MAX_ITERATIONS) return await webCryptoProbe
+  if (webCryptoIterationsProbe === undefined) {
+    webCryptoIterationsProbe = webCryptoProbe.then(async limits => {
+      if (limits.hashes.length > 0) webCryptoLimits = { ...limits, maxIterations: await probeIterations(subtle, limits.hashes) }
+      return webCryptoLimits as NativeLimits
+    })
+  }
+  return await webCryptoIterationsProbe
+}
+
+/**
+ * The supported hashes and the maximum key length, with single-iteration derivations. The iteration limit is left at the lowest one known until {@link probeIterations} is needed
+ */
+async function probe (subtle: SubtleCrypto): Promise<NativeLimits> {
+  const key = await importProbeKey(subtle)
+  if (key === undefined) return { hashes: [], maxIterations: 0, maxBits: 0 } // no PBKDF2 at all, e.g. in some WebViews
+
+  const hashes: HashAlg[] = []
+  for (const hash of Object.keys(HASHALGS) as HashAlg[]) {
+    if (HASHALGS[hash].webcrypto && await accepts(subtle, key, hash, 1, HASHALGS[hash].outputLength * 8)) hashes.push(hash)
+  }
+  if (hashes.length === 0) return { hashes, maxIterations: 0, maxBits: 0 }
+  const hash = probeHash(hashes)
+  const maxDkLen = await maxAccepted(async dkLen => await accepts(subtle, key, hash, 1, dkLen * 8), KNOWN_MAX_DKLEN)
+  return { hashes, maxIterations: KNOWN_MAX_ITERATIONS, maxBits: maxDkLen * 8 }
+}
+
+/**
+ * Whether there is an iteration limit, with a single derivation just over the lowest one known. The lower limits some runtimes may have are not searched for, since every extra probe is a long derivation
+ */
+async function probeIterations (subtle: SubtleCrypto, hashes: HashAlg[]): Promise<number> {
+  const key = await importProbeKey(subtle)
+  if (key === undefined) return 0
+  return await accepts(subtle, key, probeHash(hashes), KNOWN_MAX_ITERATIONS + 1, 256) ? Infinity : KNOWN_MAX_ITERATIONS
+}
+
+async function importProbeKey (subtle: SubtleCrypto): Promise<CryptoKey | undefined> {
+  try {
+    return await subtle.importKey('raw', new Uint8Array(8), 'PBKDF2', false, ['deriveBits'])
+  } catch {
+    return undefined
+  }
+}
+
+function probeHash (hashes: HashAlg[]): HashAlg {
+  return hashes.includes('SHA-256') ? 'SHA-256' : hashes[0]
+}
+
+async function accepts (subtle: SubtleCrypto, key: CryptoKey, hash: HashAlg, iterations: number, bits: number): Promise<boolean> {
+  try {
+    await subtle.deriveBits({ name: 'PBKDF2', hash, salt: new Uint8Array(16), iterations }, key, bits)
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Finds the largest positive integer accepted by a native implementation, assuming that 1 is
+ *
+ * @param known - the limit the implementation is expected to have, if any
+ *
+ * @returns Infinity if a value over `known` is accepted
+ */
+async function maxAccepted (isAccepted: (value: number) => Promise<boolean>, known: number): Promise<number> {
+  if (await isAccepted(known + 1)) return Infinity
+  if (await isAccepted(known)) return known
+  let low = 1
+  let high = known
+  while (high - low > 1) {
+    const mid = Math.floor((low + high) / 2)
+    if (await isAccepted(mid)) low = mid
+    else high = mid
+  }
+  return low
+}
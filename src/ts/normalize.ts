@@ -0,0 +1,197 @@
+import { InvalidInputError } from './errors'
+import { inTable, L_CAT, MAPPED_TO_NOTHING, NON_ASCII_SPACES, PROHIBITED, RAND_AL_CAT, UNASSIGNED, VIRAMAS } from './stringprepTables'
+
+/**
+ * How string passwords are normalized before being encoded (see {@link StringEncoding}):
+ *   - `'none'` (default): they are used as they are
+ *   - `'NFC'` or `'NFKC'`: Unicode normalization, so that e.g. a precomposed "é" and an "e" followed by a combining acute accent give the same key
+ *   - `'saslprep'`: the SASLprep profile of stringprep (RFC 4013), as required by e.g. SCRAM (RFC 5802). Unassigned code points are rejected, since passwords are stored strings
+ *   - `'opaquestring'`: the OpaqueString profile of PRECIS (RFC 8265), which replaces SASLprep
+ */
+export type PasswordNormalization = 'none' | 'NFC' | 'NFKC' | 'saslprep' | 'opaquestring'
+
+export const NORMALIZATIONS: PasswordNormalization[] = ['none', 'NFC', 'NFKC', 'saslprep', 'opaquestring']
+
+/**
+ * The error a derivation is rejected with when the password cannot be prepared with the SASLprep or OpaqueString profiles. Its code is `'ERR_PBKDF2_INVALID_INPUT'`
+ */
+export class PasswordNormalizationError extends InvalidInputError {
+  /**
+   * why the password is not valid:
+   *   - `'empty'`: OpaqueString does not allow empty passwords
+   *   - `'prohibited'`: it contains a prohibited (or disallowed) character, e.g. a control character
+   *   - `'unassigned'`: it contains a code point that is not assigned in Unicode (3.2 for SASLprep)
+   *   - `'bidi'`: it mixes left-to-right and right-to-left characters, or it has right-to-left characters but neither starts nor ends with one (SASLprep)
+   *   - `'context'`: it contains a character that is only allowed in some contexts, e.g. a zero width joiner not following a virama (OpaqueString)
+   */
+  readonly reason: 'empty' | 'prohibited' | 'unassigned' | 'bidi' | 'context'
+  /**
+   * the offending code point, if any
+   */
+  readonly codePoint?: number
+
+  constructor (message: string, reason: PasswordNormalizationError['reason'], codePoint?: number) {
+    super(message)
+    this.name = 'PasswordNormalizationError'
+    this.reason = reason
+    if (codePoint !== undefined) this.codePoint = codePoint
+  }
+}
+
+/**
+ * Normalizes a string password
+ *
+ * @throws PasswordNormalizationError if the password is not valid for the SASLprep or OpaqueString profiles
+ */
+export function normalizePassword (password: string, normalization: PasswordNormalization): string {
+  switch (normalization) {
+    case 'none':
+      return password
+    case 'NFC':
+    case 'NFKC':
+      return password.normalize(normalization)
+    case 'saslprep':
+      return saslprep(password)
+    case 'opaquestring':
+      return opaqueString(password)
+  }
+}
+
+function codePointError (reason: PasswordNormalizationError['reason'], codePoint: number, profile: string): PasswordNormalizationError {
+  const descriptions = { empty: 'empty', prohibited: 'prohibited', unassigned: 'unassigned', bidi: 'bidirectional', context: 'out-of-context' }
+  const hex = codePoint.toString(16).toUpperCase().padStart(4, '0')
+  return new PasswordNormalizationError(`The password contains the ${descriptions[reason]} code point U+${hex}, which ${profile} does not allow`, reason, codePoint)
+}
+
+/**
+ * SASLprep (RFC 4013)
+ */
+function saslprep (password: string): string {
+  // 2.1. Mapping: non-ASCII spaces to SPACE, and the "commonly mapped to nothing" characters to nothing
+  let mapped = ''
+  for (const char of password) {
+    const codePoint = char.codePointAt(0) as number
+    if (inTable(NON_ASCII_SPACES, codePoint)) mapped += ' '
+    else if (!inTable(MAPPED_TO_NOTHING, codePoint)) mapped += char
+  }
+  // 2.2. Normalization: NFKC
+  const normalized = mapped.normalize('NFKC')
+  const codePoints = Array.from(normalized, char => char.codePointAt(0) as number)
+
+  // 2.3. Prohibited output, and 2.5. unassigned code points (prohibited in stored strings)
+  for (const codePoint of codePoints) {
+    if (inTable(PROHIBITED, codePoint)) throw codePointError('prohibited', codePoint, 'SASLprep')
+    if (inTable(UNASSIGNED, codePoint)) throw codePointError('unassigned', codePoint, 'SASLprep')
+  }
+
+  /*
+   2.4. Bidirectional characters (RFC 3454, section 6): a string with any
+   RandALCat character must not contain any LCat character, and it must
+   start and end with a RandALCat character
+   */
+  if (codePoints.some(codePoint => inTable(RAND_AL_CAT, codePoint))) {
+    const lCat = codePoints.find(codePoint => inTable(L_CAT, codePoint))
+    if (lCat !== undefined) throw codePointError('bidi', lCat, 'SASLprep')
+    const first = codePoints[0]
+    const last = codePoints[codePoints.length - 1]
+    if (!inTable(RAND_AL_CAT, first)) throw codePointError('bidi', first, 'SASLprep')
+    if (!inTable(RAND_AL_CAT, last)) throw codePointError('bidi', last, 'SASLprep')
+  }
+  return normalized
+}
+
+/**
+ * OpaqueString (RFC 8265, section 4.2)
+ */
+function opaqueString (password: string): string {
+  // Additional mapping rule: non-ASCII spaces to SPACE. Normalization rule: NFC
+  const normalized = password.replace(/(?! )\p{Zs}/gu, ' ').normalize('NFC')
+  if (normalized.length === 0) throw new PasswordNormalizationError('OpaqueString does not allow empty passwords', 'empty')
+
+  const chars = Array.from(normalized)
+  chars.forEach((char, i) => {
+    const codePoint = char.codePointAt(0) as number
+    const property = freeformProperty(char, codePoint)
+    if (property === 'CONTEXTJ' ? !contextJ(chars, i) : property === 'CONTEXTO' ? !contextO(chars, i) : property !== 'PVALID') {
+      throw codePointError(property === 'UNASSIGNED' ? 'unassigned' : property === 'DISALLOWED' ? 'prohibited' : 'context', codePoint, 'OpaqueString')
+    }
+  })
+  return normalized
+}
+
+const EXCEPTIONS: Record<number, 'PVALID' | 'CONTEXTO' | 'DISALLOWED'> = {
+  0x00DF: 'PVALID',
+  0x03C2: 'PVALID',
+  0x06FD: 'PVALID',
+  0x06FE: 'PVALID',
+  0x0F0B: 'PVALID',
+  0x3007: 'PVALID',
+  0x00B7: 'CONTEXTO',
+  0x0375: 'CONTEXTO',
+  0x05F3: 'CONTEXTO',
+  0x05F4: 'CONTEXTO',
+  0x30FB: 'CONTEXTO',
+  0x0640: 'DISALLOWED',
+  0x07FA: 'DISALLOWED',
+  0x302E: 'DISALLOWED',
+  0x302F: 'DISALLOWED',
+  0x3031: 'DISALLOWED',
+  0x3032: 'DISALLOWED',
+  0x3033: 'DISALLOWED',
+  0x3034: 'DISALLOWED',
+  0x3035: 'DISALLOWED',
+  0x303B: 'DISALLOWED'
+}
+
+/**
+ * Derived property of a code point in the PRECIS FreeformClass (RFC 8264, sections 8 and 9). Every ID_DIS or FREE_PVAL category is PVALID in it
+ */
+function freeformProperty (char: string, codePoint: number): 'PVALID' | 'CONTEXTJ' | 'CONTEXTO' | 'DISALLOWED' | 'UNASSIGNED' {
+  if (EXCEPTIONS[codePoint] !== undefined) return EXCEPTIONS[codePoint]
+  if ((codePoint >= 0x0660 && codePoint <= 0x0669) || (codePoint >= 0x06F0 && codePoint <= 0x06F9)) return 'CONTEXTO' // exceptions too
+  if (/\p{Cn}/u.test(char) && !/\p{Noncharacter_Code_Point}/u.test(char)) return 'UNASSIGNED'
+  if (codePoint >= 0x21 && codePoint <= 0x7E) return 'PVALID' // ASCII7
+  if (/\p{Join_Control}/u.test(char)) return 'CONTEXTJ'
+  if ((codePoint >= 0x1100 && codePoint <= 0x11FF) || (codePoint >= 0xA960 && codePoint <= 0xA97F) || (codePoint >= 0xD7B0 && codePoint <= 0xD7FF)) return 'DISALLOWED' // OldHangulJamo
+  if (/[\p{Default_Ignorable_Code_Point}\p{Noncharacter_Code_Point}\p{Cc}]/u.test(char)) return 'DISALLOWED' // PrecisIgnorableProperties and Controls
+  if (char.normalize('NFKC') !== char) return 'PVALID' // HasCompat
+  if (/[\p{L}\p{M}\p{N}\p{Zs}\p{S}\p{P}]/u.test(char)) return 'PVALID' // LetterDigits, OtherLetterDigits, Spaces, Symbols and Punctuation
+  return 'DISALLOWED'
+}
+
+/**
+ * CONTEXTJ rules of ZERO WIDTH NON-JOINER and ZERO WIDTH JOINER (RFC 5892, appendices A.1 and A.2). Since JS cannot tell the Joining_Type of a character, the ZWNJ joining context is approximated with the letters of the cursive joining scripts, skipping transparent marks
+ */
+function contextJ (chars: string[], i: number): boolean {
+  if (i > 0 && inTable(VIRAMAS, chars[i - 1].codePointAt(0) as number)) return true
+  if (chars[i] !== '\u200C') return false
+  const joining = /[\p{Script=Arabic}\p{Script=Syriac}\p{Script=Nko}\p{Script=Mongolian}\p{Script=Mandaic}\p{Script=Manichaean}\p{Script=Psalter_Pahlavi}\p{Script=Adlam}\p{Script=Phags_Pa}]/u
+  const transparent = /[\p{Mn}\p{Me}\p{Cf}]/u
+  let before = i - 1
+  while (before >= 0 && transparent.test(chars[before])) before--
+  let after = i + 1
+  while (after < chars.length && transparent.test(chars[after])) after++
+  return before >= 0 && after < chars.length && joining.test(chars[before]) && joining.test(chars[after]) && /\p{L}/u.test(chars[before]) && /\p{L}/u.test(chars[after])
+}
+
+/**
+ * CONTEXTO rules (RFC 5892, appendices A.3 to A.9)
+ */
+function contextO (chars: string[], i: number): boolean {
+  const codePoint = chars[i].codePointAt(0) as number
+  switch (codePoint) {
+    case 0x00B7: // MIDDLE DOT, between two 'l'
+      return chars[i - 1] === 'l' && chars[i + 1] === 'l'
+    case 0x0375: // GREEK LOWER NUMERAL SIGN (KERAIA), followed by a Greek character
+      return i + 1 < chars.length && /\p{Script=Greek}/u.test(chars[i + 1])
+    case 0x05F3: // HEBREW PUNCTUATION GERESH and GERSHAYIM, following a Hebrew character
+    case 0x05F4:
+      return i > 0 && /\p{Script=Hebrew}/u.test(chars[i - 1])
+    case 0x30FB: // KATAKANA MIDDLE DOT, in a string with Hiragana, Katakana or Han characters
+      return chars.some(char => char !== '\u30FB' && /[\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Han}]/u.test(char))
+    default: // ARABIC-INDIC and EXTENDED ARABIC-INDIC DIGITS cannot be mixed
+      return codePoint <= 0x0669
+        ? !chars.some(char => char >= '\u06F0' && char <= '\u06F9')
+        : !chars.some(char => char >= '\u0660' && char <= '\u0669')
+  }
+}
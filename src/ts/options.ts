@@ -0,0 +1,134 @@
+import { BACKENDS, Pbkdf2Backend, Pbkdf2Diagnostics } from './backend'
+import { CompliancePolicy, parseCompliance, Pbkdf2Compliance } from './compliance'
+import { StringEncoding } from './encoding'
+import { InvalidOptionError } from './errors'
+import { PasswordNormalization } from './normalize'
+import { OUTPUTS, Pbkdf2Output } from './output'
+import type { WorkerDeriver } from './workerDeriver'
+
+/**
+ * Optional settings for {@link pbkdf2Hmac} and {@link pbkdf2HmacSync}
+ */
+export interface Pbkdf2Options {
+  /**
+   * The implementation used to derive the key: `'auto'` (default), `'node'`, `'webcrypto'` or `'js'`. See {@link Pbkdf2Backend}
+   */
+  backend?: Pbkdf2Backend
+  /**
+   * An AbortSignal to cancel the derivation. If it is aborted, {@link pbkdf2Hmac} is rejected with an {@link AbortError}. The pure-JS implementation stops iterating, and the result of an in-flight native derivation is just discarded, since it cannot be stopped. {@link pbkdf2HmacSync} only checks whether it is already aborted
+   */
+  signal?: AbortSignal
+  /**
+   * Maximum time in milliseconds the derivation may take before being cancelled with an {@link AbortError}. {@link pbkdf2HmacSync} honours it too, although a native derivation is only discarded once it finishes
+   */
+  timeoutMs?: number
+  /**
+   * Called with the progress of the derivation, e.g. to update a progress bar. Reported progress is monotonic and reaches a `fraction` of 1 exactly once, when the derivation is complete. Since the native implementations cannot report progress, the pure-JS one is used whenever it is set
+   */
+  onProgress?: (progress: Pbkdf2Progress) => void
+  /**
+   * How often `onProgress` is called, as a fraction of the total work in (0, 1]. Defaults to 0.01, i.e. every 1%
+   */
+  progressGranularity?: number
+  /**
+   * Runs the derivation off the main thread, in a Web Worker: `true` for a worker shared by the whole page, or a deriver created with {@link createWorkerDeriver}. Only available where Web Workers are, and not for {@link pbkdf2HmacSync}. The blocks of multi-block keys derived with the pure-JS implementation are only spread across workers with this option (or in a pool created with {@link createPbkdf2Pool}), and are otherwise computed one after another
+   */
+  worker?: boolean | WorkerDeriver
+  /**
+   * The form in which the derived key is returned, e.g. `'uint8array'` or `'hex'`. Defaults to `'arraybuffer'`. See {@link Pbkdf2Output}
+   */
+  output?: Pbkdf2Output
+  /**
+   * A Uint8Array of `dkLen` bytes to write the derived key into, e.g. one that is reused and wiped by the caller, instead of allocating a new one. The pure-JS implementation computes the key right there, and the output of the native ones is copied and then zero-filled. It is returned as it is, so `output` can only be `'uint8array'`, which is its default then
+   */
+  into?: Uint8Array
+  /**
+   * Zero-fills the copies of the password and the salt the library makes (i.e. the encoded ones if they are strings, and those sent to workers) and the intermediate U and T buffers and HMAC hash states of the pure-JS implementation before returning, also if the derivation fails or is cancelled. Defaults to false. Strings cannot be wiped in JavaScript, nor can the memory of the native implementations, so pass the password as bytes to keep full control over it
+   */
+  wipe?: boolean
+  /**
+   * How a string password is normalized before being encoded, e.g. `'NFC'` or `'saslprep'`. Defaults to `'none'`. Passwords given as bytes are never normalized. See {@link PasswordNormalization}
+   */
+  normalize?: PasswordNormalization
+  /**
+   * How a string password is encoded as bytes, e.g. `'utf-16le'` or `'latin1'` to match legacy systems. Defaults to `'utf-8'`. Passwords given as bytes are used as they are. See {@link StringEncoding}
+   */
+  passwordEncoding?: StringEncoding
+  /**
+   * How a string salt is encoded as bytes. Defaults to `'utf-8'`. See {@link StringEncoding}
+   */
+  saltEncoding?: StringEncoding
+  /**
+   * Called once the key is derived with which backend derived it, whether and why it fell back to the pure-JS implementation, and how long it took. See {@link Pbkdf2Diagnostics}
+   */
+  onDiagnostics?: (diagnostics: Pbkdf2Diagnostics) => void
+  /**
+   * Enforces a standard on the derivation, i.e. `'sp800-132'` for NIST SP 800-132. Defaults to the one set with {@link setCompliance}, which is `'none'` unless changed. See {@link Pbkdf2Compliance}
+   */
+  compliance?: Pbkdf2Compliance
+}
+
+/**
+ * Progress of a derivation, as reported to the `onProgress` callback
+ */
+export interface Pbkdf2Progress {
+  /**
+   * the block of the derived key being computed, from 1 to `blocks`
+   */
+  block: number
+  /**
+   * number of hLen-octet blocks of the derived key
+   */
+  blocks: number
+  /**
+   * iterations of the current block already done, from 1 to `iterations`
+   */
+  iteration: number
+  /**
+   * iteration count per block, i.e. c
+   */
+  iterations: number
+  /**
+   * fraction of the whole derivation already done, from 0 to 1
+   */
+  fraction: number
+}
+
+/**
+ * {@link Pbkdf2Options} with the default values filled in
+ */
+export interface ParsedPbkdf2Options extends Pbkdf2Options {
+  backend: Pbkdf2Backend
+  worker: boolean | WorkerDeriver
+  output: Pbkdf2Output
+  wipe: boolean
+  compliancePolicy?: CompliancePolicy
+}
+
+/**
+ * Checks the options and fills in the default values
+ *
+ * @throws InvalidOptionError if any of the options is not valid
+ */
+export function parseOptions (options: Pbkdf2Options = {}): ParsedPbkdf2Options {
+  const { signal, timeoutMs, onProgress, progressGranularity, onDiagnostics } = options
+  const worker = options.worker ?? false
+  const backend = options.backend ?? 'auto'
+  const { into } = options
+  const output = options.output ?? (into !== undefined ? 'uint8array' : 'arraybuffer')
+  const wipe = options.wipe ?? false
+  if (!BACKENDS.includes(backend)) throw new InvalidOptionError(`Valid backend values are any of ${BACKENDS.toString()}`)
+  if (signal !== undefined && (typeof signal !== 'object' || signal === null || typeof signal.aborted !== 'boolean')) throw new InvalidOptionError('signal must be an AbortSignal')
+  if (timeoutMs !== undefined && (typeof timeoutMs !== 'number' || Number.isNaN(timeoutMs) || timeoutMs < 0)) throw new InvalidOptionError('timeoutMs must be a non-negative number')
+  if (onProgress !== undefined && typeof onProgress !== 'function') throw new InvalidOptionError('onProgress must be a function')
+  if (onDiagnostics !== undefined && typeof onDiagnostics !== 'function') throw new InvalidOptionError('onDiagnostics must be a function')
+  if (progressGranularity !== undefined && (typeof progressGranularity !== 'number' || !(progressGranularity > 0 && progressGranularity <= 1))) throw new InvalidOptionError('progressGranularity must be a number in (0, 1]')
+  if (typeof worker !== 'boolean' && (typeof worker !== 'object' || worker === null || typeof worker.derive !== 'function')) throw new InvalidOptionError('worker must be a boolean or a deriver created with createWorkerDeriver()')
+  if (!OUTPUTS.includes(output)) throw new InvalidOptionError(`Valid output values are any of ${OUTPUTS.toString()}`)
+  if (output === 'buffer' && typeof Buffer === 'undefined') throw new InvalidOptionError('The \'buffer\' output is only available where Buffer is, e.g. on Node')
+  if (into !== undefined && !(into instanceof Uint8Array)) throw new InvalidOptionError('into must be a Uint8Array')
+  if (into !== undefined && output !== 'uint8array') throw new InvalidOptionError('into can only be combined with the \'uint8array\' output')
+  if (typeof wipe !== 'boolean') throw new InvalidOptionError('wipe must be a boolean')
+  const compliancePolicy = parseCompliance(options.compliance)
+  return { backend, signal, timeoutMs, onProgress, progressGranularity, onDiagnostics, worker, output, into, wipe, compliancePolicy }
+}
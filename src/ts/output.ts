@@ -0,0 +1,108 @@
+import { InvalidOptionError } from './errors'
+import { TypedArray } from './inputs'
+import { Pbkdf2Options } from './options'
+import { Pbkdf2Preset } from './presets'
+import { PrfAlg } from './prf'
+
+/**
+ * The form in which the derived key is returned:
+ *   - `'arraybuffer'` (default): an ArrayBuffer
+ *   - `'uint8array'`: a Uint8Array
+ *   - `'buffer'`: a Node.js Buffer. Only available where `Buffer` is
+ *   - `'hex'`: a lowercase hexadecimal string
+ *   - `'base64'`: a base64 string (RFC 4648, section 4)
+ *   - `'base64url'`: an unpadded base64url string (RFC 4648, section 5)
+ *   - `'bigint'`: a bigint, reading the derived key as a big-endian unsigned integer
+ */
+export type Pbkdf2Output = 'arraybuffer' | 'uint8array' | 'buffer' | 'hex' | 'base64' | 'base64url' | 'bigint'
+
+/**
+ * The type of the derived key for every {@link Pbkdf2Output}
+ */
+export interface Pbkdf2OutputTypes {
+  arraybuffer: ArrayBuffer
+  uint8array: Uint8Array
+  buffer: Buffer
+  hex: string
+  base64: string
+  base64url: string
+  bigint: bigint
+}
+
+/**
+ * A function deriving keys with the same arguments as {@link pbkdf2Hmac}, i.e. either `c`, `dkLen` and `hash` or a preset. The type of the derived key follows the `output` option
+ */
+export interface Pbkdf2Function {
+  (P: string | ArrayBuffer | TypedArray | DataView, S: string | ArrayBuffer | TypedArray | DataView, c: number, dkLen: number, hash: PrfAlg | undefined, options: Pbkdf2Options & { into: Uint8Array, output?: 'uint8array' }): Promise<Uint8Array>
+  (P: string | ArrayBuffer | TypedArray | DataView, S: string | ArrayBuffer | TypedArray | DataView, preset: Pbkdf2Preset, options: Pbkdf2Options & { into: Uint8Array, output?: 'uint8array' }): Promise<Uint8Array>
+  (P: string | ArrayBuffer | TypedArray | DataView, S: string | ArrayBuffer | TypedArray | DataView, c: number, dkLen: number, hash?: PrfAlg, options?: Pbkdf2Options & { output?: 'arraybuffer' }): Promise<ArrayBuffer>
+  <O extends Pbkdf2Output>(P: string | ArrayBuffer | TypedArray | DataView, S: string | ArrayBuffer | TypedArray | DataView, c: number, dkLen: number, hash: PrfAlg | undefined, options: Pbkdf2Options & { output: O }): Promise<Pbkdf2OutputTypes[O]>
+  (P: string | ArrayBuffer | TypedArray | DataView, S: string | ArrayBuffer | TypedArray | DataView, preset: Pbkdf2Preset, options?: Pbkdf2Options & { output?: 'arraybuffer' }): Promise<ArrayBuffer>
+  <O extends Pbkdf2Output>(P: string | ArrayBuffer | TypedArray | DataView, S: string | ArrayBuffer | TypedArray | DataView, preset: Pbkdf2Preset, options: Pbkdf2Options & { output: O }): Promise<Pbkdf2OutputTypes[O]>
+}
+
+export const OUTPUTS: Pbkdf2Output[] = ['arraybuffer', 'uint8array', 'buffer', 'hex', 'base64', 'base64url', 'bigint']
+
+/**
+ * Returns the derived key in the requested form. The result never exposes more bytes than those of the derived key, even if it is a view of a larger buffer (as Node's pooled Buffers are). With `wipe`, the derived key is zero-filled if the result is a copy of it, i.e. a string, a bigint or a new ArrayBuffer
+ */
+export function encodeOutput<O extends Pbkdf2Output> (derivedKey: Uint8Array, output: O, wipe?: boolean): Pbkdf2OutputTypes[O]
+export function encodeOutput (derivedKey: Uint8Array, output: Pbkdf2Output, wipe = false): Pbkdf2OutputTypes[Pbkdf2Output] {
+  const encoded = encode(derivedKey, output)
+  if (wipe && encoded !== derivedKey.buffer && output !== 'uint8array' && output !== 'buffer') derivedKey.fill(0)
+  return encoded
+}
+
+function encode (derivedKey: Uint8Array, output: Pbkdf2Output): Pbkdf2OutputTypes[Pbkdf2Output] {
+  switch (output) {
+    case 'arraybuffer':
+      if (derivedKey.byteOffset === 0 && derivedKey.byteLength === derivedKey.buffer.byteLength) return derivedKey.buffer
+      return derivedKey.buffer.slice(derivedKey.byteOffset, derivedKey.byteOffset + derivedKey.byteLength)
+    case 'uint8array':
+      return derivedKey
+    case 'buffer':
+      return Buffer.from(derivedKey.buffer, derivedKey.byteOffset, derivedKey.byteLength)
+    case 'hex':
+      return toHex(derivedKey)
+    case 'base64':
+      return toBase64(derivedKey)
+    case 'base64url':
+      return toBase64(derivedKey).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+    case 'bigint':
+      return BigInt('0x' + toHex(derivedKey))
+  }
+}
+
+/**
+ * Checks that the buffer given with the `into` option, if any, has room for exactly the derived key
+ *
+ * @throws InvalidOptionError if it has not
+ */
+export function checkInto (into: Uint8Array | undefined, dkLen: number): void {
+  if (into !== undefined && into.length !== dkLen) throw new InvalidOptionError(`into must be a Uint8Array of dkLen (${dkLen}) bytes, but it has ${into.length}`)
+}
+
+/**
+ * Copies the derived key into the buffer given with the `into` option, if any and it is not already there, and zero-fills the copy it comes from
+ *
+ * @returns the buffer with the derived key
+ */
+export function moveInto (derivedKey: Uint8Array, into?: Uint8Array): Uint8Array {
+  if (into === undefined || derivedKey === into) return derivedKey
+  into.set(derivedKey)
+  derivedKey.fill(0)
+  return into
+}
+
+function toHex (arr: Uint8Array): string {
+  let hex = ''
+  for (const byte of arr) hex += byte.toString(16).padStart(2, '0')
+  return hex
+}
+
+export function toBase64 (arr: Uint8Array): string {
+  if (typeof Buffer !== 'undefined') return Buffer.from(arr.buffer, arr.byteOffset, arr.byteLength).toString('base64')
+  let binary = ''
+  for (const byte of arr) binary += String.fromCharCode(byte)
+  return btoa(binary)
+}
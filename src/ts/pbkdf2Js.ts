@@ -0,0 +1,238 @@
+import { Cancellation, throwIfCancelled } from './abort'
+import { Pbkdf2Progress } from './options'
+import { keyedPrf, prfOutputLength, PrfAlg } from './prf'
+
+/**
+ * Maximum time in milliseconds that {@link pbkdf2JsAsync} runs before yielding to the event loop
+ */
+const CHUNK_DURATION = 20
+
+/**
+ * The value a pending derivation is ended with, which is just discarded
+ */
+const DONE = new Uint8Array(0)
+
+/**
+ * Optional ways to follow and control a JS derivation from outside
+ */
+export interface Pbkdf2JsHooks {
+  /**
+   * the derivation stops as soon as it is cancelled
+   */
+  cancel?: Cancellation
+  /**
+   * called with the progress of the derivation every `progressGranularity` of the total work
+   */
+  onProgress?: (progress: Pbkdf2Progress) => void
+  /**
+   * fraction of the total work between progress reports
+   */
+  progressGranularity?: number
+  /**
+   * only compute blocks `first` to `last` (1-based, both included) of the derived key, e.g. to spread them across workers. The output is then just the part of the derived key made of them, and progress is relative to them
+   */
+  blocks?: [number, number]
+  /**
+   * where to write the derived key, instead of a new Uint8Array. It must have room for exactly the requested blocks
+   */
+  into?: Uint8Array
+  /**
+   * zero-fill the copy of the salt, the intermediate U and T buffers and the keyed PRF (e.g. the HMAC hash states) once the derivation is over, and the derived key too if it fails
+   */
+  wipe?: boolean
+}
+
+/**
+ * PBKDF2 (RFC 8018), fully implemented in JavaScript. It runs synchronously, so it can be used wherever the native implementations are not available or a synchronous result is needed
+ *
+ * @param P - password
+ * @param S - salt
+ * @param c - iteration count
+ * @param dkLen - intended length in octets of the derived key
+ * @param hash - the hash function underlying HMAC, or the name of a registered PRF
+ * @param hooks - cancellation and progress reporting. Since it blocks, only the timeout can actually cancel it
+ *
+ * @returns the derived key
+ *
+ * @throws AbortError if the derivation is cancelled
+ */
+export function pbkdf2Js (P: Uint8Array, S: Uint8Array, c: number, dkLen: number, hash: PrfAlg, hooks: Pbkdf2JsHooks = {}): Uint8Array {
+  const { cancel } = hooks
+  const steps = pbkdf2Steps(P, S, c, dkLen, hash, hooks)
+  try {
+    let step = steps.next()
+    while (step.done !== true) {
+      throwIfCancelled(cancel)
+      step = steps.next()
+    }
+    return step.value
+  } finally {
+    steps.return(DONE) // it runs the cleanup of a cancelled derivation
+  }
+}
+
+/**
+ * Same as {@link pbkdf2Js} but, instead of blocking until the derivation is complete, it yields to the event loop every few milliseconds
+ *
+ * @param P - password
+ * @param S - salt
+ * @param c - iteration count
+ * @param dkLen - intended length in octets of the derived key
+ * @param hash - the hash function underlying HMAC, or the name of a registered PRF
+ * @param hooks - cancellation and progress reporting
+ *
+ * @returns the derived key
+ *
+ * @throws AbortError if the derivation is cancelled
+ */
+export async function pbkdf2JsAsync (P: Uint8Array, S: Uint8Array, c: number, dkLen: number, hash: PrfAlg, hooks: Pbkdf2JsHooks = {}): Promise<Uint8Array> {
+  const { cancel } = hooks
+  const steps = pbkdf2Steps(P, S, c, dkLen, hash, hooks)
+  try {
+    let step = steps.next()
+    while (step.done !== true) {
+      await yieldToEventLoop()
+      throwIfCancelled(cancel)
+      step = steps.next()
+    }
+    return step.value
+  } finally {
+    steps.return(DONE) // it runs the cleanup of a cancelled derivation
+  }
+}
+
+/**
+ * The actual PBKDF2 computation. It is a generator that yields every CHUNK_DURATION ms, so that the sync and async versions can share it
+ */
+function * pbkdf2Steps (P: Uint8Array, S: Uint8Array, c: number, dkLen: number, hash: PrfAlg, hooks: Pbkdf2JsHooks): Generator<undefined, Uint8Array> {
+  /*
+   The HMAC inner and outer padded keys are hashed just once. Every PRF
+   computation below just resumes from those states, so that each iteration
+   costs just two runs of the compression function.
+   */
+  const { prf, destroy: destroyPrf } = keyedPrf(hash, P)
+  const hLen = prfOutputLength(hash) as number
+
+  /*
+   2.  Let l be the number of hLen-octet blocks in the derived key,
+       rounding up, and let r be the number of octets in the last
+       block:
+         l = CEIL (dkLen / hLen)
+         r = dkLen - (l - 1) * hLen
+   */
+  const l = Math.ceil(dkLen / hLen)
+  const r = dkLen - (l - 1) * hLen
+
+  const [first, last] = hooks.blocks ?? [1, l]
+  const DK = hooks.into ?? new Uint8Array(Math.min(last * hLen, dkLen) - (first - 1) * hLen)
+  const T = new Uint8Array(hLen)
+  const U = new Uint8Array(hLen)
+  const SInt = new Uint8Array(S.length + 4) // S || INT (i)
+  SInt.set(S)
+  const SIntView = new DataView(SInt.buffer)
+
+  let deadline = Date.now() + CHUNK_DURATION
+
+  /*
+   Progress is measured in PRF computations, l * c in total (or just those of
+   the requested blocks). It is reported
+   every `reportEvery` of them and, whatever the granularity, when the last
+   one is done, so that it reaches 1.0 exactly once.
+   */
+  const { onProgress = () => {}, progressGranularity = 0.01 } = hooks
+  const total = (last - first + 1) * c
+  const reportEvery = Math.max(1, Math.ceil(total * progressGranularity))
+  let nextReport = hooks.onProgress !== undefined ? Math.min(reportEvery, total) : Infinity
+  const report = (i: number, j: number): void => {
+    const done = (i - first) * c + j
+    onProgress({ block: i, blocks: l, iteration: j, iterations: c, fraction: done / total })
+    nextReport = done < total ? Math.min(done - done % reportEvery + reportEvery, total) : Infinity
+  }
+
+  /*
+   3.  For each block of the derived key apply the function F defined
+       below to the password P, the salt S, the iteration count c,
+       and the block index to compute the block:
+
+                 T_1 = F (P, S, c, 1) ,
+                 T_2 = F (P, S, c, 2) ,
+                 ...
+                 T_l = F (P, S, c, l) ,
+
+       where the function F is defined as the exclusive-or sum of the
+       first c iterates of the underlying pseudorandom function PRF
+       applied to the password P and the concatenation of the salt S
+       and the block index i:
+
+                 F (P, S, c, i) = U_1 \xor U_2 \xor ... \xor U_c
+
+       where
+                 U_1 = PRF (P, S || INT (i)) ,
+                 U_2 = PRF (P, U_1) ,
+                 ...
+                 U_c = PRF (P, U_{c-1}) .
+
+       Here, INT (i) is a four-octet encoding of the integer i, most
+       significant octet first.
+   */
+  let complete = false
+  try {
+    for (let i = first; i <= last; i++) {
+      SIntView.setUint32(S.length, i, false)
+      const offset = (i - first) * c
+      prf(SInt, U)
+      T.set(U)
+      if (offset + 1 >= nextReport) report(i, 1)
+      for (let j = 1; j < c; j++) {
+        prf(U, U)
+        for (let k = 0; k < hLen; k++) T[k] ^= U[k]
+        if (offset + j + 1 >= nextReport) report(i, j + 1)
+        if ((j & 0x3ff) === 0 && Date.now() >= deadline) {
+          yield
+          deadline = Date.now() + CHUNK_DURATION
+        }
+      }
+
+      /*
+       4.  Concatenate the blocks and extract the first dkLen octets to
+           produce a derived key DK:
+                     DK = T_1 || T_2 ||  ...  || T_l<0..r-1>
+       */
+      DK.set(i < l ? T : T.subarray(0, r), (i - first) * hLen)
+    }
+    complete = true
+  } finally {
+    if (hooks.wipe === true) {
+      T.fill(0)
+      U.fill(0)
+      SInt.fill(0)
+      destroyPrf()
+      if (!complete) DK.fill(0)
+    }
+  }
+
+  /*
+   5.  Output the derived key DK.
+   */
+  return DK
+}
+
+/**
+ * Lets the event loop process pending tasks (rendering, user input, I/O...). It avoids setTimeout when possible, since browsers clamp nested timeouts to at least 4 ms
+ */
+async function yieldToEventLoop (): Promise<void> {
+  return await new Promise(resolve => {
+    if (typeof setImmediate === 'function') {
+      setImmediate(resolve)
+    } else if (typeof MessageChannel === 'function') {
+      const channel = new MessageChannel()
+      channel.port1.onmessage = () => {
+        channel.port1.close()
+        resolve()
+      }
+      channel.port2.postMessage(null)
+    } else {
+      setTimeout(resolve, 0)
+    }
+  })
+}
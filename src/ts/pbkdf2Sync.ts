@@ -0,0 +1,73 @@
+import { cancellation, discardIfCancelled, throwIfCancelled } from './abort'
+import { selectBackend } from './backend'
+import { checkCompliance } from './compliance'
+import { getNodeCrypto } from './environment'
+import { backendFailure, InvalidOptionError } from './errors'
+import { HashAlg, HASHALGS } from './hashAlgs'
+import { parseInputs, TypedArray, wipeInputs } from './inputs'
+import { parseOptions, Pbkdf2Options } from './options'
+import { checkInto, encodeOutput, moveInto, Pbkdf2Output, Pbkdf2OutputTypes } from './output'
+import { pbkdf2Js } from './pbkdf2Js'
+import { checkPresetSalt, Pbkdf2Preset, resolvePreset } from './presets'
+import { PrfAlg } from './prf'
+
+/**
+  * Synchronously derives a key using PBKDF2-HMAC. It accepts and validates the same inputs as {@link pbkdf2Hmac} and returns the same derived key, but it blocks until the derivation is complete.
+  *
+  * Node's `crypto.pbkdf2Sync()` is used wherever it is available (Node and Bun) unless the `'js'` backend, a registered PRF or progress reporting is requested. Since WebCrypto has no synchronous API, the rest of environments always use the pure-JS implementation, and the `'webcrypto'` backend cannot be used
+  *
+  * @param P - a unicode string with a password
+  * @param S - a salt. This should be a random or pseudo-random value of at least 16 bytes. You can easily get one with crypto.getRandomValues(new Uint8Array(16))
+  * @param c - iteration count, a positive integer. Or a preset (see {@link presets}), which fills in `c`, `dkLen` and `hash`, so that it is followed by the options
+  * @param dkLen - intended length in octets of the derived key
+  * @param hash - hash function to use for the HMAC. One of 'SHA-1', 'SHA-224', 'SHA-256', 'SHA-384', 'SHA-512', 'SHA-512/224', 'SHA-512/256', 'SHA3-256', 'SHA3-384', 'SHA3-512', 'BLAKE2b-512', 'BLAKE2s-256', or the name of a PRF registered with {@link registerPrf}
+  * @param options - optional settings, e.g. the backend to use or a timeout
+  *
+  * @returns the derived key, as an ArrayBuffer unless another form is requested with the `output` option
+  *
+  * @throws Pbkdf2Error if any of the inputs is not valid, e.g. the salt is shorter than the preset minimum, or the requested backend cannot run the derivation. Its `code` tells which, e.g. `'ERR_PBKDF2_INVALID_ITERATIONS'` (see {@link Pbkdf2ErrorCode})
+  * @throws AbortError if the signal is already aborted or the timeout expires
+  */
+export function pbkdf2HmacSync (P: string | ArrayBuffer | TypedArray | DataView, S: string | ArrayBuffer | TypedArray | DataView, c: number, dkLen: number, hash: PrfAlg | undefined, options: Pbkdf2Options & { into: Uint8Array, output?: 'uint8array' }): Uint8Array
+export function pbkdf2HmacSync (P: string | ArrayBuffer | TypedArray | DataView, S: string | ArrayBuffer | TypedArray | DataView, preset: Pbkdf2Preset, options: Pbkdf2Options & { into: Uint8Array, output?: 'uint8array' }): Uint8Array
+export function pbkdf2HmacSync (P: string | ArrayBuffer | TypedArray | DataView, S: string | ArrayBuffer | TypedArray | DataView, c: number, dkLen: number, hash?: PrfAlg, options?: Pbkdf2Options & { output?: 'arraybuffer' }): ArrayBuffer
+export function pbkdf2HmacSync<O extends Pbkdf2Output> (P: string | ArrayBuffer | TypedArray | DataView, S: string | ArrayBuffer | TypedArray | DataView, c: number, dkLen: number, hash: PrfAlg | undefined, options: Pbkdf2Options & { output: O }): Pbkdf2OutputTypes[O]
+export function pbkdf2HmacSync (P: string | ArrayBuffer | TypedArray | DataView, S: string | ArrayBuffer | TypedArray | DataView, preset: Pbkdf2Preset, options?: Pbkdf2Options & { output?: 'arraybuffer' }): ArrayBuffer
+export function pbkdf2HmacSync<O extends Pbkdf2Output> (P: string | ArrayBuffer | TypedArray | DataView, S: string | ArrayBuffer | TypedArray | DataView, preset: Pbkdf2Preset, options: Pbkdf2Options & { output: O }): Pbkdf2OutputTypes[O]
+export function pbkdf2HmacSync (P: string | ArrayBuffer | TypedArray | DataView, S: string | ArrayBuffer | TypedArray | DataView, cOrPreset: number | Pbkdf2Preset, dkLenOrOptions?: number | Pbkdf2Options, hashAlg: PrfAlg = 'SHA-256', pbkdf2Options?: Pbkdf2Options): Pbkdf2OutputTypes[Pbkdf2Output] {
+  const { c, dkLen, hash, options, preset } = resolvePreset(cOrPreset, dkLenOrOptions, hashAlg, pbkdf2Options)
+  const inputs = parseInputs(P, S, c, dkLen, hash, options)
+  try {
+    if (preset !== undefined) checkPresetSalt(preset, inputs.S.length)
+    const parsedOptions = parseOptions(options)
+    checkCompliance(parsedOptions.compliancePolicy, inputs.S.length, c, dkLen, hash)
+    const { signal, timeoutMs, onProgress, progressGranularity, onDiagnostics, worker, output, into, wipe } = parsedOptions
+    checkInto(into, dkLen)
+    if (worker !== false) throw new InvalidOptionError('A worker cannot be used to derive a key synchronously')
+    const { backend, fallbackReason } = selectBackend(hash, c, dkLen, parsedOptions, true)
+
+    const cancel = cancellation(signal, timeoutMs)
+    try {
+      throwIfCancelled(cancel)
+      const start = performance.now()
+      let derivedKey: Uint8Array
+      if (backend === 'js') {
+        derivedKey = pbkdf2Js(inputs.P, inputs.S, c, dkLen, hash, { cancel, onProgress, progressGranularity, into, wipe })
+      } else {
+        try {
+          derivedKey = (getNodeCrypto() as typeof import('crypto')).pbkdf2Sync(inputs.P, inputs.S, c, dkLen, HASHALGS[hash as HashAlg].nodeAlg)
+        } catch (error) {
+          throw backendFailure('Node\'s crypto', error)
+        }
+        discardIfCancelled(cancel, derivedKey)
+      }
+      derivedKey = moveInto(derivedKey, into)
+      onDiagnostics?.({ backend, requestedBackend: parsedOptions.backend, fallbackReason, worker: false, elapsedMs: performance.now() - start })
+      return encodeOutput(derivedKey, output, wipe)
+    } finally {
+      cancel.dispose()
+    }
+  } finally {
+    if (options?.wipe === true) wipeInputs(P, S, inputs)
+  }
+}
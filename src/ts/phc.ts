@@ -0,0 +1,202 @@
+import { cancellable } from './abort'
+import { checkCompliance } from './compliance'
+import { deriveKey } from './derive'
+import { getWebCrypto } from './environment'
+import { BackendError, InvalidHashError, InvalidInputError, InvalidOptionError } from './errors'
+import { HashAlg, HASHALGS } from './hashAlgs'
+import { parseInputs, TypedArray, wipeInputs } from './inputs'
+import { parseOptions, Pbkdf2Options } from './options'
+import { toBase64 } from './output'
+import { checkPresetSalt, isPreset, Pbkdf2Preset } from './presets'
+
+/**
+ * Settings of the password hashes created by {@link hash}. Besides them, it accepts the same options as {@link pbkdf2Hmac} but `output` and `into`
+ */
+export interface PasswordHashOptions extends Omit<Pbkdf2Options, 'output' | 'into'> {
+  /**
+   * a preset (see {@link presets}), which fills in the hash, the iteration count, the key length and the default (and minimum) salt length. Its id is stored in the PHC string as the `p` parameter, e.g. `$pbkdf2-sha256$i=600000,l=32,p=owasp2023.sha256$...`. It cannot be combined with `hash`, `iterations` or `keyLength`
+   */
+  preset?: Pbkdf2Preset
+  /**
+   * hash function to use for the HMAC. Defaults to 'SHA-256'. Registered PRFs cannot be used, since they have no PHC identifier
+   */
+  hash?: HashAlg
+  /**
+   * iteration count. Defaults to 600000, as recommended by OWASP (2023) for PBKDF2-HMAC-SHA256
+   */
+  iterations?: number
+  /**
+   * length in octets of the random salt. Defaults to 16
+   */
+  saltLength?: number
+  /**
+   * length in octets of the derived key. Defaults to the output length of the hash
+   */
+  keyLength?: number
+}
+
+/**
+ * The minimum settings a stored password hash must meet for {@link needsRehash}, or a preset. The omitted ones default to those of {@link hash}
+ */
+export type RehashPolicy = Pick<PasswordHashOptions, 'hash' | 'iterations' | 'saltLength' | 'keyLength'> | Pbkdf2Preset
+
+/**
+ * The settings and values encoded in a PHC string
+ */
+interface ParsedPhc {
+  hash: HashAlg
+  iterations: number
+  salt: Uint8Array
+  derivedKey: Uint8Array
+}
+
+const DEFAULTS = { hash: 'SHA-256', iterations: 600000, saltLength: 16 } as const
+
+/**
+ * Hashes a password for storage with PBKDF2-HMAC and a random salt
+ *
+ * @param password - the password
+ * @param options - optional settings, e.g. the hash and the iteration count
+ *
+ * @returns a string in the PHC string format, e.g. `$pbkdf2-sha256$i=600000,l=32$<salt>$<hash>`, with the salt and the hash encoded in base64 without padding
+ *
+ * @throws InvalidOptionError, InvalidHashError, InvalidIterationsError or InvalidKeyLengthError if any of the options is not valid
+ * @throws InvalidInputError if the password is not valid
+ * @throws BackendError if there is no `crypto.getRandomValues()` to generate the salt with, or the requested backend cannot run the derivation
+ * @throws AbortError if the derivation is cancelled through the `signal` or `timeoutMs` options
+ */
+export async function hash (password: string | ArrayBuffer | TypedArray | DataView, options: PasswordHashOptions = {}): Promise<string> {
+  const { preset, ...settings } = options
+  if (preset !== undefined && (settings.hash !== undefined || settings.iterations !== undefined || settings.keyLength !== undefined)) throw new InvalidOptionError('A preset cannot be combined with the hash, iterations or keyLength options')
+  const { hash = preset?.hash ?? DEFAULTS.hash, iterations = preset?.c ?? DEFAULTS.iterations, saltLength = preset?.minSaltLength ?? DEFAULTS.saltLength, keyLength, ...pbkdf2Options } = settings
+  if (!Object.keys(HASHALGS).includes(hash)) throw new InvalidHashError(`Valid hash algorithm values are any of ${Object.keys(HASHALGS).toString()}`)
+  if (!Number.isInteger(saltLength) || saltLength <= 0) throw new InvalidOptionError('saltLength must be a positive integer')
+  if (preset !== undefined) checkPresetSalt(preset, saltLength)
+  const dkLen = keyLength ?? preset?.dkLen ?? HASHALGS[hash].outputLength
+
+  const webcrypto = getWebCrypto()
+  if (webcrypto === undefined) throw new BackendError('A random salt cannot be generated, since there is no crypto.getRandomValues() in this environment')
+  const salt = webcrypto.getRandomValues(new Uint8Array(saltLength))
+  const derivedKey = await pbkdf2(password, salt, iterations, dkLen, hash, pbkdf2Options)
+  const params = `i=${iterations},l=${dkLen}` + (preset !== undefined ? `,p=${preset.id}` : '')
+  const phc = `$pbkdf2-${HASHALGS[hash].nodeAlg}$${params}$${toB64(salt)}$${toB64(derivedKey)}`
+  if (pbkdf2Options.wipe === true) derivedKey.fill(0)
+  return phc
+}
+
+/**
+ * Checks a password against a hash created by {@link hash}. The derived keys are compared in constant time
+ *
+ * @param password - the password to check
+ * @param phc - the stored PHC string
+ * @param options - optional settings for the derivation, e.g. the backend or a signal to cancel it
+ *
+ * @returns whether the password matches
+ *
+ * @throws InvalidInputError if the PHC string is not a valid PBKDF2 one
+ * @throws AbortError if the derivation is cancelled through the `signal` or `timeoutMs` options
+ */
+export async function verify (password: string | ArrayBuffer | TypedArray | DataView, phc: string, options: Omit<Pbkdf2Options, 'output' | 'into'> = {}): Promise<boolean> {
+  const { hash, iterations, salt, derivedKey } = parsePhc(phc)
+  const candidate = await pbkdf2(password, salt, iterations, derivedKey.length, hash, options)
+  try {
+    return timingSafeEqual(candidate, derivedKey)
+  } finally {
+    if (options.wipe === true) candidate.fill(0)
+  }
+}
+
+/**
+ * Tells whether a stored hash is outdated, i.e. it was created with another hash function, fewer iterations, or a shorter salt or key than the policy asks for. Rehash the password, which is known right after a successful {@link verify}, if it is
+ *
+ * @param phc - the stored PHC string
+ * @param policy - the minimum settings, or a preset. The omitted ones default to those of {@link hash}
+ *
+ * @throws InvalidInputError if the PHC string is not a valid PBKDF2 one
+ * @throws InvalidHashError if the policy hash is not supported
+ */
+export function needsRehash (phc: string, policy: RehashPolicy = {}): boolean {
+  const { hash, iterations, salt, derivedKey } = parsePhc(phc)
+  if (isPreset(policy)) policy = { hash: policy.hash, iterations: policy.c, saltLength: policy.minSaltLength, keyLength: policy.dkLen }
+  const { hash: policyHash = DEFAULTS.hash, iterations: minIterations = DEFAULTS.iterations, saltLength = DEFAULTS.saltLength } = policy
+  if (!Object.keys(HASHALGS).includes(policyHash)) throw new InvalidHashError(`Valid hash algorithm values are any of ${Object.keys(HASHALGS).toString()}`)
+  const keyLength = policy.keyLength ?? HASHALGS[policyHash].outputLength
+  return hash !== policyHash || iterations < minIterations || salt.length < saltLength || derivedKey.length < keyLength
+}
+
+/**
+ * Same as {@link pbkdf2Hmac}, returning the derived key as a Uint8Array
+ */
+async function pbkdf2 (P: string | ArrayBuffer | TypedArray | DataView, S: Uint8Array, c: number, dkLen: number, hash: HashAlg, options: Omit<Pbkdf2Options, 'output' | 'into'>): Promise<Uint8Array> {
+  const inputs = parseInputs(P, S, c, dkLen, hash, options)
+  try {
+    const parsedOptions = parseOptions(options)
+    checkCompliance(parsedOptions.compliancePolicy, inputs.S.length, c, dkLen, hash)
+    return await cancellable(parsedOptions.signal, parsedOptions.timeoutMs, async cancel => await deriveKey(inputs.P, inputs.S, c, dkLen, hash, parsedOptions, cancel))
+  } finally {
+    if (options.wipe === true) wipeInputs(P, S, inputs)
+  }
+}
+
+/**
+ * Parses a PBKDF2 PHC string
+ *
+ * @throws InvalidInputError if it is not valid
+ */
+function parsePhc (phc: string): ParsedPhc {
+  const fields = typeof phc === 'string' ? phc.split('$') : []
+  // ['', 'pbkdf2-<hash>', '<params>', '<salt>', '<hash>']
+  if (fields.length !== 5 || fields[0] !== '' || !fields[1].startsWith('pbkdf2-')) throw new InvalidInputError('Not a PBKDF2 PHC string')
+  const hash = (Object.keys(HASHALGS) as HashAlg[]).find(hash => `pbkdf2-${HASHALGS[hash].nodeAlg}` === fields[1])
+  if (hash === undefined) throw new InvalidInputError(`Unsupported PHC identifier ${fields[1]}`)
+
+  const params: Record<string, string> = {}
+  for (const param of fields[2].split(',')) {
+    const match = /^([a-z]+)=([a-zA-Z0-9/+.-]+)$/.exec(param)
+    if (match === null) throw new InvalidInputError(`Invalid PHC parameter ${param}`)
+    params[match[1]] = match[2]
+  }
+  const salt = fromB64(fields[3])
+  const derivedKey = fromB64(fields[4])
+  const iterations = Number(params.i)
+  if (!/^[1-9][0-9]*$/.test(params.i ?? '') || !Number.isSafeInteger(iterations)) throw new InvalidInputError('The PHC string has no valid iteration count (i)')
+  if (params.l !== undefined && params.l !== derivedKey.length.toString()) throw new InvalidInputError('The PHC key length (l) does not match the length of the hash')
+  if (salt.length === 0 || derivedKey.length === 0) throw new InvalidInputError('The PHC string has an empty salt or hash')
+  return { hash, iterations, salt, derivedKey }
+}
+
+/**
+ * Compares two arrays taking the same time no matter where they differ
+ */
+function timingSafeEqual (a: Uint8Array, b: Uint8Array): boolean {
+  if (a.length !== b.length) return false
+  let diff = 0
+  for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i]
+  return diff === 0
+}
+
+/**
+ * The base64 encoding of the PHC string format, i.e. without padding
+ */
+function toB64 (arr: Uint8Array): string {
+  return toBase64(arr).replace(/=+$/, '')
+}
+
+const B64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+
+function fromB64 (b64: string): Uint8Array {
+  if (!/^[A-Za-z0-9+/]*$/.test(b64) || b64.length % 4 === 1) throw new InvalidInputError('Invalid base64 in the PHC string')
+  const arr = new Uint8Array(Math.floor(b64.length * 3 / 4))
+  let bits = 0
+  let value = 0
+  let j = 0
+  for (const char of b64) {
+    value = (value << 6) | B64_ALPHABET.indexOf(char)
+    bits += 6
+    if (bits >= 8) {
+      bits -= 8
+      arr[j++] = (value >> bits) & 0xff
+    }
+  }
+  return arr
+}
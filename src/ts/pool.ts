@@ -0,0 +1,96 @@
+import { BackendSelection, selectBackend } from './backend'
+import { hasNodeWorkerThreads } from './environment'
+import { BackendError, InvalidOptionError } from './errors'
+import { HashAlg } from './hashAlgs'
+import { ParsedPbkdf2Options } from './options'
+import { Pbkdf2Function } from './output'
+import { createWorkerPool, PoolThread, PoolThreadEvents } from './workerPool'
+
+/**
+ * A pool of dedicated worker threads to derive keys on Node. Node's `crypto.pbkdf2()` runs on libuv's thread pool, which is shared with fs, dns and zlib, so heavy hashing load stalls them. The pool workers run the derivations on their own threads instead
+ */
+export interface Pbkdf2Pool {
+  /**
+   * Same as {@link pbkdf2Hmac}, but the derivation runs in one of the pool workers. If it uses the pure-JS implementation, e.g. because progress is requested, the blocks of multi-block keys are spread across the workers. Registered PRFs cannot be used, since functions cannot be sent to a worker
+   *
+   * @throws BackendError if the queue is full or the pool is closed
+   */
+  derive: Pbkdf2Function
+  /**
+   * Stops accepting derivations, waits for the pending ones to finish and then stops the workers
+   */
+  close: () => Promise<void>
+  /**
+   * number of worker threads
+   */
+  readonly size: number
+  /**
+   * number of jobs waiting for a free worker
+   */
+  readonly queued: number
+}
+
+/**
+ * Optional settings for {@link createPbkdf2Pool}
+ */
+export interface Pbkdf2PoolOptions {
+  /**
+   * Number of worker threads. Defaults to the number of CPUs available minus one (and at least one)
+   */
+  size?: number
+  /**
+   * Maximum number of derivations waiting for a free worker. Further derivations are rejected until the queue drains. A derivation whose blocks are spread across the workers takes a place for every part the idle workers cannot start right away. Defaults to Infinity
+   */
+  maxQueue?: number
+}
+
+/**
+ * Creates a pool of `worker_threads` to derive keys isolated from the rest of the process. Only available with the Node builds, i.e. on Node and Bun.
+ *
+ * @param options - optional settings, i.e. the number of workers and the queue bound
+ *
+ * @returns the pool. Workers are started as they are needed. Close it with {@link Pbkdf2Pool.close} when it is no longer needed (idle workers do not keep the process alive though)
+ *
+ * @throws InvalidOptionError if the options are not valid
+ * @throws BackendError if `worker_threads` is not available
+ */
+export function createPbkdf2Pool (options: Pbkdf2PoolOptions = {}): Pbkdf2Pool {
+  if (!hasNodeWorkerThreads()) throw new BackendError('createPbkdf2Pool is only available with the Node builds, i.e. on Node and Bun. Use createWorkerDeriver elsewhere')
+
+  const cpus = typeof nodeOs.availableParallelism === 'function' ? nodeOs.availableParallelism() : nodeOs.cpus().length
+  const size = options.size ?? Math.max(1, cpus - 1)
+  const maxQueue = options.maxQueue ?? Infinity
+  if (!Number.isInteger(size) || size <= 0) throw new InvalidOptionError('size must be a positive integer')
+  if (maxQueue !== Infinity && (!Number.isInteger(maxQueue) || maxQueue < 0)) throw new InvalidOptionError('maxQueue must be a non-negative integer or Infinity')
+
+  const spawn = ({ onMessage, onFailure }: PoolThreadEvents): PoolThread => {
+    const worker = new nodeWorkerThreads.Worker(new URL('./pool.worker.node.cjs', import.meta.url)) // the worker script is shipped next to the Node builds in dist/
+    let terminating = false
+    worker.unref() // idle workers must not keep the process alive
+    worker.on('message', onMessage)
+    worker.on('error', onFailure)
+    worker.on('exit', () => {
+      if (!terminating) onFailure(new BackendError('A PBKDF2 pool worker exited unexpectedly'))
+    })
+    return {
+      post: (message, transfer) => worker.postMessage(message, transfer),
+      setBusy: (busy) => busy ? worker.ref() : worker.unref(),
+      terminate: async () => {
+        terminating = true
+        await worker.terminate()
+      }
+    }
+  }
+  // The worker threads derive keys with the synchronous native implementation, unless the pure-JS one is needed
+  const select = async (hash: HashAlg, c: number, dkLen: number, options: ParsedPbkdf2Options): Promise<BackendSelection> => selectBackend(hash, c, dkLen, options, true)
+  const pool = createWorkerPool(spawn, size, maxQueue, select)
+
+  return {
+    derive: pool.derive,
+    close: pool.close,
+    size,
+    get queued (): number {
+      return pool.queued
+    }
+  }
+}
@@ -0,0 +1,17 @@
+/**
+ * Entry point of the worker threads of {@link createPbkdf2Pool}. It is bundled on its own into `dist/pool.worker.node.cjs`
+ */
+
+import { parentPort } from 'worker_threads'
+import { pbkdf2HmacSync } from './pbkdf2Sync'
+import { WorkerResponse } from './workerPool'
+import { serveRequests } from './workerServer'
+
+const port = parentPort as import('worker_threads').MessagePort
+
+function post (response: WorkerResponse, transfer: ArrayBuffer[] = []): void {
+  port.postMessage(response, transfer)
+}
+
+// The whole point of the pool is not to use libuv's thread pool, so native derivations run synchronously in this thread. They cannot be aborted, but their result is discarded
+port.on('message', serveRequests(post, async ({ P, S, c, dkLen, hash }) => pbkdf2HmacSync(P, S, c, dkLen, hash)))
@@ -0,0 +1,77 @@
+import { InvalidInputError, InvalidOptionError } from './errors'
+import { HashAlg } from './hashAlgs'
+import { Pbkdf2Options } from './options'
+import { PrfAlg } from './prf'
+
+/**
+ * A named set of PBKDF2 parameters. It can be passed to {@link pbkdf2Hmac} and {@link pbkdf2HmacSync} instead of `c`, `dkLen` and `hash`, and to {@link hash} and {@link needsRehash}
+ */
+export interface Pbkdf2Preset {
+  /**
+   * versioned name of the preset, e.g. `'owasp2023.sha256'`. It never changes for a given set of parameters, so that it can be stored along with the hashes created with it
+   */
+  readonly id: string
+  /**
+   * hash function for the HMAC
+   */
+  readonly hash: HashAlg
+  /**
+   * iteration count
+   */
+  readonly c: number
+  /**
+   * length in octets of the derived key
+   */
+  readonly dkLen: number
+  /**
+   * minimum length in octets of the salt. Shorter salts are rejected
+   */
+  readonly minSaltLength: number
+}
+
+function preset (id: string, hash: HashAlg, c: number, dkLen: number, minSaltLength: number): Pbkdf2Preset {
+  return Object.freeze({ id, hash, c, dkLen, minSaltLength })
+}
+
+/**
+ * Named PBKDF2 parameters:
+ *   - `owasp2023.sha1`, `owasp2023.sha256` and `owasp2023.sha512`: the iteration counts recommended by the OWASP Password Storage Cheat Sheet (2023) for storing passwords, i.e. 1300000, 600000 and 210000 respectively, with a 16-octet salt and a key as long as the hash output. Use `owasp2023.sha1` only for legacy systems
+ *   - `nist800132`: the minimums of NIST SP 800-132 (2010), i.e. HMAC-SHA-256 with 1000 iterations, a 128-bit salt and a 256-bit key. It is meant for compliance with that recommendation, not for storing passwords
+ *
+ * Presets are never modified. New recommendations are added as new presets, e.g. `owasp2025`
+ */
+export const presets = Object.freeze({
+  owasp2023: Object.freeze({
+    sha1: preset('owasp2023.sha1', 'SHA-1', 1300000, 20, 16),
+    sha256: preset('owasp2023.sha256', 'SHA-256', 600000, 32, 16),
+    sha512: preset('owasp2023.sha512', 'SHA-512', 210000, 64, 16)
+  }),
+  nist800132: preset('nist800132', 'SHA-256', 1000, 32, 16)
+})
+
+/**
+ * Tells whether the argument is a {@link Pbkdf2Preset}, e.g. rather than an iteration count
+ */
+export function isPreset (preset: unknown): preset is Pbkdf2Preset {
+  return typeof preset === 'object' && preset !== null && typeof (preset as Pbkdf2Preset).id === 'string' && typeof (preset as Pbkdf2Preset).c === 'number'
+}
+
+/**
+ * Checks the salt length against the preset
+ *
+ * @throws InvalidInputError if the salt is shorter than the preset minimum
+ */
+export function checkPresetSalt (preset: Pbkdf2Preset, saltLength: number): void {
+  if (saltLength < preset.minSaltLength) throw new InvalidInputError(`The ${preset.id} preset requires a salt of at least ${preset.minSaltLength} octets`)
+}
+
+/**
+ * The arguments of {@link pbkdf2Hmac} and {@link pbkdf2HmacSync}, which take either `c`, `dkLen` and `hash` or a preset, with the preset ones filled in
+ *
+ * @throws InvalidOptionError if a preset is followed by something other than the options, e.g. a key length
+ */
+export function resolvePreset (c: number | Pbkdf2Preset, dkLen: number | Pbkdf2Options | undefined, hash: PrfAlg, options: Pbkdf2Options | undefined): { c: number, dkLen: number, hash: PrfAlg, options?: Pbkdf2Options, preset?: Pbkdf2Preset } {
+  if (!isPreset(c)) return { c, dkLen: dkLen as number, hash, options }
+  if (dkLen !== undefined && (typeof dkLen !== 'object' || dkLen === null)) throw new InvalidOptionError(`A preset sets c, dkLen and hash, so it can only be followed by the options, not by ${String(dkLen)}`)
+  return { c: c.c, dkLen: c.dkLen, hash: c.hash, options: dkLen, preset: c }
+}
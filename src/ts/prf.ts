@@ -0,0 +1,186 @@
+import { InvalidHashError } from './errors'
+import { HashAlg, HASHALGS } from './hashAlgs'
+import { hmac, KeyedPrf } from './hashes/hmac'
+import { Hasher, HashFunction } from './hashes/utils'
+
+/**
+ * A hash function provided by the user as a one-shot digest function. HMAC is built on top of it
+ */
+export interface CustomHashFunction {
+  /**
+   * length in octets of the output of the hash function
+   */
+  outputLength: number
+  /**
+   * length in octets of the block the hash function internally operates on. It is needed by HMAC
+   */
+  blockSize: number
+  /**
+   * computes the hash of `msg`
+   */
+  digest: (msg: Uint8Array) => Uint8Array
+}
+
+/**
+ * A complete PRF provided by the user, e.g. AES-CMAC. PBKDF2 uses the password as the key
+ */
+export interface CustomPrfFunction {
+  /**
+   * length in octets of the output of the PRF
+   */
+  outputLength: number
+  /**
+   * computes PRF(key, msg)
+   */
+  prf: (key: Uint8Array, msg: Uint8Array) => Uint8Array
+}
+
+/**
+ * What can be registered with {@link registerPrf}: a hash function, either one-shot ({@link CustomHashFunction}) or incremental ({@link HashFunction}), that HMAC will be built on, or a complete PRF ({@link CustomPrfFunction})
+ */
+export type CustomPrf = CustomHashFunction | HashFunction | CustomPrfFunction
+
+/**
+ * The name of the PRF used by PBKDF2: either a built-in hash function for HMAC or any name a PRF has been registered with
+ */
+export type PrfAlg = HashAlg | (string & Record<never, never>)
+
+interface RegisteredPrf {
+  outputLength: number
+  keyed: (key: Uint8Array) => KeyedPrf
+}
+
+const registeredPrfs = new Map<string, RegisteredPrf>()
+
+/**
+ * Registers a custom PRF, so that it can be passed by name as the `hash` of {@link pbkdf2Hmac} and {@link pbkdf2HmacSync}. Custom PRFs always run on the JS implementation of PBKDF2.
+ *
+ * @param name - the name to use for the PRF. It cannot be the name of one of the built-in hash functions
+ * @param definition - either a hash function, so that HMAC is built on it, or a complete PRF
+ *
+ * @throws InvalidHashError if the name is not valid or the definition is not a hash function nor a PRF
+ */
+export function registerPrf (name: string, definition: CustomPrf): void {
+  if (typeof name !== 'string' || name === '') throw new InvalidHashError('name must be a non-empty string')
+  if (isBuiltinHash(name)) throw new InvalidHashError(`${name} is a built-in hash algorithm and cannot be overridden`)
+  if (!Number.isInteger(definition.outputLength) || definition.outputLength <= 0) throw new InvalidHashError('outputLength must be a positive integer')
+
+  let registered: RegisteredPrf
+  if ('prf' in definition && typeof definition.prf === 'function') {
+    const { outputLength, prf } = definition
+    registered = {
+      outputLength,
+      keyed: (key) => {
+        key = key.slice()
+        return {
+          prf: (msg, out) => {
+            out.set(checkLength(prf(key, msg), outputLength))
+          },
+          destroy: () => key.fill(0)
+        }
+      }
+    }
+  } else if ('blockSize' in definition && Number.isInteger(definition.blockSize) && definition.blockSize > 0) {
+    const hash = ('create' in definition && typeof definition.create === 'function') ? definition : fromDigest(definition as CustomHashFunction)
+    registered = { outputLength: hash.outputLength, keyed: (key) => hmac(hash, key) }
+  } else {
+    throw new InvalidHashError('A PRF must provide either a prf function or a hash function (create or digest) with a positive integer blockSize')
+  }
+  registeredPrfs.set(name, registered)
+}
+
+/**
+ * Removes a PRF registered with {@link registerPrf}
+ *
+ * @param name - the name the PRF was registered with
+ *
+ * @returns true if the PRF was registered, false otherwise
+ */
+export function unregisterPrf (name: string): boolean {
+  return registeredPrfs.delete(name)
+}
+
+/**
+ * Returns the length in octets of the output of the PRF, or undefined if there is no PRF with that name
+ */
+export function prfOutputLength (name: PrfAlg): number | undefined {
+  if (isBuiltinHash(name)) return HASHALGS[name].outputLength
+  return registeredPrfs.get(name)?.outputLength
+}
+
+/**
+ * Names of all the available PRFs, built-in and registered
+ */
+export function prfNames (): string[] {
+  return [...Object.keys(HASHALGS), ...registeredPrfs.keys()]
+}
+
+/**
+ * Whether the PRF is HMAC with one of the built-in hash functions, which the native implementations may support
+ */
+export function isBuiltinHash (name: PrfAlg): name is HashAlg {
+  return Object.prototype.hasOwnProperty.call(HASHALGS, name)
+}
+
+/**
+ * Returns the PRF keyed with `key` and the function that zero-fills what it keeps derived from the key. The PRF name must have been already validated
+ */
+export function keyedPrf (name: PrfAlg, key: Uint8Array): KeyedPrf {
+  if (isBuiltinHash(name)) return hmac(HASHALGS[name], key)
+  return (registeredPrfs.get(name) as RegisteredPrf).keyed(key)
+}
+
+function checkLength (output: Uint8Array, outputLength: number): Uint8Array {
+  if (!(output instanceof Uint8Array) || output.length !== outputLength) throw new InvalidHashError(`The PRF output must be a Uint8Array of ${outputLength} bytes`)
+  return output
+}
+
+/**
+ * Adapts a one-shot digest function to the incremental {@link HashFunction} interface, by just buffering the input
+ */
+function fromDigest (definition: CustomHashFunction): HashFunction {
+  const { outputLength, blockSize, digest } = definition
+
+  class BufferedHasher implements Hasher {
+    private chunks: Uint8Array[] = []
+
+    update (data: Uint8Array): this {
+      this.chunks.push(data.slice())
+      return this
+    }
+
+    digestInto (out: Uint8Array): void {
+      const msg = new Uint8Array(this.chunks.reduce((acc, chunk) => acc + chunk.length, 0))
+      let pos = 0
+      for (const chunk of this.chunks) {
+        msg.set(chunk, pos)
+        pos += chunk.length
+      }
+      try {
+        out.set(checkLength(digest(msg), outputLength))
+      } finally {
+        msg.fill(0)
+      }
+    }
+
+    digest (): Uint8Array {
+      const out = new Uint8Array(outputLength)
+      this.digestInto(out)
+      return out
+    }
+
+    cloneInto (hasher?: Hasher): this {
+      const to = (hasher ?? new BufferedHasher()) as this
+      to.destroy()
+      to.chunks = this.chunks.map(chunk => chunk.slice()) // every hasher has its own copies, so that destroying one leaves the others intact
+      return to
+    }
+
+    destroy (): void {
+      for (const chunk of this.chunks) chunk.fill(0)
+      this.chunks = []
+    }
+  }
+
+  return { outputLength, blockSize, create: () => new BufferedHasher() }
+}
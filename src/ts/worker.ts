@@ -0,0 +1,15 @@
+/**
+ * Entry point of the Web Workers used by {@link createWorkerDeriver} and the `worker` option. It is bundled on its own into `dist/bundle.worker.js`
+ */
+
+import pbkdf2Hmac from './index'
+import { WorkerAbortRequest, WorkerRequest, WorkerResponse } from './workerPool'
+import { serveRequests } from './workerServer'
+
+function post (response: WorkerResponse, transfer: ArrayBuffer[] = []): void {
+  self.postMessage(response, { transfer })
+}
+
+const onMessage = serveRequests(post, async ({ P, S, c, dkLen, hash }, signal) => await pbkdf2Hmac(P, S, c, dkLen, hash, { signal }))
+
+self.onmessage = (event: MessageEvent<WorkerRequest | WorkerAbortRequest>) => onMessage(event.data)
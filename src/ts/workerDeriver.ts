@@ -0,0 +1,97 @@
+import { Cancellation } from './abort'
+import { selectBackendProbing } from './backend'
+import { BackendError, InvalidOptionError } from './errors'
+import { ParsedPbkdf2Options } from './options'
+import { Pbkdf2Function } from './output'
+import { PrfAlg } from './prf'
+import { createWorkerPool, PoolThread, PoolThreadEvents, WorkerPool, WorkerResponse } from './workerPool'
+
+/**
+ * Derives keys in dedicated Web Workers, so that long derivations do not block the main thread
+ */
+export interface WorkerDeriver {
+  /**
+   * Same as {@link pbkdf2Hmac}, but the derivation runs in a worker. If it uses the pure-JS implementation, the blocks of multi-block keys are spread across the workers. Registered PRFs cannot be used, since functions cannot be sent to a worker
+   */
+  derive: Pbkdf2Function
+  /**
+   * Stops the workers. Pending derivations are rejected with an {@link AbortError}
+   */
+  terminate: () => void
+}
+
+/**
+ * Optional settings for {@link createWorkerDeriver}
+ */
+export interface WorkerDeriverOptions {
+  /**
+   * URL of the worker script, i.e. `dist/bundle.worker.js`. By default it is expected next to the module or bundle being used, which is where it is shipped
+   */
+  url?: string | URL
+  /**
+   * Number of workers. Defaults to 1
+   */
+  size?: number
+}
+
+const pools = new WeakMap<WorkerDeriver, WorkerPool>()
+
+let sharedDeriver: WorkerDeriver | undefined
+
+/**
+ * Creates a {@link WorkerDeriver}, which runs derivations in its own dedicated Web Workers. They are started as they are needed. Derivations requested with the `worker: true` option run instead in workers shared by the whole page (up to 4).
+ *
+ * @param options - optional settings, e.g. the number of workers or the URL of the worker script
+ *
+ * @throws BackendError if Web Workers are not available
+ * @throws InvalidOptionError if the options are not valid
+ */
+export function createWorkerDeriver (options: WorkerDeriverOptions = {}): WorkerDeriver {
+  if (typeof Worker === 'undefined') throw new BackendError('Web Workers are not available in this environment')
+  const size = options.size ?? 1
+  if (!Number.isInteger(size) || size <= 0) throw new InvalidOptionError('size must be a positive integer')
+
+  const spawn = ({ onMessage, onFailure }: PoolThreadEvents): PoolThread => {
+    // The worker script is shipped next to the browser builds in dist/. The URL is written this way so that bundlers can find it
+    const worker = options.url !== undefined ? new Worker(options.url) : new Worker(new URL('./bundle.worker.js', import.meta.url))
+    worker.onmessage = (event: MessageEvent<WorkerResponse>) => onMessage(event.data)
+    worker.onerror = (event) => { // the worker script could not be loaded or it crashed
+      event.preventDefault()
+      worker.terminate()
+      onFailure(new BackendError(`The PBKDF2 worker failed: ${event.message}`))
+    }
+    return {
+      post: (message, transfer = []) => worker.postMessage(message, transfer),
+      setBusy: () => {},
+      terminate: async () => worker.terminate()
+    }
+  }
+  // The workers run in the same kind of environment as the page, so they have the same backends
+  const pool = createWorkerPool(spawn, size, Infinity, selectBackendProbing)
+
+  const deriver: WorkerDeriver = {
+    derive: pool.derive,
+    terminate: () => {
+      pool.terminate().catch(() => {})
+    }
+  }
+  pools.set(deriver, pool)
+  return deriver
+}
+
+/**
+ * Runs an already validated derivation in the worker requested with the `worker` option: the page's shared one if it is `true`
+ *
+ * @throws InvalidOptionError if the worker is not a {@link WorkerDeriver}
+ * @throws BackendError if Web Workers are not available
+ */
+export async function deriveInWorker (worker: true | WorkerDeriver, PArr: Uint8Array, SArr: Uint8Array, c: number, dkLen: number, hash: PrfAlg, options: ParsedPbkdf2Options, cancel: Cancellation): Promise<ArrayBuffer> {
+  if (worker === true) {
+    const cpus: number | undefined = typeof navigator !== 'undefined' ? navigator.hardwareConcurrency : undefined // some browsers and WebViews do not tell
+    if (sharedDeriver === undefined) sharedDeriver = createWorkerDeriver({ size: Math.min(4, cpus ?? 1) })
+    worker = sharedDeriver
+  }
+  const pool = pools.get(worker)
+  if (pool === undefined) throw new InvalidOptionError('worker must be true or a deriver created with createWorkerDeriver()')
+  return await pool.run(PArr, SArr, c, dkLen, hash, options, cancel)
+}
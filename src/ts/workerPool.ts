@@ -0,0 +1,335 @@
+import { AbortError, cancellable, Cancellation } from './abort'
+import { BackendSelection } from './backend'
+import { checkCompliance } from './compliance'
+import { BackendError, fromCode, InvalidOptionError, Pbkdf2ErrorCode } from './errors'
+import { HashAlg } from './hashAlgs'
+import { parseInputs, TypedArray, wipeInputs } from './inputs'
+import { parseOptions, ParsedPbkdf2Options, Pbkdf2Options, Pbkdf2Progress } from './options'
+import { checkInto, encodeOutput, moveInto, Pbkdf2Function, Pbkdf2Output, Pbkdf2OutputTypes } from './output'
+import { checkPresetSalt, Pbkdf2Preset, resolvePreset } from './presets'
+import { isBuiltinHash, prfOutputLength, PrfAlg } from './prf'
+
+/**
+ * A derivation request sent to a worker. P and S are transferred
+ */
+export interface WorkerRequest {
+  id: number
+  P: ArrayBuffer
+  S: ArrayBuffer
+  c: number
+  dkLen: number
+  hash: HashAlg
+  backend: BackendSelection['backend']
+  progress: boolean
+  progressGranularity?: number
+  /**
+   * if set, the worker only computes these blocks of the derived key, with the pure-JS implementation
+   */
+  blocks?: [number, number]
+  /**
+   * whether P, S and the intermediate buffers are zero-filled once the derivation is over
+   */
+  wipe: boolean
+}
+
+/**
+ * Tells a worker to stop a derivation
+ */
+export interface WorkerAbortRequest {
+  id: number
+  abort: true
+}
+
+/**
+ * A message from a worker: either the progress of a derivation, its result (transferred) or the error it failed with
+ */
+export type WorkerResponse = { id: number, progress: Pbkdf2Progress } | { id: number, derivedKey: ArrayBuffer } | { id: number, error: { name: string, message: string, code?: Pbkdf2ErrorCode } }
+
+/**
+ * A worker of a {@link WorkerPool}: either a Web Worker or a Node worker thread
+ */
+export interface PoolThread {
+  post: (message: WorkerRequest | WorkerAbortRequest, transfer?: ArrayBuffer[]) => void
+  /**
+   * tells whether the thread has work to do, so that idle Node threads do not keep the process alive
+   */
+  setBusy: (busy: boolean) => void
+  terminate: () => Promise<void>
+}
+
+/**
+ * What a {@link PoolThread} has to notify to its pool
+ */
+export interface PoolThreadEvents {
+  onMessage: (response: WorkerResponse) => void
+  /**
+   * the thread could not be started or it crashed, and it cannot be used anymore
+   */
+  onFailure: (error: Error) => void
+}
+
+/**
+ * A queue of derivations run by a fixed number of workers, which are started as they are needed. Derivations with the pure-JS implementation are split by blocks across the workers
+ */
+export interface WorkerPool {
+  /**
+   * Runs an already validated derivation
+   */
+  run: (PArr: Uint8Array, SArr: Uint8Array, c: number, dkLen: number, hash: PrfAlg, options: ParsedPbkdf2Options, cancel: Cancellation) => Promise<ArrayBuffer>
+  /**
+   * Validates a derivation as {@link pbkdf2Hmac} does and runs it
+   */
+  derive: Pbkdf2Function
+  /**
+   * Stops accepting derivations, waits for the pending ones to finish and then stops the workers
+   */
+  close: () => Promise<void>
+  /**
+   * Stops the workers right away. Pending derivations are rejected with an {@link AbortError}
+   */
+  terminate: () => Promise<void>
+  /**
+   * number of jobs waiting for a free worker
+   */
+  readonly queued: number
+}
+
+interface Job {
+  request: WorkerRequest
+  resolve: (derivedKey: ArrayBuffer) => void
+  reject: (error: Error) => void
+  onProgress?: (progress: Pbkdf2Progress) => void
+}
+
+interface Slot {
+  thread?: PoolThread
+  job?: Job
+}
+
+/**
+ * Creates a {@link WorkerPool}
+ *
+ * @param spawn - starts a new worker
+ * @param size - number of workers
+ * @param maxQueue - maximum number of jobs waiting for a free worker. A derivation split by blocks is as many jobs as parts, and it is rejected unless all of them fit
+ * @param select - chooses the backend the workers derive the key with, as {@link selectBackend} does for their environment, probing its limits if needed. Derivations with the pure-JS implementation are split by blocks across the workers, since the native implementations compute the blocks one after another and cannot compute just some of them
+ */
+export function createWorkerPool (spawn: (events: PoolThreadEvents) => PoolThread, size: number, maxQueue: number, select: (hash: HashAlg, c: number, dkLen: number, options: ParsedPbkdf2Options) => Promise<BackendSelection>): WorkerPool {
+  const slots: Slot[] = Array.from({ length: size }, () => ({}))
+  const queue: Job[] = []
+  let nextId = 0
+  let closing: Promise<void> | undefined
+  let drained: (() => void) | undefined
+
+  const idle = (): boolean => queue.length === 0 && slots.every(slot => slot.job === undefined)
+
+  const start = (slot: Slot): PoolThread => {
+    const thread = spawn({
+      onMessage: (response) => {
+        const job = slot.job
+        if (slot.thread !== thread || job === undefined || job.request.id !== response.id) return // it has been cancelled
+        if ('progress' in response) {
+          if (job.onProgress !== undefined) job.onProgress(response.progress)
+          return
+        }
+        if ('derivedKey' in response) job.resolve(response.derivedKey)
+        else job.reject(toError(response.error))
+        release(slot)
+      },
+      onFailure: (error) => {
+        if (slot.thread !== thread) return
+        slot.thread = undefined // a new one is started when needed
+        if (slot.job !== undefined) {
+          slot.job.reject(error)
+          release(slot)
+        }
+      }
+    })
+    return thread
+  }
+
+  const release = (slot: Slot): void => {
+    slot.job = undefined
+    slot.thread?.setBusy(false)
+    dispatch()
+  }
+
+  const dispatch = (): void => {
+    for (const slot of slots) {
+      if (queue.length === 0) break
+      if (slot.job !== undefined) continue
+      const job = queue.shift() as Job
+      if (slot.thread === undefined) slot.thread = start(slot)
+      slot.job = job
+      slot.thread.setBusy(true)
+      slot.thread.post(job.request, [job.request.P, job.request.S])
+    }
+    if (drained !== undefined && idle()) drained()
+  }
+
+  const cancelJob = (job: Job): void => {
+    const index = queue.indexOf(job)
+    if (index !== -1) {
+      queue.splice(index, 1)
+      wipeRequest(job.request)
+      if (drained !== undefined && idle()) drained()
+      return
+    }
+    const slot = slots.find(slot => slot.job === job)
+    if (slot !== undefined) {
+      slot.thread?.post({ id: job.request.id, abort: true }) // the pure-JS implementation stops, and the result of a native one is discarded
+      release(slot)
+    }
+  }
+
+  const submit = (request: Omit<WorkerRequest, 'id' | 'P' | 'S'>, PArr: Uint8Array, SArr: Uint8Array, onProgress?: (progress: Pbkdf2Progress) => void): { job: Job, result: Promise<ArrayBuffer> } => {
+    let job: Job | undefined
+    const result = new Promise<ArrayBuffer>((resolve, reject) => {
+      // P and S are copied, so that transferring them does not detach the caller's buffers
+      job = { request: { ...request, id: nextId++, P: PArr.slice().buffer, S: SArr.slice().buffer }, resolve, reject, onProgress }
+    })
+    queue.push(job as Job)
+    dispatch()
+    return { job: job as Job, result }
+  }
+
+  const run: WorkerPool['run'] = async (PArr, SArr, c, dkLen, hash, options, cancel) => {
+    if (!isBuiltinHash(hash)) throw new BackendError('Registered PRFs cannot be used in a worker')
+    const { backend } = await select(hash, c, dkLen, options)
+
+    /*
+     The blocks T_1, ..., T_l of the derived key are independent from each
+     other, so they are split in as many contiguous ranges as workers.
+     */
+    const hLen = prfOutputLength(hash) as number
+    const l = Math.ceil(dkLen / hLen)
+    const parts = backend === 'js' ? Math.min(l, size) : 1
+
+    // Nothing is awaited from here on until the jobs are queued, so that the checks hold. Every part is a job, and those the idle workers cannot take right away are queued
+    if (closing !== undefined) throw new BackendError('The workers have been stopped')
+    const idleSlots = slots.filter(slot => slot.job === undefined).length
+    if (queue.length + Math.max(0, parts - idleSlots) > maxQueue) throw new BackendError(`The queue is full (maxQueue: ${maxQueue})`)
+
+    const { onProgress, progressGranularity, wipe } = options
+    const request = { c, dkLen, hash, backend, progress: onProgress !== undefined, progressGranularity, wipe }
+    if (parts === 1) {
+      const { job, result } = submit(request, PArr, SArr, onProgress)
+      cancel.onCancel(() => cancelJob(job))
+      return await result
+    }
+
+    const ranges: Array<[number, number]> = []
+    for (let part = 0, first = 1; part < parts; part++) {
+      const last = first + Math.ceil((l - first + 1) / (parts - part)) - 1
+      ranges.push([first, last])
+      first = last + 1
+    }
+
+    // The progress of every part is added up as if the blocks were computed one after another
+    const partDone = ranges.map(() => 0)
+    const total = l * c
+    const reportEvery = Math.max(1, Math.ceil(total * (progressGranularity ?? 0.01)))
+    let nextReport = Math.min(reportEvery, total)
+    const onPartProgress = (part: number) => (progress: Pbkdf2Progress) => {
+      partDone[part] = (progress.block - ranges[part][0]) * c + progress.iteration
+      const done = partDone.reduce((sum, partDone) => sum + partDone, 0)
+      if (onProgress === undefined || done < nextReport) return
+      const block = Math.ceil(done / c)
+      onProgress({ block, blocks: l, iteration: done - (block - 1) * c, iterations: c, fraction: done / total })
+      nextReport = done < total ? Math.min(done - done % reportEvery + reportEvery, total) : Infinity
+    }
+
+    const submitted = ranges.map((blocks, part) => submit({ ...request, blocks }, PArr, SArr, onPartProgress(part)))
+    const cancelAll = (): void => submitted.forEach(({ job }) => cancelJob(job))
+    cancel.onCancel(cancelAll)
+    let derivedKeyParts: ArrayBuffer[]
+    try {
+      derivedKeyParts = await Promise.all(submitted.map(async ({ result }) => await result))
+    } catch (error) {
+      cancelAll() // there is no point in computing the rest of the parts
+      throw error
+    }
+    const derivedKey = new Uint8Array(dkLen)
+    for (let part = 0; part < parts; part++) derivedKey.set(new Uint8Array(derivedKeyParts[part]), (ranges[part][0] - 1) * hLen)
+    if (wipe) derivedKeyParts.forEach(part => new Uint8Array(part).fill(0))
+    return derivedKey.buffer
+  }
+
+  function derive (P: string | ArrayBuffer | TypedArray | DataView, S: string | ArrayBuffer | TypedArray | DataView, c: number, dkLen: number, hash: PrfAlg | undefined, options: Pbkdf2Options & { into: Uint8Array, output?: 'uint8array' }): Promise<Uint8Array>
+  function derive (P: string | ArrayBuffer | TypedArray | DataView, S: string | ArrayBuffer | TypedArray | DataView, preset: Pbkdf2Preset, options: Pbkdf2Options & { into: Uint8Array, output?: 'uint8array' }): Promise<Uint8Array>
+  function derive (P: string | ArrayBuffer | TypedArray | DataView, S: string | ArrayBuffer | TypedArray | DataView, c: number, dkLen: number, hash?: PrfAlg, options?: Pbkdf2Options & { output?: 'arraybuffer' }): Promise<ArrayBuffer>
+  function derive<O extends Pbkdf2Output> (P: string | ArrayBuffer | TypedArray | DataView, S: string | ArrayBuffer | TypedArray | DataView, c: number, dkLen: number, hash: PrfAlg | undefined, options: Pbkdf2Options & { output: O }): Promise<Pbkdf2OutputTypes[O]>
+  function derive (P: string | ArrayBuffer | TypedArray | DataView, S: string | ArrayBuffer | TypedArray | DataView, preset: Pbkdf2Preset, options?: Pbkdf2Options & { output?: 'arraybuffer' }): Promise<ArrayBuffer>
+  function derive<O extends Pbkdf2Output> (P: string | ArrayBuffer | TypedArray | DataView, S: string | ArrayBuffer | TypedArray | DataView, preset: Pbkdf2Preset, options: Pbkdf2Options & { output: O }): Promise<Pbkdf2OutputTypes[O]>
+  async function derive (P: string | ArrayBuffer | TypedArray | DataView, S: string | ArrayBuffer | TypedArray | DataView, cOrPreset: number | Pbkdf2Preset, dkLenOrOptions?: number | Pbkdf2Options, hashAlg: PrfAlg = 'SHA-256', pbkdf2Options?: Pbkdf2Options): Promise<Pbkdf2OutputTypes[Pbkdf2Output]> {
+    const { c, dkLen, hash, options, preset } = resolvePreset(cOrPreset, dkLenOrOptions, hashAlg, pbkdf2Options)
+    const inputs = parseInputs(P, S, c, dkLen, hash, options)
+    try {
+      if (preset !== undefined) checkPresetSalt(preset, inputs.S.length)
+      const parsedOptions = parseOptions(options)
+      checkCompliance(parsedOptions.compliancePolicy, inputs.S.length, c, dkLen, hash)
+      checkInto(parsedOptions.into, dkLen)
+      if (parsedOptions.worker !== false) throw new InvalidOptionError('The worker option cannot be used when the derivation already runs in a worker')
+      const start = performance.now()
+      const derivedKey = await cancellable(parsedOptions.signal, parsedOptions.timeoutMs, async cancel => await run(inputs.P, inputs.S, c, dkLen, hash, parsedOptions, cancel))
+      if (parsedOptions.onDiagnostics !== undefined) {
+        const { backend, fallbackReason } = await select(hash as HashAlg, c, dkLen, parsedOptions) // run has already checked it
+        parsedOptions.onDiagnostics({ backend, requestedBackend: parsedOptions.backend, fallbackReason, worker: true, elapsedMs: performance.now() - start })
+      }
+      return encodeOutput(moveInto(new Uint8Array(derivedKey), parsedOptions.into), parsedOptions.output, parsedOptions.wipe)
+    } finally {
+      if (options?.wipe === true) wipeInputs(P, S, inputs)
+    }
+  }
+
+  const stop = async (): Promise<void> => {
+    const threads = slots.map(slot => slot.thread)
+    slots.length = 0
+    await Promise.all(threads.map(async thread => await thread?.terminate()))
+  }
+
+  return {
+    run,
+    derive,
+    close: async () => {
+      if (closing === undefined) {
+        closing = new Promise<void>(resolve => {
+          drained = resolve
+          dispatch()
+        }).then(stop)
+      }
+      return await closing
+    },
+    terminate: async () => {
+      if (closing === undefined) closing = Promise.resolve()
+      const error = new AbortError('The workers have been stopped')
+      for (const job of queue.splice(0)) {
+        wipeRequest(job.request)
+        job.reject(error)
+      }
+      for (const slot of slots) slot.job?.reject(error)
+      await stop()
+    },
+    get queued (): number {
+      return queue.length
+    }
+  }
+}
+
+/**
+ * Zero-fills the copies of the password and the salt of a request if it asks for it. They must not have been transferred to a worker yet
+ */
+export function wipeRequest ({ P, S, wipe }: Pick<WorkerRequest, 'P' | 'S' | 'wipe'>): void {
+  if (!wipe) return
+  new Uint8Array(P).fill(0)
+  new Uint8Array(S).fill(0)
+}
+
+/**
+ * Rebuilds an error sent by a worker, since errors cannot be sent as they are. Errors without a code are unexpected failures of the worker, so they are reported as a {@link BackendError}
+ */
+function toError ({ name, message, code }: { name: string, message: string, code?: Pbkdf2ErrorCode }): Error {
+  if (name === 'AbortError') return new AbortError(message)
+  if (code !== undefined) return fromCode(code, message)
+  return new BackendError(`The worker failed: ${name}: ${message}`)
+}
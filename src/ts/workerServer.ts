@@ -0,0 +1,47 @@
+import { cancellation } from './abort'
+import { Pbkdf2Error } from './errors'
+import { Pbkdf2Progress } from './options'
+import { pbkdf2JsAsync } from './pbkdf2Js'
+import { WorkerAbortRequest, WorkerRequest, WorkerResponse, wipeRequest } from './workerPool'
+
+/**
+ * Handles the messages a worker of a {@link WorkerPool} receives. Whole derivations that can run natively are delegated to `deriveNatively`, and the rest run with the pure-JS implementation, which stops as soon as it is aborted
+ *
+ * @param post - sends a response to the pool
+ * @param deriveNatively - derives a key with the native implementation of the worker environment
+ *
+ * @returns the message handler
+ */
+export function serveRequests (post: (response: WorkerResponse, transfer?: ArrayBuffer[]) => void, deriveNatively: (request: WorkerRequest, signal: AbortSignal) => Promise<ArrayBuffer>): (message: WorkerRequest | WorkerAbortRequest) => void {
+  const controllers = new Map<number, AbortController>()
+
+  return (message) => {
+    if ('abort' in message) {
+      controllers.get(message.id)?.abort()
+      return
+    }
+
+    const { id, P, S, c, dkLen, hash, backend, progress, progressGranularity, blocks, wipe } = message
+    const controller = new AbortController()
+    controllers.set(id, controller)
+
+    let derivation: Promise<ArrayBuffer>
+    if (backend !== 'js' && !progress && blocks === undefined) {
+      derivation = deriveNatively(message, controller.signal)
+    } else {
+      const cancel = cancellation(controller.signal)
+      const onProgress = progress ? (progress: Pbkdf2Progress) => post({ id, progress }) : undefined
+      derivation = pbkdf2JsAsync(new Uint8Array(P), new Uint8Array(S), c, dkLen, hash, { cancel, onProgress, progressGranularity, blocks, wipe })
+        .then(derivedKey => derivedKey.buffer)
+        .finally(cancel.dispose)
+    }
+
+    derivation.then(
+      derivedKey => post({ id, derivedKey }, [derivedKey]),
+      error => post({ id, error: { name: error.name, message: error.message, code: error instanceof Pbkdf2Error ? error.code : undefined } })
+    ).finally(() => {
+      controllers.delete(id)
+      wipeRequest(message)
+    })
+  }
+}
@@ -1,8 +1,24 @@
 const crypto = require('crypto')
 const bigintConversion = require('bigint-conversion')
 
+// Usage: node createVectors.cjs [hash ...]. Vectors are created for all the hash algorithms if none is provided
+const nodeAlgs = {
+  'SHA-1': 'sha1',
+  'SHA-224': 'sha224',
+  'SHA-256': 'sha256',
+  'SHA-384': 'sha384',
+  'SHA-512': 'sha512',
+  'SHA-512/224': 'sha512-224',
+  'SHA-512/256': 'sha512-256',
+  'SHA3-256': 'sha3-256',
+  'SHA3-384': 'sha3-384',
+  'SHA3-512': 'sha3-512',
+  'BLAKE2b-512': 'blake2b512',
+  'BLAKE2s-256': 'blake2s256'
+}
+
 const dkLens = [64, 128, 256, 1024, 2048, 3072]
-const algorithms = ['SHA-1', 'SHA-256', 'SHA-384', 'SHA-512']
+const algorithms = process.argv.length > 2 ? process.argv.slice(2) : Object.keys(nodeAlgs)
 
 const vectors = []
 for (const dkLen of dkLens) {
@@ -11,7 +27,7 @@ for (const dkLen of dkLens) {
   const c = Math.ceil(Math.random() * 512)
   for (const alg of algorithms) {
     const vector = {}
-    const nodeAlg = alg.toLowerCase().replace('-', '')
+    const nodeAlg = nodeAlgs[alg]
     vector.input = { P: bigintConversion.bufToHex(P), S: bigintConversion.bufToHex(S), c, dkLen, hash: alg }
     vector.output = bigintConversion.bufToHex(crypto.pbkdf2Sync(P, S, c, dkLen, nodeAlg))
     vectors.push(vector)
@@ -11,7 +11,8 @@ exports.vectors = [
       hash: 'MD5'
     },
     output: '55ac046e56e3089fec1691c22544b605f94185216dde0465e68b9d57c20dacbc49ca9cccf179b645991664b39d77ef317c71b845b1e30bd509112041d3a19783',
-    error: RangeError
+    error: RangeError,
+    code: 'ERR_PBKDF2_INVALID_HASH'
   },
   {
     comment: 'Password not BinaryLike or string',
@@ -23,7 +24,8 @@ exports.vectors = [
       hash: 'SHA-256'
     },
     output: '55ac046e56e3089fec1691c22544b605f94185216dde0465e68b9d57c20dacbc49ca9cccf179b645991664b39d77ef317c71b845b1e30bd509112041d3a19783',
-    error: RangeError
+    error: RangeError,
+    code: 'ERR_PBKDF2_INVALID_INPUT'
   },
   {
     comment: 'Salt not BinaryLike or string',
@@ -35,7 +37,34 @@ exports.vectors = [
       hash: 'SHA-256'
     },
     output: '55ac046e56e3089fec1691c22544b605f94185216dde0465e68b9d57c20dacbc49ca9cccf179b645991664b39d77ef317c71b845b1e30bd509112041d3a19783',
-    error: RangeError
+    error: RangeError,
+    code: 'ERR_PBKDF2_INVALID_INPUT'
+  },
+  {
+    comment: 'Iteration count not a positive integer',
+    input: {
+      P: 'passwd',
+      S: 'salt',
+      c: 0,
+      dkLen: 64,
+      hash: 'SHA-256'
+    },
+    output: '55ac046e56e3089fec1691c22544b605f94185216dde0465e68b9d57c20dacbc49ca9cccf179b645991664b39d77ef317c71b845b1e30bd509112041d3a19783',
+    error: RangeError,
+    code: 'ERR_PBKDF2_INVALID_ITERATIONS'
+  },
+  {
+    comment: 'Key length not a positive integer',
+    input: {
+      P: 'passwd',
+      S: 'salt',
+      c: 1,
+      dkLen: 0,
+      hash: 'SHA-256'
+    },
+    output: '55ac046e56e3089fec1691c22544b605f94185216dde0465e68b9d57c20dacbc49ca9cccf179b645991664b39d77ef317c71b845b1e30bd509112041d3a19783',
+    error: RangeError,
+    code: 'ERR_PBKDF2_INVALID_KEYLEN'
   },
   {
     comment: 'https://tools.ietf.org/html/rfc7914#section-11 #1',
@@ -123,5 +152,8 @@ exports.vectors = [
     },
     output: 'ea5808411eb0c7e830deab55096cee582761e22a9bc034e3ece925225b07bf46'
   },
-  { input: { P: new Uint8Array(bigintConversion.hexToBuf('c4be2077aff5c0d66d43c979d030e7f57347ec15b0652b9a9e2162a36f70d3eef1f36ed99d3d6bf8f36a8fc887183753df2ac7cb1ea62033d208675840852934690d4db8a1073b1f480be63d9a3bf5933f9ebbc06a427575e4739e1cc66a593514f4fdc3f0832c4e700c084f23ba25b41a589a8f65f8e94a003dfabc69c874ddcc3c0a1415093a66803621f07bde74532b4055db82aa6de6')), S: new Uint8Array(bigintConversion.hexToBuf('371946850cc27ce0991b5a79f9f11a88')), c: 505, dkLen: 64, hash: 'SHA-1' }, output: 'f738b19376fae2ddf94b775a6400a5541bf6e99eec0b9033ef43d9e4b86c66c37d572bc7406296c60ecd91d00bef5562ea6564934f976504fb22223ee52a3006' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('c4be2077aff5c0d66d43c979d030e7f57347ec15b0652b9a9e2162a36f70d3eef1f36ed99d3d6bf8f36a8fc887183753df2ac7cb1ea62033d208675840852934690d4db8a1073b1f480be63d9a3bf5933f9ebbc06a427575e4739e1cc66a593514f4fdc3f0832c4e700c084f23ba25b41a589a8f65f8e94a003dfabc69c874ddcc3c0a1415093a66803621f07bde74532b4055db82aa6de6')), S: new Uint8Array(bigintConversion.hexToBuf('371946850cc27ce0991b5a79f9f11a88')), c: 505, dkLen: 64, hash: 'SHA-256' }, output: 'bc1380a25dc4c0b3032c8ecb50ae79b4fa770b2baa4cd3b2c10f63970c2409f032871589e3e1dbe6340a42993b146134284f585bd4812ffa0159ff8de17302b9' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('c4be2077aff5c0d66d43c979d030e7f57347ec15b0652b9a9e2162a36f70d3eef1f36ed99d3d6bf8f36a8fc887183753df2ac7cb1ea62033d208675840852934690d4db8a1073b1f480be63d9a3bf5933f9ebbc06a427575e4739e1cc66a593514f4fdc3f0832c4e700c084f23ba25b41a589a8f65f8e94a003dfabc69c874ddcc3c0a1415093a66803621f07bde74532b4055db82aa6de6')), S: new Uint8Array(bigintConversion.hexToBuf('371946850cc27ce0991b5a79f9f11a88')), c: 505, dkLen: 64, hash: 'SHA-384' }, output: '2c97de18d6a0a74a8998a63740b52db2539e741400efd17a6cfe86c0ec2be3438277021359d17c4c4794094dee0ca4b90a8e4ce54c4dca31fb70bf9753910e63' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('c4be2077aff5c0d66d43c979d030e7f57347ec15b0652b9a9e2162a36f70d3eef1f36ed99d3d6bf8f36a8fc887183753df2ac7cb1ea62033d208675840852934690d4db8a1073b1f480be63d9a3bf5933f9ebbc06a427575e4739e1cc66a593514f4fdc3f0832c4e700c084f23ba25b41a589a8f65f8e94a003dfabc69c874ddcc3c0a1415093a66803621f07bde74532b4055db82aa6de6')), S: new Uint8Array(bigintConversion.hexToBuf('371946850cc27ce0991b5a79f9f11a88')), c: 505, dkLen: 64, hash: 'SHA-512' }, output: 'e1bac65c6f5772fd1621087170f622ae4c1a70985443cd97939bce04569fa4fc6616d65a4d1ca6a33ae76bffb1b7c13e2bc916e840f3a6328e5967c2e9f35cf4' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('e7728bbaee38783b392d0ddbb7f1e6c61e05ef12c933f7aa4ea14f366c542126ad85271138e6dfcdbbb5681f05a82bb72f5df4374de373f05948228d0d7d3bc7afb6002ad078b1b6006ea4208c61e60da09e8748b62756aa2848ee497eb137feb476ca0c0b48637e30f9a7feb9a8d149b65e633d9cadd78579547618490342d0c0bb0c481816dc085087c61756b03ca74be47fe6f30ccfd13af50b492fd963a31b4f3e2ca6b413d4306a8fa96e0e4c73d2293fadef82ff8731d883ebb2508165a7382ae29b690959efa73ee4ff341178816f44bb4ba9ad09fdc75751cacf55fbb0d8c6585b81c8668f466b299b9227cb5c2dd58161f5378e2e6a7c1bcf731822add3d7677754bb99068d0bfe249c74671f30f9b97933f5384a8aa93bfa438c43c9b2480f703f5bd9cfeae67ebf826e0139b9ee311ac382fc64')), S: new Uint8Array(bigintConversion.hexToBuf('cec09bb99ab546462300ad990352ec27')), c: 84, dkLen: 128, hash: 'SHA-1' }, output: '7cc3f367ebbccfc39e30742fff4167fd3fe861b3e5f2f497b1557d7c8c43d6e43110b3e186cb5b2e2e1809009f363e070dcae82f8927805da9ea89954f26fd539b1be691f18085ab1113c3c3afc5ef2f426b237396188bb9cabc0231409f7bb482253391d43da9399f1ba7ff8d713d426bd2cda93f1c40a5aec3f8f027bfa1c5' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('e7728bbaee38783b392d0ddbb7f1e6c61e05ef12c933f7aa4ea14f366c542126ad85271138e6dfcdbbb5681f05a82bb72f5df4374de373f05948228d0d7d3bc7afb6002ad078b1b6006ea4208c61e60da09e8748b62756aa2848ee497eb137feb476ca0c0b48637e30f9a7feb9a8d149b65e633d9cadd78579547618490342d0c0bb0c481816dc085087c61756b03ca74be47fe6f30ccfd13af50b492fd963a31b4f3e2ca6b413d4306a8fa96e0e4c73d2293fadef82ff8731d883ebb2508165a7382ae29b690959efa73ee4ff341178816f44bb4ba9ad09fdc75751cacf55fbb0d8c6585b81c8668f466b299b9227cb5c2dd58161f5378e2e6a7c1bcf731822add3d7677754bb99068d0bfe249c74671f30f9b97933f5384a8aa93bfa438c43c9b2480f703f5bd9cfeae67ebf826e0139b9ee311ac382fc64')), S: new Uint8Array(bigintConversion.hexToBuf('cec09bb99ab546462300ad990352ec27')), c: 84, dkLen: 128, hash: 'SHA-256' }, output: '2406643a7df603802023caf03271323803505adcedf63ae7ffec14d94c687af3a80af178054b2026e4e80fa7b8c00f2e91ad46bb9d0da06f5da2369e27eb9abad1f438f349d9db9f8580a43104c9203ad5fa8be5b60f57a10a08344d028fefa232874bfc7d14d0e4f9a3fccef2a595ef11754c08b827844c79929afff17e200f' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('e7728bbaee38783b392d0ddbb7f1e6c61e05ef12c933f7aa4ea14f366c542126ad85271138e6dfcdbbb5681f05a82bb72f5df4374de373f05948228d0d7d3bc7afb6002ad078b1b6006ea4208c61e60da09e8748b62756aa2848ee497eb137feb476ca0c0b48637e30f9a7feb9a8d149b65e633d9cadd78579547618490342d0c0bb0c481816dc085087c61756b03ca74be47fe6f30ccfd13af50b492fd963a31b4f3e2ca6b413d4306a8fa96e0e4c73d2293fadef82ff8731d883ebb2508165a7382ae29b690959efa73ee4ff341178816f44bb4ba9ad09fdc75751cacf55fbb0d8c6585b81c8668f466b299b9227cb5c2dd58161f5378e2e6a7c1bcf731822add3d7677754bb99068d0bfe249c74671f30f9b97933f5384a8aa93bfa438c43c9b2480f703f5bd9cfeae67ebf826e0139b9ee311ac382fc64')), S: new Uint8Array(bigintConversion.hexToBuf('cec09bb99ab546462300ad990352ec27')), c: 84, dkLen: 128, hash: 'SHA-384' }, output: 'aeee4def47ccb5450cc380b19d514087dd590bedbf4466ae723adc7154a3573170b8597786256b43e9fb54f269dd42ada26a27c5f2fa64d10ffe76d16a31d16f8ecdcfd650d3d70cbe2bdd85e1fac50add873c8abae7cfafc159782e2d21bd8b3222ee1efc3e08260b2c30cab8acfacb7cdd41e637694e0fbbb2733629d79350' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('e7728bbaee38783b392d0ddbb7f1e6c61e05ef12c933f7aa4ea14f366c542126ad85271138e6dfcdbbb5681f05a82bb72f5df4374de373f05948228d0d7d3bc7afb6002ad078b1b6006ea4208c61e60da09e8748b62756aa2848ee497eb137feb476ca0c0b48637e30f9a7feb9a8d149b65e633d9cadd78579547618490342d0c0bb0c481816dc085087c61756b03ca74be47fe6f30ccfd13af50b492fd963a31b4f3e2ca6b413d4306a8fa96e0e4c73d2293fadef82ff8731d883ebb2508165a7382ae29b690959efa73ee4ff341178816f44bb4ba9ad09fdc75751cacf55fbb0d8c6585b81c8668f466b299b9227cb5c2dd58161f5378e2e6a7c1bcf731822add3d7677754bb99068d0bfe249c74671f30f9b97933f5384a8aa93bfa438c43c9b2480f703f5bd9cfeae67ebf826e0139b9ee311ac382fc64')), S: new Uint8Array(bigintConversion.hexToBuf('cec09bb99ab546462300ad990352ec27')), c: 84, dkLen: 128, hash: 'SHA-512' }, output: 'dda444bb1f1b60438d925d484e9fcd661670e470c7d944c8048fc58c62375161a29757f2a3d7df007dfe2d2e97be6fe68105f2d3e0bc7594e80646c63a7d388e1d46caf5d0f922d646625913d8b00e79f68580b5e369496c0f44466d2b4f86ad638fcc6007202c7880d1732678fe97ec9a2e7c69f6bb1db69f2f659f6c773f64' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('8ca73faa1885e7ac0e3d93ac83071c56dc7a888b373d53123348e94da3e2dac1d625d406f2cd9f7d5c23ea1a6d9a8a85875e503cd442aa68aea4f715512f89c57031d1a27d2b8298d1264b371185e150d5301b53a56dae')), S: new Uint8Array(bigintConversion.hexToBuf('348d43e1de79518afec894758f7418e0')), c: 124, dkLen: 256, hash: 'SHA-1' }, output: 'd751df227f87e478aae711d6da99939f2e5162e1608252136e4db094f7511fb948b38ffa14d1ed1cad83dceaddc19ded5972e691e141b7fbbffde921af52394fe3d65b2cde583ce8abc1dc790d51dc255f6198f10de2af7b7d8b58a50c9860d77497c3174e29fcd348a9e2254e7fd57eb620a27a054348872986b8c8715453b200d8279c403bf48699f84fe47d5f3bd503af18f5c35e7c4f487188dd1454725186f8a3bc60b1dad01717e01dbb4548e387b1d91871254d447496b46475e4b10857c947e1a8e1bc8a882f188c2d9b743edb64370f3055d88608233ac8ea0ce342d3c2f2ae379e335a942c79661d2e8f1c0e1ead4899ce252702ce34062a083fdb' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('8ca73faa1885e7ac0e3d93ac83071c56dc7a888b373d53123348e94da3e2dac1d625d406f2cd9f7d5c23ea1a6d9a8a85875e503cd442aa68aea4f715512f89c57031d1a27d2b8298d1264b371185e150d5301b53a56dae')), S: new Uint8Array(bigintConversion.hexToBuf('348d43e1de79518afec894758f7418e0')), c: 124, dkLen: 256, hash: 'SHA-256' }, output: '8244c3fd84a220b1de5cd410fe4ce446598064d1ef0117880781e92b7e57b02a192cb684bc1d59135f81bf03f50f84e08852e3e615f6157dd4fece33ced183fe4d66d922c9cb3bb02fd5ca7fb0a76ea2e2529be2cbddf5fc44246e81bd29d1caa9b85e0b536cb3dbd69d55fd3d7de0eeb4a3bd6c8b45b9b44fc0b1e37453a4a66298a1732b0c00d59097e3fca56c235cc385fcdd2a0ab7d9d028f715c4abb4bde72c83bcb49b7f3932fa8fa58af269e3249df8cfd0aa23665ab283357e83e93543ee266b69b04b14a5b0feb264c7e896a22c7fcd0bd53a4e1cabc7f8ebbc0ad53c77e3123b82daf0906d9f6aa53a573e4d4194bdb9c450123247e7ba58ad38a7' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('8ca73faa1885e7ac0e3d93ac83071c56dc7a888b373d53123348e94da3e2dac1d625d406f2cd9f7d5c23ea1a6d9a8a85875e503cd442aa68aea4f715512f89c57031d1a27d2b8298d1264b371185e150d5301b53a56dae')), S: new Uint8Array(bigintConversion.hexToBuf('348d43e1de79518afec894758f7418e0')), c: 124, dkLen: 256, hash: 'SHA-384' }, output: 'c50175c14a6080a83182f6f5bf8581f09489101be8af4e6acb2acf723aa74392a9df2a91b636d34417dcab4b0cdda698fd54fa27132b3f3ee273400cf2430d4a48ccd63eae5f2e4964d901eaa34228e2ff33ecd197ecc9c3ab7dee447273b7daa8335e12fdeefe6600567e1c4a8e41dffc1d583ced1df4fd08e323fb23dab30c74e39968542412ab3292b14708d8b8dc1ab681ab57f9b31d1a35a13fa380b5f8cb96aee0595ef366b3e83067171ee19fe1c1ee1d581339f4a25a201b765d90e543cdd9ad0fffbbd125eb4702a853461b49daed980534742638299292e46ad75aee4cd5edb91f2d722216f9925b83cb44e25d05a51e4f23797a239c3d2d54b309' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('8ca73faa1885e7ac0e3d93ac83071c56dc7a888b373d53123348e94da3e2dac1d625d406f2cd9f7d5c23ea1a6d9a8a85875e503cd442aa68aea4f715512f89c57031d1a27d2b8298d1264b371185e150d5301b53a56dae')), S: new Uint8Array(bigintConversion.hexToBuf('348d43e1de79518afec894758f7418e0')), c: 124, dkLen: 256, hash: 'SHA-512' }, output: 'f9613a880e63d6f050d173e5270d60f6a8ea4944ea1b7e775771514e9507b593db35ca242d930c94b86718bc260a79d4d0d9dad9055d48ccde48e48e6522e959499bf8440596359aee463472f69218f4be5c9b5e7cf4f183832573abd01e72ced164def5230d3cf7f73c20b8d996f041b0447147d7d25b345761df15a8eb3d7a2cb3b49ac2ecea966e19758d48ef00252f7e700fe24de655930ea19815630e362faf08b93a60bfb6d966a5199f0ebebfda27a1ca077af36375288cf237d379172b2527cfeca31d3acde614ead0e73f77ee7f0e1244d787ff2c08959a16ce0e7626a2c26537582a9fa2767511b581b9020d98fd8372379bab68e088ab088959ff' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('6c450e20c616874168e875aebba31b2582024de19c90927dcc4046bc202512abc2e0656a19925cfe7705652f0c3595dcf67c3d4283352f085f118c5e01f6efdbf2b427a5f682ac43e3cf594a6e8bea5aaf67bc6c7bb0bd4b270a5119740a9bd628a62872b7d8dc7b1255bfd1cdb5aa5db5c859ba86e3f7e31aa1e74b9b52f3a5530af11db97d7e3e6e8bffec210ae8031613584f3c7020abe43a589826ee70cba6fa0bad0b46a84e6f493c')), S: new Uint8Array(bigintConversion.hexToBuf('41e7f80ccde6ed62564a8825aff96e6c')), c: 394, dkLen: 1024, hash: 'SHA-1' }, output: 'a74d14dbf3a9e1625911159a4c5c63e80e9b4be62a5a31dd32a29dced8c6873000cd5cad0be5fdb12d5feaa38e119f1c87de0acc322d51266fd2c590fc8d94a1f05fbaac80ccb1e52569ca9fdf100f6187bf80d9ee451962fd59c640c9d166111d201d5149577a2781b8baa8a4ed3bfa94b90725e270961bab9266f2a8a4a7142783670fd0864f1e7a7a3663cf41f64ff34c701399d7a59d6913d85c90042538a1dac3d56a93dc3422c45d115afc4506face57baf6aad78e9adf8a48dc8ca0ede6fec22ec47777ad04844c9a371742507f39a87799391484cc0999bf6da8ca97b27f3168c4220d35e39eee0752bfc210867722b063ce99f6e2c8ae699033d3185373ddd09fa46452ba23788409b56999fab267849ddcf32d111b457cdf72a2f57344af037bbf2b49b05a7e7b6892d8df45f5899c13e7578e7b4ebe23044b5bf286d6815a1712cc730787a48e9a9f75402d93362c95d3a44c52acff0743b001dec293416fd6039be4c7f912433853a396c2d72865633404c09f6b0817ed147b01080a3ce50a20c3dcf9b5f725451e32d1c38431e79a83977a5e1019960d93605fb8d4b7fc3e89517b4ba8849c9b6c661a1eac534f42b3a45654ea96ac187fef24311329c400fe088eb2e5c54deed1a281ef8dacced42c98b654f1f9702d30b789615135d9535158abe8e4a3028076bb1f4d2547f8da487f26b2f40cb72d61f4aa56ac96f99a62d06d287d24fd7165ac59b100e3cb1855f473fdcb616093edc0778583ed542d64718f0fdd52e3206427b7b24621a60a3ee40e075e93c42a1e7ff0e2762659b32f90c165573a1afb97dc3c1772ac50567295a44b52a695fd3c75aedc525f80bf247d4d362bab13376a7b580a3b8e5e682f304474a09dab2c5934ae07cc384b631de539dd07ca38be1a620c6011f926ac8c0fd61919437551ec3742514ce4b27242ef792010a87e1e1c043f0e3d72893ed48c2f60f01f4c23996049b8637b7a6ede1560c4b533d6891866e7a566b0ae4dff947d8f34a6790405b483d662570ff3ab91fbd403fb09ece1d2983332f0b97f94415a56225e042e1a63134b38cdab567c46353213dc9b71da55bd1bc2e0d704e1b458084c103ba1ecfcd08b377d119c3fcf67b8fa7c38c857bf3fd26fc68a1c73fafb14ada3f64c849faa5641c573b4cb585f52336801f708f0ae7399ef8f69bd9953ee417e58976a74e558ea78cbbfb71f28919acf88e798d0e65edefb50979d909604dfe00976c79662991656942c4f231cc00dd3bc4f3bd6668e04a44fa2b684b9fe08d627ae7c85d193131b71e6f272d1ab8f02ee8432469c041449ec88fb9788bf6f5e025a8b4182596218f2da2c08e1b44b1f77aefdaf173303c8cbd260ce3ea3804a752911c73927be98778cb62a0a13f51932b724b86122efbbab75fc356b44bf5998515a575d' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('6c450e20c616874168e875aebba31b2582024de19c90927dcc4046bc202512abc2e0656a19925cfe7705652f0c3595dcf67c3d4283352f085f118c5e01f6efdbf2b427a5f682ac43e3cf594a6e8bea5aaf67bc6c7bb0bd4b270a5119740a9bd628a62872b7d8dc7b1255bfd1cdb5aa5db5c859ba86e3f7e31aa1e74b9b52f3a5530af11db97d7e3e6e8bffec210ae8031613584f3c7020abe43a589826ee70cba6fa0bad0b46a84e6f493c')), S: new Uint8Array(bigintConversion.hexToBuf('41e7f80ccde6ed62564a8825aff96e6c')), c: 394, dkLen: 1024, hash: 'SHA-256' }, output: 'eb035395128b91a7c8b21a33108d08599d6f9532086a0c166e7878862907f9678a06de174de371b50d459161ec389f0e85f7daa1bf2f7ee367da1ac8093e78b2afd8ef57b2c7e6a966f24b55d95c84c119ee21d543221bb796007d05d258ff33c5717d58630d919b94aa5933c726fb0bae0dab0249db90ed7f7f5581acb57d4feff0dcc0fdeafcef9577dd5340cbf7860f467146be55cd4af060c0de1caff2f38512be69205ddba916c7748ccf69b01bf0e914078069af51e0c8853319524b219ae7dc1fee53a5ac2d79a327889ae6528d4bab514cf19579b507791ab4a855e11658716fc86ac775a042619c26ffc62c36dcc5224010954f27e03b3506c77c24f95922bc6518d19a2184eccfed8d100644710c759d8f9bad862ec249f4325ef721c05bfb3c633f36b46ce67d1680e9a75ec099aae064e2f689b53dec939d35fa5787ded5ea69e243ef65016c7d3e1a49219c047edd028049c7d9ed2a13e929767d7e1f42d26fddcf6b8f8491ab35898d996723252dbeab4050a684a0a5e5523a385a19878f606fb3c9004c3fb7ed9df5b95da32b2fe83fa75ce365d0d011bf99121535b582600e60b780020ec835d24b2670774981f62d5de6a704e8713e3f2dce25b9e703bd6f7548eeb5d9dab6824ded3d046fb6f90c421735c845f4e2bed1ac1d9d1e409793290d544fd501a7998b081948f726f3b654ffeebf6545817d3c84a85939cfb6dd17c46abb5674491224e740ce9edddfb5625b8396ee7318ff38905241ce44942e25a7d27024fb9393a926de5a1d7c661f7141d05e647464d685be44b7e04a19f6563bd5ae7eba94c5fde0d08b0ddb82796c63c8f5d088ec1f715939a4aad1407aef0fc8180ce48617439d3e2eb3b25a9af143fbcfbf90bda4dc390624f6fb5cbf8b644ad4dc57375c54278849b3fc1ee0d3b967a44ff37f44e650dbab706b16c5f5b4c7f9f66d14d905bce8d68e6bce93bbd540271cfb352f17441248b8f6b6522bba7ceed54e324237a33a01213672a368c082cd0a3131bef273ecf8f6b6d28c11a29107146cf465dbd7456d52cb5cec0d28c22fc1f7fd9e5981f90869b53aa496cb3aa791fca77920709b7f9f4756f501c1dfabdc420be1e104ed7906f76a778aaa07116ca4db13ce02e0de26298235a9bec9cde3b6b35aa677d984074a8e74ba598a7b0393af50f602075c37dc5099643498e91aa8254ca2c533a437cb0dfc032a45c1aa15c18d1dc8e2bb6c20cc08ef306803557844b29a9406395ba0a76ffa2dc82a718f76dd22753183dc1df4d4341db3dfa4b5cb6b3fad19af5e283b97bd4b7b48951d2d2bb3dce8503a42f120297f09950c3fd7a4d5f03f8da574cc4f03abeb4adf08c7b42278c26c2e3a9dad8bf375004fecc45bb385394b6a49db9fa933181c67951122ea5f4330bb256c1934fe4ced2f31d0d144' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('6c450e20c616874168e875aebba31b2582024de19c90927dcc4046bc202512abc2e0656a19925cfe7705652f0c3595dcf67c3d4283352f085f118c5e01f6efdbf2b427a5f682ac43e3cf594a6e8bea5aaf67bc6c7bb0bd4b270a5119740a9bd628a62872b7d8dc7b1255bfd1cdb5aa5db5c859ba86e3f7e31aa1e74b9b52f3a5530af11db97d7e3e6e8bffec210ae8031613584f3c7020abe43a589826ee70cba6fa0bad0b46a84e6f493c')), S: new Uint8Array(bigintConversion.hexToBuf('41e7f80ccde6ed62564a8825aff96e6c')), c: 394, dkLen: 1024, hash: 'SHA-384' }, output: '4126c44feff766e10de1dd4bd1eed1976c8fee39e296069a637a341d8e8f00cdec2626746c3b919ac292cf90a12dd3c7edfe81d2305c1fa771310408f3eb4b7d03226bda158b095639542622005f9decf854a31e1525a6ff4ca2f4980e1050d1e12b6738d107c435e96608aa9b35a87cef1fe0bce738babe55c39a42537bbe022b125307b712f5526ded8b6d06f13b8f3bcd7ddc12b3b593759c34abad5d87d43a67830893139fdfa5cfc2acb3cb42a1290b810699b6c1042a97156b9403d7cac4821abd371a206dfa467a0b9f363618e6a9c92eee24f6623ee879f94f9d6780f9b01c6849a212e6db16744fa05f5a706dc7d25f7ad0041c9e6246027bbf3dcd9ef2e23b7bcfcb99b9e04ac2c65bd777a40aa39c046dc991c56d29f7da1b3dc09984ae08c626e157d326ab4d53deace28abeecd1ab642036e818de4524abf3b4dafa4b9b4ab9e01d9be58d49f0999133273cb7a8239182ff8f767a21eb462201bbda7526a5f2b950107d1ef26e20ee27179d3124e446f5a8953a3850f9932c70e3604b0c5a977d6c48731f5029d155c651c7ccd5e7b2b577a1f8197edf2f67a6322350ac8a993ca0bc0275636d489d9c124e5a7dc3f272150f7a1ec4da49116c6bc04ea70a0ba9eda4da5ff347035c3137c3aa7658320d6447150bf8c9108a05b382b9c5f593364d14d9fe7be119da50e212338f54061faba5a0edd3a8fbba56da1e54fd54321247bb77273b206d733f9af6b0a4271270103ee2e4c71419f9f0950bc1c0202161f062d1b4117977366fc1a283bd288cc83ce8c2380b59b387a6036745feef3c5751eb5b1adf67979242e53efac26d5cec2bfffb62b9b4e4b89499fa61054e9a46b63ffef0611c57e3b6bea8ef35c0ddac941036490907fca5aae5c3ff7ba68963e0f1acbc8ed884845ca5726de15e2146d4c66327ad67bf248594ba48b2579be190ad7bf8267fb846a7d022427009afe01b729d25a70845decea378a6d3dee4fe6e9572234bd45d9217ab098cb4205da9928e8ab5b08b81ef61d3dcddec421017d631e48b06e081f3d0d419f4ee54dc1b93b2b653b8f75199faec60c820aa229d481f74fe7dc2443dba622040c6f400791a9971b2d895f8132c4f28cde36a5be0d6f6863c925f25cc73ecbe55b0707e4cab969f81fc44dae1882c0466c70b1777e788f398a31048e1ab3c934b30791386ba67cc63486d968d9a1f91535229024ac76bb6e251ebe5a86a09714d4d968a22a22da214c389d72b3104c8754dc2281013a39d3bd06ab98a7c1e4410dde69d14c79e9cb356fd07d4f5fcb08b4c5c2973a21eabfd6b7c9077840c023650616f3fb703ce05603ec9008d1d51bb1364531d520e735318f2cb47d9e8a82ae45fe7e60e32b0aa2b369acc42dc8fae514393f0a3bb420b5538012ce1d0836ec19bf126360dc14fcb2fc8851c' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('6c450e20c616874168e875aebba31b2582024de19c90927dcc4046bc202512abc2e0656a19925cfe7705652f0c3595dcf67c3d4283352f085f118c5e01f6efdbf2b427a5f682ac43e3cf594a6e8bea5aaf67bc6c7bb0bd4b270a5119740a9bd628a62872b7d8dc7b1255bfd1cdb5aa5db5c859ba86e3f7e31aa1e74b9b52f3a5530af11db97d7e3e6e8bffec210ae8031613584f3c7020abe43a589826ee70cba6fa0bad0b46a84e6f493c')), S: new Uint8Array(bigintConversion.hexToBuf('41e7f80ccde6ed62564a8825aff96e6c')), c: 394, dkLen: 1024, hash: 'SHA-512' }, output: 'c5ab39a571f9e281e672588497cf1daebd093651cc13cd8daab0bada6a16b19d330b144b490c11358023aca664d49548918719d7d7abda8ced22f58c4677e239ba9f6975323bc76155a1249e30cdcf1de74224dd485067b382901c269dd3b2aae97828aac30e9c73e13a9ac0a32c7045b824c60b1fad9ae90ef454abd45df33223432070d3f73a3e2ab58d5a01cfb7345808b1b5dc13b9df27258a56479962141d1cb99b0a31247447f7fc90ba61ddb766e22e847601fd9a8216cd577c30ec12b925066b4b014280aeaa8d9189ae0e36da2499cbde1dc2003aa7b3af834ae4cb69de3301581216199d1a11a453795e312252b4a48bd8b881d296920776ba030d53f91c7d688b3f570b8435e383d286df85f217c942a83e0093fee26c7896bebacc50200b54ca2d9eb5a6a2fe4d41fd9c08b1dc8ed7e081ac2fc3c76012a7afede9b134de65ee427720a1b8584d047385f281469613769d8c66f01cbf86c1ef665e2cd65a13a853a0377191aab981f14fc9c3928421b87c25d39a42468e3d6b38cc6cdd62379755ff03ab0398f61decd4f2248910d53751e6310a54a6d8df487953cb2b9f15fce575b079096dffcdb18879d91f32dc83dc441a21bebe19b7b403d035f23649934ecc6f58460a01e3f5c7cfac8b75efbc16667a3e13b246d8c0547d69229d9800e3d5e338088f78bea143061a23fec8d06fd4e7098f0d84efabb218b6cdab66d587e8ea3edd065f08fad2c6c1bd2d2973e6b56c48f41ed03865a98ca118b8b1c8c197a0769fc9f63df03880e108b6f8805f35ff54b0364c6a57a7ba25c8a23ac9e711ab7be3642df6bb30026bf932f7fae879d3e2dbff088ba981c524be62c606614793709c56530aa761cf060eada27fd4eb9b2043da8ff27b0ffb7a681175ddd282f59ed8ca4b99f429b2a90abeccc5f9f0c1ccbbe786a8014f7b417b0702a4f2a9268caeb33119bb61f51e16bb25bb4a49f62ec80eb5008b26cf8f7fcfd604e7e58d5a29a6f85c984041aa098abbc91c3fcb50391a618a32aad24e1755bfe229146933c33ff781240e0dcfc47190ccfe05bd8eeede5f8ec85380fcfeeebb3e034e9735f2971088dd25fc86545afc34fd19382f24bb45f9a6dece9d366f52c3ec54259a880dbb88b589f68a1166bfa71b911cfc46e903ccf4dbbe81ff095785cfc05bab943daab0e59b0b37e4df4d1f541a74c7b73eee9c6e1071f132097b032725393899bb6c3d3be452a91089431f91f3860493a4b1ac7fc4fde11bd58ddff2c00b013b3aafe5431255d45dce0deef348e9621a47665b6cf0697931df0850c24daf38073232dc773ee45c1b1fc53be80b1f540d3eb446ad5ec12bf9ad6adf0b9760357592994225bbbcb3bf628545d596dbb8db758ff40c4d688b2716c0f50506eccf56029066341625a3d825fdb8146e30315426306ef7e7' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('73c7d15094e710df0dea9ad14fb6ac91c68cc5720f69b9041a681465cfbef80c1002ead9502d4c71d9b074f666b9b848a40fe6ff912d3594d1dee0d846b623b8eaf24111ba94c1385caa3d0f2dd716e3c996f69ca83ed78a848d14429e0b6dc3efa6f86f6292dedcee08623466ab18b2dcc84504294d0ac66e61e52d07d1d9ab972b17d38b94beb83f2fb8864639fc0f33f3ee576f53a10760bd8f414b2aca6c9dc271ad0249b2d07c252132951dee4076c59de55498053b3efd3ce9caf5455b07122863e80be68c18bb053edda1a8c1fc8f733caa6caa9e5441b077a3feda054e076421e8f78dcb80ff498514053dc231b172b8a095b9a77932c6eb0107c285b053bf93dd5f4db0060fcd098861781a6b92f9708a3aa6a3bd5a233bf8ddff5a54d31bf6bbbcbc07eb9b6b21eb5489715e1731fb967233b32ff2276818485c2eba2ee9d9f2539876acb02ee591351a7c059dfe9bc38e8b983defc7f76ba0a05964d3ed8c1583b36bf5c3753b093495d361d15f6db5082845d7bc1ccf7065e9579660083b50c4892c49be8c3ed2b0db48f693e6fbee72f1defde0e9fb2fd1948f4e98b5bbcc41ead2959594600b931b69387c386c59875824d23fd23582346853d626ea716364d484306b118dc510c10913283f6be0eee2f0dfee096d62052696c55efe32ba58148fc4345541facade49e6041e978aca4dc7a4b6c7cf547081c33aa00ae7cde27e17944be83ef12d6607c4f863ab862ef5b1ae3c52664a1cc556455a6c6f96dd74667f652c8bc675cbd24819098f3a5b434f2eeee4f77e303787d6f7e7e8adc08eaa5ef5d0c067f50c8a101234e2')), S: new Uint8Array(bigintConversion.hexToBuf('e647760849a8c1703b2db2156971ce0d')), c: 187, dkLen: 2048, hash: 'SHA-1' }, output: '3116f03f238096b0ca3e4ebb0b2beacddfbe0fbdad5f889936bb9e2a50da8ecfd2cfc1ab0777ea2b9eef715d9659af46bc9028f286de5ef3468a1ef97cf8d3bf7fe649318dc2d8f784f317ede8f4395d7dd9fe9d1d9a2d3a5063d675bd757318cd37d818ea3010411a3f825f76f7c412e966ddc75811aa933722de05a0aabdc90b6468c8d8e77464088a50ad5f822f34ec323c7a0edcf6b72f822604c8b3d2f70e52deb1860c44904017bb08454856c660b014b408b90011030fb149426966d49a0370d088117025359fd4ff1f845ec9e5f87a455f5605a874d16c075262c9fb55095b2385bb5320bd62b1e2a2070b6daa921ccc35ef2e2bb5e52729d75e25ce62f4df7bb9720bb3abf204a5d0035737d1407785c0819410dde8e952f8194ca187ad11fb96f0065b528ea7b494f83b1a74d41b2c5ac71bffe7e898aaa3e5c6f6c390cefdd43ced1339b8c76b3bc12756936b5c6ed87848eab5bc724007e479d4fb28db496f4a1d3dd5f64f8e14974cfe9aeff9cf1a8b78870e6e628f4d138d4407c23ae78e26381b2e404de246927fab82d81acd03969d6e79870750c8c938dd518a6ac8720442c5ee2d8731a7c449204b0a225d57083e5d28bcd0b5dcf4762b81831be70b22bd7f58e0113083d425d9d5c00cd1c557fd5e4a9064bced3fd9895015ea28d857ef1c8652c37624bc65c437615946daf08c2b943dfb9d492c860be48b884e1289e1570d1f1b7ca9792d1b62633952c9603eaa7862952e0cf80b97896d1081af98f45d0e1313bfe093e29a63866beb04bf05cef22b17889685812e1847595b28a0715bb5e9e12601309c33926219df25e7d7483119ae72ec56538be9e1edba2566ad2e3fc4cf48fd75a72e01947abde419b0446f37025a541d2c4b6e325f29b4631af91e8944da0a69e296acc5c799ea7c67e899fab297e196ed3eec42b289f0e94e68b696fc932ca17cd3c561536e7419cc6bae46d8532d4b66a69c8280419926a0ee20f85674ffa5c1ff61fc9f0a5600d7ba617ed4cc91ab5eaf5c3d169bb8a8f3371510b949169778e6f8344b57890aed197c82d6594cbef847c823dce30f01eb865de31a2076d6dac69ba481fc77f45bf76c0cc5cf747047ccf27722242fae87bdee85e0e02b232821e251df88d96b1ef59bf01b4bda9aeb6533f7f7cddd7026b8175477156af7c287661e5759135433fa3c330656dd2140763bcca73ce2e2bf2c807c326b69622bd2118cf826f2fdb1390be0c12d3a13669be3bfcaf4efeda9d7594c016842a94f87e6c472a4a41fe64d27da57d3291204fb525df950322d7133e59719612ffabb9af6e920ef40ccb61c75f8b5925cd1f462e3611c745e8849473ffc969461f0df9d88985e3627fa35bb70461ed99e6d89261594ee6b001f8864fe39f5709a11e5016e486f9dc9480659f8c157628efd274d6d9eeac7fdec8cb01dff67b2f9f78a34b39a57c9ae98c43dfb7a6373e921d65150ce8666c71dce1813daa1552d04ac730b1b4b63cc8deb314fe9f62a16c11ca1270dbe6a81bed24c79840ca872537ee9e35b3c8440425f5da53cd7c02be83d6df3f2ebe429f414b9401bdf543130a8e1f6e3a35f4a60c561212834087d40ca27c02e08e23089b0ac313076cb5f3e774ea7e779a1e2e674536cf6853381b615f2208e250945b979d71bdb0e91df6d063c1048dc71194ca739ff2065c1414b0093e9a4c0ec08d93066b56cd03258163cbd1afeaab739f18b1b87eea6379526b6b2e8cb609f2963dd99bb8679c6e1927213b0f89033f2d66b0fda81cc709a3584fd56ca24211ba14db37657e5e66d5f2cc2894e12173248cff27b9774ed04e29ddfff020e34a29e2b1efd6b7b4e62a85a65fa568be3896fc83745e32c1c4a59259755df7d0993f54536fb91f72cf18861f8efe78a613bbe789d380f4b5be654acc00730f0aa29e14e9fa25669c3cd0f57fe911c2923ebc50e0d679930ed63b70c5c0024b85157406e0aa9ced37e0161b5dc8484a184fd3f97d358db999720801c7d908566887344a30fbeee618b4351d3675b8796dc37f3779f7600ef775f515b0ccd3942b305c82a4a564c8f7ccc4bbece39754e9b167f8afbfea4e759ddafa3911c9e5572925891ef97e9fb883f3de57cb504c68eb5a5e89bc686e47552c9bee13d933c83b09c795542bee8fa20c18ed264a06ee07222d465afe5089883d17689f4ecf05bcc32a18712fad52b3aeda3ceba1fe0f91840449d85ebf7ee93b0823f7db2ccc8713f51f3973928b9e152bc4857eb915cc8a094cc60b79e1a7ccc1219cf593fbb6932ae3484db098392ed5186f9bb01ec6d3c4e2913976bf812c1592bb7251ac65a04ba0e322e944a07512a55f1765fe30ce4fae78360d7be4bed38050f5643818ff18331926b8d2c3e17741bdcccb9fff98d669e926828a1ed11c23a517a8bfc56d920942f0b0d1c48949c7e346718666cc39cef571ded8aac8098c04a7c5f9c401850d9cef245025aa0109d2a2e650deb1045042436e9db573277bde70f997a5aa157db1c627b17554a24293ba393ad9082896a35659315770556951315577858b29293431b3b635f2a48ba3570e2a78cc6f01c03b21cbfc8def3735d865cc1bdb1d8be5fa208a7e118d26c7d9d54860466c806414e2f1d3ab9801d5ecaf221344a477d45ad430721c5d1b252fb24cb990937de4f139a917ebcd15bbe145ef9d5a9fb0d63f88c968b550e7c0d3b11453226cf807fb358abf1cf39c2075d5ec9470d2c18d58090e124cb727cb06e15e0aab0c0b2eeda554e3a4e2d075c0643598987d5a91c32ff480f8cbc276914d67c0e5c445e0e0d51e2a54a022d1e073cf4338a22b6833e0098165ba7f74b650518dc66f997b7520e8bf74f0b7f' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('73c7d15094e710df0dea9ad14fb6ac91c68cc5720f69b9041a681465cfbef80c1002ead9502d4c71d9b074f666b9b848a40fe6ff912d3594d1dee0d846b623b8eaf24111ba94c1385caa3d0f2dd716e3c996f69ca83ed78a848d14429e0b6dc3efa6f86f6292dedcee08623466ab18b2dcc84504294d0ac66e61e52d07d1d9ab972b17d38b94beb83f2fb8864639fc0f33f3ee576f53a10760bd8f414b2aca6c9dc271ad0249b2d07c252132951dee4076c59de55498053b3efd3ce9caf5455b07122863e80be68c18bb053edda1a8c1fc8f733caa6caa9e5441b077a3feda054e076421e8f78dcb80ff498514053dc231b172b8a095b9a77932c6eb0107c285b053bf93dd5f4db0060fcd098861781a6b92f9708a3aa6a3bd5a233bf8ddff5a54d31bf6bbbcbc07eb9b6b21eb5489715e1731fb967233b32ff2276818485c2eba2ee9d9f2539876acb02ee591351a7c059dfe9bc38e8b983defc7f76ba0a05964d3ed8c1583b36bf5c3753b093495d361d15f6db5082845d7bc1ccf7065e9579660083b50c4892c49be8c3ed2b0db48f693e6fbee72f1defde0e9fb2fd1948f4e98b5bbcc41ead2959594600b931b69387c386c59875824d23fd23582346853d626ea716364d484306b118dc510c10913283f6be0eee2f0dfee096d62052696c55efe32ba58148fc4345541facade49e6041e978aca4dc7a4b6c7cf547081c33aa00ae7cde27e17944be83ef12d6607c4f863ab862ef5b1ae3c52664a1cc556455a6c6f96dd74667f652c8bc675cbd24819098f3a5b434f2eeee4f77e303787d6f7e7e8adc08eaa5ef5d0c067f50c8a101234e2')), S: new Uint8Array(bigintConversion.hexToBuf('e647760849a8c1703b2db2156971ce0d')), c: 187, dkLen: 2048, hash: 'SHA-256' }, output: '345361e119cab8ec513738ff9ab2815e40f6a271ef3b26da018c622dafa806b88178cbcaa5e4b18b769dcb221572d387aafd9d185769dac7eaf051a72ba325fe292ce0eb65e1cae2c2f32c5becd73825cb8f9ca55a10d0dd6344715ddb45c615fae0e0885a62337394eebe6efb20c5828b02a9919cd3e0bdeacf927873947a2d4e4e4a2e6ae5133ae5d430a069c2ad93e433b7097d56fe403b47b971cfdf3c9cb655ce5fb8d7bab0acf233d8f286890b3c3c65633de07dfc41233011f831a94b4e14812cd91ae0f27454c58029d3cea62ec9951346f847d2bb30ebf06346e98b627277286b8ae1c69a9ae33423277a218fc24800ea48a2417fcae56f759e9b25edb060e0bf4a24d4bbce5952e4e8b075ee7b0d5d3515bba836430238df57ee0865d692aab4ba10bdec2eaede20ca1e3ddb932ea62963744b95ef39aedcc74a4270b81322db974c1d440dd82b7d23178d15fdbcbd99166b5758e0b8ea95bdb4db1b5cdbcff1e6d29b295ded0cec704c53500af5c4f59a6bed13c26d077c37bb7ef8e7f9e4488e8da412c9e548bf4c9bc9879cdcadd2e3fdd4e8eb51d4166ee5ced27510a0ce9e1b3455a43d52aa10306139bcc99c85ab998f8889088ce2dc2e203a504e72323fdbd926e27010780cae4bc8ace788f8f9dcd7c6747f3e1d4ded37335c1017a53d925b4a39cd0535c7d1ed4e50842f4ba39d904637a3f737ae93c40d087452ccdf80f14a4f0a581ee20b9e79d25446945f033b07d8eb5a7f20d07ada168f7f7254db9e8f595183f99330e6eb06c14016a6b2248f6c0f69ecc4492ab2dc8b1080e4236c235e68246e875b9a2741b2aef64a5f821d260787e87fc8736cd1af27943867f6365b49517b54e9e4650d8f8b80778c7c3e0e2907e1b138da636fc6ae95ec4799935a887ef8881f346f349f312c56963cea2aa904ecfa77207381726b4c1129742ef053986d6657a876fad80c17ec804416032ff1056d6fde3671fb7d2064b3edb8d0757a7fdeb1e82852729ebb31b0e4d292d4c486eac7e52f82006452643b78fb4e6dea777b78950ec2cde175963892914e8b88209a5856eee90d1db6cd91d34f15980d7e8ec3f07df65304f3e714eb6990c2b2f47bedfcaf40fa8f62a1e083e4b00ba12b1b2c7af78cbd2fc9d6247685f61a3a535b7026a282ad01448bd796f83cbe8e503f6830c55a2f512ca58cfad21f3f52c01648043b083d26f4ecb6f4886aa83c42504b8fcbd09a25ebb9e91766eca862d1a5f91ca7a54247e9a6a65543e7f4f3fb9d77fc75a29d5098711a78f3b6a4fd9b0551c1e0044332bbba6e7700148af47596218359419d67bae3f9e7b90cfcfd812aa63693c5b67b5daba52198d01c4d42cb96c9617a34bd38cfc392a1c687773045961f6c284ad9a44c84d451179e7dee12b8a72e392cef88acaf1a778296e7cc88301a82d1517218770f24ece95a549efc031df0f35c38533012ab6cfc08c39abdb14741dea6458bdb5f4bd403eebf97edbaf3e9180753a6a0e7fa6ac554e29aa21f8fd3880e443ec3faf99bdea9efd369ac3f97a6c41c8d85511146fd98855abd30673b3af622021a59df20890b5e9f8146ab94ca6d96e940b49527c5db5437cbb4479d65350ab44d74e20242f4a5dcaf91e740833fed90bc58d7e9c85eb6e94ebbaf7d2a61c5a5cdd9709338ca92b8391374c75c5875674a4b012dc2f94f8521101ab4de8b93907629a101b981a90233828affb27db3c163abfef578f7a4927ea998cc1aa9527e298be2b7c88078239521d0be66679d77cb915128fd7ae870e2d92e0ced5f80a9bcf74ddaa485877008f585efbfe95c42cd9d4e1ee8db7fa2037801cf9a3f86aafb01cbffc83db98f2631823b60fc5d60b1c1412eb815a46c4183b94f5b53f378814b1d8e1a27f655d4763059b82892dbfb1de88ad03786ff66f5cc1d3d04898b7c70eef7b2adac57cc71262b017c1346cee1c9e9436b60b45b2269aadc10414313b2c39f5a34483aa5dd0d027b52bddbb52351c606096014751657dcb569e30e6ad3210d745aeece8dfe74562335c35b8ba31ef6a1920104050f861169cb8b795db7850b21c9c10e049ebf69efd73d1168420d87ab958ec9910bfa3ee379720e5dc4146baeb3ed7344382a8acad8715388392c5d6eb7d0a0bcb30082142ba579594f002a35117edbe236a1c57064c2503afda6ca8193b439ab6193d1d124542d1a3aee2fb403018258acec75bfcbdc80d01b511b5cd724978246eead13345ad0ce076754ea933f7d35e18d9e97b6308322bfbf247cf267eae6838a575cf6e2c2708edf779d1c8bbaea0c8426c3267c77b2aeed1c281836475936681e5d3595f5505901ee3b99a232bbb395af5d6ebe7d0ceac913e399998d283d87f1d12785ec0c576c416d4cc907338d3a197701b7f9e12d1d2a83f864424c28b119e8126c07c23e942d858313bb2106ae78e3281cd00aed1d23f81b16d42cb95cf6e1384f0ea80588a3bcfa5ed83e30595014fc7e1e5009d5834b32acedc6ad74054fd323f69620436874ceb6b2f7d31e92ff3918ec87de0ebcf056fea201f39e34454665623d3b8cc87af0c4cd562ed00b7bac60e01c15af82e6f7bc65e4544ee2f98ef285fc78c59346e63111f64695277ad018669929e16dc3f40c4481084d1255a73b2f0a0d1722e615905b57258bfac1da827546343701d062088fe6bdbb00e94e02eff6b1e658c7f2bbcd0bf731d1ad47cbe2bda7310131685043f27306536e6313896193bc01ade5505c45218fd6dbd6fc08937b49042f189649f4eac55dc0f84ffb2708505e1d670a08badba8475ee6db7f5fce446283a8618f69e6068cd3f55449e529d5f735a1f1fff5766bd1c41e2c815ec311d229b2667bddb78a' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('73c7d15094e710df0dea9ad14fb6ac91c68cc5720f69b9041a681465cfbef80c1002ead9502d4c71d9b074f666b9b848a40fe6ff912d3594d1dee0d846b623b8eaf24111ba94c1385caa3d0f2dd716e3c996f69ca83ed78a848d14429e0b6dc3efa6f86f6292dedcee08623466ab18b2dcc84504294d0ac66e61e52d07d1d9ab972b17d38b94beb83f2fb8864639fc0f33f3ee576f53a10760bd8f414b2aca6c9dc271ad0249b2d07c252132951dee4076c59de55498053b3efd3ce9caf5455b07122863e80be68c18bb053edda1a8c1fc8f733caa6caa9e5441b077a3feda054e076421e8f78dcb80ff498514053dc231b172b8a095b9a77932c6eb0107c285b053bf93dd5f4db0060fcd098861781a6b92f9708a3aa6a3bd5a233bf8ddff5a54d31bf6bbbcbc07eb9b6b21eb5489715e1731fb967233b32ff2276818485c2eba2ee9d9f2539876acb02ee591351a7c059dfe9bc38e8b983defc7f76ba0a05964d3ed8c1583b36bf5c3753b093495d361d15f6db5082845d7bc1ccf7065e9579660083b50c4892c49be8c3ed2b0db48f693e6fbee72f1defde0e9fb2fd1948f4e98b5bbcc41ead2959594600b931b69387c386c59875824d23fd23582346853d626ea716364d484306b118dc510c10913283f6be0eee2f0dfee096d62052696c55efe32ba58148fc4345541facade49e6041e978aca4dc7a4b6c7cf547081c33aa00ae7cde27e17944be83ef12d6607c4f863ab862ef5b1ae3c52664a1cc556455a6c6f96dd74667f652c8bc675cbd24819098f3a5b434f2eeee4f77e303787d6f7e7e8adc08eaa5ef5d0c067f50c8a101234e2')), S: new Uint8Array(bigintConversion.hexToBuf('e647760849a8c1703b2db2156971ce0d')), c: 187, dkLen: 2048, hash: 'SHA-384' }, output: '6a108cbe9c2dcee71d4034144757f028c7cab1ecb286e708f64d87cd1116f490d877691461f68af703846fdf6a8697f6b75e492cbc397d2f5bcdb6ec4f2509da367686e6fe7376e0d72124fd1ed9332cf0357b634881c3a911f1fb4856e6ce53e82ab745ffac9df6f4568f598e35dae0da00b7c913e21780174bd54c21ae67cb17eab1b746e26faabd7c1be87b2f4cf5e8b83edb1b38e3d28961205fe80f53b69b4595e47521b0ce7205c4363f8ddda7f965a46bbc5d947ed90d93cd519731051a65c904be3fed8c9d140b639a0fd1843888edbd186ba31e0f506f9f13a2670052107c27f6bcc7f596a551e7a24a8a9e4a862b1cac87e05914af596219a1a2ae7905b2a21a13f207096ebb01774a03983adf87801eff263c3b70d4569368f50b19acbe7a7316fc675e1460ed0bfb5ba018907b2744dc7c07bfbe3d1a1795ed2039dec7d340b09f842ff381eae69fb846fe35547538a425389517498371450f797c5a0957aa648735d101dfc2f553274a584baadb38d110cb7f96a84bf235960e6e54c9011afdd948f76d22eca3c835822482cd4d86a7d398cba27f9b1ed48c54adbc8452d6396c72a4a16ff8dc430cbb305b7fb14f03da3b0f6edee2b5139eb9aad77a2874eb6651c6e669a8e2728be56bdf7616fd725ffef886dd16e0776130e91b4f24a0b98eb51a0bf1dacc2b655b8f0122502a7c01d4cd20e97eca433a11c23e28deab40e060e25af80a5eccb9447500eb3d041cb3d519ea2012a153a9dda3ecacc9eb2e2729589650cf27a2809e9c91806a10b49533a76eff8a305efa41b0bb6743141599c9b469b82669b5a0652b4952aafdc23ed34e377c49b9829a0358a63e3f606aefe4280c639167d6c836bd517ea3c5a90e5efe32690a7591cd149af01bd3387d0348df7478833b2c86f4ed656246eacaa92024ff71cd52e572629f43d652c72db0108d4e766bace79f71518e4f26d79e8c362beef4270c9503185bab9de78b7ef908ff2c995e0fab7200c1dce9831b8c8d804b57e5e0f5c6b0e90c5b7714b814300d37e277a56bbcf4d3fe1ad3c3495c0cfb42b54028d33a2f623adfd576a3d4a80499e037168cf1c7ba02502ef490dc66a4a572e19b785a79f803c711b954fd0116463f262f2804a85f61ef27609614f0fd20f3d38e73c7b363707c84e04b359b360bb00673050d1c90a43b8f2d5414d61bcda44ff92f53c3530e12ffc95111668e9dadd8ce59a1b0938da1559d3ed294ce7bda7493baa3c9d105c94fdfc172099ddb962df05c7bd4451f5b39702cd3e1376b6da8f32ca9d2ae737d19baf25335fa7ebab72fd0c8613c856f525bd8291204505a65f55b0adb5cf97db289d5a59aab7a6f6c0d5663e09a923351b7eaeb57bdee950ef3ae3e47db82ce5cf65a12382a778200d663b89b00bdee409ec7dc0eb140312ffc9736131ab317e1e49a74477281f448825a3bf54d0d956c39e49f62feb9b8aa9f642138259e3e21d855f8ef65ee2a4482c4dd3323121f686e322e4573474c3243f7b02b8d9eff46e42f05b92a7a16fcb21a06654231fe1a7b04c1ad19083ec7e50f9a635e6060940efbc8341e6e91a1843c3a4614277ca2c0a700cdfe2e60f567dbbb633919b12dbb9605ad33a8cc20130df408b4273d7b21c90f2910d699546550485ca32f4d6c880d14be4e5f71c71929e1942f4cfe78959fffc484436aa09b1ca3b53f953cc5d34fb5287568314c0285fc60cced9d510968b14e0adb8028bc62276cf5db9adcaae95e69720cb3ba7454e4ac4cf90be19b438cd24f66a5ab47e23c61205455691b3462d9864b64736b984213a2066f2d556a5cee7a0ed57d6b8a2d0f5b3e7df58aef394179b7622a7a66470e26685033ecdfc6905bffc966e469bbcfab7833e8318679f7065a8b7903a5845e68fcf07f4e91042b51e28466474699cc650989c92c091e920d71b3380f8c28d51a21aaec5841719783501802c55af3545763984dfced034426a78de28b3c289d0aafc0fdb9cb270f264d70d46ca4ead2e6cfeeda5d1c4ed7be9016151701a5b2edf022e5f169d2587a0bcaeb2413c52d70a2977e1b3af0f14e638b791c2c8aa1829425fe62802b4774a00e94f05e5f580f026fe77202689a73af78b83a3c82a24f07a54eed4ca7b3a67a24ce6421597135b7ad112ec5aef341a800189f970b792b5003dfba6f40a6952b525cba127327c4a29c5014611aefc57a20f887986f817652ce6d4e47fb8ec963025aca015f53f1cd61ce4317858a537aa92d8307e77e1e5aca5c5abbe13c3572dfb11e687208c05b340a739dfd0fbb97b928e6cf589fbbf40dff820cf349804a94415b8e2ef0fe941f2cef90c8e7e83dabbc276cc05f9108df628e9177bc846400286b246915bb1226d7fea043d1a292607e9d31533134c0edac9e56f57c2076cbf8d65225b1250ea92b13bdb38b2e31f487ee918414b2d54cf0be703542ab2a87ceebc1c945c657b07fb41f8390c5a76524ffc27b3e6a030c87888c18cfbe3d230340ae843e466b16f6346be17c4cf5467a6e0e7d1099fdc237c1307431bf50c0484cb7771808f447612d26b2b6431fa75b6b3376f9053fef8e407260daac7d136e852fad2a5f95db0ffc048ed309722afb6f9cb6fb7572f02ef2245f98f8586e75b7b0ab4df042a36572ba6ba21407c31d0910f60320d39d20283e242de565407e8542d56b90c72c1770a3436c1932d8bf19b65a5f55a49bafdd0cc638b4a3ddc325182e7d8e4f7c75ece2b7c0032b514741ec21850807d405b4a4a6612b6f2acca0b7bb7699f5baa1da2d3d0dda4dda2c5aa0e79bc1073d61bcb9c9c0d81ef87d7b2d88e12ecb86f99b7f6bffbac6d713fe377b510ca1682391cac447e20f16eede7c3b313a' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('73c7d15094e710df0dea9ad14fb6ac91c68cc5720f69b9041a681465cfbef80c1002ead9502d4c71d9b074f666b9b848a40fe6ff912d3594d1dee0d846b623b8eaf24111ba94c1385caa3d0f2dd716e3c996f69ca83ed78a848d14429e0b6dc3efa6f86f6292dedcee08623466ab18b2dcc84504294d0ac66e61e52d07d1d9ab972b17d38b94beb83f2fb8864639fc0f33f3ee576f53a10760bd8f414b2aca6c9dc271ad0249b2d07c252132951dee4076c59de55498053b3efd3ce9caf5455b07122863e80be68c18bb053edda1a8c1fc8f733caa6caa9e5441b077a3feda054e076421e8f78dcb80ff498514053dc231b172b8a095b9a77932c6eb0107c285b053bf93dd5f4db0060fcd098861781a6b92f9708a3aa6a3bd5a233bf8ddff5a54d31bf6bbbcbc07eb9b6b21eb5489715e1731fb967233b32ff2276818485c2eba2ee9d9f2539876acb02ee591351a7c059dfe9bc38e8b983defc7f76ba0a05964d3ed8c1583b36bf5c3753b093495d361d15f6db5082845d7bc1ccf7065e9579660083b50c4892c49be8c3ed2b0db48f693e6fbee72f1defde0e9fb2fd1948f4e98b5bbcc41ead2959594600b931b69387c386c59875824d23fd23582346853d626ea716364d484306b118dc510c10913283f6be0eee2f0dfee096d62052696c55efe32ba58148fc4345541facade49e6041e978aca4dc7a4b6c7cf547081c33aa00ae7cde27e17944be83ef12d6607c4f863ab862ef5b1ae3c52664a1cc556455a6c6f96dd74667f652c8bc675cbd24819098f3a5b434f2eeee4f77e303787d6f7e7e8adc08eaa5ef5d0c067f50c8a101234e2')), S: new Uint8Array(bigintConversion.hexToBuf('e647760849a8c1703b2db2156971ce0d')), c: 187, dkLen: 2048, hash: 'SHA-512' }, output: 'ba6f755e3ff2d48b7134febfd1971a7b7dcd296fa9ed796f0114f284b1cb95f99aa5db6e6ec5f658bff2afa422eece9c4f72cd20ba8581ea98ce554a54b83bce64fb06c7664ce58b8cb07458ed6aacb57e80a5a31e7b9cd688fdd5e1c9faf11e9cc5c777caa12406befddf60eb01b2411614858c565f1585baa8e42d7e5d03ef775d3c209f27fb193ddd25840db131382a70669039763291be4b82562b73709702ab8793edc79c92409235a463a732e1f27fb8787987858c1f527513127696ae9baffbf09f54afe14f9b3f5f5c80facd5f0075ebd5b5614761707b096d13f542366372088fd2149ac8ed5334285e0b13c709ea43d4bcb028ff8e3ecb65ed2c2c47091d84f7f6b67071b7fe52db90d30f1859295fbd25b935ceb7683b22d637bacddaf0a4f0c7903904c35a6b5c4d0e6f2bb762f8cfa3be40110dbe0cb888af653f3bb755bc137cfd980ae8f44b9ad5bd21a8a4230d6a3a23f29fabde6ebb67889edccc0dece0fd4c21bd47bbc99fdcc0e29ff0e7222ff2b43b8322412ee701b864e6c324437ca893e83da7dd5db4eb7ab3a276d112a3ec1a06e6d6ead26fd309c2ee8ede009ec5fe94c99c1c0cdbfc67fc9551a5f66c5e6923b86ade581fd7a09dd223d99020fa785cd567c69047ea93b6b4da03ab1db7664ac73dd2be59eb5a2cbd765d5b345017849976be40f44f6f7d69b9ae283b94b1b60997265ab99bf82eb8f02bc2989b5c528026b978efd46aa1a14a3f740579a1918d28f969f8c05a8a544830398695af11fdf97aa9674fd9b9c3486e0e74c174ed71fbb4274692f018b0c12475a86432726b72ce14b8131c34263f559fd9e543b698cac9f51f2256742637e6ca6f56c2254f8ccd4296366a75a169ab277b18cda54b82f93cf2fb09f84492f32efb211d001d16bf84e5a6d9a5cdb0110ee79ebdbb6018cc0bc7d0c6a25266a5cf0cb4c8cb28b01ed4dc39c502658ee273131c48c293eec2aacbc71dd1f5b41682415cf0770a1a7579ddc78376fa99052de3e726137f5ba1dc7e0ea4129651380beb48501ecaa48e8e8d97e0b1149535898263e761cb8180934d8bc4b2b82e8c4cbacdb57e6e06869b8623898f47aab3c1b633bb16f83b0fb5626fad85e7aee1612bc8143ad173b764c797cc96d27370b7df67a4836e11368f77f718712306afdc11ce9e900d8ff5da15532311d9d4b97d0cdb29ab5ee75186ae9427d0323e3edbe6364694cef53a7f8339cc7602cd210dce7841369d06297df1178da4df78aa1fb739c123a7677e653455df377dd653f1fa291aa14dd6c45e0cc2bdedff2cdaf1801cbb43466c7359b88b27260005a8ba61bd80b25226b3d5b176c08373fb49bad924e8f65eb04a45efa2bf22dcca4019d6cba3061c9b62fb341171d8d7ce889d8108efb2c97c19202cc6eb996ea9496d06017cecfd3028f6a1450eac025a16f2d30fa891fe7fbc073a9243694a7ca2d94251440cde90341a06ec0262482dbe96aeefd488b8af84603f3d5eeb9345cf05d5a93b3409641c0d38cc83d4850ccb17cd9e47e8b77a94b41f3799a941101ec7c3b3d202b578bfbc7ab9dbac62ff9f0fec84ba1ac21394c7e534ac5311be8c6aaca4c22300bc6f5d1ae7f56c27e830f28be1000f35016ae80d5045f1c0c9497102ebccc7d946001b7a32ed145953e112dfb7e7f22811ba88f2c7afc9424476f794c8f2e8b9f9547b6a3d9a12289b762731d8ad9c8efb0de36272857163c2e0d03b52c182c549a030e8dc226a40274d27a450d91228df758393553eac265d2b9d485b971c0b94212af31a10ed76395c9ec87d15f7afe4150615c75199e6f34f86167dc83b7faa2c420db9d858ce68533a619622820377b2fe02ae9842d9b937fc98812a60b893c13a745eead74f40e8098b4eeeba0975da32f0ebcbf7d691e5210743a6c792ac58a245f278f6ec0172c0ab07e1e262d76d80fb67b5f9d33cccab6ae1c71fdc760bbf33df15fb14f4f7f2c45277e300755984b5b02ed38141083a2be1b4634c46034cfb3be2266e4bc56b7f689859304fbf1a8d05b745b9d29c28804ea659d515772c36e5aad7cd76baed2b5efd720c716dc5249b978b1aa47096e0ea34202aada5e7b226b4f5c969e1b4fa902be521e484beb726eb79f7f5502e9955be33377bfa126aca7b6b0bdd89b1fde0809c72260c0da72eb7b61f61cc5f7d1be4a6048740a1b90d244e45bfe45d27edfc0a333a4d9677670478a8043f220f04de06675181d703e0b05eede7614c552a6f4827e178d96cc8f0727e3e4c0ce32bbd489784dc4595dce944cd26dcd86c2165fe9dd951fd3968ee4bc349a190efb7c00addff9b011790395a9fb0fafd8d491833c16ee4ee91c872ce9a57a26e8c1dfdde46ba14e72e1135161dce9a26f35f924846b27640ac2facf624dd088f46ab9abd963938ec2324c55f9eb26c1b0282d6a0339b3affab47af203a55298cdbbc1de68e7707b4b77077737a9ef915608cd41c49819fa37cac420b26629effb44a21e2b4fb85e9023ebc7d7c3dc103c71d43e09f24a275e325f7ecb25787b43a3dd66b99ded62e150c780a7abf42bcc254af1824e737acff31a4a039ac33eac5a2cd68b629d3d28e3350d58483842bef05861368657f8f030bbb55ab7b6bf1032d8f6f479cb83b791964b9e18dae64f8dc64112b07b860be6ba5f8e72f305ae6ce3fa7326b5f002f7aa5bc05953e118a259ee953a597d95cac5ab7440f7a46be5fa211eba5272702d6e61b020246e1909b35923b3b57fb042bb0cdf4a4f2c47d3a604d8e147970cb42ff8629e485b6d36796658c1d210fb2bbabb34e04fd77a14de0a79b186505ab5f672e2d99194431f1b8ae85e0a24d811ab648de1f706ba645bd193e24293ce40eb0' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('cf8b53ec957edd0f4cc547460b75e80820d9db25cfe28f691516e376bc94bfcdf624e1a7bb693fa2b2b513b32ba36c7dc2324caf79b7d1e3ec29a757a4a040ceda471d34fc1bbd9ef52b535f1d6568c72039c6eea16d495d8d42e15009cdf0fb2a688b8a07b6b86e13cdb36711f91274457743d8ec701653750cd2b9bdd739e00a96f0b66d0dd1e40a8fe1a64a4e51c40063b08bff66d3cf3e9ca13e9ea018dbb31b8e9f923de1f96a9879708a2476efba8542992bbebe067a78e0e01cef573b49455996f41673')), S: new Uint8Array(bigintConversion.hexToBuf('9149d9aee88a27660c929457dab1491b')), c: 188, dkLen: 3072, hash: 'SHA-1' }, output: 'e7e7f989c00ad15f78bb6b357cf38bd2ab61cd4c61f36daf914b2bd5f9a269cda64b6a6f079431682fe46a8061d1d9bdc0f48fe82f613d2d8c57cb016181e5af252bcc615b2a15a89cb53ea62c9e8a2d6dda0ccf4b87efd2bd523522f33d186bbbcc53faf3636a837db212a4fb4bc95b3afa9fbb3b09b091b5b316f5f9f35e9182f7a624afba01da3face8376ddffb666ce3f14dc2430da1e93a081a7e7a2b8b11d1a69a632f39a5fb013691cac606a21951b546555cf717d367e4f966b1aaf4b1a81caa14ff8f12b95e547da4be6c4c6d39c130647dc81aeeb6944490677649afbb4d5108141ad340a6d27b3dd9e9b058a244a2cae6c11a212f9c7c2141f49520cda4ae49d993c87c02b60a2b0ef82621176f4e3e34eaadd01696c9f38ce906da0eb7451904be7a8348f965932ef8fbdfa8860ba84580036a773660fee5563820648f4b5e665f02162ef8839263ef8319f93215a80654cdc538e5a3203b398df7a717cf920560e395d8cbb54a384b0d370e058166fae95508d2e03b0dc15b1e140b75ef5cc9cb79d68cac8828081b7e72692741a05c7f030d879d9a8923d72046dffd03d65ca3fd0c4c770ebf8f314cbc0c69626cb5a764b1a4e0d953aa077602ad074161ca2d4df910697e3a1f0a3d1d5ab5394a4ac4c82cd17f9ee92fa3f5e3b88dabcbd2625426ff58cf3745e16b367311b1134ff9085f7af08c1f39e98c2e13a8a397c83cfbb53be68e8b0d023e28500b2aa60f0074b7e1fe0f418088ff42db1759b57ccbc3ffde861824b9d815830518405205cbc9f475893a68616de9da5f077f91f8a9c39991c4885cdfc17ba7d648e7c08b3ecf00c5ff446d399f030f77c1378354f31f77cd27cef37f1d3e80e6feb14b23e9d9845d2a3e3fb871b9c7844a00202d629e01b9f5bed8d5a3e63700d9b0c05ddb0c9e5ba0c7dce569c79388b7a02af6225806d62bfe61be05b432fde324800edf36ce4ca21c83d56de69204c36e899fd43e61c33adf79b0096a45ef3273b0aa63be4e979c23e2d24bfcd4930bb72d3052a2e5f4cdce915e05f446f4ef939f33136d3e34de674b6ae51e76e450a04539649ce8e59f9278e155bb1a093a960efc70e26eb13b00c16b5453372159cdb6e150d804e1497f7f2fbadadc59947b2190c232d179b2f8a6850c3ab506e23bcd9196ad82b7c24ec3ec5ec0d59114f0c812e17eadf3eb9fc09e96f85f1e9fb93fc809fd0cbc73b823ffcef9d7496b4adcb34dce35c00dbb148909b327b42f81775e306a3d1469181f7a7d6b2271d090ace4b2ce8181de66b2f5569b45506f4db39883c96719bd6fb0037151edf5202ff5207643e9e9d39ef9efe1add25018f19319379cbbaf12458ec2c213a98c6b6c2a663ae2cf1cfeb496606e987b5db9a74ee982ce47cba919ef95ae0a0c1dfedd00a6c2edfe81163ff9703b187b4cb59b53d920e008bec8c940a977c98289da1c1b9b0f863233fe3f008b853440a184108334c3e1b7f106f5ced255d6fde228fed12da5c3414933b8a5288803c00dcd3cf846b2e02f559ddf7241928af3b304314c451b53002909338f5e3d4b736209ba00570731286fde746f5db32f0e4cd22bcd7e0fa669e41270a50e4ff403ec51e6feab97689dada49192edade4551f48d6b52e55d6b56d0ed1f2a4ec25fb6538778b6ffffbb2864b58b71fa36722b157cc2d539fe234819437adce5c25e1f6fa3f993f3a33ca0ad3dea907e31704448c168531f49f7133dfa590e163f9d1153959616346084fed53c8d0a528d2e7559b31a0ae7253fb8ad0520f904aeb235c3b6306d949f7e608008ae25e2e1b8085f567a13705a266b723a6c44ab4a154f8a3463ade147d39e67a815824c337cfcd6bbaafe3d842603b40e81cc7657036599afcafa7467669188bdf33eac57cfdf1483e6f455a9d41da182d361cf3fd49a57e10955233647ec05c46c1badd1849b90e8bdc76e3901bdfe534d232c352e1c6b78a74111c23d1e902ce8a995f1861fdc4b3454b7ca019759017a1dc1d93737dd97b301e4bb822b70d784bb470c1f0f850aec84db6c1e82554ba99158b44d9ee16341e6b2104f978555cf3321677aef8ecb54118e9479d326e89b44c4613faaecf5b13beab60808de96654afaecd7abd8fac19f86e1c48b2a0d082052cff3e7fa025dfdada7dee9e200095dca89f21115dc9c34a8e431111501af543ef55db1a23439b8ff9949b8045b542d8d1da71772429e899f31eb8c2d97a634ed30b652b6b5140d81015de75ca306b03567e0aca7ff5077f196200e190bd9649cdc7f9f821929bd276dfadd1c68dc4e1779a5f734a71e7a3aa5fe36d463d7f6b2638c9567df0fcb7a5162dbffa3bbda70e672f9a6b3998774819baf37b3835315046bd0dba19a492771b5029f0dc70038de3225e0923145bf37d5dae8a02be424580d55c1a19709b760bbc911df6410c9b6348e510c830ab7ab902965ef057d8822c43b2f772e39d61a5a48f9a94283d5301dde222480eb125296b691d702515af57338b574ceb350c5686900d181a8efc770b4f5d59598f310b5d06741156f465cb249ed197439e7ff9ccb6494df9d6992997a4bae9c0ff61dd1917fd71f8831864d687c1e7c641cf3ab1ab3d0481136fe491111d533e24706f74cfb4bbf8f76024f006bfba56de8b037b60688167538d73aaecd329c2cf693fd19bb93d5cceb8ba93653ff0e375b9cd610505dacbeae8e57d46ee8f5818b445205c860fc33ee16ffe788d3ae1fef3bb6900800853a91e68fdcc83b013c8eda54446649f5fb77376af3ab02649310ff0cf3fc91b6a783031b26756ffad5bd3acb3fdb99b7338914c5a40f27a73b6b97e172d2641c36fbab6a0d0999aecf0aae65c0a9d28ae96fc2f99ada719106f75739b55195105035aeff5b32dba4093cef40a608557367f1612990100daca44fcc10bbcd0f0a6a64c5a708df9cc8c3d3c4630eb5a2a711354855a3007d170020f0fb7318ce21c6f1e46584976f279d4d9e9392af194a8a63f8816b4faa4a0b0754eeba26b310f7907483899bddd5d63a0f507a0bdcdf65a94bc4f0e9e0fa28fd7853d6fbb4f23e0e8628e08fcbedd3a3b4e3c1b5b7d966a3eaa6ecb7b4163dc16f29b8b3dff19a0c22a4c626fa83d03ac307faa6e46fc57bb163f3a05e186589bdb727de02ff5fd493b6096fd43e371aca9d75620fc6289ad267fe8186a795965ab3426f94032a3488c5597101620e136d5c898311493946ed109f60e02ebd32e809bddb354aa42ed0517fda4f94749dc3b57a1c5aa90b81d207a92ec54adfc2f07aeb081b020c394b73d215912e8eac35f6e6443ed94cffc33ad787ba4b888d50cfd554eff395ffdc4506456658701a33bc2d8579e9d5aa542684a5cedab2b91b46fefc2a832ca6c3c7dec7ffb226c222344d3f6988a7ffad283500ef166b9406c92c69933ad9a7dca194a4f530f0134d077a159baefda2b764495adb29a7dba6c5aae6d53d99e6a4efcae99ca5a8e7f84a3cd1b5cf0921df0d8938ae0b00281356de7852be5c18626ddc4c43aca160a8cc410159b15f47f03c3bd493eb49847ab1e7836883d6fcb528d353d0cf3966654b0dc83f1e7e3feabe993f06e4d0bed78fbe52658c0cfbc9b44b51febd0902f10f7dd4ba44a683a59f2f37db8e9131c37a526888313326f00db577480a2d96d80b566b52e4daaf14580e3e01bd46bcc43960fd753e9e775aa08be24026aa1db35de2889e5234cba1c53d8440fd4e4e6f43260ee444e29355d3c928c902fc92118c5fdb37ac695201b0820fb355875f99923bc7d6a9f9da80e2ec44ca31d802cdd611b6a8c6ff65c4f0ab21af43056c3fa0fa7958b5a682e2458cdda08e7702de5d668d8b98a6039334b81a35fc2a2522dbc06bd8f0ec866c2f957efb8f8394583397ead76404b7e9ab7485cd25515b4fc968e210cf364e5cab724d392c1b7ef989715fc37dc1867e91ea5b9006f2537fd3a904992caa36158b41eca1b623b9be41c29dfd349d86c93a7cb6deb8c8297a0f27c2da5ad7114241b79868a822e58dc00bbb7218d3b5856a35b46f1afad8ddd514e2d18c4624be28419c22f47b131afee1c6f8cb5b3eecd254774d3eb3777719257a9267547f05c2749b5cc45258ef46c05e72030ae597a7912db562fb6462c09e9f37f5002ac47aba2051fb16dde8c8c986743e32bd8bf0fa036bf18b25b522411fa4a45b17806a0449e7ddb7e621948c41a4ba9896635a9a2b67feb3f19446736f3bc04741216737b05bd75ec0b28833db4b091a63034330d106b0180ffbff0e4d1073611ec62909712f127ab64f04f57d88f144ca9d0' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('cf8b53ec957edd0f4cc547460b75e80820d9db25cfe28f691516e376bc94bfcdf624e1a7bb693fa2b2b513b32ba36c7dc2324caf79b7d1e3ec29a757a4a040ceda471d34fc1bbd9ef52b535f1d6568c72039c6eea16d495d8d42e15009cdf0fb2a688b8a07b6b86e13cdb36711f91274457743d8ec701653750cd2b9bdd739e00a96f0b66d0dd1e40a8fe1a64a4e51c40063b08bff66d3cf3e9ca13e9ea018dbb31b8e9f923de1f96a9879708a2476efba8542992bbebe067a78e0e01cef573b49455996f41673')), S: new Uint8Array(bigintConversion.hexToBuf('9149d9aee88a27660c929457dab1491b')), c: 188, dkLen: 3072, hash: 'SHA-256' }, output: 'baad4926c5da0cf2290908cd26ffaa78f47c832138e373c0bc625a5299063de082a28aa1a4b3e394c7387a8d45f13cf7439bc6ceb449157b64f9d311f7bd295ee7ef999b3dc51fa06d83390aea43fefa7c7e8914a2acc0f03ed99dcdd205d92f27c2d47c171103a413df50a372b2860f14946c862ad625db3bbc3c9882c28b42942c0a1f1839ded4c148614cbc29fbde401b2e222af2bb56d6173f29429989aa86724f0452185aedd54590a98a40c5170a9af3deb743b5fbe409486a90adf06915dd1a08c2bc0e82b902159e8d70000b8cc9dd15799a2c142525bfe665be27f9fa50c2ee985e84ad84ff90f745eb36fa3160e5b6330332159a2e038510f8a30584304da7d5ec4c108eb68c3e0004db3fe52111ee74537f892f260ff0910772639f3337d8e7f3fa6c292c987e73e8da6970c0a06cc40fcb6de49d7c09c9154f60307b3db9c65a91041c5f74b92a97d3528daa0a644d61153f4bb95ae6bd9811501a8c734aa1ae0bd1702e675d315245a64ed78cb31c65e5de71bcf510f8a35995cdefd08921b5f4ea321d45400b4771fedb90d7f89caee72c1fb1425d354a29703415844c3857028eb8cb8fa1c72ea9590802dc53dea0da5f688ebc3c9f8b567f2ef02a00ca3e4857f5fe39fb7000883054ce5f662d71836f416ea3bc4c684a1f73c8c9afe67332822881b374f1560d7c81c755baf8389304ec3138c74487a570e26910a15fc7d230bfd24e5cc058c9e18fdb50dde559ff6290b5ca530dc7e22e082e37905574c1aa4e74cda6915ed1fb245d8445c09880299d5651e48f5a109169e8d451ddc46292f6d1c6c94afef56490aece0d63505232c4e8027f60ec7b64868b0b059b27307e490edcbb8b0da0d310dc3b01163b4058915d48ca48462f5f23944a2bc82cdec4d0de263ec4e7e1a6b2f5c65b72d365509f1756d9eaea029b6da94a82c6a605bc62fcb539857606d98b4f461803222b8bdd87e5229a4baa02b5a952c2610ddb99fedbb6fdbd42fb824b869c45483b2cc6814a7ee3a872172ec8c4fb8695b0dd691db62b44a15f263f54fda6981d4be50c59e5cf1ad0ed5285fdf219c1cc94deab062b040b4662c1ffffeca282f3792eb2dd25847cf5ba70994cc806a2445835b15dd935f6bbb7799dc9b97577dfdbf9fa130411f41f0788e25dc9aba52315a9df24475f2daa957d22a190aebd99d28d0d5dc481058c8c35b19838dad52daa9710e1b04cdda5da15e7bd75fd7c5903694863a679c408dfcfc07de968fbb2b9307f50d2b670e8211eeafbe73d868c36993f06d0572c9399f471e9bfefd420370d3df5ca8d360f36b48e68b75627d9919aec394ad595f600859ed554fb738284a1054245ae18d5aa5be362741cee7d39419d07488191b7fae419ca10f86404d4f5a1741029097f54fe64300105ca28e7a9fb687fc53f71458b3d2b8c1de3cc2cd4ba7ba6cf72e2ffee0d5136b243f446cb64ad7c57f716170906eeadc47b210ae59c698368957add8173c3746e7f4b99d07ed1fe93a3d0c28aaa980dba551a3edbd3dba33e9a714714cba296da3c53ca436515633fd00cad105ef5d80dd58359b872c2f833ab852bc56e6fb47603385aecbb1b8706ce3deadfe8a68401a71d2c96e4be683aed8369a3da4de11bfcb0e9f51b897b4e4f5476ea1fdb14664282747e56839e5ce30569430083168ed36317fe3ce0e144c6cf787fac760fae8517847744428f9807163dd3f974aa3a124f474ffc2d04fbcdec423d7a66374db9f84c461ba140ed4305be383a3bd153bad0304b8e4ea1a48ccd7d4555b3050fe13a05400394868a1cb894dac860611d44e3b4fff9d821ba98eeb7872d5b36479a8e28ed7f5c34fc89ca59b67f060dfc65c834f1b2a8e8a7b740894708d1c3fbf80ea6290b4f25fe8b437a3ea735ea44324a649e0ff0d88c8d2a897e52d075258e0f73df222534a86a2dcfd81cbd9c7dd9c94b5d09df90f80811cbbe082e0052483cf584214203cb8defddc719de9e34908b106d86301e748448dd057c7161e22234208a0e29c1062f851616fe347e5b7cc1fa57f67b7c03804381d59faaecfb728d9b71e16e943fc3c5771b00625135b609408df0b88b33afd46bb62fd03afa0181065acb8cbf9c9ddda549bab3810c70a99d8420ab13aa8c16c4352a605a87e51ecbfb92fa2d9168f4d57f792f6ab786e4c85e5a7ef365c0147c9a11845ed91d0646bf1218ed26aecf1eec42eb4cfe49153d9fca1dbc2e826b566981a5abe098e60dea78158ce38aaf3256a5a0b1a3107bcbd54ace341973d51e87a074b7fadd0f797cc4b1e8aea790cb84d89b581c0c723fd307a73f17480dd808047a9f3c1cdfde2039af8775ddd85833aa52aba4e026fbb823df6ec6cdea06a5dc80e864e64d44524e3dd9f73b15c5558e4779100aa5e9e10c551231560cfccd7f704f3fa28562d125c3c64c463ab5a3ce4bc51d458248cf9857a379bc877d530a547b31ffa38ca01ab16a50ac73942e6dbe653787524be77ccadf2a800a8c6b09191cee9da6e4956ce4c5c776f7b584a2cf920c7fdd8ad6002c944c9b60a5bfe10335f9dcb3078efbd01ac3261196e4c501f6cc2d89d07a847f3e45fc9e174a71c1dbfb712558bbf4e1de762d65856311a3fa584b81caabca2e46b1769331db9ea424e61e1f721d401d493a3653df95a1330e0dc9e73df7d0a3da52a648592b5a558a15dd124dbbd360914969ebb4a827229d9a0f5684da2e2e0baebec7090b0481f8192508b1a281e0e8f86762739d54ed536d24d9c9e1d6b030c562d490ad9ce4f29f318cb6f2244b830375bbffc2fa5c188a2bb72689f50e1c6d5c7aa148ff1c30376afb00d3ea00c321acbb9a9c86c09a551708cc6d07cb841e40b6caf7a138c81bcba1757557b7f5a5caab37e89ebfe4dc134365a997fd781808769826208bc9ea78d1b13f98de12dc0acc91f5128c5d18efb4ca47bf89f58a76ea238f738aa92bd4ebd097158b67ae198c6813b972bf98bfa7b9ad973311b163649405ef2b82fd8b3885d3cb1891093264408e6268c400c7e9b428b14ec2cbbdcd1607c2192aaba56aa3b0b11e51bc35ea8118ca0215d16c46d871422264343f76f2aadc0a066eb9a07db946721cc021bf30a4fe95fd545c611308d0719d3930ff3fdcc35762108bd0385607fa5ff915535e054174236c4e73baf00001f8dfd19c849215d2a3ceceb1e63b2a3a3515b162ee41e2aefe47a7a7665b69b0a5ea687aad7a916d6712ba80fbb7a87df5ab6c3073efe9f33fcee61c3597a315ce7c4b599df493fba5d6d61042b83b8a39469fee85986b886c7fe1a2e2fcb0453c7cd09c718f65b45a88bca5aa6f6e676883b22b2d703fbded2d901b7775db09995c002f9b4f254f22bd55aaf4f65fa297f2d08a8b6001ba94a28b83bcbc2db45a380489721d018174720f3e21fe285af61af945bb4daf17ba13db75a34ec6ef3ffda4eb8c494bb952c54c3b51e0da41981745c55f8c5ed598b646633b3afb1e8a1a47a30fd2e83376c0d6f1c0c4889fa3decb481cbe6e382d3b47b249e7d3eaa96de3702e472788a3fdc97d98626109ff531502a354942a55545438f47c9c8c5ce93e6c110db536c1a27cadff68fdf3bb9dc4dc06c92f8a21b47f3a4be12d24017e1ac51e63fcb38b8f85f1330b87ef62c54a3d3582e05d6bc9219258c8f607f19ba087d3e4cdad0334ad9b9139614c8e18bd6d319100b4460b1957f2ab9fd9918e8e4dbeea53ab1c13e0e64a53b865cbc47e849a7cd405d7a55d9d56d618f3363f7a14d6549317ddeb45fc883971fd2129b05a001f2584be5e7e7fbef1b19093ff1cd6003db81b47f41f3ef9b4c1799af19b5787f6aed0bd62ddf875f08130b2e25622fd593b2145add65adc78ce8b5aeb5efc6ee9d4a917976c3de9cb07d24113386dddf8c23d484f53a6bdcd683a33db50da39b1cd3e096d4b682f344caf83ea9f538669fd1bf4a7b8b75ec4aa451c4b961f4fc9d6b36bcfdf81481d98c145acd4d5d0c2f5ef04fbef8d1d46551971c80de5e140abdcdf1875b08253763451f265b6fd25c5e01244d2171bad8ca99fc4bebe5b09990ecc1d5a2e4f5b12ef30db78bca6438537432889899d084cda632042134109b8be7cfb91157323d057975c9f4a9b6a0ffbe2aec31b358c88c8632c938d5561ea2094836d7545bae5fc30d262638f133f79ef42082ef4542485d9442354a8ee81ec03e3e9a2ceeceaeed33deeb4db4fa5bfdcfbe1955afe45e3c33593f45e0903639d500a3f9014c16abefbc26ff6a287cf380faa387b34cc2e037c8d6a7458fce9bb76d7a1951299891f573a591542c4' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('cf8b53ec957edd0f4cc547460b75e80820d9db25cfe28f691516e376bc94bfcdf624e1a7bb693fa2b2b513b32ba36c7dc2324caf79b7d1e3ec29a757a4a040ceda471d34fc1bbd9ef52b535f1d6568c72039c6eea16d495d8d42e15009cdf0fb2a688b8a07b6b86e13cdb36711f91274457743d8ec701653750cd2b9bdd739e00a96f0b66d0dd1e40a8fe1a64a4e51c40063b08bff66d3cf3e9ca13e9ea018dbb31b8e9f923de1f96a9879708a2476efba8542992bbebe067a78e0e01cef573b49455996f41673')), S: new Uint8Array(bigintConversion.hexToBuf('9149d9aee88a27660c929457dab1491b')), c: 188, dkLen: 3072, hash: 'SHA-384' }, output: '51a594ce4ff44547f9fcac91f2a9f7208ed191d9446e2c4c545f23ffa9e70267d19a05274e54a45ecec0fa46f59110cdccca57968723ce9bff1400756b0e350b2bf663e38dddd4e2664a2155d42a03eea8aa8aa0adade98b1ed403c301d48aa1c648697a5c6ea55fa91d5fef955252ebda73c27f1588b09c02393f680a6c0f250992b68779f18a3284376e0958c4b8f69fa099f6752d9ac00d4fd426431a7f91d0e9a4506d3a6ba30270651327abb14a663405122c7c88d708a5c9d01c1ad35eaa42ce5755f564598c3adc6375829be391c2f4d3c73ab7a9ed3ba91dce9cc441a02710f7dce9d37910e54d70ef86146cd6a2b73ee65fd0887b8017df6b006c9cdcbf5a799983961f8b4ffad6100396297311e880a7dd1d048ed852c9c458f7ebc502568de7b5d5d9d3640a20710e4c149be21a5d0e23819f0a6625fc4e7619ca6753e7721226238fe9358098bc5c79ae2e5b7556cab0492289f219ad9f51bbd34e5f4b38fd807a817cf17f5e088807d2ad0b365e1fe87ae30c6fe765c62b324cedb43f4ae532c1751451851d9e34bffa05df55d7d84f609eb0785086bd77a21863f69042fab840cdeb2c079a362d331d1a4143377cba523915006dcaa1efe3c7c8b87e524e8be049b13fba66472ed08eff35263ca7cd56934932b90cead3427a5b94c5e7c865ba2664ec504a9af996412ac9210b2fad41ca0326256209b33ae954daae6390921b8fa2df30f419b6f837564ce76cf27bc8d3a7fa240b34c1be35d75b2de0b2e1b74f7ad22a1f3219f9d385641482aad9c0323344101cc5fae48b2f5a6c24f832ffc3859757cd4b94a87cd1b62517f96e26e5abf3e7a81cccbbe761947042b5e9f450b3c341ccb094655ce6277f719ee372b16dfb9b0a85e82895c6561271cb70795ca986516627cdb2d2e5971272b2c105754404e2736d67d1986a092f0147217336a665979e8af939d9033c671bdaba39c884aeb6229143c695b584a1489be364234b2299fbc37d8b51e6da56ed3f8349765d8dbc9a12fb7293f39c71fd39a1ac81050313b77e63e96b3368c99f09971fa939b71f9182808192636f279ac06275e80afb9f9cd7a1ed4cb99a12055c75c16116e24216de30413c2f4a0030e310d2b4da2d800e021d0e5c928efbf67724a6879287058ae8a863d0021d989d10df99a12b312457c9b34f60e06cca4b218e6edae87a7b66e9a4aa2e88be27e2122a2e845aa563091eb4f039ba929e1861a4c0f00d2837fddb4ff28e042b665b336499c6a2144f75d79b2bd68ab0a95e6c6dcf58a686fed83d61cd16a7bb7c8e18f8d66282917aac013a659065396bcdf86eb788923633cf791af7abfe63573567668a340fe3ddae5ea5ec7f63ae5bfe28be043a3978dbe71c9f27bdea7794c5ec1fe3a90879f5af0830de818dfa3a9e1f849713d4da49040729fe49a0a0e98c51a8dc4ab0a53a49fa35081208fd75509aa9ba7d2b3f459c08f7083d06f1d79129b52c7710b17a20f0c8504c835191b52b57e4059e8dddb9ecbb06b7aafd0b81a5099dc89bda78b67010515e2bbd0dc58358619210ea45d6510693506e8d5fd0ac698c7481fba55fcbcea084510605d4b11509dd168f6c75635d1e872d7d3bfb7a31fc927f36988b6abbdd2eb4a3988818b4b14328ba93ba867f94f093278c7c28bd99508d8144909493cd7ab6164b734d734d61b13cbcac722f7d46ead983679f94396488f96cdac0c7a159314d1a461ee7cd484f6bbd1c1e4187c10a51bd77149a991207107b7f48a17cb21a58700dc4e21111b42602302b9388cec374cff99461e3d083190110941016fe3052c800207b7ca2bba2ab5c72339954bcaa67abea138846ef6cdfff747bfc6aa634615d51bb87e6e3a77e67e422c95f2ddd02696ecaac848bb0fdb215438a3b5bd776f479b89d00ffeaf949ca9400a4a7326e9e0bd4652c6e0efde0c03623b2fc7eebba7ab75c765ccb37534d51d92598e460c9bb0dd851bcc7fc9c24be8b90012f2b59fe48e6af75beacf2d2bb92fb7322cc249619855b1f2f25cfa2249e251482c84065b1bd62be64346171e7a6cc0a58c179d5eed82f5ac6b61e81ca4e180e89bbc32f82ec76b15bb93032c36e2f2e214ebf260c5b45bd0e7cfcdd898c860b71e40dd8e12c233f77659abadd708895f5473eb0fc3cd85878c57d98eb40608272040fa641a31b1d097af395dc1d9888f80195672b188c38ffd3e941316c9aea221cac13eaa3283b751b774ec4e50f527609da2582ae587c6323d1d16e7bafb7d5dc5008a5c18bbe1289000b8e03e8b2654e763dcb5eaef98ff22bd0e3cd5af8d70ab516fd9830d48db9f559469e987851bfefeae27dfa723015dd55fe754c1dc4ca3fcf67136db3c9232661d180cd281fb33f73875f7bc19167b92e4a93fd70f1d180bf7f442d0513bdd3e91f425aca88a69d38f36c006bed247536ff58d23723f36d49c0db817b2557c82acbc4e5315b03be5a15a93503c6e7118bff88e6cfa2d0f392b17e05ae4a7f2ecda32f9b5c79660e3014b928f1abef48547958b53a55e1dd5062cf454ae2578a1a0ea77001b568ad2a09dc1ce683475f1bedcc784c523f09c70cc9662c3275d0f42e7c2ecccdbc82a3d1cf7cc0e34d37c0696251f0f034c3dcd0eb0036ddc7d5415dfbde1e1241e6f72f4002f3e1c905cea7bd4cfbe75291a8b1a4f9a28df3e47fc26d342e483ccbf59dd0f241faabf9eee7ee459e1c7f1cc16d428a6b3dc47a87d891a55cb81c3beea417d4c7a60a1d4c22189d95796e1cc30d4c710b43632cef2a291e979ec711e32f43dbf20c43405cf74a0191872daf00c3d20c538d5980dc10ae3e243a4088ddd0084f07bb11cf93a9a572893b4c681c4ad83a4b356ef246e84f81532ae1f60a306f52fb1b43caa5b18c0ae708e3353979febfc2e4e709f02c53d0c7163335a5d644bafa3a42c8200b97df8715f10647b7da89c2f1435bbcb69cf6bb2e01115b6733abc461234c2451f59ef962da21a37e5ee9ace0221c7113c961d7957666e294085ae0dfdad6510e302053e1b630187c28a093efe94146edb3d302ff7477d2e1596e1f0bab07a25fe0358b985ea3fa4ca100354e121342018119761ad4ff33d52b296a922b8214218ad7a73abd508ce28779927bfc9b4f5b2386615c15a17e53bf674a694a9ca91218607f6ad54e55b1667c5e8d1568b59714387d8c38b21d8e1e6568b180dd1dd13eaf4661f7a1abe1b3ab11e40f22d51f273da4940b707cf402a3f61a6301590e39df53bbf2d8e6892185701cefe3f751fa9e6774782328f7415c7fc50903524198a132c80447eeaff99c999d8f30e723f61e7e178839804c901e322a8d79e3684c79db1664b1d090bf57fbd336a40b213fc080c3cac125e3e0c2f143c75eaceffddbf2776d6735d502816eee6c3501596bff3237b686c15aeec91b357ada427da2259f3c9c9345a2383fcef90a85c2abc77d6fe1f5cef86b44cd2ba175f6debe62571e68ad8542c3775ba4a42eab7f95c00213289abc1f10cbaf644702a4aa616f914bd4a92ba844da9c0008a74aae0336a6f5939d1aa9d5acfa555fa940c1b468f7ea261e71652093ba31d822db3521c7d0d105bd89802b37129dfef960a34d33a3d42b35a69e25c7e684ecb741a40f6f17226325bc15a554daa6d7a7144ee4c2229772dc37ea4b5ec57a77fa73c647b3b8a8278af6efe3929b4ea8c1eb1698ee6b52a13e6dbd2e4adb5eed744086c12760b62e612e727f3d94dd92690c305cb2b59e19344c9d1685ddc4dd43fb3f66ed159e9328866962ed3c992347bf2d8e2464b27605f43b5526fea2e3432ead1ab2f89f957ab626786a82635c5ada5aaae1ab6dc564b6493009c7a774ae0f72f3c899f8b1bf426241cb520941cb0df98108f2a2c828c666c287cf185d5eea23b023c1375621732c1bf6c2c882d5a011ea60ca81881b95728abecaafe32c2c5764d311c9d7facf3d06a452bba89ccdcaf5763465fc5f352b98d7cc452ecc550557fc33f88dcb658cd590fa4463ab1225212e6fee40fc92b54b534d4a38c587128ede5c2e0e930c53fd78de7dc4048962ce264fa46f2f2d51b1e7fa7a3920ce2133cf705023b88e579c6c876cd1fd37cb80421655dde2b767cff889f441a67eee8103aa3a40049304a8acbdb067fbc45508f955a9c8b4c5598cf8a286e6ff0d3820430a122b40b8a7e2e5899028868061d02ec55a59b6a2cebcf4892b52fdd31162ffce90e5ee5d98114fd97045cf4a9aead31ca3d49a5399197decbee1f982a1f020e11af8aaa4d73960c7100f5531008075649ad1105c3dae2ffb141b187117c6cb5a' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('cf8b53ec957edd0f4cc547460b75e80820d9db25cfe28f691516e376bc94bfcdf624e1a7bb693fa2b2b513b32ba36c7dc2324caf79b7d1e3ec29a757a4a040ceda471d34fc1bbd9ef52b535f1d6568c72039c6eea16d495d8d42e15009cdf0fb2a688b8a07b6b86e13cdb36711f91274457743d8ec701653750cd2b9bdd739e00a96f0b66d0dd1e40a8fe1a64a4e51c40063b08bff66d3cf3e9ca13e9ea018dbb31b8e9f923de1f96a9879708a2476efba8542992bbebe067a78e0e01cef573b49455996f41673')), S: new Uint8Array(bigintConversion.hexToBuf('9149d9aee88a27660c929457dab1491b')), c: 188, dkLen: 3072, hash: 'SHA-512' }, output: '157548b773151bf60836d9ca927e022b4df315ed4f40c618f00e1ae503613ee25f58b08c2d1cf7562de80c72d5880dd379d58b072c2b8499d171690ea81331dab3e88106d26962e7e49938554eec0a48b1796f0f9d5f7e29ba591c6e85efad6b35f06b40c58bff5c0ddfbe73f8cb7d7d51dad422fd027219b9490a27284325fde58c6a1ac8f0798f393a7dd483297a58ef76da67a6cd1b7eaaf66a842abceeaa5665d4227174786508f80d848b633d23efd310db499b88fdb5801d0d9dd0f446347947adcbde195caf912ed3c17260c5eeaf3a909db926768384584a9608aa5776d03a0e18031e3d1975a5c01d3bfb8f2d75b240a8098597ab88db9f0bf525f73f97b34ec89837ec53f1159f891f5d248d5c7d6cbbb9c5a13534b48b1cdd875b4cbd7ebb0e8969421c2d8c162e314c954f749aa514283a735bf274b845ce117c73f30a2d25665f727bd35397391155b105ae1ca8761bebaa624681825c23cf883fc36011b7f0dfd8d0f9373c9ae35dbd5df892690f6cfe059886d4a01dd0717692df30ae47ccdffcf9fe9cd2b39e8909fceea591b19ff1869006fffdc0e8342e8cab26cc98522bcd231de86d1aa9b814ed9c989d08c6014134c3fdab1946f94bf205da6f2d3ef328ae13cc65baeb843385a446ea80dca458496455e15292f3981944c215f924b463945ba2ed15ca2e563289400ea2fe16b801bfb810ed7253b265e23fa092305994505db3e98760942fb134f995045cd6c39900b962b07214390192a1bde99b99b44d9c1e168a42f3cf5e119ee96721226e147e05474ff5a64f76ac1b27bfae6cd96ca4b15df5eb76c528664fc7e9f181d38b0d3070d0978bfb572fafa8232ffd0ae7322fe73c904b7ddb37896f9eae80a8ad5ef9fbeed101f315cbd7c9429407b01ed5f7978261c4eecc8a5e9d9432df5e74a7ad72a934a8efc4fdb716bb57f3e3ffd1c70ceb692dccaac58e7fd16ea34d481ae43992a68fef2266bca80cbea75f6d8838b95d7c52a5af5c97a1233413b05244f1fd70c3a9bf2f67e3029f5112968439da6177d8d44ae22a31bfe49beeb7d9479f247e4750f114c3ad392716b0d1436452218bd79639e1d8c5e431d866b4d37f32d89197e9e623f02c4d1c702ecf3d40975a71b31a11fb1721a7a7ba2a628a35bab3dcf001b65629d1e4def0486c1fe1585e7601a8a1228056206fa41cb8badfe8fac4e93d67d8fdefeb811ce040ea7f9aca8ad4d937a9a2f842083fc37a496bd180bbeeb2af0eeb0befc89c2ef2a3bff9fb80f7a108331dffc25896b6997844f55ad8a545e2c6c3dd8ad50afaf7731c7c05c3f5c06e475f6fd7c41ea8bee135efca16b6ef320fb6770437034fb386f6d1cbf70405756e36050e3992e6acfd766eef5748b77d42983de7e3161949584321d56aad308c1af05c87b2e15703d9bcab4ab15a78368fa769ccd9d921106e3436be5e23aa635a4617c3a245de4f1c4a0497ff9af3a9a9da738e1a6b5adc12dd1ac678104b29cfe76cf4d91170734e6a5fbc3f63fd3bee68f48f1718537b8f8a6d0dc7af2a4a8ba451ca07980c81f9ae6e142c66234977efb630f6244230a02c4c8f4046e383861e5609554342e1634cf0baa04339988119dded7dde70f733af2a0dba376cafce99359b502272fdb426692baa3bbb5d20d342aeb0f25b5ba539515c9c286a1f0ecc48e0b6d8b05390d9bcd74545f6bf808ccdd085ccdfdc8b0f91f6d9197f4edb27fa674474b1fed64c2af3b0cdbd90a006be99268be750781c8fb31a6f1c567cfd4fa6c25e42d2f87f37b7dae4d02661276673ea5f392ecf0098681259baa603ae3313c70ba63ad4feaf7dbd6377466e2701cd70071501721a1ef3340822bac497533c7e46e376e1b6b83a39d5e1e094d92ea6b9a61565589ddb45de9150f8b9cb8b3ba9e44ef4c5170b8bc0ada06128e410ef169e0810bc228e78cf4b055e5c182230e1ba87d3439a3074360b2ada7b465a103b8800f3cafad79dc624d53d492feacfac8b49876ad4ceee4ac72ea22e590254790a1f4d4572f5ecb81a020bb36e7d7296b5d2330f41999d0ceae28a398b841a39a58c1ed0d8fc5f207f3efb8989ae229aae0880ccf48138966461a90ec2a94a443b90a09af3be705a212585b62fd920aa4272356c3bda74c29e4aa04c058790eeb364d4ffffa00d17d43062cbc97eee7025b27e416207e3ba2e2e302f9f53f5e2fe12835fc396623af28cbbb8f1a092af3d552940674808a12101037ab302427aa461f9ce0570b094338c4cef36b36731c3bc538570a1e594f5d82b900659e65f3e74e36ed60129d56c7ff3edbe3efe93584242c9552c8b83b547a34253b1bffad0d36c9af39d8a4c502b42c0bb66b1377bfbbef741a948160928613f8e260d6c8698964f548e911eddee90b8efcf9ddf928d7c9cb6dc59887dcae3cd83c74d40681984b19a266cc9cd2138619607e417c99e2fcd5fe94f35dd3d73f2f8dc0d28ac622f56c2b7d13c55014ef780c68d9ebeb6fd068ec8ddb8c50ac35cac3a2e88bb93e897d5d69499d7482bc910a9d45dbad970c092bd8cf8e067fe41ff2f27452ff495e024eb6aca5648b02dc1aee82d09a6df3b2b83a772b4f071f54f075738ddae524f638b8da26a511fb9ca7869e59e00a0bf6037475a6eb4ad97c242d12f158d287b3af3c37879878102273c78c10e7c8ddd5c1288df054adc0c905b6a39cd20570d639d3d717cf26abb26820c59ff217c72018adcf61bf53ad1435a6813c209b228c728dbc47862f669c05ca2db4da11cbed6da2d438254378f9678400f6d10a1c255d47574fab5938d93e8850003a23994843c7ca19201654c45ea51b2090c0cdc92b414244a5a0b63b2655a26668a4169ef2154312e51e7411cfd0a26d0d55bd225e9ccf253f9466a525e23aa4c0e5cf3f37559e94ccc8ffda9530c0990ef4416b617d4ba9d505d03aa000551882278cb5461a6cc7d30cdcfc68f6483f0017387e521b3467c31844498879bb493c3b19b4171abe41323b772f1a19c2e38fd2b842c255addd28d6eca4a8905e96d4c639f3cc7013dded20df1b9a02525981a06b377e896fdd6ddfb5d896055934ba6d3121c4a88ce99c685fb391893f61e08afb7509f25fe3041e69bd9983762e4321ae068b22a8d56d02fbe2ecf17d0b1e731bbc423a70a21937162baff6eb2efbc433049333f9019fd684653a1d9d834fae4896261f8d07f7aaab4309696e4a33f80dea6a21390039ec962785d1195b8640dbebe0e40ccad662576a3628eba51183f9b8b61acac74c42006f88cb353d5648ae2b6211d75ff27d3765fa790c4841ece2240796adf544a7978878299731918275ff7aad7488e7d2f9cb9605c85a09d602983c36ca4570f0acf85af051f7588efc4b69e9535840df05cf7666832a532d53ecdb334e8ed486d9890d83d60ad668da4fa4208f12c83fa5ab2dbd7907c475ce7b5be02af1e86e26dc6f1b9e0f734807ed70e57ab26e6d8d2d358de59689e8ef33f763c437e1fe5fcb68e6d5ae1424f2fafac345dfb5d2df38b80bfd39fe8258aa9578e9a2f921e2463961ea7e96f9bc3ae31fdfa9cac82a5f501c110562ea7d5800cb674e67f0416d4ecd3251719caf720f61e4b4237a34bd34eed2569e1bcc9611d9802531efeb95a1bef9535c0e1b75b52cf9d9f0897a6246b44368aa8a384e9a14e14b600cfe9b3245845aae0ff8923c7fac38a4d946303608d86d5a0a66d3ae6e223842802b27e2ce89bb2ea53cadd270defdcea02562bcc29d24de561d8eded7a0967b9d785373868d81ab6f6ea5632428c099a86e7bd4e7870c10f19586682b25c7dd456331e0f85bc2e6fb8daf107d95578b3481c575a533ac0f2f6a9c63d036a8cad1a507c54ab36ae6b172f832613e31431623aa0184e2629657cf1dac607bd91f9c570a012deb5ba681db1f534b07a7ee5812cb011075482444a310eb24442189a3e182c0177264be7261e0466bc85bef436d7cb2e718e45d3d4a5ba4dd4ea695f4e94b9ad214946e93392e9f57d10f3df9164435e0fa469a564364efbdc02c65fe98f6674fb9d23844a65133776e924b57f2870d9cb2718a43dcc5c614b613f88df3cd0193e57f62ab6099af97da58b9624721da40902bc13361bda321685ce6f2d1b41427cedfb248dd0337b59cf7c59055cd09e3c56776d88df2e2ee0d25f809f3e054badee21a948eb57c09927bb310852cef5b6dec4076ec97fa12ada7bb1a816d504153b2a31fd8cce1cdcabd1c066e5bf5bbd8bc6380b6aa8e3073a4845cd7e2a2171ddec1473eeef1c7a9c42367c364ce597037451bcbccb2130c0ace771' }
+  { input: { P: new Uint8Array(bigintConversion.hexToBuf('c4be2077aff5c0d66d43c979d030e7f57347ec15b0652b9a9e2162a36f70d3eef1f36ed99d3d6bf8f36a8fc887183753df2ac7cb1ea62033d208675840852934690d4db8a1073b1f480be63d9a3bf5933f9ebbc06a427575e4739e1cc66a593514f4fdc3f0832c4e700c084f23ba25b41a589a8f65f8e94a003dfabc69c874ddcc3c0a1415093a66803621f07bde74532b4055db82aa6de6')), S: new Uint8Array(bigintConversion.hexToBuf('371946850cc27ce0991b5a79f9f11a88')), c: 505, dkLen: 64, hash: 'SHA-1' }, output: 'f738b19376fae2ddf94b775a6400a5541bf6e99eec0b9033ef43d9e4b86c66c37d572bc7406296c60ecd91d00bef5562ea6564934f976504fb22223ee52a3006' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('c4be2077aff5c0d66d43c979d030e7f57347ec15b0652b9a9e2162a36f70d3eef1f36ed99d3d6bf8f36a8fc887183753df2ac7cb1ea62033d208675840852934690d4db8a1073b1f480be63d9a3bf5933f9ebbc06a427575e4739e1cc66a593514f4fdc3f0832c4e700c084f23ba25b41a589a8f65f8e94a003dfabc69c874ddcc3c0a1415093a66803621f07bde74532b4055db82aa6de6')), S: new Uint8Array(bigintConversion.hexToBuf('371946850cc27ce0991b5a79f9f11a88')), c: 505, dkLen: 64, hash: 'SHA-256' }, output: 'bc1380a25dc4c0b3032c8ecb50ae79b4fa770b2baa4cd3b2c10f63970c2409f032871589e3e1dbe6340a42993b146134284f585bd4812ffa0159ff8de17302b9' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('c4be2077aff5c0d66d43c979d030e7f57347ec15b0652b9a9e2162a36f70d3eef1f36ed99d3d6bf8f36a8fc887183753df2ac7cb1ea62033d208675840852934690d4db8a1073b1f480be63d9a3bf5933f9ebbc06a427575e4739e1cc66a593514f4fdc3f0832c4e700c084f23ba25b41a589a8f65f8e94a003dfabc69c874ddcc3c0a1415093a66803621f07bde74532b4055db82aa6de6')), S: new Uint8Array(bigintConversion.hexToBuf('371946850cc27ce0991b5a79f9f11a88')), c: 505, dkLen: 64, hash: 'SHA-384' }, output: '2c97de18d6a0a74a8998a63740b52db2539e741400efd17a6cfe86c0ec2be3438277021359d17c4c4794094dee0ca4b90a8e4ce54c4dca31fb70bf9753910e63' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('c4be2077aff5c0d66d43c979d030e7f57347ec15b0652b9a9e2162a36f70d3eef1f36ed99d3d6bf8f36a8fc887183753df2ac7cb1ea62033d208675840852934690d4db8a1073b1f480be63d9a3bf5933f9ebbc06a427575e4739e1cc66a593514f4fdc3f0832c4e700c084f23ba25b41a589a8f65f8e94a003dfabc69c874ddcc3c0a1415093a66803621f07bde74532b4055db82aa6de6')), S: new Uint8Array(bigintConversion.hexToBuf('371946850cc27ce0991b5a79f9f11a88')), c: 505, dkLen: 64, hash: 'SHA-512' }, output: 'e1bac65c6f5772fd1621087170f622ae4c1a70985443cd97939bce04569fa4fc6616d65a4d1ca6a33ae76bffb1b7c13e2bc916e840f3a6328e5967c2e9f35cf4' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('e7728bbaee38783b392d0ddbb7f1e6c61e05ef12c933f7aa4ea14f366c542126ad85271138e6dfcdbbb5681f05a82bb72f5df4374de373f05948228d0d7d3bc7afb6002ad078b1b6006ea4208c61e60da09e8748b62756aa2848ee497eb137feb476ca0c0b48637e30f9a7feb9a8d149b65e633d9cadd78579547618490342d0c0bb0c481816dc085087c61756b03ca74be47fe6f30ccfd13af50b492fd963a31b4f3e2ca6b413d4306a8fa96e0e4c73d2293fadef82ff8731d883ebb2508165a7382ae29b690959efa73ee4ff341178816f44bb4ba9ad09fdc75751cacf55fbb0d8c6585b81c8668f466b299b9227cb5c2dd58161f5378e2e6a7c1bcf731822add3d7677754bb99068d0bfe249c74671f30f9b97933f5384a8aa93bfa438c43c9b2480f703f5bd9cfeae67ebf826e0139b9ee311ac382fc64')), S: new Uint8Array(bigintConversion.hexToBuf('cec09bb99ab546462300ad990352ec27')), c: 84, dkLen: 128, hash: 'SHA-1' }, output: '7cc3f367ebbccfc39e30742fff4167fd3fe861b3e5f2f497b1557d7c8c43d6e43110b3e186cb5b2e2e1809009f363e070dcae82f8927805da9ea89954f26fd539b1be691f18085ab1113c3c3afc5ef2f426b237396188bb9cabc0231409f7bb482253391d43da9399f1ba7ff8d713d426bd2cda93f1c40a5aec3f8f027bfa1c5' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('e7728bbaee38783b392d0ddbb7f1e6c61e05ef12c933f7aa4ea14f366c542126ad85271138e6dfcdbbb5681f05a82bb72f5df4374de373f05948228d0d7d3bc7afb6002ad078b1b6006ea4208c61e60da09e8748b62756aa2848ee497eb137feb476ca0c0b48637e30f9a7feb9a8d149b65e633d9cadd78579547618490342d0c0bb0c481816dc085087c61756b03ca74be47fe6f30ccfd13af50b492fd963a31b4f3e2ca6b413d4306a8fa96e0e4c73d2293fadef82ff8731d883ebb2508165a7382ae29b690959efa73ee4ff341178816f44bb4ba9ad09fdc75751cacf55fbb0d8c6585b81c8668f466b299b9227cb5c2dd58161f5378e2e6a7c1bcf731822add3d7677754bb99068d0bfe249c74671f30f9b97933f5384a8aa93bfa438c43c9b2480f703f5bd9cfeae67ebf826e0139b9ee311ac382fc64')), S: new Uint8Array(bigintConversion.hexToBuf('cec09bb99ab546462300ad990352ec27')), c: 84, dkLen: 128, hash: 'SHA-256' }, output: '2406643a7df603802023caf03271323803505adcedf63ae7ffec14d94c687af3a80af178054b2026e4e80fa7b8c00f2e91ad46bb9d0da06f5da2369e27eb9abad1f438f349d9db9f8580a43104c9203ad5fa8be5b60f57a10a08344d028fefa232874bfc7d14d0e4f9a3fccef2a595ef11754c08b827844c79929afff17e200f' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('e7728bbaee38783b392d0ddbb7f1e6c61e05ef12c933f7aa4ea14f366c542126ad85271138e6dfcdbbb5681f05a82bb72f5df4374de373f05948228d0d7d3bc7afb6002ad078b1b6006ea4208c61e60da09e8748b62756aa2848ee497eb137feb476ca0c0b48637e30f9a7feb9a8d149b65e633d9cadd78579547618490342d0c0bb0c481816dc085087c61756b03ca74be47fe6f30ccfd13af50b492fd963a31b4f3e2ca6b413d4306a8fa96e0e4c73d2293fadef82ff8731d883ebb2508165a7382ae29b690959efa73ee4ff341178816f44bb4ba9ad09fdc75751cacf55fbb0d8c6585b81c8668f466b299b9227cb5c2dd58161f5378e2e6a7c1bcf731822add3d7677754bb99068d0bfe249c74671f30f9b97933f5384a8aa93bfa438c43c9b2480f703f5bd9cfeae67ebf826e0139b9ee311ac382fc64')), S: new Uint8Array(bigintConversion.hexToBuf('cec09bb99ab546462300ad990352ec27')), c: 84, dkLen: 128, hash: 'SHA-384' }, output: 'aeee4def47ccb5450cc380b19d514087dd590bedbf4466ae723adc7154a3573170b8597786256b43e9fb54f269dd42ada26a27c5f2fa64d10ffe76d16a31d16f8ecdcfd650d3d70cbe2bdd85e1fac50add873c8abae7cfafc159782e2d21bd8b3222ee1efc3e08260b2c30cab8acfacb7cdd41e637694e0fbbb2733629d79350' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('e7728bbaee38783b392d0ddbb7f1e6c61e05ef12c933f7aa4ea14f366c542126ad85271138e6dfcdbbb5681f05a82bb72f5df4374de373f05948228d0d7d3bc7afb6002ad078b1b6006ea4208c61e60da09e8748b62756aa2848ee497eb137feb476ca0c0b48637e30f9a7feb9a8d149b65e633d9cadd78579547618490342d0c0bb0c481816dc085087c61756b03ca74be47fe6f30ccfd13af50b492fd963a31b4f3e2ca6b413d4306a8fa96e0e4c73d2293fadef82ff8731d883ebb2508165a7382ae29b690959efa73ee4ff341178816f44bb4ba9ad09fdc75751cacf55fbb0d8c6585b81c8668f466b299b9227cb5c2dd58161f5378e2e6a7c1bcf731822add3d7677754bb99068d0bfe249c74671f30f9b97933f5384a8aa93bfa438c43c9b2480f703f5bd9cfeae67ebf826e0139b9ee311ac382fc64')), S: new Uint8Array(bigintConversion.hexToBuf('cec09bb99ab546462300ad990352ec27')), c: 84, dkLen: 128, hash: 'SHA-512' }, output: 'dda444bb1f1b60438d925d484e9fcd661670e470c7d944c8048fc58c62375161a29757f2a3d7df007dfe2d2e97be6fe68105f2d3e0bc7594e80646c63a7d388e1d46caf5d0f922d646625913d8b00e79f68580b5e369496c0f44466d2b4f86ad638fcc6007202c7880d1732678fe97ec9a2e7c69f6bb1db69f2f659f6c773f64' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('8ca73faa1885e7ac0e3d93ac83071c56dc7a888b373d53123348e94da3e2dac1d625d406f2cd9f7d5c23ea1a6d9a8a85875e503cd442aa68aea4f715512f89c57031d1a27d2b8298d1264b371185e150d5301b53a56dae')), S: new Uint8Array(bigintConversion.hexToBuf('348d43e1de79518afec894758f7418e0')), c: 124, dkLen: 256, hash: 'SHA-1' }, output: 'd751df227f87e478aae711d6da99939f2e5162e1608252136e4db094f7511fb948b38ffa14d1ed1cad83dceaddc19ded5972e691e141b7fbbffde921af52394fe3d65b2cde583ce8abc1dc790d51dc255f6198f10de2af7b7d8b58a50c9860d77497c3174e29fcd348a9e2254e7fd57eb620a27a054348872986b8c8715453b200d8279c403bf48699f84fe47d5f3bd503af18f5c35e7c4f487188dd1454725186f8a3bc60b1dad01717e01dbb4548e387b1d91871254d447496b46475e4b10857c947e1a8e1bc8a882f188c2d9b743edb64370f3055d88608233ac8ea0ce342d3c2f2ae379e335a942c79661d2e8f1c0e1ead4899ce252702ce34062a083fdb' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('8ca73faa1885e7ac0e3d93ac83071c56dc7a888b373d53123348e94da3e2dac1d625d406f2cd9f7d5c23ea1a6d9a8a85875e503cd442aa68aea4f715512f89c57031d1a27d2b8298d1264b371185e150d5301b53a56dae')), S: new Uint8Array(bigintConversion.hexToBuf('348d43e1de79518afec894758f7418e0')), c: 124, dkLen: 256, hash: 'SHA-256' }, output: '8244c3fd84a220b1de5cd410fe4ce446598064d1ef0117880781e92b7e57b02a192cb684bc1d59135f81bf03f50f84e08852e3e615f6157dd4fece33ced183fe4d66d922c9cb3bb02fd5ca7fb0a76ea2e2529be2cbddf5fc44246e81bd29d1caa9b85e0b536cb3dbd69d55fd3d7de0eeb4a3bd6c8b45b9b44fc0b1e37453a4a66298a1732b0c00d59097e3fca56c235cc385fcdd2a0ab7d9d028f715c4abb4bde72c83bcb49b7f3932fa8fa58af269e3249df8cfd0aa23665ab283357e83e93543ee266b69b04b14a5b0feb264c7e896a22c7fcd0bd53a4e1cabc7f8ebbc0ad53c77e3123b82daf0906d9f6aa53a573e4d4194bdb9c450123247e7ba58ad38a7' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('8ca73faa1885e7ac0e3d93ac83071c56dc7a888b373d53123348e94da3e2dac1d625d406f2cd9f7d5c23ea1a6d9a8a85875e503cd442aa68aea4f715512f89c57031d1a27d2b8298d1264b371185e150d5301b53a56dae')), S: new Uint8Array(bigintConversion.hexToBuf('348d43e1de79518afec894758f7418e0')), c: 124, dkLen: 256, hash: 'SHA-384' }, output: 'c50175c14a6080a83182f6f5bf8581f09489101be8af4e6acb2acf723aa74392a9df2a91b636d34417dcab4b0cdda698fd54fa27132b3f3ee273400cf2430d4a48ccd63eae5f2e4964d901eaa34228e2ff33ecd197ecc9c3ab7dee447273b7daa8335e12fdeefe6600567e1c4a8e41dffc1d583ced1df4fd08e323fb23dab30c74e39968542412ab3292b14708d8b8dc1ab681ab57f9b31d1a35a13fa380b5f8cb96aee0595ef366b3e83067171ee19fe1c1ee1d581339f4a25a201b765d90e543cdd9ad0fffbbd125eb4702a853461b49daed980534742638299292e46ad75aee4cd5edb91f2d722216f9925b83cb44e25d05a51e4f23797a239c3d2d54b309' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('8ca73faa1885e7ac0e3d93ac83071c56dc7a888b373d53123348e94da3e2dac1d625d406f2cd9f7d5c23ea1a6d9a8a85875e503cd442aa68aea4f715512f89c57031d1a27d2b8298d1264b371185e150d5301b53a56dae')), S: new Uint8Array(bigintConversion.hexToBuf('348d43e1de79518afec894758f7418e0')), c: 124, dkLen: 256, hash: 'SHA-512' }, output: 'f9613a880e63d6f050d173e5270d60f6a8ea4944ea1b7e775771514e9507b593db35ca242d930c94b86718bc260a79d4d0d9dad9055d48ccde48e48e6522e959499bf8440596359aee463472f69218f4be5c9b5e7cf4f183832573abd01e72ced164def5230d3cf7f73c20b8d996f041b0447147d7d25b345761df15a8eb3d7a2cb3b49ac2ecea966e19758d48ef00252f7e700fe24de655930ea19815630e362faf08b93a60bfb6d966a5199f0ebebfda27a1ca077af36375288cf237d379172b2527cfeca31d3acde614ead0e73f77ee7f0e1244d787ff2c08959a16ce0e7626a2c26537582a9fa2767511b581b9020d98fd8372379bab68e088ab088959ff' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('6c450e20c616874168e875aebba31b2582024de19c90927dcc4046bc202512abc2e0656a19925cfe7705652f0c3595dcf67c3d4283352f085f118c5e01f6efdbf2b427a5f682ac43e3cf594a6e8bea5aaf67bc6c7bb0bd4b270a5119740a9bd628a62872b7d8dc7b1255bfd1cdb5aa5db5c859ba86e3f7e31aa1e74b9b52f3a5530af11db97d7e3e6e8bffec210ae8031613584f3c7020abe43a589826ee70cba6fa0bad0b46a84e6f493c')), S: new Uint8Array(bigintConversion.hexToBuf('41e7f80ccde6ed62564a8825aff96e6c')), c: 394, dkLen: 1024, hash: 'SHA-1' }, output: 'a74d14dbf3a9e1625911159a4c5c63e80e9b4be62a5a31dd32a29dced8c6873000cd5cad0be5fdb12d5feaa38e119f1c87de0acc322d51266fd2c590fc8d94a1f05fbaac80ccb1e52569ca9fdf100f6187bf80d9ee451962fd59c640c9d166111d201d5149577a2781b8baa8a4ed3bfa94b90725e270961bab9266f2a8a4a7142783670fd0864f1e7a7a3663cf41f64ff34c701399d7a59d6913d85c90042538a1dac3d56a93dc3422c45d115afc4506face57baf6aad78e9adf8a48dc8ca0ede6fec22ec47777ad04844c9a371742507f39a87799391484cc0999bf6da8ca97b27f3168c4220d35e39eee0752bfc210867722b063ce99f6e2c8ae699033d3185373ddd09fa46452ba23788409b56999fab267849ddcf32d111b457cdf72a2f57344af037bbf2b49b05a7e7b6892d8df45f5899c13e7578e7b4ebe23044b5bf286d6815a1712cc730787a48e9a9f75402d93362c95d3a44c52acff0743b001dec293416fd6039be4c7f912433853a396c2d72865633404c09f6b0817ed147b01080a3ce50a20c3dcf9b5f725451e32d1c38431e79a83977a5e1019960d93605fb8d4b7fc3e89517b4ba8849c9b6c661a1eac534f42b3a45654ea96ac187fef24311329c400fe088eb2e5c54deed1a281ef8dacced42c98b654f1f9702d30b789615135d9535158abe8e4a3028076bb1f4d2547f8da487f26b2f40cb72d61f4aa56ac96f99a62d06d287d24fd7165ac59b100e3cb1855f473fdcb616093edc0778583ed542d64718f0fdd52e3206427b7b24621a60a3ee40e075e93c42a1e7ff0e2762659b32f90c165573a1afb97dc3c1772ac50567295a44b52a695fd3c75aedc525f80bf247d4d362bab13376a7b580a3b8e5e682f304474a09dab2c5934ae07cc384b631de539dd07ca38be1a620c6011f926ac8c0fd61919437551ec3742514ce4b27242ef792010a87e1e1c043f0e3d72893ed48c2f60f01f4c23996049b8637b7a6ede1560c4b533d6891866e7a566b0ae4dff947d8f34a6790405b483d662570ff3ab91fbd403fb09ece1d2983332f0b97f94415a56225e042e1a63134b38cdab567c46353213dc9b71da55bd1bc2e0d704e1b458084c103ba1ecfcd08b377d119c3fcf67b8fa7c38c857bf3fd26fc68a1c73fafb14ada3f64c849faa5641c573b4cb585f52336801f708f0ae7399ef8f69bd9953ee417e58976a74e558ea78cbbfb71f28919acf88e798d0e65edefb50979d909604dfe00976c79662991656942c4f231cc00dd3bc4f3bd6668e04a44fa2b684b9fe08d627ae7c85d193131b71e6f272d1ab8f02ee8432469c041449ec88fb9788bf6f5e025a8b4182596218f2da2c08e1b44b1f77aefdaf173303c8cbd260ce3ea3804a752911c73927be98778cb62a0a13f51932b724b86122efbbab75fc356b44bf5998515a575d' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('6c450e20c616874168e875aebba31b2582024de19c90927dcc4046bc202512abc2e0656a19925cfe7705652f0c3595dcf67c3d4283352f085f118c5e01f6efdbf2b427a5f682ac43e3cf594a6e8bea5aaf67bc6c7bb0bd4b270a5119740a9bd628a62872b7d8dc7b1255bfd1cdb5aa5db5c859ba86e3f7e31aa1e74b9b52f3a5530af11db97d7e3e6e8bffec210ae8031613584f3c7020abe43a589826ee70cba6fa0bad0b46a84e6f493c')), S: new Uint8Array(bigintConversion.hexToBuf('41e7f80ccde6ed62564a8825aff96e6c')), c: 394, dkLen: 1024, hash: 'SHA-256' }, output: 'eb035395128b91a7c8b21a33108d08599d6f9532086a0c166e7878862907f9678a06de174de371b50d459161ec389f0e85f7daa1bf2f7ee367da1ac8093e78b2afd8ef57b2c7e6a966f24b55d95c84c119ee21d543221bb796007d05d258ff33c5717d58630d919b94aa5933c726fb0bae0dab0249db90ed7f7f5581acb57d4feff0dcc0fdeafcef9577dd5340cbf7860f467146be55cd4af060c0de1caff2f38512be69205ddba916c7748ccf69b01bf0e914078069af51e0c8853319524b219ae7dc1fee53a5ac2d79a327889ae6528d4bab514cf19579b507791ab4a855e11658716fc86ac775a042619c26ffc62c36dcc5224010954f27e03b3506c77c24f95922bc6518d19a2184eccfed8d100644710c759d8f9bad862ec249f4325ef721c05bfb3c633f36b46ce67d1680e9a75ec099aae064e2f689b53dec939d35fa5787ded5ea69e243ef65016c7d3e1a49219c047edd028049c7d9ed2a13e929767d7e1f42d26fddcf6b8f8491ab35898d996723252dbeab4050a684a0a5e5523a385a19878f606fb3c9004c3fb7ed9df5b95da32b2fe83fa75ce365d0d011bf99121535b582600e60b780020ec835d24b2670774981f62d5de6a704e8713e3f2dce25b9e703bd6f7548eeb5d9dab6824ded3d046fb6f90c421735c845f4e2bed1ac1d9d1e409793290d544fd501a7998b081948f726f3b654ffeebf6545817d3c84a85939cfb6dd17c46abb5674491224e740ce9edddfb5625b8396ee7318ff38905241ce44942e25a7d27024fb9393a926de5a1d7c661f7141d05e647464d685be44b7e04a19f6563bd5ae7eba94c5fde0d08b0ddb82796c63c8f5d088ec1f715939a4aad1407aef0fc8180ce48617439d3e2eb3b25a9af143fbcfbf90bda4dc390624f6fb5cbf8b644ad4dc57375c54278849b3fc1ee0d3b967a44ff37f44e650dbab706b16c5f5b4c7f9f66d14d905bce8d68e6bce93bbd540271cfb352f17441248b8f6b6522bba7ceed54e324237a33a01213672a368c082cd0a3131bef273ecf8f6b6d28c11a29107146cf465dbd7456d52cb5cec0d28c22fc1f7fd9e5981f90869b53aa496cb3aa791fca77920709b7f9f4756f501c1dfabdc420be1e104ed7906f76a778aaa07116ca4db13ce02e0de26298235a9bec9cde3b6b35aa677d984074a8e74ba598a7b0393af50f602075c37dc5099643498e91aa8254ca2c533a437cb0dfc032a45c1aa15c18d1dc8e2bb6c20cc08ef306803557844b29a9406395ba0a76ffa2dc82a718f76dd22753183dc1df4d4341db3dfa4b5cb6b3fad19af5e283b97bd4b7b48951d2d2bb3dce8503a42f120297f09950c3fd7a4d5f03f8da574cc4f03abeb4adf08c7b42278c26c2e3a9dad8bf375004fecc45bb385394b6a49db9fa933181c67951122ea5f4330bb256c1934fe4ced2f31d0d144' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('6c450e20c616874168e875aebba31b2582024de19c90927dcc4046bc202512abc2e0656a19925cfe7705652f0c3595dcf67c3d4283352f085f118c5e01f6efdbf2b427a5f682ac43e3cf594a6e8bea5aaf67bc6c7bb0bd4b270a5119740a9bd628a62872b7d8dc7b1255bfd1cdb5aa5db5c859ba86e3f7e31aa1e74b9b52f3a5530af11db97d7e3e6e8bffec210ae8031613584f3c7020abe43a589826ee70cba6fa0bad0b46a84e6f493c')), S: new Uint8Array(bigintConversion.hexToBuf('41e7f80ccde6ed62564a8825aff96e6c')), c: 394, dkLen: 1024, hash: 'SHA-384' }, output: '4126c44feff766e10de1dd4bd1eed1976c8fee39e296069a637a341d8e8f00cdec2626746c3b919ac292cf90a12dd3c7edfe81d2305c1fa771310408f3eb4b7d03226bda158b095639542622005f9decf854a31e1525a6ff4ca2f4980e1050d1e12b6738d107c435e96608aa9b35a87cef1fe0bce738babe55c39a42537bbe022b125307b712f5526ded8b6d06f13b8f3bcd7ddc12b3b593759c34abad5d87d43a67830893139fdfa5cfc2acb3cb42a1290b810699b6c1042a97156b9403d7cac4821abd371a206dfa467a0b9f363618e6a9c92eee24f6623ee879f94f9d6780f9b01c6849a212e6db16744fa05f5a706dc7d25f7ad0041c9e6246027bbf3dcd9ef2e23b7bcfcb99b9e04ac2c65bd777a40aa39c046dc991c56d29f7da1b3dc09984ae08c626e157d326ab4d53deace28abeecd1ab642036e818de4524abf3b4dafa4b9b4ab9e01d9be58d49f0999133273cb7a8239182ff8f767a21eb462201bbda7526a5f2b950107d1ef26e20ee27179d3124e446f5a8953a3850f9932c70e3604b0c5a977d6c48731f5029d155c651c7ccd5e7b2b577a1f8197edf2f67a6322350ac8a993ca0bc0275636d489d9c124e5a7dc3f272150f7a1ec4da49116c6bc04ea70a0ba9eda4da5ff347035c3137c3aa7658320d6447150bf8c9108a05b382b9c5f593364d14d9fe7be119da50e212338f54061faba5a0edd3a8fbba56da1e54fd54321247bb77273b206d733f9af6b0a4271270103ee2e4c71419f9f0950bc1c0202161f062d1b4117977366fc1a283bd288cc83ce8c2380b59b387a6036745feef3c5751eb5b1adf67979242e53efac26d5cec2bfffb62b9b4e4b89499fa61054e9a46b63ffef0611c57e3b6bea8ef35c0ddac941036490907fca5aae5c3ff7ba68963e0f1acbc8ed884845ca5726de15e2146d4c66327ad67bf248594ba48b2579be190ad7bf8267fb846a7d022427009afe01b729d25a70845decea378a6d3dee4fe6e9572234bd45d9217ab098cb4205da9928e8ab5b08b81ef61d3dcddec421017d631e48b06e081f3d0d419f4ee54dc1b93b2b653b8f75199faec60c820aa229d481f74fe7dc2443dba622040c6f400791a9971b2d895f8132c4f28cde36a5be0d6f6863c925f25cc73ecbe55b0707e4cab969f81fc44dae1882c0466c70b1777e788f398a31048e1ab3c934b30791386ba67cc63486d968d9a1f91535229024ac76bb6e251ebe5a86a09714d4d968a22a22da214c389d72b3104c8754dc2281013a39d3bd06ab98a7c1e4410dde69d14c79e9cb356fd07d4f5fcb08b4c5c2973a21eabfd6b7c9077840c023650616f3fb703ce05603ec9008d1d51bb1364531d520e735318f2cb47d9e8a82ae45fe7e60e32b0aa2b369acc42dc8fae514393f0a3bb420b5538012ce1d0836ec19bf126360dc14fcb2fc8851c' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('6c450e20c616874168e875aebba31b2582024de19c90927dcc4046bc202512abc2e0656a19925cfe7705652f0c3595dcf67c3d4283352f085f118c5e01f6efdbf2b427a5f682ac43e3cf594a6e8bea5aaf67bc6c7bb0bd4b270a5119740a9bd628a62872b7d8dc7b1255bfd1cdb5aa5db5c859ba86e3f7e31aa1e74b9b52f3a5530af11db97d7e3e6e8bffec210ae8031613584f3c7020abe43a589826ee70cba6fa0bad0b46a84e6f493c')), S: new Uint8Array(bigintConversion.hexToBuf('41e7f80ccde6ed62564a8825aff96e6c')), c: 394, dkLen: 1024, hash: 'SHA-512' }, output: 'c5ab39a571f9e281e672588497cf1daebd093651cc13cd8daab0bada6a16b19d330b144b490c11358023aca664d49548918719d7d7abda8ced22f58c4677e239ba9f6975323bc76155a1249e30cdcf1de74224dd485067b382901c269dd3b2aae97828aac30e9c73e13a9ac0a32c7045b824c60b1fad9ae90ef454abd45df33223432070d3f73a3e2ab58d5a01cfb7345808b1b5dc13b9df27258a56479962141d1cb99b0a31247447f7fc90ba61ddb766e22e847601fd9a8216cd577c30ec12b925066b4b014280aeaa8d9189ae0e36da2499cbde1dc2003aa7b3af834ae4cb69de3301581216199d1a11a453795e312252b4a48bd8b881d296920776ba030d53f91c7d688b3f570b8435e383d286df85f217c942a83e0093fee26c7896bebacc50200b54ca2d9eb5a6a2fe4d41fd9c08b1dc8ed7e081ac2fc3c76012a7afede9b134de65ee427720a1b8584d047385f281469613769d8c66f01cbf86c1ef665e2cd65a13a853a0377191aab981f14fc9c3928421b87c25d39a42468e3d6b38cc6cdd62379755ff03ab0398f61decd4f2248910d53751e6310a54a6d8df487953cb2b9f15fce575b079096dffcdb18879d91f32dc83dc441a21bebe19b7b403d035f23649934ecc6f58460a01e3f5c7cfac8b75efbc16667a3e13b246d8c0547d69229d9800e3d5e338088f78bea143061a23fec8d06fd4e7098f0d84efabb218b6cdab66d587e8ea3edd065f08fad2c6c1bd2d2973e6b56c48f41ed03865a98ca118b8b1c8c197a0769fc9f63df03880e108b6f8805f35ff54b0364c6a57a7ba25c8a23ac9e711ab7be3642df6bb30026bf932f7fae879d3e2dbff088ba981c524be62c606614793709c56530aa761cf060eada27fd4eb9b2043da8ff27b0ffb7a681175ddd282f59ed8ca4b99f429b2a90abeccc5f9f0c1ccbbe786a8014f7b417b0702a4f2a9268caeb33119bb61f51e16bb25bb4a49f62ec80eb5008b26cf8f7fcfd604e7e58d5a29a6f85c984041aa098abbc91c3fcb50391a618a32aad24e1755bfe229146933c33ff781240e0dcfc47190ccfe05bd8eeede5f8ec85380fcfeeebb3e034e9735f2971088dd25fc86545afc34fd19382f24bb45f9a6dece9d366f52c3ec54259a880dbb88b589f68a1166bfa71b911cfc46e903ccf4dbbe81ff095785cfc05bab943daab0e59b0b37e4df4d1f541a74c7b73eee9c6e1071f132097b032725393899bb6c3d3be452a91089431f91f3860493a4b1ac7fc4fde11bd58ddff2c00b013b3aafe5431255d45dce0deef348e9621a47665b6cf0697931df0850c24daf38073232dc773ee45c1b1fc53be80b1f540d3eb446ad5ec12bf9ad6adf0b9760357592994225bbbcb3bf628545d596dbb8db758ff40c4d688b2716c0f50506eccf56029066341625a3d825fdb8146e30315426306ef7e7' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('73c7d15094e710df0dea9ad14fb6ac91c68cc5720f69b9041a681465cfbef80c1002ead9502d4c71d9b074f666b9b848a40fe6ff912d3594d1dee0d846b623b8eaf24111ba94c1385caa3d0f2dd716e3c996f69ca83ed78a848d14429e0b6dc3efa6f86f6292dedcee08623466ab18b2dcc84504294d0ac66e61e52d07d1d9ab972b17d38b94beb83f2fb8864639fc0f33f3ee576f53a10760bd8f414b2aca6c9dc271ad0249b2d07c252132951dee4076c59de55498053b3efd3ce9caf5455b07122863e80be68c18bb053edda1a8c1fc8f733caa6caa9e5441b077a3feda054e076421e8f78dcb80ff498514053dc231b172b8a095b9a77932c6eb0107c285b053bf93dd5f4db0060fcd098861781a6b92f9708a3aa6a3bd5a233bf8ddff5a54d31bf6bbbcbc07eb9b6b21eb5489715e1731fb967233b32ff2276818485c2eba2ee9d9f2539876acb02ee591351a7c059dfe9bc38e8b983defc7f76ba0a05964d3ed8c1583b36bf5c3753b093495d361d15f6db5082845d7bc1ccf7065e9579660083b50c4892c49be8c3ed2b0db48f693e6fbee72f1defde0e9fb2fd1948f4e98b5bbcc41ead2959594600b931b69387c386c59875824d23fd23582346853d626ea716364d484306b118dc510c10913283f6be0eee2f0dfee096d62052696c55efe32ba58148fc4345541facade49e6041e978aca4dc7a4b6c7cf547081c33aa00ae7cde27e17944be83ef12d6607c4f863ab862ef5b1ae3c52664a1cc556455a6c6f96dd74667f652c8bc675cbd24819098f3a5b434f2eeee4f77e303787d6f7e7e8adc08eaa5ef5d0c067f50c8a101234e2')), S: new Uint8Array(bigintConversion.hexToBuf('e647760849a8c1703b2db2156971ce0d')), c: 187, dkLen: 2048, hash: 'SHA-1' }, output: '3116f03f238096b0ca3e4ebb0b2beacddfbe0fbdad5f889936bb9e2a50da8ecfd2cfc1ab0777ea2b9eef715d9659af46bc9028f286de5ef3468a1ef97cf8d3bf7fe649318dc2d8f784f317ede8f4395d7dd9fe9d1d9a2d3a5063d675bd757318cd37d818ea3010411a3f825f76f7c412e966ddc75811aa933722de05a0aabdc90b6468c8d8e77464088a50ad5f822f34ec323c7a0edcf6b72f822604c8b3d2f70e52deb1860c44904017bb08454856c660b014b408b90011030fb149426966d49a0370d088117025359fd4ff1f845ec9e5f87a455f5605a874d16c075262c9fb55095b2385bb5320bd62b1e2a2070b6daa921ccc35ef2e2bb5e52729d75e25ce62f4df7bb9720bb3abf204a5d0035737d1407785c0819410dde8e952f8194ca187ad11fb96f0065b528ea7b494f83b1a74d41b2c5ac71bffe7e898aaa3e5c6f6c390cefdd43ced1339b8c76b3bc12756936b5c6ed87848eab5bc724007e479d4fb28db496f4a1d3dd5f64f8e14974cfe9aeff9cf1a8b78870e6e628f4d138d4407c23ae78e26381b2e404de246927fab82d81acd03969d6e79870750c8c938dd518a6ac8720442c5ee2d8731a7c449204b0a225d57083e5d28bcd0b5dcf4762b81831be70b22bd7f58e0113083d425d9d5c00cd1c557fd5e4a9064bced3fd9895015ea28d857ef1c8652c37624bc65c437615946daf08c2b943dfb9d492c860be48b884e1289e1570d1f1b7ca9792d1b62633952c9603eaa7862952e0cf80b97896d1081af98f45d0e1313bfe093e29a63866beb04bf05cef22b17889685812e1847595b28a0715bb5e9e12601309c33926219df25e7d7483119ae72ec56538be9e1edba2566ad2e3fc4cf48fd75a72e01947abde419b0446f37025a541d2c4b6e325f29b4631af91e8944da0a69e296acc5c799ea7c67e899fab297e196ed3eec42b289f0e94e68b696fc932ca17cd3c561536e7419cc6bae46d8532d4b66a69c8280419926a0ee20f85674ffa5c1ff61fc9f0a5600d7ba617ed4cc91ab5eaf5c3d169bb8a8f3371510b949169778e6f8344b57890aed197c82d6594cbef847c823dce30f01eb865de31a2076d6dac69ba481fc77f45bf76c0cc5cf747047ccf27722242fae87bdee85e0e02b232821e251df88d96b1ef59bf01b4bda9aeb6533f7f7cddd7026b8175477156af7c287661e5759135433fa3c330656dd2140763bcca73ce2e2bf2c807c326b69622bd2118cf826f2fdb1390be0c12d3a13669be3bfcaf4efeda9d7594c016842a94f87e6c472a4a41fe64d27da57d3291204fb525df950322d7133e59719612ffabb9af6e920ef40ccb61c75f8b5925cd1f462e3611c745e8849473ffc969461f0df9d88985e3627fa35bb70461ed99e6d89261594ee6b001f8864fe39f5709a11e5016e486f9dc9480659f8c157628efd274d6d9eeac7fdec8cb01dff67b2f9f78a34b39a57c9ae98c43dfb7a6373e921d65150ce8666c71dce1813daa1552d04ac730b1b4b63cc8deb314fe9f62a16c11ca1270dbe6a81bed24c79840ca872537ee9e35b3c8440425f5da53cd7c02be83d6df3f2ebe429f414b9401bdf543130a8e1f6e3a35f4a60c561212834087d40ca27c02e08e23089b0ac313076cb5f3e774ea7e779a1e2e674536cf6853381b615f2208e250945b979d71bdb0e91df6d063c1048dc71194ca739ff2065c1414b0093e9a4c0ec08d93066b56cd03258163cbd1afeaab739f18b1b87eea6379526b6b2e8cb609f2963dd99bb8679c6e1927213b0f89033f2d66b0fda81cc709a3584fd56ca24211ba14db37657e5e66d5f2cc2894e12173248cff27b9774ed04e29ddfff020e34a29e2b1efd6b7b4e62a85a65fa568be3896fc83745e32c1c4a59259755df7d0993f54536fb91f72cf18861f8efe78a613bbe789d380f4b5be654acc00730f0aa29e14e9fa25669c3cd0f57fe911c2923ebc50e0d679930ed63b70c5c0024b85157406e0aa9ced37e0161b5dc8484a184fd3f97d358db999720801c7d908566887344a30fbeee618b4351d3675b8796dc37f3779f7600ef775f515b0ccd3942b305c82a4a564c8f7ccc4bbece39754e9b167f8afbfea4e759ddafa3911c9e5572925891ef97e9fb883f3de57cb504c68eb5a5e89bc686e47552c9bee13d933c83b09c795542bee8fa20c18ed264a06ee07222d465afe5089883d17689f4ecf05bcc32a18712fad52b3aeda3ceba1fe0f91840449d85ebf7ee93b0823f7db2ccc8713f51f3973928b9e152bc4857eb915cc8a094cc60b79e1a7ccc1219cf593fbb6932ae3484db098392ed5186f9bb01ec6d3c4e2913976bf812c1592bb7251ac65a04ba0e322e944a07512a55f1765fe30ce4fae78360d7be4bed38050f5643818ff18331926b8d2c3e17741bdcccb9fff98d669e926828a1ed11c23a517a8bfc56d920942f0b0d1c48949c7e346718666cc39cef571ded8aac8098c04a7c5f9c401850d9cef245025aa0109d2a2e650deb1045042436e9db573277bde70f997a5aa157db1c627b17554a24293ba393ad9082896a35659315770556951315577858b29293431b3b635f2a48ba3570e2a78cc6f01c03b21cbfc8def3735d865cc1bdb1d8be5fa208a7e118d26c7d9d54860466c806414e2f1d3ab9801d5ecaf221344a477d45ad430721c5d1b252fb24cb990937de4f139a917ebcd15bbe145ef9d5a9fb0d63f88c968b550e7c0d3b11453226cf807fb358abf1cf39c2075d5ec9470d2c18d58090e124cb727cb06e15e0aab0c0b2eeda554e3a4e2d075c0643598987d5a91c32ff480f8cbc276914d67c0e5c445e0e0d51e2a54a022d1e073cf4338a22b6833e0098165ba7f74b650518dc66f997b7520e8bf74f0b7f' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('73c7d15094e710df0dea9ad14fb6ac91c68cc5720f69b9041a681465cfbef80c1002ead9502d4c71d9b074f666b9b848a40fe6ff912d3594d1dee0d846b623b8eaf24111ba94c1385caa3d0f2dd716e3c996f69ca83ed78a848d14429e0b6dc3efa6f86f6292dedcee08623466ab18b2dcc84504294d0ac66e61e52d07d1d9ab972b17d38b94beb83f2fb8864639fc0f33f3ee576f53a10760bd8f414b2aca6c9dc271ad0249b2d07c252132951dee4076c59de55498053b3efd3ce9caf5455b07122863e80be68c18bb053edda1a8c1fc8f733caa6caa9e5441b077a3feda054e076421e8f78dcb80ff498514053dc231b172b8a095b9a77932c6eb0107c285b053bf93dd5f4db0060fcd098861781a6b92f9708a3aa6a3bd5a233bf8ddff5a54d31bf6bbbcbc07eb9b6b21eb5489715e1731fb967233b32ff2276818485c2eba2ee9d9f2539876acb02ee591351a7c059dfe9bc38e8b983defc7f76ba0a05964d3ed8c1583b36bf5c3753b093495d361d15f6db5082845d7bc1ccf7065e9579660083b50c4892c49be8c3ed2b0db48f693e6fbee72f1defde0e9fb2fd1948f4e98b5bbcc41ead2959594600b931b69387c386c59875824d23fd23582346853d626ea716364d484306b118dc510c10913283f6be0eee2f0dfee096d62052696c55efe32ba58148fc4345541facade49e6041e978aca4dc7a4b6c7cf547081c33aa00ae7cde27e17944be83ef12d6607c4f863ab862ef5b1ae3c52664a1cc556455a6c6f96dd74667f652c8bc675cbd24819098f3a5b434f2eeee4f77e303787d6f7e7e8adc08eaa5ef5d0c067f50c8a101234e2')), S: new Uint8Array(bigintConversion.hexToBuf('e647760849a8c1703b2db2156971ce0d')), c: 187, dkLen: 2048, hash: 'SHA-256' }, output: '345361e119cab8ec513738ff9ab2815e40f6a271ef3b26da018c622dafa806b88178cbcaa5e4b18b769dcb221572d387aafd9d185769dac7eaf051a72ba325fe292ce0eb65e1cae2c2f32c5becd73825cb8f9ca55a10d0dd6344715ddb45c615fae0e0885a62337394eebe6efb20c5828b02a9919cd3e0bdeacf927873947a2d4e4e4a2e6ae5133ae5d430a069c2ad93e433b7097d56fe403b47b971cfdf3c9cb655ce5fb8d7bab0acf233d8f286890b3c3c65633de07dfc41233011f831a94b4e14812cd91ae0f27454c58029d3cea62ec9951346f847d2bb30ebf06346e98b627277286b8ae1c69a9ae33423277a218fc24800ea48a2417fcae56f759e9b25edb060e0bf4a24d4bbce5952e4e8b075ee7b0d5d3515bba836430238df57ee0865d692aab4ba10bdec2eaede20ca1e3ddb932ea62963744b95ef39aedcc74a4270b81322db974c1d440dd82b7d23178d15fdbcbd99166b5758e0b8ea95bdb4db1b5cdbcff1e6d29b295ded0cec704c53500af5c4f59a6bed13c26d077c37bb7ef8e7f9e4488e8da412c9e548bf4c9bc9879cdcadd2e3fdd4e8eb51d4166ee5ced27510a0ce9e1b3455a43d52aa10306139bcc99c85ab998f8889088ce2dc2e203a504e72323fdbd926e27010780cae4bc8ace788f8f9dcd7c6747f3e1d4ded37335c1017a53d925b4a39cd0535c7d1ed4e50842f4ba39d904637a3f737ae93c40d087452ccdf80f14a4f0a581ee20b9e79d25446945f033b07d8eb5a7f20d07ada168f7f7254db9e8f595183f99330e6eb06c14016a6b2248f6c0f69ecc4492ab2dc8b1080e4236c235e68246e875b9a2741b2aef64a5f821d260787e87fc8736cd1af27943867f6365b49517b54e9e4650d8f8b80778c7c3e0e2907e1b138da636fc6ae95ec4799935a887ef8881f346f349f312c56963cea2aa904ecfa77207381726b4c1129742ef053986d6657a876fad80c17ec804416032ff1056d6fde3671fb7d2064b3edb8d0757a7fdeb1e82852729ebb31b0e4d292d4c486eac7e52f82006452643b78fb4e6dea777b78950ec2cde175963892914e8b88209a5856eee90d1db6cd91d34f15980d7e8ec3f07df65304f3e714eb6990c2b2f47bedfcaf40fa8f62a1e083e4b00ba12b1b2c7af78cbd2fc9d6247685f61a3a535b7026a282ad01448bd796f83cbe8e503f6830c55a2f512ca58cfad21f3f52c01648043b083d26f4ecb6f4886aa83c42504b8fcbd09a25ebb9e91766eca862d1a5f91ca7a54247e9a6a65543e7f4f3fb9d77fc75a29d5098711a78f3b6a4fd9b0551c1e0044332bbba6e7700148af47596218359419d67bae3f9e7b90cfcfd812aa63693c5b67b5daba52198d01c4d42cb96c9617a34bd38cfc392a1c687773045961f6c284ad9a44c84d451179e7dee12b8a72e392cef88acaf1a778296e7cc88301a82d1517218770f24ece95a549efc031df0f35c38533012ab6cfc08c39abdb14741dea6458bdb5f4bd403eebf97edbaf3e9180753a6a0e7fa6ac554e29aa21f8fd3880e443ec3faf99bdea9efd369ac3f97a6c41c8d85511146fd98855abd30673b3af622021a59df20890b5e9f8146ab94ca6d96e940b49527c5db5437cbb4479d65350ab44d74e20242f4a5dcaf91e740833fed90bc58d7e9c85eb6e94ebbaf7d2a61c5a5cdd9709338ca92b8391374c75c5875674a4b012dc2f94f8521101ab4de8b93907629a101b981a90233828affb27db3c163abfef578f7a4927ea998cc1aa9527e298be2b7c88078239521d0be66679d77cb915128fd7ae870e2d92e0ced5f80a9bcf74ddaa485877008f585efbfe95c42cd9d4e1ee8db7fa2037801cf9a3f86aafb01cbffc83db98f2631823b60fc5d60b1c1412eb815a46c4183b94f5b53f378814b1d8e1a27f655d4763059b82892dbfb1de88ad03786ff66f5cc1d3d04898b7c70eef7b2adac57cc71262b017c1346cee1c9e9436b60b45b2269aadc10414313b2c39f5a34483aa5dd0d027b52bddbb52351c606096014751657dcb569e30e6ad3210d745aeece8dfe74562335c35b8ba31ef6a1920104050f861169cb8b795db7850b21c9c10e049ebf69efd73d1168420d87ab958ec9910bfa3ee379720e5dc4146baeb3ed7344382a8acad8715388392c5d6eb7d0a0bcb30082142ba579594f002a35117edbe236a1c57064c2503afda6ca8193b439ab6193d1d124542d1a3aee2fb403018258acec75bfcbdc80d01b511b5cd724978246eead13345ad0ce076754ea933f7d35e18d9e97b6308322bfbf247cf267eae6838a575cf6e2c2708edf779d1c8bbaea0c8426c3267c77b2aeed1c281836475936681e5d3595f5505901ee3b99a232bbb395af5d6ebe7d0ceac913e399998d283d87f1d12785ec0c576c416d4cc907338d3a197701b7f9e12d1d2a83f864424c28b119e8126c07c23e942d858313bb2106ae78e3281cd00aed1d23f81b16d42cb95cf6e1384f0ea80588a3bcfa5ed83e30595014fc7e1e5009d5834b32acedc6ad74054fd323f69620436874ceb6b2f7d31e92ff3918ec87de0ebcf056fea201f39e34454665623d3b8cc87af0c4cd562ed00b7bac60e01c15af82e6f7bc65e4544ee2f98ef285fc78c59346e63111f64695277ad018669929e16dc3f40c4481084d1255a73b2f0a0d1722e615905b57258bfac1da827546343701d062088fe6bdbb00e94e02eff6b1e658c7f2bbcd0bf731d1ad47cbe2bda7310131685043f27306536e6313896193bc01ade5505c45218fd6dbd6fc08937b49042f189649f4eac55dc0f84ffb2708505e1d670a08badba8475ee6db7f5fce446283a8618f69e6068cd3f55449e529d5f735a1f1fff5766bd1c41e2c815ec311d229b2667bddb78a' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('73c7d15094e710df0dea9ad14fb6ac91c68cc5720f69b9041a681465cfbef80c1002ead9502d4c71d9b074f666b9b848a40fe6ff912d3594d1dee0d846b623b8eaf24111ba94c1385caa3d0f2dd716e3c996f69ca83ed78a848d14429e0b6dc3efa6f86f6292dedcee08623466ab18b2dcc84504294d0ac66e61e52d07d1d9ab972b17d38b94beb83f2fb8864639fc0f33f3ee576f53a10760bd8f414b2aca6c9dc271ad0249b2d07c252132951dee4076c59de55498053b3efd3ce9caf5455b07122863e80be68c18bb053edda1a8c1fc8f733caa6caa9e5441b077a3feda054e076421e8f78dcb80ff498514053dc231b172b8a095b9a77932c6eb0107c285b053bf93dd5f4db0060fcd098861781a6b92f9708a3aa6a3bd5a233bf8ddff5a54d31bf6bbbcbc07eb9b6b21eb5489715e1731fb967233b32ff2276818485c2eba2ee9d9f2539876acb02ee591351a7c059dfe9bc38e8b983defc7f76ba0a05964d3ed8c1583b36bf5c3753b093495d361d15f6db5082845d7bc1ccf7065e9579660083b50c4892c49be8c3ed2b0db48f693e6fbee72f1defde0e9fb2fd1948f4e98b5bbcc41ead2959594600b931b69387c386c59875824d23fd23582346853d626ea716364d484306b118dc510c10913283f6be0eee2f0dfee096d62052696c55efe32ba58148fc4345541facade49e6041e978aca4dc7a4b6c7cf547081c33aa00ae7cde27e17944be83ef12d6607c4f863ab862ef5b1ae3c52664a1cc556455a6c6f96dd74667f652c8bc675cbd24819098f3a5b434f2eeee4f77e303787d6f7e7e8adc08eaa5ef5d0c067f50c8a101234e2')), S: new Uint8Array(bigintConversion.hexToBuf('e647760849a8c1703b2db2156971ce0d')), c: 187, dkLen: 2048, hash: 'SHA-384' }, output: '6a108cbe9c2dcee71d4034144757f028c7cab1ecb286e708f64d87cd1116f490d877691461f68af703846fdf6a8697f6b75e492cbc397d2f5bcdb6ec4f2509da367686e6fe7376e0d72124fd1ed9332cf0357b634881c3a911f1fb4856e6ce53e82ab745ffac9df6f4568f598e35dae0da00b7c913e21780174bd54c21ae67cb17eab1b746e26faabd7c1be87b2f4cf5e8b83edb1b38e3d28961205fe80f53b69b4595e47521b0ce7205c4363f8ddda7f965a46bbc5d947ed90d93cd519731051a65c904be3fed8c9d140b639a0fd1843888edbd186ba31e0f506f9f13a2670052107c27f6bcc7f596a551e7a24a8a9e4a862b1cac87e05914af596219a1a2ae7905b2a21a13f207096ebb01774a03983adf87801eff263c3b70d4569368f50b19acbe7a7316fc675e1460ed0bfb5ba018907b2744dc7c07bfbe3d1a1795ed2039dec7d340b09f842ff381eae69fb846fe35547538a425389517498371450f797c5a0957aa648735d101dfc2f553274a584baadb38d110cb7f96a84bf235960e6e54c9011afdd948f76d22eca3c835822482cd4d86a7d398cba27f9b1ed48c54adbc8452d6396c72a4a16ff8dc430cbb305b7fb14f03da3b0f6edee2b5139eb9aad77a2874eb6651c6e669a8e2728be56bdf7616fd725ffef886dd16e0776130e91b4f24a0b98eb51a0bf1dacc2b655b8f0122502a7c01d4cd20e97eca433a11c23e28deab40e060e25af80a5eccb9447500eb3d041cb3d519ea2012a153a9dda3ecacc9eb2e2729589650cf27a2809e9c91806a10b49533a76eff8a305efa41b0bb6743141599c9b469b82669b5a0652b4952aafdc23ed34e377c49b9829a0358a63e3f606aefe4280c639167d6c836bd517ea3c5a90e5efe32690a7591cd149af01bd3387d0348df7478833b2c86f4ed656246eacaa92024ff71cd52e572629f43d652c72db0108d4e766bace79f71518e4f26d79e8c362beef4270c9503185bab9de78b7ef908ff2c995e0fab7200c1dce9831b8c8d804b57e5e0f5c6b0e90c5b7714b814300d37e277a56bbcf4d3fe1ad3c3495c0cfb42b54028d33a2f623adfd576a3d4a80499e037168cf1c7ba02502ef490dc66a4a572e19b785a79f803c711b954fd0116463f262f2804a85f61ef27609614f0fd20f3d38e73c7b363707c84e04b359b360bb00673050d1c90a43b8f2d5414d61bcda44ff92f53c3530e12ffc95111668e9dadd8ce59a1b0938da1559d3ed294ce7bda7493baa3c9d105c94fdfc172099ddb962df05c7bd4451f5b39702cd3e1376b6da8f32ca9d2ae737d19baf25335fa7ebab72fd0c8613c856f525bd8291204505a65f55b0adb5cf97db289d5a59aab7a6f6c0d5663e09a923351b7eaeb57bdee950ef3ae3e47db82ce5cf65a12382a778200d663b89b00bdee409ec7dc0eb140312ffc9736131ab317e1e49a74477281f448825a3bf54d0d956c39e49f62feb9b8aa9f642138259e3e21d855f8ef65ee2a4482c4dd3323121f686e322e4573474c3243f7b02b8d9eff46e42f05b92a7a16fcb21a06654231fe1a7b04c1ad19083ec7e50f9a635e6060940efbc8341e6e91a1843c3a4614277ca2c0a700cdfe2e60f567dbbb633919b12dbb9605ad33a8cc20130df408b4273d7b21c90f2910d699546550485ca32f4d6c880d14be4e5f71c71929e1942f4cfe78959fffc484436aa09b1ca3b53f953cc5d34fb5287568314c0285fc60cced9d510968b14e0adb8028bc62276cf5db9adcaae95e69720cb3ba7454e4ac4cf90be19b438cd24f66a5ab47e23c61205455691b3462d9864b64736b984213a2066f2d556a5cee7a0ed57d6b8a2d0f5b3e7df58aef394179b7622a7a66470e26685033ecdfc6905bffc966e469bbcfab7833e8318679f7065a8b7903a5845e68fcf07f4e91042b51e28466474699cc650989c92c091e920d71b3380f8c28d51a21aaec5841719783501802c55af3545763984dfced034426a78de28b3c289d0aafc0fdb9cb270f264d70d46ca4ead2e6cfeeda5d1c4ed7be9016151701a5b2edf022e5f169d2587a0bcaeb2413c52d70a2977e1b3af0f14e638b791c2c8aa1829425fe62802b4774a00e94f05e5f580f026fe77202689a73af78b83a3c82a24f07a54eed4ca7b3a67a24ce6421597135b7ad112ec5aef341a800189f970b792b5003dfba6f40a6952b525cba127327c4a29c5014611aefc57a20f887986f817652ce6d4e47fb8ec963025aca015f53f1cd61ce4317858a537aa92d8307e77e1e5aca5c5abbe13c3572dfb11e687208c05b340a739dfd0fbb97b928e6cf589fbbf40dff820cf349804a94415b8e2ef0fe941f2cef90c8e7e83dabbc276cc05f9108df628e9177bc846400286b246915bb1226d7fea043d1a292607e9d31533134c0edac9e56f57c2076cbf8d65225b1250ea92b13bdb38b2e31f487ee918414b2d54cf0be703542ab2a87ceebc1c945c657b07fb41f8390c5a76524ffc27b3e6a030c87888c18cfbe3d230340ae843e466b16f6346be17c4cf5467a6e0e7d1099fdc237c1307431bf50c0484cb7771808f447612d26b2b6431fa75b6b3376f9053fef8e407260daac7d136e852fad2a5f95db0ffc048ed309722afb6f9cb6fb7572f02ef2245f98f8586e75b7b0ab4df042a36572ba6ba21407c31d0910f60320d39d20283e242de565407e8542d56b90c72c1770a3436c1932d8bf19b65a5f55a49bafdd0cc638b4a3ddc325182e7d8e4f7c75ece2b7c0032b514741ec21850807d405b4a4a6612b6f2acca0b7bb7699f5baa1da2d3d0dda4dda2c5aa0e79bc1073d61bcb9c9c0d81ef87d7b2d88e12ecb86f99b7f6bffbac6d713fe377b510ca1682391cac447e20f16eede7c3b313a' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('73c7d15094e710df0dea9ad14fb6ac91c68cc5720f69b9041a681465cfbef80c1002ead9502d4c71d9b074f666b9b848a40fe6ff912d3594d1dee0d846b623b8eaf24111ba94c1385caa3d0f2dd716e3c996f69ca83ed78a848d14429e0b6dc3efa6f86f6292dedcee08623466ab18b2dcc84504294d0ac66e61e52d07d1d9ab972b17d38b94beb83f2fb8864639fc0f33f3ee576f53a10760bd8f414b2aca6c9dc271ad0249b2d07c252132951dee4076c59de55498053b3efd3ce9caf5455b07122863e80be68c18bb053edda1a8c1fc8f733caa6caa9e5441b077a3feda054e076421e8f78dcb80ff498514053dc231b172b8a095b9a77932c6eb0107c285b053bf93dd5f4db0060fcd098861781a6b92f9708a3aa6a3bd5a233bf8ddff5a54d31bf6bbbcbc07eb9b6b21eb5489715e1731fb967233b32ff2276818485c2eba2ee9d9f2539876acb02ee591351a7c059dfe9bc38e8b983defc7f76ba0a05964d3ed8c1583b36bf5c3753b093495d361d15f6db5082845d7bc1ccf7065e9579660083b50c4892c49be8c3ed2b0db48f693e6fbee72f1defde0e9fb2fd1948f4e98b5bbcc41ead2959594600b931b69387c386c59875824d23fd23582346853d626ea716364d484306b118dc510c10913283f6be0eee2f0dfee096d62052696c55efe32ba58148fc4345541facade49e6041e978aca4dc7a4b6c7cf547081c33aa00ae7cde27e17944be83ef12d6607c4f863ab862ef5b1ae3c52664a1cc556455a6c6f96dd74667f652c8bc675cbd24819098f3a5b434f2eeee4f77e303787d6f7e7e8adc08eaa5ef5d0c067f50c8a101234e2')), S: new Uint8Array(bigintConversion.hexToBuf('e647760849a8c1703b2db2156971ce0d')), c: 187, dkLen: 2048, hash: 'SHA-512' }, output: 'ba6f755e3ff2d48b7134febfd1971a7b7dcd296fa9ed796f0114f284b1cb95f99aa5db6e6ec5f658bff2afa422eece9c4f72cd20ba8581ea98ce554a54b83bce64fb06c7664ce58b8cb07458ed6aacb57e80a5a31e7b9cd688fdd5e1c9faf11e9cc5c777caa12406befddf60eb01b2411614858c565f1585baa8e42d7e5d03ef775d3c209f27fb193ddd25840db131382a70669039763291be4b82562b73709702ab8793edc79c92409235a463a732e1f27fb8787987858c1f527513127696ae9baffbf09f54afe14f9b3f5f5c80facd5f0075ebd5b5614761707b096d13f542366372088fd2149ac8ed5334285e0b13c709ea43d4bcb028ff8e3ecb65ed2c2c47091d84f7f6b67071b7fe52db90d30f1859295fbd25b935ceb7683b22d637bacddaf0a4f0c7903904c35a6b5c4d0e6f2bb762f8cfa3be40110dbe0cb888af653f3bb755bc137cfd980ae8f44b9ad5bd21a8a4230d6a3a23f29fabde6ebb67889edccc0dece0fd4c21bd47bbc99fdcc0e29ff0e7222ff2b43b8322412ee701b864e6c324437ca893e83da7dd5db4eb7ab3a276d112a3ec1a06e6d6ead26fd309c2ee8ede009ec5fe94c99c1c0cdbfc67fc9551a5f66c5e6923b86ade581fd7a09dd223d99020fa785cd567c69047ea93b6b4da03ab1db7664ac73dd2be59eb5a2cbd765d5b345017849976be40f44f6f7d69b9ae283b94b1b60997265ab99bf82eb8f02bc2989b5c528026b978efd46aa1a14a3f740579a1918d28f969f8c05a8a544830398695af11fdf97aa9674fd9b9c3486e0e74c174ed71fbb4274692f018b0c12475a86432726b72ce14b8131c34263f559fd9e543b698cac9f51f2256742637e6ca6f56c2254f8ccd4296366a75a169ab277b18cda54b82f93cf2fb09f84492f32efb211d001d16bf84e5a6d9a5cdb0110ee79ebdbb6018cc0bc7d0c6a25266a5cf0cb4c8cb28b01ed4dc39c502658ee273131c48c293eec2aacbc71dd1f5b41682415cf0770a1a7579ddc78376fa99052de3e726137f5ba1dc7e0ea4129651380beb48501ecaa48e8e8d97e0b1149535898263e761cb8180934d8bc4b2b82e8c4cbacdb57e6e06869b8623898f47aab3c1b633bb16f83b0fb5626fad85e7aee1612bc8143ad173b764c797cc96d27370b7df67a4836e11368f77f718712306afdc11ce9e900d8ff5da15532311d9d4b97d0cdb29ab5ee75186ae9427d0323e3edbe6364694cef53a7f8339cc7602cd210dce7841369d06297df1178da4df78aa1fb739c123a7677e653455df377dd653f1fa291aa14dd6c45e0cc2bdedff2cdaf1801cbb43466c7359b88b27260005a8ba61bd80b25226b3d5b176c08373fb49bad924e8f65eb04a45efa2bf22dcca4019d6cba3061c9b62fb341171d8d7ce889d8108efb2c97c19202cc6eb996ea9496d06017cecfd3028f6a1450eac025a16f2d30fa891fe7fbc073a9243694a7ca2d94251440cde90341a06ec0262482dbe96aeefd488b8af84603f3d5eeb9345cf05d5a93b3409641c0d38cc83d4850ccb17cd9e47e8b77a94b41f3799a941101ec7c3b3d202b578bfbc7ab9dbac62ff9f0fec84ba1ac21394c7e534ac5311be8c6aaca4c22300bc6f5d1ae7f56c27e830f28be1000f35016ae80d5045f1c0c9497102ebccc7d946001b7a32ed145953e112dfb7e7f22811ba88f2c7afc9424476f794c8f2e8b9f9547b6a3d9a12289b762731d8ad9c8efb0de36272857163c2e0d03b52c182c549a030e8dc226a40274d27a450d91228df758393553eac265d2b9d485b971c0b94212af31a10ed76395c9ec87d15f7afe4150615c75199e6f34f86167dc83b7faa2c420db9d858ce68533a619622820377b2fe02ae9842d9b937fc98812a60b893c13a745eead74f40e8098b4eeeba0975da32f0ebcbf7d691e5210743a6c792ac58a245f278f6ec0172c0ab07e1e262d76d80fb67b5f9d33cccab6ae1c71fdc760bbf33df15fb14f4f7f2c45277e300755984b5b02ed38141083a2be1b4634c46034cfb3be2266e4bc56b7f689859304fbf1a8d05b745b9d29c28804ea659d515772c36e5aad7cd76baed2b5efd720c716dc5249b978b1aa47096e0ea34202aada5e7b226b4f5c969e1b4fa902be521e484beb726eb79f7f5502e9955be33377bfa126aca7b6b0bdd89b1fde0809c72260c0da72eb7b61f61cc5f7d1be4a6048740a1b90d244e45bfe45d27edfc0a333a4d9677670478a8043f220f04de06675181d703e0b05eede7614c552a6f4827e178d96cc8f0727e3e4c0ce32bbd489784dc4595dce944cd26dcd86c2165fe9dd951fd3968ee4bc349a190efb7c00addff9b011790395a9fb0fafd8d491833c16ee4ee91c872ce9a57a26e8c1dfdde46ba14e72e1135161dce9a26f35f924846b27640ac2facf624dd088f46ab9abd963938ec2324c55f9eb26c1b0282d6a0339b3affab47af203a55298cdbbc1de68e7707b4b77077737a9ef915608cd41c49819fa37cac420b26629effb44a21e2b4fb85e9023ebc7d7c3dc103c71d43e09f24a275e325f7ecb25787b43a3dd66b99ded62e150c780a7abf42bcc254af1824e737acff31a4a039ac33eac5a2cd68b629d3d28e3350d58483842bef05861368657f8f030bbb55ab7b6bf1032d8f6f479cb83b791964b9e18dae64f8dc64112b07b860be6ba5f8e72f305ae6ce3fa7326b5f002f7aa5bc05953e118a259ee953a597d95cac5ab7440f7a46be5fa211eba5272702d6e61b020246e1909b35923b3b57fb042bb0cdf4a4f2c47d3a604d8e147970cb42ff8629e485b6d36796658c1d210fb2bbabb34e04fd77a14de0a79b186505ab5f672e2d99194431f1b8ae85e0a24d811ab648de1f706ba645bd193e24293ce40eb0' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('cf8b53ec957edd0f4cc547460b75e80820d9db25cfe28f691516e376bc94bfcdf624e1a7bb693fa2b2b513b32ba36c7dc2324caf79b7d1e3ec29a757a4a040ceda471d34fc1bbd9ef52b535f1d6568c72039c6eea16d495d8d42e15009cdf0fb2a688b8a07b6b86e13cdb36711f91274457743d8ec701653750cd2b9bdd739e00a96f0b66d0dd1e40a8fe1a64a4e51c40063b08bff66d3cf3e9ca13e9ea018dbb31b8e9f923de1f96a9879708a2476efba8542992bbebe067a78e0e01cef573b49455996f41673')), S: new Uint8Array(bigintConversion.hexToBuf('9149d9aee88a27660c929457dab1491b')), c: 188, dkLen: 3072, hash: 'SHA-1' }, output: 'e7e7f989c00ad15f78bb6b357cf38bd2ab61cd4c61f36daf914b2bd5f9a269cda64b6a6f079431682fe46a8061d1d9bdc0f48fe82f613d2d8c57cb016181e5af252bcc615b2a15a89cb53ea62c9e8a2d6dda0ccf4b87efd2bd523522f33d186bbbcc53faf3636a837db212a4fb4bc95b3afa9fbb3b09b091b5b316f5f9f35e9182f7a624afba01da3face8376ddffb666ce3f14dc2430da1e93a081a7e7a2b8b11d1a69a632f39a5fb013691cac606a21951b546555cf717d367e4f966b1aaf4b1a81caa14ff8f12b95e547da4be6c4c6d39c130647dc81aeeb6944490677649afbb4d5108141ad340a6d27b3dd9e9b058a244a2cae6c11a212f9c7c2141f49520cda4ae49d993c87c02b60a2b0ef82621176f4e3e34eaadd01696c9f38ce906da0eb7451904be7a8348f965932ef8fbdfa8860ba84580036a773660fee5563820648f4b5e665f02162ef8839263ef8319f93215a80654cdc538e5a3203b398df7a717cf920560e395d8cbb54a384b0d370e058166fae95508d2e03b0dc15b1e140b75ef5cc9cb79d68cac8828081b7e72692741a05c7f030d879d9a8923d72046dffd03d65ca3fd0c4c770ebf8f314cbc0c69626cb5a764b1a4e0d953aa077602ad074161ca2d4df910697e3a1f0a3d1d5ab5394a4ac4c82cd17f9ee92fa3f5e3b88dabcbd2625426ff58cf3745e16b367311b1134ff9085f7af08c1f39e98c2e13a8a397c83cfbb53be68e8b0d023e28500b2aa60f0074b7e1fe0f418088ff42db1759b57ccbc3ffde861824b9d815830518405205cbc9f475893a68616de9da5f077f91f8a9c39991c4885cdfc17ba7d648e7c08b3ecf00c5ff446d399f030f77c1378354f31f77cd27cef37f1d3e80e6feb14b23e9d9845d2a3e3fb871b9c7844a00202d629e01b9f5bed8d5a3e63700d9b0c05ddb0c9e5ba0c7dce569c79388b7a02af6225806d62bfe61be05b432fde324800edf36ce4ca21c83d56de69204c36e899fd43e61c33adf79b0096a45ef3273b0aa63be4e979c23e2d24bfcd4930bb72d3052a2e5f4cdce915e05f446f4ef939f33136d3e34de674b6ae51e76e450a04539649ce8e59f9278e155bb1a093a960efc70e26eb13b00c16b5453372159cdb6e150d804e1497f7f2fbadadc59947b2190c232d179b2f8a6850c3ab506e23bcd9196ad82b7c24ec3ec5ec0d59114f0c812e17eadf3eb9fc09e96f85f1e9fb93fc809fd0cbc73b823ffcef9d7496b4adcb34dce35c00dbb148909b327b42f81775e306a3d1469181f7a7d6b2271d090ace4b2ce8181de66b2f5569b45506f4db39883c96719bd6fb0037151edf5202ff5207643e9e9d39ef9efe1add25018f19319379cbbaf12458ec2c213a98c6b6c2a663ae2cf1cfeb496606e987b5db9a74ee982ce47cba919ef95ae0a0c1dfedd00a6c2edfe81163ff9703b187b4cb59b53d920e008bec8c940a977c98289da1c1b9b0f863233fe3f008b853440a184108334c3e1b7f106f5ced255d6fde228fed12da5c3414933b8a5288803c00dcd3cf846b2e02f559ddf7241928af3b304314c451b53002909338f5e3d4b736209ba00570731286fde746f5db32f0e4cd22bcd7e0fa669e41270a50e4ff403ec51e6feab97689dada49192edade4551f48d6b52e55d6b56d0ed1f2a4ec25fb6538778b6ffffbb2864b58b71fa36722b157cc2d539fe234819437adce5c25e1f6fa3f993f3a33ca0ad3dea907e31704448c168531f49f7133dfa590e163f9d1153959616346084fed53c8d0a528d2e7559b31a0ae7253fb8ad0520f904aeb235c3b6306d949f7e608008ae25e2e1b8085f567a13705a266b723a6c44ab4a154f8a3463ade147d39e67a815824c337cfcd6bbaafe3d842603b40e81cc7657036599afcafa7467669188bdf33eac57cfdf1483e6f455a9d41da182d361cf3fd49a57e10955233647ec05c46c1badd1849b90e8bdc76e3901bdfe534d232c352e1c6b78a74111c23d1e902ce8a995f1861fdc4b3454b7ca019759017a1dc1d93737dd97b301e4bb822b70d784bb470c1f0f850aec84db6c1e82554ba99158b44d9ee16341e6b2104f978555cf3321677aef8ecb54118e9479d326e89b44c4613faaecf5b13beab60808de96654afaecd7abd8fac19f86e1c48b2a0d082052cff3e7fa025dfdada7dee9e200095dca89f21115dc9c34a8e431111501af543ef55db1a23439b8ff9949b8045b542d8d1da71772429e899f31eb8c2d97a634ed30b652b6b5140d81015de75ca306b03567e0aca7ff5077f196200e190bd9649cdc7f9f821929bd276dfadd1c68dc4e1779a5f734a71e7a3aa5fe36d463d7f6b2638c9567df0fcb7a5162dbffa3bbda70e672f9a6b3998774819baf37b3835315046bd0dba19a492771b5029f0dc70038de3225e0923145bf37d5dae8a02be424580d55c1a19709b760bbc911df6410c9b6348e510c830ab7ab902965ef057d8822c43b2f772e39d61a5a48f9a94283d5301dde222480eb125296b691d702515af57338b574ceb350c5686900d181a8efc770b4f5d59598f310b5d06741156f465cb249ed197439e7ff9ccb6494df9d6992997a4bae9c0ff61dd1917fd71f8831864d687c1e7c641cf3ab1ab3d0481136fe491111d533e24706f74cfb4bbf8f76024f006bfba56de8b037b60688167538d73aaecd329c2cf693fd19bb93d5cceb8ba93653ff0e375b9cd610505dacbeae8e57d46ee8f5818b445205c860fc33ee16ffe788d3ae1fef3bb6900800853a91e68fdcc83b013c8eda54446649f5fb77376af3ab02649310ff0cf3fc91b6a783031b26756ffad5bd3acb3fdb99b7338914c5a40f27a73b6b97e172d2641c36fbab6a0d0999aecf0aae65c0a9d28ae96fc2f99ada719106f75739b55195105035aeff5b32dba4093cef40a608557367f1612990100daca44fcc10bbcd0f0a6a64c5a708df9cc8c3d3c4630eb5a2a711354855a3007d170020f0fb7318ce21c6f1e46584976f279d4d9e9392af194a8a63f8816b4faa4a0b0754eeba26b310f7907483899bddd5d63a0f507a0bdcdf65a94bc4f0e9e0fa28fd7853d6fbb4f23e0e8628e08fcbedd3a3b4e3c1b5b7d966a3eaa6ecb7b4163dc16f29b8b3dff19a0c22a4c626fa83d03ac307faa6e46fc57bb163f3a05e186589bdb727de02ff5fd493b6096fd43e371aca9d75620fc6289ad267fe8186a795965ab3426f94032a3488c5597101620e136d5c898311493946ed109f60e02ebd32e809bddb354aa42ed0517fda4f94749dc3b57a1c5aa90b81d207a92ec54adfc2f07aeb081b020c394b73d215912e8eac35f6e6443ed94cffc33ad787ba4b888d50cfd554eff395ffdc4506456658701a33bc2d8579e9d5aa542684a5cedab2b91b46fefc2a832ca6c3c7dec7ffb226c222344d3f6988a7ffad283500ef166b9406c92c69933ad9a7dca194a4f530f0134d077a159baefda2b764495adb29a7dba6c5aae6d53d99e6a4efcae99ca5a8e7f84a3cd1b5cf0921df0d8938ae0b00281356de7852be5c18626ddc4c43aca160a8cc410159b15f47f03c3bd493eb49847ab1e7836883d6fcb528d353d0cf3966654b0dc83f1e7e3feabe993f06e4d0bed78fbe52658c0cfbc9b44b51febd0902f10f7dd4ba44a683a59f2f37db8e9131c37a526888313326f00db577480a2d96d80b566b52e4daaf14580e3e01bd46bcc43960fd753e9e775aa08be24026aa1db35de2889e5234cba1c53d8440fd4e4e6f43260ee444e29355d3c928c902fc92118c5fdb37ac695201b0820fb355875f99923bc7d6a9f9da80e2ec44ca31d802cdd611b6a8c6ff65c4f0ab21af43056c3fa0fa7958b5a682e2458cdda08e7702de5d668d8b98a6039334b81a35fc2a2522dbc06bd8f0ec866c2f957efb8f8394583397ead76404b7e9ab7485cd25515b4fc968e210cf364e5cab724d392c1b7ef989715fc37dc1867e91ea5b9006f2537fd3a904992caa36158b41eca1b623b9be41c29dfd349d86c93a7cb6deb8c8297a0f27c2da5ad7114241b79868a822e58dc00bbb7218d3b5856a35b46f1afad8ddd514e2d18c4624be28419c22f47b131afee1c6f8cb5b3eecd254774d3eb3777719257a9267547f05c2749b5cc45258ef46c05e72030ae597a7912db562fb6462c09e9f37f5002ac47aba2051fb16dde8c8c986743e32bd8bf0fa036bf18b25b522411fa4a45b17806a0449e7ddb7e621948c41a4ba9896635a9a2b67feb3f19446736f3bc04741216737b05bd75ec0b28833db4b091a63034330d106b0180ffbff0e4d1073611ec62909712f127ab64f04f57d88f144ca9d0' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('cf8b53ec957edd0f4cc547460b75e80820d9db25cfe28f691516e376bc94bfcdf624e1a7bb693fa2b2b513b32ba36c7dc2324caf79b7d1e3ec29a757a4a040ceda471d34fc1bbd9ef52b535f1d6568c72039c6eea16d495d8d42e15009cdf0fb2a688b8a07b6b86e13cdb36711f91274457743d8ec701653750cd2b9bdd739e00a96f0b66d0dd1e40a8fe1a64a4e51c40063b08bff66d3cf3e9ca13e9ea018dbb31b8e9f923de1f96a9879708a2476efba8542992bbebe067a78e0e01cef573b49455996f41673')), S: new Uint8Array(bigintConversion.hexToBuf('9149d9aee88a27660c929457dab1491b')), c: 188, dkLen: 3072, hash: 'SHA-256' }, output: 'baad4926c5da0cf2290908cd26ffaa78f47c832138e373c0bc625a5299063de082a28aa1a4b3e394c7387a8d45f13cf7439bc6ceb449157b64f9d311f7bd295ee7ef999b3dc51fa06d83390aea43fefa7c7e8914a2acc0f03ed99dcdd205d92f27c2d47c171103a413df50a372b2860f14946c862ad625db3bbc3c9882c28b42942c0a1f1839ded4c148614cbc29fbde401b2e222af2bb56d6173f29429989aa86724f0452185aedd54590a98a40c5170a9af3deb743b5fbe409486a90adf06915dd1a08c2bc0e82b902159e8d70000b8cc9dd15799a2c142525bfe665be27f9fa50c2ee985e84ad84ff90f745eb36fa3160e5b6330332159a2e038510f8a30584304da7d5ec4c108eb68c3e0004db3fe52111ee74537f892f260ff0910772639f3337d8e7f3fa6c292c987e73e8da6970c0a06cc40fcb6de49d7c09c9154f60307b3db9c65a91041c5f74b92a97d3528daa0a644d61153f4bb95ae6bd9811501a8c734aa1ae0bd1702e675d315245a64ed78cb31c65e5de71bcf510f8a35995cdefd08921b5f4ea321d45400b4771fedb90d7f89caee72c1fb1425d354a29703415844c3857028eb8cb8fa1c72ea9590802dc53dea0da5f688ebc3c9f8b567f2ef02a00ca3e4857f5fe39fb7000883054ce5f662d71836f416ea3bc4c684a1f73c8c9afe67332822881b374f1560d7c81c755baf8389304ec3138c74487a570e26910a15fc7d230bfd24e5cc058c9e18fdb50dde559ff6290b5ca530dc7e22e082e37905574c1aa4e74cda6915ed1fb245d8445c09880299d5651e48f5a109169e8d451ddc46292f6d1c6c94afef56490aece0d63505232c4e8027f60ec7b64868b0b059b27307e490edcbb8b0da0d310dc3b01163b4058915d48ca48462f5f23944a2bc82cdec4d0de263ec4e7e1a6b2f5c65b72d365509f1756d9eaea029b6da94a82c6a605bc62fcb539857606d98b4f461803222b8bdd87e5229a4baa02b5a952c2610ddb99fedbb6fdbd42fb824b869c45483b2cc6814a7ee3a872172ec8c4fb8695b0dd691db62b44a15f263f54fda6981d4be50c59e5cf1ad0ed5285fdf219c1cc94deab062b040b4662c1ffffeca282f3792eb2dd25847cf5ba70994cc806a2445835b15dd935f6bbb7799dc9b97577dfdbf9fa130411f41f0788e25dc9aba52315a9df24475f2daa957d22a190aebd99d28d0d5dc481058c8c35b19838dad52daa9710e1b04cdda5da15e7bd75fd7c5903694863a679c408dfcfc07de968fbb2b9307f50d2b670e8211eeafbe73d868c36993f06d0572c9399f471e9bfefd420370d3df5ca8d360f36b48e68b75627d9919aec394ad595f600859ed554fb738284a1054245ae18d5aa5be362741cee7d39419d07488191b7fae419ca10f86404d4f5a1741029097f54fe64300105ca28e7a9fb687fc53f71458b3d2b8c1de3cc2cd4ba7ba6cf72e2ffee0d5136b243f446cb64ad7c57f716170906eeadc47b210ae59c698368957add8173c3746e7f4b99d07ed1fe93a3d0c28aaa980dba551a3edbd3dba33e9a714714cba296da3c53ca436515633fd00cad105ef5d80dd58359b872c2f833ab852bc56e6fb47603385aecbb1b8706ce3deadfe8a68401a71d2c96e4be683aed8369a3da4de11bfcb0e9f51b897b4e4f5476ea1fdb14664282747e56839e5ce30569430083168ed36317fe3ce0e144c6cf787fac760fae8517847744428f9807163dd3f974aa3a124f474ffc2d04fbcdec423d7a66374db9f84c461ba140ed4305be383a3bd153bad0304b8e4ea1a48ccd7d4555b3050fe13a05400394868a1cb894dac860611d44e3b4fff9d821ba98eeb7872d5b36479a8e28ed7f5c34fc89ca59b67f060dfc65c834f1b2a8e8a7b740894708d1c3fbf80ea6290b4f25fe8b437a3ea735ea44324a649e0ff0d88c8d2a897e52d075258e0f73df222534a86a2dcfd81cbd9c7dd9c94b5d09df90f80811cbbe082e0052483cf584214203cb8defddc719de9e34908b106d86301e748448dd057c7161e22234208a0e29c1062f851616fe347e5b7cc1fa57f67b7c03804381d59faaecfb728d9b71e16e943fc3c5771b00625135b609408df0b88b33afd46bb62fd03afa0181065acb8cbf9c9ddda549bab3810c70a99d8420ab13aa8c16c4352a605a87e51ecbfb92fa2d9168f4d57f792f6ab786e4c85e5a7ef365c0147c9a11845ed91d0646bf1218ed26aecf1eec42eb4cfe49153d9fca1dbc2e826b566981a5abe098e60dea78158ce38aaf3256a5a0b1a3107bcbd54ace341973d51e87a074b7fadd0f797cc4b1e8aea790cb84d89b581c0c723fd307a73f17480dd808047a9f3c1cdfde2039af8775ddd85833aa52aba4e026fbb823df6ec6cdea06a5dc80e864e64d44524e3dd9f73b15c5558e4779100aa5e9e10c551231560cfccd7f704f3fa28562d125c3c64c463ab5a3ce4bc51d458248cf9857a379bc877d530a547b31ffa38ca01ab16a50ac73942e6dbe653787524be77ccadf2a800a8c6b09191cee9da6e4956ce4c5c776f7b584a2cf920c7fdd8ad6002c944c9b60a5bfe10335f9dcb3078efbd01ac3261196e4c501f6cc2d89d07a847f3e45fc9e174a71c1dbfb712558bbf4e1de762d65856311a3fa584b81caabca2e46b1769331db9ea424e61e1f721d401d493a3653df95a1330e0dc9e73df7d0a3da52a648592b5a558a15dd124dbbd360914969ebb4a827229d9a0f5684da2e2e0baebec7090b0481f8192508b1a281e0e8f86762739d54ed536d24d9c9e1d6b030c562d490ad9ce4f29f318cb6f2244b830375bbffc2fa5c188a2bb72689f50e1c6d5c7aa148ff1c30376afb00d3ea00c321acbb9a9c86c09a551708cc6d07cb841e40b6caf7a138c81bcba1757557b7f5a5caab37e89ebfe4dc134365a997fd781808769826208bc9ea78d1b13f98de12dc0acc91f5128c5d18efb4ca47bf89f58a76ea238f738aa92bd4ebd097158b67ae198c6813b972bf98bfa7b9ad973311b163649405ef2b82fd8b3885d3cb1891093264408e6268c400c7e9b428b14ec2cbbdcd1607c2192aaba56aa3b0b11e51bc35ea8118ca0215d16c46d871422264343f76f2aadc0a066eb9a07db946721cc021bf30a4fe95fd545c611308d0719d3930ff3fdcc35762108bd0385607fa5ff915535e054174236c4e73baf00001f8dfd19c849215d2a3ceceb1e63b2a3a3515b162ee41e2aefe47a7a7665b69b0a5ea687aad7a916d6712ba80fbb7a87df5ab6c3073efe9f33fcee61c3597a315ce7c4b599df493fba5d6d61042b83b8a39469fee85986b886c7fe1a2e2fcb0453c7cd09c718f65b45a88bca5aa6f6e676883b22b2d703fbded2d901b7775db09995c002f9b4f254f22bd55aaf4f65fa297f2d08a8b6001ba94a28b83bcbc2db45a380489721d018174720f3e21fe285af61af945bb4daf17ba13db75a34ec6ef3ffda4eb8c494bb952c54c3b51e0da41981745c55f8c5ed598b646633b3afb1e8a1a47a30fd2e83376c0d6f1c0c4889fa3decb481cbe6e382d3b47b249e7d3eaa96de3702e472788a3fdc97d98626109ff531502a354942a55545438f47c9c8c5ce93e6c110db536c1a27cadff68fdf3bb9dc4dc06c92f8a21b47f3a4be12d24017e1ac51e63fcb38b8f85f1330b87ef62c54a3d3582e05d6bc9219258c8f607f19ba087d3e4cdad0334ad9b9139614c8e18bd6d319100b4460b1957f2ab9fd9918e8e4dbeea53ab1c13e0e64a53b865cbc47e849a7cd405d7a55d9d56d618f3363f7a14d6549317ddeb45fc883971fd2129b05a001f2584be5e7e7fbef1b19093ff1cd6003db81b47f41f3ef9b4c1799af19b5787f6aed0bd62ddf875f08130b2e25622fd593b2145add65adc78ce8b5aeb5efc6ee9d4a917976c3de9cb07d24113386dddf8c23d484f53a6bdcd683a33db50da39b1cd3e096d4b682f344caf83ea9f538669fd1bf4a7b8b75ec4aa451c4b961f4fc9d6b36bcfdf81481d98c145acd4d5d0c2f5ef04fbef8d1d46551971c80de5e140abdcdf1875b08253763451f265b6fd25c5e01244d2171bad8ca99fc4bebe5b09990ecc1d5a2e4f5b12ef30db78bca6438537432889899d084cda632042134109b8be7cfb91157323d057975c9f4a9b6a0ffbe2aec31b358c88c8632c938d5561ea2094836d7545bae5fc30d262638f133f79ef42082ef4542485d9442354a8ee81ec03e3e9a2ceeceaeed33deeb4db4fa5bfdcfbe1955afe45e3c33593f45e0903639d500a3f9014c16abefbc26ff6a287cf380faa387b34cc2e037c8d6a7458fce9bb76d7a1951299891f573a591542c4' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('cf8b53ec957edd0f4cc547460b75e80820d9db25cfe28f691516e376bc94bfcdf624e1a7bb693fa2b2b513b32ba36c7dc2324caf79b7d1e3ec29a757a4a040ceda471d34fc1bbd9ef52b535f1d6568c72039c6eea16d495d8d42e15009cdf0fb2a688b8a07b6b86e13cdb36711f91274457743d8ec701653750cd2b9bdd739e00a96f0b66d0dd1e40a8fe1a64a4e51c40063b08bff66d3cf3e9ca13e9ea018dbb31b8e9f923de1f96a9879708a2476efba8542992bbebe067a78e0e01cef573b49455996f41673')), S: new Uint8Array(bigintConversion.hexToBuf('9149d9aee88a27660c929457dab1491b')), c: 188, dkLen: 3072, hash: 'SHA-384' }, output: '51a594ce4ff44547f9fcac91f2a9f7208ed191d9446e2c4c545f23ffa9e70267d19a05274e54a45ecec0fa46f59110cdccca57968723ce9bff1400756b0e350b2bf663e38dddd4e2664a2155d42a03eea8aa8aa0adade98b1ed403c301d48aa1c648697a5c6ea55fa91d5fef955252ebda73c27f1588b09c02393f680a6c0f250992b68779f18a3284376e0958c4b8f69fa099f6752d9ac00d4fd426431a7f91d0e9a4506d3a6ba30270651327abb14a663405122c7c88d708a5c9d01c1ad35eaa42ce5755f564598c3adc6375829be391c2f4d3c73ab7a9ed3ba91dce9cc441a02710f7dce9d37910e54d70ef86146cd6a2b73ee65fd0887b8017df6b006c9cdcbf5a799983961f8b4ffad6100396297311e880a7dd1d048ed852c9c458f7ebc502568de7b5d5d9d3640a20710e4c149be21a5d0e23819f0a6625fc4e7619ca6753e7721226238fe9358098bc5c79ae2e5b7556cab0492289f219ad9f51bbd34e5f4b38fd807a817cf17f5e088807d2ad0b365e1fe87ae30c6fe765c62b324cedb43f4ae532c1751451851d9e34bffa05df55d7d84f609eb0785086bd77a21863f69042fab840cdeb2c079a362d331d1a4143377cba523915006dcaa1efe3c7c8b87e524e8be049b13fba66472ed08eff35263ca7cd56934932b90cead3427a5b94c5e7c865ba2664ec504a9af996412ac9210b2fad41ca0326256209b33ae954daae6390921b8fa2df30f419b6f837564ce76cf27bc8d3a7fa240b34c1be35d75b2de0b2e1b74f7ad22a1f3219f9d385641482aad9c0323344101cc5fae48b2f5a6c24f832ffc3859757cd4b94a87cd1b62517f96e26e5abf3e7a81cccbbe761947042b5e9f450b3c341ccb094655ce6277f719ee372b16dfb9b0a85e82895c6561271cb70795ca986516627cdb2d2e5971272b2c105754404e2736d67d1986a092f0147217336a665979e8af939d9033c671bdaba39c884aeb6229143c695b584a1489be364234b2299fbc37d8b51e6da56ed3f8349765d8dbc9a12fb7293f39c71fd39a1ac81050313b77e63e96b3368c99f09971fa939b71f9182808192636f279ac06275e80afb9f9cd7a1ed4cb99a12055c75c16116e24216de30413c2f4a0030e310d2b4da2d800e021d0e5c928efbf67724a6879287058ae8a863d0021d989d10df99a12b312457c9b34f60e06cca4b218e6edae87a7b66e9a4aa2e88be27e2122a2e845aa563091eb4f039ba929e1861a4c0f00d2837fddb4ff28e042b665b336499c6a2144f75d79b2bd68ab0a95e6c6dcf58a686fed83d61cd16a7bb7c8e18f8d66282917aac013a659065396bcdf86eb788923633cf791af7abfe63573567668a340fe3ddae5ea5ec7f63ae5bfe28be043a3978dbe71c9f27bdea7794c5ec1fe3a90879f5af0830de818dfa3a9e1f849713d4da49040729fe49a0a0e98c51a8dc4ab0a53a49fa35081208fd75509aa9ba7d2b3f459c08f7083d06f1d79129b52c7710b17a20f0c8504c835191b52b57e4059e8dddb9ecbb06b7aafd0b81a5099dc89bda78b67010515e2bbd0dc58358619210ea45d6510693506e8d5fd0ac698c7481fba55fcbcea084510605d4b11509dd168f6c75635d1e872d7d3bfb7a31fc927f36988b6abbdd2eb4a3988818b4b14328ba93ba867f94f093278c7c28bd99508d8144909493cd7ab6164b734d734d61b13cbcac722f7d46ead983679f94396488f96cdac0c7a159314d1a461ee7cd484f6bbd1c1e4187c10a51bd77149a991207107b7f48a17cb21a58700dc4e21111b42602302b9388cec374cff99461e3d083190110941016fe3052c800207b7ca2bba2ab5c72339954bcaa67abea138846ef6cdfff747bfc6aa634615d51bb87e6e3a77e67e422c95f2ddd02696ecaac848bb0fdb215438a3b5bd776f479b89d00ffeaf949ca9400a4a7326e9e0bd4652c6e0efde0c03623b2fc7eebba7ab75c765ccb37534d51d92598e460c9bb0dd851bcc7fc9c24be8b90012f2b59fe48e6af75beacf2d2bb92fb7322cc249619855b1f2f25cfa2249e251482c84065b1bd62be64346171e7a6cc0a58c179d5eed82f5ac6b61e81ca4e180e89bbc32f82ec76b15bb93032c36e2f2e214ebf260c5b45bd0e7cfcdd898c860b71e40dd8e12c233f77659abadd708895f5473eb0fc3cd85878c57d98eb40608272040fa641a31b1d097af395dc1d9888f80195672b188c38ffd3e941316c9aea221cac13eaa3283b751b774ec4e50f527609da2582ae587c6323d1d16e7bafb7d5dc5008a5c18bbe1289000b8e03e8b2654e763dcb5eaef98ff22bd0e3cd5af8d70ab516fd9830d48db9f559469e987851bfefeae27dfa723015dd55fe754c1dc4ca3fcf67136db3c9232661d180cd281fb33f73875f7bc19167b92e4a93fd70f1d180bf7f442d0513bdd3e91f425aca88a69d38f36c006bed247536ff58d23723f36d49c0db817b2557c82acbc4e5315b03be5a15a93503c6e7118bff88e6cfa2d0f392b17e05ae4a7f2ecda32f9b5c79660e3014b928f1abef48547958b53a55e1dd5062cf454ae2578a1a0ea77001b568ad2a09dc1ce683475f1bedcc784c523f09c70cc9662c3275d0f42e7c2ecccdbc82a3d1cf7cc0e34d37c0696251f0f034c3dcd0eb0036ddc7d5415dfbde1e1241e6f72f4002f3e1c905cea7bd4cfbe75291a8b1a4f9a28df3e47fc26d342e483ccbf59dd0f241faabf9eee7ee459e1c7f1cc16d428a6b3dc47a87d891a55cb81c3beea417d4c7a60a1d4c22189d95796e1cc30d4c710b43632cef2a291e979ec711e32f43dbf20c43405cf74a0191872daf00c3d20c538d5980dc10ae3e243a4088ddd0084f07bb11cf93a9a572893b4c681c4ad83a4b356ef246e84f81532ae1f60a306f52fb1b43caa5b18c0ae708e3353979febfc2e4e709f02c53d0c7163335a5d644bafa3a42c8200b97df8715f10647b7da89c2f1435bbcb69cf6bb2e01115b6733abc461234c2451f59ef962da21a37e5ee9ace0221c7113c961d7957666e294085ae0dfdad6510e302053e1b630187c28a093efe94146edb3d302ff7477d2e1596e1f0bab07a25fe0358b985ea3fa4ca100354e121342018119761ad4ff33d52b296a922b8214218ad7a73abd508ce28779927bfc9b4f5b2386615c15a17e53bf674a694a9ca91218607f6ad54e55b1667c5e8d1568b59714387d8c38b21d8e1e6568b180dd1dd13eaf4661f7a1abe1b3ab11e40f22d51f273da4940b707cf402a3f61a6301590e39df53bbf2d8e6892185701cefe3f751fa9e6774782328f7415c7fc50903524198a132c80447eeaff99c999d8f30e723f61e7e178839804c901e322a8d79e3684c79db1664b1d090bf57fbd336a40b213fc080c3cac125e3e0c2f143c75eaceffddbf2776d6735d502816eee6c3501596bff3237b686c15aeec91b357ada427da2259f3c9c9345a2383fcef90a85c2abc77d6fe1f5cef86b44cd2ba175f6debe62571e68ad8542c3775ba4a42eab7f95c00213289abc1f10cbaf644702a4aa616f914bd4a92ba844da9c0008a74aae0336a6f5939d1aa9d5acfa555fa940c1b468f7ea261e71652093ba31d822db3521c7d0d105bd89802b37129dfef960a34d33a3d42b35a69e25c7e684ecb741a40f6f17226325bc15a554daa6d7a7144ee4c2229772dc37ea4b5ec57a77fa73c647b3b8a8278af6efe3929b4ea8c1eb1698ee6b52a13e6dbd2e4adb5eed744086c12760b62e612e727f3d94dd92690c305cb2b59e19344c9d1685ddc4dd43fb3f66ed159e9328866962ed3c992347bf2d8e2464b27605f43b5526fea2e3432ead1ab2f89f957ab626786a82635c5ada5aaae1ab6dc564b6493009c7a774ae0f72f3c899f8b1bf426241cb520941cb0df98108f2a2c828c666c287cf185d5eea23b023c1375621732c1bf6c2c882d5a011ea60ca81881b95728abecaafe32c2c5764d311c9d7facf3d06a452bba89ccdcaf5763465fc5f352b98d7cc452ecc550557fc33f88dcb658cd590fa4463ab1225212e6fee40fc92b54b534d4a38c587128ede5c2e0e930c53fd78de7dc4048962ce264fa46f2f2d51b1e7fa7a3920ce2133cf705023b88e579c6c876cd1fd37cb80421655dde2b767cff889f441a67eee8103aa3a40049304a8acbdb067fbc45508f955a9c8b4c5598cf8a286e6ff0d3820430a122b40b8a7e2e5899028868061d02ec55a59b6a2cebcf4892b52fdd31162ffce90e5ee5d98114fd97045cf4a9aead31ca3d49a5399197decbee1f982a1f020e11af8aaa4d73960c7100f5531008075649ad1105c3dae2ffb141b187117c6cb5a' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('cf8b53ec957edd0f4cc547460b75e80820d9db25cfe28f691516e376bc94bfcdf624e1a7bb693fa2b2b513b32ba36c7dc2324caf79b7d1e3ec29a757a4a040ceda471d34fc1bbd9ef52b535f1d6568c72039c6eea16d495d8d42e15009cdf0fb2a688b8a07b6b86e13cdb36711f91274457743d8ec701653750cd2b9bdd739e00a96f0b66d0dd1e40a8fe1a64a4e51c40063b08bff66d3cf3e9ca13e9ea018dbb31b8e9f923de1f96a9879708a2476efba8542992bbebe067a78e0e01cef573b49455996f41673')), S: new Uint8Array(bigintConversion.hexToBuf('9149d9aee88a27660c929457dab1491b')), c: 188, dkLen: 3072, hash: 'SHA-512' }, output: '157548b773151bf60836d9ca927e022b4df315ed4f40c618f00e1ae503613ee25f58b08c2d1cf7562de80c72d5880dd379d58b072c2b8499d171690ea81331dab3e88106d26962e7e49938554eec0a48b1796f0f9d5f7e29ba591c6e85efad6b35f06b40c58bff5c0ddfbe73f8cb7d7d51dad422fd027219b9490a27284325fde58c6a1ac8f0798f393a7dd483297a58ef76da67a6cd1b7eaaf66a842abceeaa5665d4227174786508f80d848b633d23efd310db499b88fdb5801d0d9dd0f446347947adcbde195caf912ed3c17260c5eeaf3a909db926768384584a9608aa5776d03a0e18031e3d1975a5c01d3bfb8f2d75b240a8098597ab88db9f0bf525f73f97b34ec89837ec53f1159f891f5d248d5c7d6cbbb9c5a13534b48b1cdd875b4cbd7ebb0e8969421c2d8c162e314c954f749aa514283a735bf274b845ce117c73f30a2d25665f727bd35397391155b105ae1ca8761bebaa624681825c23cf883fc36011b7f0dfd8d0f9373c9ae35dbd5df892690f6cfe059886d4a01dd0717692df30ae47ccdffcf9fe9cd2b39e8909fceea591b19ff1869006fffdc0e8342e8cab26cc98522bcd231de86d1aa9b814ed9c989d08c6014134c3fdab1946f94bf205da6f2d3ef328ae13cc65baeb843385a446ea80dca458496455e15292f3981944c215f924b463945ba2ed15ca2e563289400ea2fe16b801bfb810ed7253b265e23fa092305994505db3e98760942fb134f995045cd6c39900b962b07214390192a1bde99b99b44d9c1e168a42f3cf5e119ee96721226e147e05474ff5a64f76ac1b27bfae6cd96ca4b15df5eb76c528664fc7e9f181d38b0d3070d0978bfb572fafa8232ffd0ae7322fe73c904b7ddb37896f9eae80a8ad5ef9fbeed101f315cbd7c9429407b01ed5f7978261c4eecc8a5e9d9432df5e74a7ad72a934a8efc4fdb716bb57f3e3ffd1c70ceb692dccaac58e7fd16ea34d481ae43992a68fef2266bca80cbea75f6d8838b95d7c52a5af5c97a1233413b05244f1fd70c3a9bf2f67e3029f5112968439da6177d8d44ae22a31bfe49beeb7d9479f247e4750f114c3ad392716b0d1436452218bd79639e1d8c5e431d866b4d37f32d89197e9e623f02c4d1c702ecf3d40975a71b31a11fb1721a7a7ba2a628a35bab3dcf001b65629d1e4def0486c1fe1585e7601a8a1228056206fa41cb8badfe8fac4e93d67d8fdefeb811ce040ea7f9aca8ad4d937a9a2f842083fc37a496bd180bbeeb2af0eeb0befc89c2ef2a3bff9fb80f7a108331dffc25896b6997844f55ad8a545e2c6c3dd8ad50afaf7731c7c05c3f5c06e475f6fd7c41ea8bee135efca16b6ef320fb6770437034fb386f6d1cbf70405756e36050e3992e6acfd766eef5748b77d42983de7e3161949584321d56aad308c1af05c87b2e15703d9bcab4ab15a78368fa769ccd9d921106e3436be5e23aa635a4617c3a245de4f1c4a0497ff9af3a9a9da738e1a6b5adc12dd1ac678104b29cfe76cf4d91170734e6a5fbc3f63fd3bee68f48f1718537b8f8a6d0dc7af2a4a8ba451ca07980c81f9ae6e142c66234977efb630f6244230a02c4c8f4046e383861e5609554342e1634cf0baa04339988119dded7dde70f733af2a0dba376cafce99359b502272fdb426692baa3bbb5d20d342aeb0f25b5ba539515c9c286a1f0ecc48e0b6d8b05390d9bcd74545f6bf808ccdd085ccdfdc8b0f91f6d9197f4edb27fa674474b1fed64c2af3b0cdbd90a006be99268be750781c8fb31a6f1c567cfd4fa6c25e42d2f87f37b7dae4d02661276673ea5f392ecf0098681259baa603ae3313c70ba63ad4feaf7dbd6377466e2701cd70071501721a1ef3340822bac497533c7e46e376e1b6b83a39d5e1e094d92ea6b9a61565589ddb45de9150f8b9cb8b3ba9e44ef4c5170b8bc0ada06128e410ef169e0810bc228e78cf4b055e5c182230e1ba87d3439a3074360b2ada7b465a103b8800f3cafad79dc624d53d492feacfac8b49876ad4ceee4ac72ea22e590254790a1f4d4572f5ecb81a020bb36e7d7296b5d2330f41999d0ceae28a398b841a39a58c1ed0d8fc5f207f3efb8989ae229aae0880ccf48138966461a90ec2a94a443b90a09af3be705a212585b62fd920aa4272356c3bda74c29e4aa04c058790eeb364d4ffffa00d17d43062cbc97eee7025b27e416207e3ba2e2e302f9f53f5e2fe12835fc396623af28cbbb8f1a092af3d552940674808a12101037ab302427aa461f9ce0570b094338c4cef36b36731c3bc538570a1e594f5d82b900659e65f3e74e36ed60129d56c7ff3edbe3efe93584242c9552c8b83b547a34253b1bffad0d36c9af39d8a4c502b42c0bb66b1377bfbbef741a948160928613f8e260d6c8698964f548e911eddee90b8efcf9ddf928d7c9cb6dc59887dcae3cd83c74d40681984b19a266cc9cd2138619607e417c99e2fcd5fe94f35dd3d73f2f8dc0d28ac622f56c2b7d13c55014ef780c68d9ebeb6fd068ec8ddb8c50ac35cac3a2e88bb93e897d5d69499d7482bc910a9d45dbad970c092bd8cf8e067fe41ff2f27452ff495e024eb6aca5648b02dc1aee82d09a6df3b2b83a772b4f071f54f075738ddae524f638b8da26a511fb9ca7869e59e00a0bf6037475a6eb4ad97c242d12f158d287b3af3c37879878102273c78c10e7c8ddd5c1288df054adc0c905b6a39cd20570d639d3d717cf26abb26820c59ff217c72018adcf61bf53ad1435a6813c209b228c728dbc47862f669c05ca2db4da11cbed6da2d438254378f9678400f6d10a1c255d47574fab5938d93e8850003a23994843c7ca19201654c45ea51b2090c0cdc92b414244a5a0b63b2655a26668a4169ef2154312e51e7411cfd0a26d0d55bd225e9ccf253f9466a525e23aa4c0e5cf3f37559e94ccc8ffda9530c0990ef4416b617d4ba9d505d03aa000551882278cb5461a6cc7d30cdcfc68f6483f0017387e521b3467c31844498879bb493c3b19b4171abe41323b772f1a19c2e38fd2b842c255addd28d6eca4a8905e96d4c639f3cc7013dded20df1b9a02525981a06b377e896fdd6ddfb5d896055934ba6d3121c4a88ce99c685fb391893f61e08afb7509f25fe3041e69bd9983762e4321ae068b22a8d56d02fbe2ecf17d0b1e731bbc423a70a21937162baff6eb2efbc433049333f9019fd684653a1d9d834fae4896261f8d07f7aaab4309696e4a33f80dea6a21390039ec962785d1195b8640dbebe0e40ccad662576a3628eba51183f9b8b61acac74c42006f88cb353d5648ae2b6211d75ff27d3765fa790c4841ece2240796adf544a7978878299731918275ff7aad7488e7d2f9cb9605c85a09d602983c36ca4570f0acf85af051f7588efc4b69e9535840df05cf7666832a532d53ecdb334e8ed486d9890d83d60ad668da4fa4208f12c83fa5ab2dbd7907c475ce7b5be02af1e86e26dc6f1b9e0f734807ed70e57ab26e6d8d2d358de59689e8ef33f763c437e1fe5fcb68e6d5ae1424f2fafac345dfb5d2df38b80bfd39fe8258aa9578e9a2f921e2463961ea7e96f9bc3ae31fdfa9cac82a5f501c110562ea7d5800cb674e67f0416d4ecd3251719caf720f61e4b4237a34bd34eed2569e1bcc9611d9802531efeb95a1bef9535c0e1b75b52cf9d9f0897a6246b44368aa8a384e9a14e14b600cfe9b3245845aae0ff8923c7fac38a4d946303608d86d5a0a66d3ae6e223842802b27e2ce89bb2ea53cadd270defdcea02562bcc29d24de561d8eded7a0967b9d785373868d81ab6f6ea5632428c099a86e7bd4e7870c10f19586682b25c7dd456331e0f85bc2e6fb8daf107d95578b3481c575a533ac0f2f6a9c63d036a8cad1a507c54ab36ae6b172f832613e31431623aa0184e2629657cf1dac607bd91f9c570a012deb5ba681db1f534b07a7ee5812cb011075482444a310eb24442189a3e182c0177264be7261e0466bc85bef436d7cb2e718e45d3d4a5ba4dd4ea695f4e94b9ad214946e93392e9f57d10f3df9164435e0fa469a564364efbdc02c65fe98f6674fb9d23844a65133776e924b57f2870d9cb2718a43dcc5c614b613f88df3cd0193e57f62ab6099af97da58b9624721da40902bc13361bda321685ce6f2d1b41427cedfb248dd0337b59cf7c59055cd09e3c56776d88df2e2ee0d25f809f3e054badee21a948eb57c09927bb310852cef5b6dec4076ec97fa12ada7bb1a816d504153b2a31fd8cce1cdcabd1c066e5bf5bbd8bc6380b6aa8e3073a4845cd7e2a2171ddec1473eeef1c7a9c42367c364ce597037451bcbccb2130c0ace771' },
+  { input: { P: new Uint8Array(bigintConversion.hexToBuf('1efa3fb3d403b353b69d9a26c1259420c738d3d8b0cde56da1811cc47f5a3e169ce4b8233a9a0e56dfe33b72ef39e704ddda16dee5ece9e78654772ad984517fbfb5d456f8c4d7124674f2894c421cabfbb82d81ce7bd4d79e35b3dd7c35f48c9a0e801e3d5d23856e8f5c360db42747c21c4fa2c61367f7ca919aab452f1a6f4667fd2ac089e3b48728cd0841eaab38658c83fa6a1d6c569627bce8aec6e242331b17d44a6e9e076a6b7995e5433c50e6476e7280baa9fe583cee79380953e1b663346aa3fe6be5b8e16f0f35e791642c5125e75a1d1d6c3c33f7bf86a592d12eb287a6cbb3bc786c63d8596905465515016d24f1cff75f61de76002900c6fb2861262af351469554a46d91bcb214964a1e17301a7104ee7c610e9332d8a501010e79747e0d44b7a15f2cee4d0ee3c5bbee31d23b71757d50cb56f7af95e5398cf0492fdbf37e5f574f152c3bea36d0388d59ffb2d6b6b0b5910c44963adf1dfbd16dba01508a25141c840a518c1f6d1ad928')), S: new Uint8Array(bigintConversion.hexToBuf('190b661fde57d4d2deeb9550b51c9b4f')), c: 393, dkLen: 64, hash: 'SHA-224' }, output: 'f12924a341bc61d1318551c04cb306d4cc0aded306bae111e07dfd99c166cfc050d42e5315822ec6ab5d4dd77e760a83f6ac40ef6b9baeecf97a719e25890eb0' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('1efa3fb3d403b353b69d9a26c1259420c738d3d8b0cde56da1811cc47f5a3e169ce4b8233a9a0e56dfe33b72ef39e704ddda16dee5ece9e78654772ad984517fbfb5d456f8c4d7124674f2894c421cabfbb82d81ce7bd4d79e35b3dd7c35f48c9a0e801e3d5d23856e8f5c360db42747c21c4fa2c61367f7ca919aab452f1a6f4667fd2ac089e3b48728cd0841eaab38658c83fa6a1d6c569627bce8aec6e242331b17d44a6e9e076a6b7995e5433c50e6476e7280baa9fe583cee79380953e1b663346aa3fe6be5b8e16f0f35e791642c5125e75a1d1d6c3c33f7bf86a592d12eb287a6cbb3bc786c63d8596905465515016d24f1cff75f61de76002900c6fb2861262af351469554a46d91bcb214964a1e17301a7104ee7c610e9332d8a501010e79747e0d44b7a15f2cee4d0ee3c5bbee31d23b71757d50cb56f7af95e5398cf0492fdbf37e5f574f152c3bea36d0388d59ffb2d6b6b0b5910c44963adf1dfbd16dba01508a25141c840a518c1f6d1ad928')), S: new Uint8Array(bigintConversion.hexToBuf('190b661fde57d4d2deeb9550b51c9b4f')), c: 393, dkLen: 64, hash: 'SHA-512/224' }, output: '5c488cd294b2ce62e55e73cf135422d7a8ae9bd0b802c991e3dd523269559e1fe053b179377bdeee33bd5252149c76ed08693bbb3370323dc01b96d2c7c17a40' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('1efa3fb3d403b353b69d9a26c1259420c738d3d8b0cde56da1811cc47f5a3e169ce4b8233a9a0e56dfe33b72ef39e704ddda16dee5ece9e78654772ad984517fbfb5d456f8c4d7124674f2894c421cabfbb82d81ce7bd4d79e35b3dd7c35f48c9a0e801e3d5d23856e8f5c360db42747c21c4fa2c61367f7ca919aab452f1a6f4667fd2ac089e3b48728cd0841eaab38658c83fa6a1d6c569627bce8aec6e242331b17d44a6e9e076a6b7995e5433c50e6476e7280baa9fe583cee79380953e1b663346aa3fe6be5b8e16f0f35e791642c5125e75a1d1d6c3c33f7bf86a592d12eb287a6cbb3bc786c63d8596905465515016d24f1cff75f61de76002900c6fb2861262af351469554a46d91bcb214964a1e17301a7104ee7c610e9332d8a501010e79747e0d44b7a15f2cee4d0ee3c5bbee31d23b71757d50cb56f7af95e5398cf0492fdbf37e5f574f152c3bea36d0388d59ffb2d6b6b0b5910c44963adf1dfbd16dba01508a25141c840a518c1f6d1ad928')), S: new Uint8Array(bigintConversion.hexToBuf('190b661fde57d4d2deeb9550b51c9b4f')), c: 393, dkLen: 64, hash: 'SHA-512/256' }, output: '190f4e65fb88e87c6af35ee954946586e73bb5352c7632d553bc3d79c79a38d2e0d8a25424e45e8fc74c2818e60b5ec805232237846b3ca6917c82aee8c22d86' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('bf7dac62fc0da0702f37a8a29770d06f51a1a60630884e683dd9c08424440cc22ef7c5711ff0ded926a29f25a4a70647f2b6a71f52f5d1bc0782e73968252d8b4d3496b57c48b79f5a430a5ee3b776089f1ea107720e24c159b09a69615844160d2f4b378b313b9634c992441d28677c557c7e5112d4025036fd86f7c8cd95e9b283bcccd02ed75426ca0fe1c3561c789c3c1cac353f5ef4e27501c98b298f6cd09743707130216075104b61d13a820d602504d20ed80ca9789f530f66059a405817133d7a9700ab8aaac05c61db3c0bdeb2bfad8d5658fdb1be6dad23efad1aabbfeca538d63e717033d9a76057f628799e2f0d18625fdf000881f81ebce8298d69036efa8c85c4c1a2ea9a792f1037f894b70f83090916480bb321122367b59344dc7a5f8f63643e222184f38da1f20ee9a5e5173ea8805fdf7933883dd13c58d8c73dc033fc3e9f767179f68fcda50b5ca954ff65ff5b2a1a06ab1f3aa043cd00f7f2849b580c99c81a3dd6bae284fc274a999754e53671bff110fbfb5e43c90c47a2d139f427f66d75a410e8223123178703791a8adef477b70851bd0edfd991da86f2b3ecbb6661b5199f99dcdb01eb840b9c149b5c3e67abd30106d80b91c50f38cb99d6f65cd79121db56e01ed81b3deaa77f1618acd1a0ce4e07d986c3770d24cc02a0305378a3affb505bb2aae8ce86')), S: new Uint8Array(bigintConversion.hexToBuf('c1fd923d1a372dd9f10575f95efc08e4')), c: 222, dkLen: 128, hash: 'SHA-224' }, output: '2fb8e0f19f5a1a20aa1554d070fc7d32ee5be358f33320038f37324bc999b4832ed1894b7ac2fab50cb087da0bc78ba2c14e3a2bb2e40c52cd11590575490fe3bca570a29433e854207c67f93744df7d3a700e62c7c6d61fdf946d7ab6f7883c322ead9bbb98c115ee67ac8a20897a4ce924d2c4b6809df8aa645e09cd6c2417' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('bf7dac62fc0da0702f37a8a29770d06f51a1a60630884e683dd9c08424440cc22ef7c5711ff0ded926a29f25a4a70647f2b6a71f52f5d1bc0782e73968252d8b4d3496b57c48b79f5a430a5ee3b776089f1ea107720e24c159b09a69615844160d2f4b378b313b9634c992441d28677c557c7e5112d4025036fd86f7c8cd95e9b283bcccd02ed75426ca0fe1c3561c789c3c1cac353f5ef4e27501c98b298f6cd09743707130216075104b61d13a820d602504d20ed80ca9789f530f66059a405817133d7a9700ab8aaac05c61db3c0bdeb2bfad8d5658fdb1be6dad23efad1aabbfeca538d63e717033d9a76057f628799e2f0d18625fdf000881f81ebce8298d69036efa8c85c4c1a2ea9a792f1037f894b70f83090916480bb321122367b59344dc7a5f8f63643e222184f38da1f20ee9a5e5173ea8805fdf7933883dd13c58d8c73dc033fc3e9f767179f68fcda50b5ca954ff65ff5b2a1a06ab1f3aa043cd00f7f2849b580c99c81a3dd6bae284fc274a999754e53671bff110fbfb5e43c90c47a2d139f427f66d75a410e8223123178703791a8adef477b70851bd0edfd991da86f2b3ecbb6661b5199f99dcdb01eb840b9c149b5c3e67abd30106d80b91c50f38cb99d6f65cd79121db56e01ed81b3deaa77f1618acd1a0ce4e07d986c3770d24cc02a0305378a3affb505bb2aae8ce86')), S: new Uint8Array(bigintConversion.hexToBuf('c1fd923d1a372dd9f10575f95efc08e4')), c: 222, dkLen: 128, hash: 'SHA-512/224' }, output: 'a5ab49415a889b40b40bd6680b60360694bcfb3fce86cacca2a43e14f2bd5023c2c9a8c5b7d9e3d9ee5c8999755cd87d41551a101ac0c83a821644426995cfe81db0bd474921ee7d7215d34fc75e6cfb5c2f5fe342651d1e776b550dd7037091b59926eb434f4752a8755666cdd96b7a8b07dca5fb4409fcfab1971cfbabc443' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('bf7dac62fc0da0702f37a8a29770d06f51a1a60630884e683dd9c08424440cc22ef7c5711ff0ded926a29f25a4a70647f2b6a71f52f5d1bc0782e73968252d8b4d3496b57c48b79f5a430a5ee3b776089f1ea107720e24c159b09a69615844160d2f4b378b313b9634c992441d28677c557c7e5112d4025036fd86f7c8cd95e9b283bcccd02ed75426ca0fe1c3561c789c3c1cac353f5ef4e27501c98b298f6cd09743707130216075104b61d13a820d602504d20ed80ca9789f530f66059a405817133d7a9700ab8aaac05c61db3c0bdeb2bfad8d5658fdb1be6dad23efad1aabbfeca538d63e717033d9a76057f628799e2f0d18625fdf000881f81ebce8298d69036efa8c85c4c1a2ea9a792f1037f894b70f83090916480bb321122367b59344dc7a5f8f63643e222184f38da1f20ee9a5e5173ea8805fdf7933883dd13c58d8c73dc033fc3e9f767179f68fcda50b5ca954ff65ff5b2a1a06ab1f3aa043cd00f7f2849b580c99c81a3dd6bae284fc274a999754e53671bff110fbfb5e43c90c47a2d139f427f66d75a410e8223123178703791a8adef477b70851bd0edfd991da86f2b3ecbb6661b5199f99dcdb01eb840b9c149b5c3e67abd30106d80b91c50f38cb99d6f65cd79121db56e01ed81b3deaa77f1618acd1a0ce4e07d986c3770d24cc02a0305378a3affb505bb2aae8ce86')), S: new Uint8Array(bigintConversion.hexToBuf('c1fd923d1a372dd9f10575f95efc08e4')), c: 222, dkLen: 128, hash: 'SHA-512/256' }, output: '537a2ad4cfaf74f4f60ba7841aabf509dfc3c3d0c55f52dd15b11f8ee77d0c5ada8d08f075a55c6682e41a26bc34c80100ce07433b96d5afe0de837620db6440e0874e809ca3cbae6159f7fa1beaaeecfdb052895371a47fe58f604f1ced5640df375ce162250dbde09ad6a127aa77cc4c3f71d1161175a25977ea40ba47e907' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('154d04ca33eb5e7cef4daf0a57caddf3e7fffe3f0e666248396e67fb01bc6846f251597e3347789180c31bf6691abb41a9cc4fba13280df755ba0bac7a664ea342874f1b34059d17df6b1f0a2eddfd2ecee612c78162e8cf75d1d6b1f67cf12ce46ef97e756b72b438c8ec5371560ea1710e07fcdeeb10f600e57bf8123ab87dfcd9d21c0b074ca6acb0dcb2be4c0b1204a6b479f04acd347e8877db8c70cafa21e032699677a9e4e65925c7450a003699d358cb5e503df1f9e4bcf0ab18959db2bcb3aa3dc26c4336eca7f11d7206ce823ab3cbba543ba66137d0dca77c2ccfc15b932700d6ab6a7da7f8f074f6fedf8f3d469b1bc209')), S: new Uint8Array(bigintConversion.hexToBuf('43da36b2d9c3a98dbefdf24698f34cf2')), c: 35, dkLen: 256, hash: 'SHA-224' }, output: '3308e96ae4a1f89ef9298b57c62d55b228eb1b8e01fcf9d0fcdbdc35ba1df351bad7b3bc085df4aad673af71b4d2333203c0f8dc060bf5ddf3b18dda84ac60520f5188765e097516ecad071fa32e81bef50287c627bb9fe63cfd842255efdf17175a316cdef31fa6ce05ca66cf2bddf1c587561f175f25eb5461e65f1a21dfe999852e8862bab624caa788d04be2d0528091c73bcc1ac4d79f959b4287a4315328bb8bed04793592ee50b68bc18a9c15c39308f320d199b727f1af2826d84d81d190510e8eb35a02866e18dd46dd12f47fc9a3e305d2a02c7cc9dcf82db41068339c53b645013574a34345ed0a34bf203c2889e9e91115adf8b9d18ae8d51f13' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('154d04ca33eb5e7cef4daf0a57caddf3e7fffe3f0e666248396e67fb01bc6846f251597e3347789180c31bf6691abb41a9cc4fba13280df755ba0bac7a664ea342874f1b34059d17df6b1f0a2eddfd2ecee612c78162e8cf75d1d6b1f67cf12ce46ef97e756b72b438c8ec5371560ea1710e07fcdeeb10f600e57bf8123ab87dfcd9d21c0b074ca6acb0dcb2be4c0b1204a6b479f04acd347e8877db8c70cafa21e032699677a9e4e65925c7450a003699d358cb5e503df1f9e4bcf0ab18959db2bcb3aa3dc26c4336eca7f11d7206ce823ab3cbba543ba66137d0dca77c2ccfc15b932700d6ab6a7da7f8f074f6fedf8f3d469b1bc209')), S: new Uint8Array(bigintConversion.hexToBuf('43da36b2d9c3a98dbefdf24698f34cf2')), c: 35, dkLen: 256, hash: 'SHA-512/224' }, output: 'ad56486478ed2c94295e60f9b7abc69da993b541ea2e18bf23638ce1cd0af31b0a4fd47848c06b5dc8c37568e81cd54804d23881023e1efae1445f3750eb59bc23fb89498dbe36f4cdbf97d5e5a4cda0e2ebfd0b5c56e309f2221d6c7cbf35f7b43059affb6d0cc16ce3a454da2a332c5f565e2c8341a68470b51da654317f169cbd61d3e727db54e77ec28ca6415bc9bce0635976f338a623800654971ba790ddc20a7fedd3566c6beecf0fef1d8f237da03f214b025d19f02622e269b80d3404ede61ea89891bd10ada655bbfab3308ce7c8c27c6ebb960ae93ed29de56534e74f58cc4a0a4d6fb2242be3fd542ff769acd657e662dbcc6339c17a4b86deb4' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('154d04ca33eb5e7cef4daf0a57caddf3e7fffe3f0e666248396e67fb01bc6846f251597e3347789180c31bf6691abb41a9cc4fba13280df755ba0bac7a664ea342874f1b34059d17df6b1f0a2eddfd2ecee612c78162e8cf75d1d6b1f67cf12ce46ef97e756b72b438c8ec5371560ea1710e07fcdeeb10f600e57bf8123ab87dfcd9d21c0b074ca6acb0dcb2be4c0b1204a6b479f04acd347e8877db8c70cafa21e032699677a9e4e65925c7450a003699d358cb5e503df1f9e4bcf0ab18959db2bcb3aa3dc26c4336eca7f11d7206ce823ab3cbba543ba66137d0dca77c2ccfc15b932700d6ab6a7da7f8f074f6fedf8f3d469b1bc209')), S: new Uint8Array(bigintConversion.hexToBuf('43da36b2d9c3a98dbefdf24698f34cf2')), c: 35, dkLen: 256, hash: 'SHA-512/256' }, output: 'd8f0f913ccc5b765b4fff21b67a5fb7a5f0930e00c10fe10a8edc1a639879d3869611753c8d218ae236c9c3c84e47787ab15417cd2f034bf09fb863f41551c892db0dd6cdba8c5310e1cd48823fd1db1fdb06ae84102a3a5e48ea41f3960721d0367fd279f356d03af14c8eb1c32dd2c59057dd59a32bf709ce71ec312a7b3ef34790a2eee40228dfcfb412e191b35000d394d8cbd3a2e6738ee5b07349583870f5820cb868bc4ed0dfbcb694f0a54afc479b6b5995567638a5751cec9f4c8d9288ce215232ab9a194cf98a890e8ee633b5563ddca5ba51e97abee7fd74862318041b38ca04cdf602c8003411ee3f6525397853b5a2a13065f6e4c15458a2d32' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('dfc2e8bc25ebcc6460e73bdcabecfbe064fe319a26118b858ae667bb3fd93f0931d522517e518a93ca99f3f1bf5abbf2b75729060a5a239f213969eb3d05059b73e89ee434b0543cf198932e83fa8a3cb148ed0858679325be7ca6a62e04e9dbebc0c47327250a2f34678d08f89af373bced61c2ff809330d09f5e78dca3777ec4b5e71fb13cec9d848b6f3e24733fab9a2a7c3b6396bebe8f5b2c1b770f222ceeb5f9e6397ffe1f46e2301d04aaed9d52659e68835a77c752535c7f5383aad4c8d0beabb4bc03186293cd876bfd5a703721ddb2cdde8f6ec8b94f97e95c7d45659341d3f6ae8d9b975c7a9be61e16e62e3f9717dcb94427ac31992105595a01e63dbf85e653807cdaf402d391c0b361d33a92f770bf470e484493449828503f7262c9558356d3dea26f8fc48d3c1fa3f6c96f66ce6f3bccc61e326402d1cd7f5e1a552cc890a497a31f18681bd91eb5830cb3fb80ea65fab5abac2afbc39a57f71e872945ebed194650df33ac9e1cfc3cf54e8f6c6331d4874604db15b18cc4eeb9812d05161eb9de1d62316ea167f6725de132e0004882db882f2ac3fdc3157d979590ffcfdf4f058629d3be2952e948b6b4cad9eda40c82bf6ce85bd2ed8c07035958cc8e34a2730fa2822ed8f9583cd24d140a86f042deb8b41b47c6173818895c12212396d4babf4e5016eba8f3252ccb3d63cd22113fd2d73f1ec0624297e1e5c500ecb599b47562290d3978a8fc8a86d858d83c35badad56c3ba4f0b8bc2b98fccabe1f0e4e6bb387d2c9a3e6')), S: new Uint8Array(bigintConversion.hexToBuf('62d0440022deaec544bd227200e321e9')), c: 144, dkLen: 1024, hash: 'SHA-224' }, output: '7bd1d6580906ebe082c7f807da39e0821107bdd5a101d54ad4f4df297396e4a353ebb41eeb4944ab04c52da2ed1a2009eef1293c5634873201aa58a46afbcd62529c341fc4c1ba9af78b16dacdece93cb4f206ad79bbaeaf5e7d82bc50f5cbdeb2e3a51a63104d92556f2428592170daeada1c2159a65df4d613b974be93542c779c1c49a6f206a8de254ec953d07fc98e0cb171434012e19c2007be35ff01c7d2c253dd4798214f0e2b32f414e3654e486c71915b5f00005c4a3d72012543b09e2b89480361be06ec6ca36783a743ce701c229a4f952de287b1ba91d9ba9faef527854e57037a39ed983145e8f4bdabcfebfce9898280790a8f9e6402435ddcdef0f0a5861ed0863a671b8a8645e59c52958c44afbbdee0a201056c538905bfa7b1c2ead640176ef286a4e397c18ffce65516e84e03165a317df1abe6e3dd6075c11062cd879409369359b645abd0f532f9203857c0f62bf4e0c9f5ebf27d87c10328cf4b06ea00d367dcb4c7585f2a6e3ccb42a424378e47cca641a60f3d5911efb48e0ec8870929d742f6d0949d3c621f51e5d888e9d202df079af25cfc96f5d5112373f6727d9b8d49d934a3d2774dbd2d240518f57053593457fbd2a440dbd09587496e99668fe3ee0bbde50d343a162d106bb79a31f1eb78c0dae2d050081e88d8bda359ca8d0627cb4c8bc9467ce74ce793a6bab35e849e575a050a6675af5c4e65e6662d0d6487dbf34f87f7e1079ce595456345ede8cc084b4bcd58114861e993040da444db669c69ce38852e6652cafeeb9e08f2ffcc7a4d1cb05ca933f48285dd66739ac348e063e5b9d51227634aa4a0d5981d6f31df7dcc6451a6385e36e993e5cba1b2acc2e9342f3cbbfc5b78ca6125a99185a4f7a8bf2efc4d9e57929e71e0ceb1ba45610f84e87686b655bfcaf0796a404eacae0206a96caac3739a9a702ded06d088abdc27641878b9d50a35e9c71320d65caedb9aa9a3be403eec615b0bda68f76f1fad085945973c7e5df5ea199987fe43cd11a245863b6bbcaa00e3df25efd69cd971150d7594a7522d446a7eb1239a478943326e8e78ee8295b68652da1ed739dc1ff388f1a94bff83621188bb7bfb5723fb3a7d42650d98e6b03391cb5a40d90af914945931ca9a912392ec60dd098b1f647594be84ee206fc404861e00ecf264718675961e8d01872e77363778bac87fd8c78a0c9771e8f5f368a67400fd481e06452a96a09a7d963daf8a73809b4e17af7a249946f53b62a7e65c9218dc77774fb3f615e56547e698b898c66890691e3d5114630058b01000f19d49d275af53c93a43a03208dbf06f3e33dda7cf0881f7b7099bfe53c0e55b1653ba71036405b1bd44c93a94b883f9e814b9810b80d51eddfcf577b39181cbf9941dd7b04e5d36f0033264a717ac2e7e58d374d3d7a018b7b83a' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('dfc2e8bc25ebcc6460e73bdcabecfbe064fe319a26118b858ae667bb3fd93f0931d522517e518a93ca99f3f1bf5abbf2b75729060a5a239f213969eb3d05059b73e89ee434b0543cf198932e83fa8a3cb148ed0858679325be7ca6a62e04e9dbebc0c47327250a2f34678d08f89af373bced61c2ff809330d09f5e78dca3777ec4b5e71fb13cec9d848b6f3e24733fab9a2a7c3b6396bebe8f5b2c1b770f222ceeb5f9e6397ffe1f46e2301d04aaed9d52659e68835a77c752535c7f5383aad4c8d0beabb4bc03186293cd876bfd5a703721ddb2cdde8f6ec8b94f97e95c7d45659341d3f6ae8d9b975c7a9be61e16e62e3f9717dcb94427ac31992105595a01e63dbf85e653807cdaf402d391c0b361d33a92f770bf470e484493449828503f7262c9558356d3dea26f8fc48d3c1fa3f6c96f66ce6f3bccc61e326402d1cd7f5e1a552cc890a497a31f18681bd91eb5830cb3fb80ea65fab5abac2afbc39a57f71e872945ebed194650df33ac9e1cfc3cf54e8f6c6331d4874604db15b18cc4eeb9812d05161eb9de1d62316ea167f6725de132e0004882db882f2ac3fdc3157d979590ffcfdf4f058629d3be2952e948b6b4cad9eda40c82bf6ce85bd2ed8c07035958cc8e34a2730fa2822ed8f9583cd24d140a86f042deb8b41b47c6173818895c12212396d4babf4e5016eba8f3252ccb3d63cd22113fd2d73f1ec0624297e1e5c500ecb599b47562290d3978a8fc8a86d858d83c35badad56c3ba4f0b8bc2b98fccabe1f0e4e6bb387d2c9a3e6')), S: new Uint8Array(bigintConversion.hexToBuf('62d0440022deaec544bd227200e321e9')), c: 144, dkLen: 1024, hash: 'SHA-512/224' }, output: 'e8bc4869cc9fbe215828f8220e5322d87b2d729cc2ef50e4b9e58fd58a1091f68fcabc470884d00fca0d280d0803e9bd9eb645422513db027aaa355e8d705c7cf815d90154f3675cb9fe4cabbdd35367b11bab27ab95b36a5a9c03f2dd426c1141ed5de7147417efae54f87f6ac3d16b7a6d12644e021490a0f4cab279d12e7f86ed5d5a601e4376bc1aba0c7d1c2fca266783648ec0f6a9ff4aee8c022aeca410f46269879fe307e55b9437e0a92f0f06e96c3eae418e62cd91108de7b4e4d229f7ea3adebf904e6b7c8b23ba78086d9c4f473ac47802dbfaaa99045bcca41a3dbfb8c79169add71307714370020ecf3b17e7633b6ca323e9aa2fbeb922e64a1a807c1b0131f6ebf0a9210fceb3acaa2ec9fe82aff2c4c7e8b95d9a57c20c08273a21cc59c754ff70d6e0f1f03f4d0680f323cc77202b82b0a5fd49fdd2ff954ba815dfc8cd00de88e46f2d53efe6d38eb7453673aa3e1a5dc2caecb985d898a921bac4291151d9817a86dd058610b0ae77e62c808f4682280f3fe93ba98db1364229ed289cd9856e3df640e1821ed38ccaea03d1ec1879368224e1bf83b40e7005851aa1c782ff8f4dd19dd8135610f5847575c9174cfdc9c7242896dc93b88c1729c253791f865512fda1fa7c39fb5ae8a387d8c1aea06ee4e4f4814fdf8aa33e04fdcb5bdc2b39c763e00c251770be6102bdb9e1dde937f28a42a059c7c3a399058962f972ac33da38e4f1433533467dc250408660d303efed539607fd4dc349ce62a5c7a0df804bd33cce57b5c45606c7531575a7e95f0ed31ed5b05d5f4242c06788cefe20e3fa14fd0d591b79d7b26f8501d2b0f02d5d4223ca5427ac4fe93f9121280083da5889b2c5d178651b33f254ebee2d6b5016f023aa1d66878727aa4ac6fcb4043c0b95d3fc8e08d71d18f26af1983beb87f11128be89900da60b4b602469e3d9ac79c76208adf75a16ec37e586e988b88a137a56ab5ecbdc0506d7b568e255bf8f9db6efe666dd05d10e2f86d86554c72ff4b6f5e310b613877be4edb7d4c24459ec061d37c1b1b70ba2b09bdefcd5cde4291916a84251d4f6fabee7d67bf5ad07aa01f77695b241d00867ff05d4b1706c8edc9e08328fef8c98134c404ad855f0900f88bbc201e2a72aa2c384ea0b00e68711cee57790c4a1c0b6e2cd789f7ab03eabfa3dfe7dfe365f9bd71aaa00102a964cbbdcdea10f3f3d958ad5cc92a28014258e3cff1686e7e5e542031534e8b280e7090a886d4b2d522b7e646a3d18f8ff9c41a8284b0efb97345015920fcc28c6243b264b10329dce99ce5c5342377d4d85c3e782cf3674f538d0f47053e7112f3ef97de5e6ddc6df1a657b0a1a406f22fe49a5b461861507ad717d2f37b4012a6ed79d348dffe1a7dc2798f9bed8ff6d76cf1dbf86f208cd1236548ddcb2450a35f54317be40' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('dfc2e8bc25ebcc6460e73bdcabecfbe064fe319a26118b858ae667bb3fd93f0931d522517e518a93ca99f3f1bf5abbf2b75729060a5a239f213969eb3d05059b73e89ee434b0543cf198932e83fa8a3cb148ed0858679325be7ca6a62e04e9dbebc0c47327250a2f34678d08f89af373bced61c2ff809330d09f5e78dca3777ec4b5e71fb13cec9d848b6f3e24733fab9a2a7c3b6396bebe8f5b2c1b770f222ceeb5f9e6397ffe1f46e2301d04aaed9d52659e68835a77c752535c7f5383aad4c8d0beabb4bc03186293cd876bfd5a703721ddb2cdde8f6ec8b94f97e95c7d45659341d3f6ae8d9b975c7a9be61e16e62e3f9717dcb94427ac31992105595a01e63dbf85e653807cdaf402d391c0b361d33a92f770bf470e484493449828503f7262c9558356d3dea26f8fc48d3c1fa3f6c96f66ce6f3bccc61e326402d1cd7f5e1a552cc890a497a31f18681bd91eb5830cb3fb80ea65fab5abac2afbc39a57f71e872945ebed194650df33ac9e1cfc3cf54e8f6c6331d4874604db15b18cc4eeb9812d05161eb9de1d62316ea167f6725de132e0004882db882f2ac3fdc3157d979590ffcfdf4f058629d3be2952e948b6b4cad9eda40c82bf6ce85bd2ed8c07035958cc8e34a2730fa2822ed8f9583cd24d140a86f042deb8b41b47c6173818895c12212396d4babf4e5016eba8f3252ccb3d63cd22113fd2d73f1ec0624297e1e5c500ecb599b47562290d3978a8fc8a86d858d83c35badad56c3ba4f0b8bc2b98fccabe1f0e4e6bb387d2c9a3e6')), S: new Uint8Array(bigintConversion.hexToBuf('62d0440022deaec544bd227200e321e9')), c: 144, dkLen: 1024, hash: 'SHA-512/256' }, output: '448910ce05235c193c1c7f152205c2503318bc880d6aac94f533160dd70e9061c9cab3608088f546604789daf4e968a2cbb411a38240dbfe1af7a2fd1f82b0aa08093e390fbeabff78557f294e9570963fcd03e1c1e678519e84c6212da98eb71fb9fdc953ad5cc33d1bd09bc22036f1fc9620ece974525c2ce0810b4b1df3ce653bc4bf0de9d049f4d3d3c3efa14ee14772e8eba23080910a02faec292c974ae2d042b8f052747cc7dd6872e0e8d11c79f1cc12a871cff40243647feeb4ac433a94d4ba3c8b0a65513ca68f022d685c03a0cd6c360c40e8b6cb5b1fbe5f2860fb788143a445420c522ebb9613a561a7a19734c952869d50850e55bfdd96f2c94e8dbae66ce902feed144f2777d3f5e761f392bb8ff417d7e8a453ac5ccae64976e0cfefcf5b6b5876fe509b8c89740dc3a5863c1a5e322219b57d9a80b1627c8f8e03c08e29cdd2a483b80e8698ac21fddb46a7d1c846792ff1666e5b2006d13b134e028abf47929ea4bcc21667624c48c40b1c5861989c2c57c9390255ed4c16e566a694f919024a8a2a7e5846ca6584e45763d9c8c034e1e9d9b1fb511688ac9b8515f14b9b4e3e30f55f4e889410c91ec58439c197fddb17faede27fdd914115869962a01e61c7d3d8b702ab96327a4864a0441a9c407826899290984361ec83d55fd7ce6c5e982e58c9fd56704555fd5685c622f9351c32a7f133a734bc1db395ddf58ba5c4bc6f968ef15ed4961aa057b7189f7cbc83eb3d4467a73c9f49637a04f7aebe0e4e1d3f345d88907cda92f883edc7f0115e489dc4df5a14343f409f2c5d573dee4eb0b8f37a6f656f9696739a1fe16bd383b0c5878dc5f6a85f0ee8f7a0198a7c39abdd66a95cc2ecfecf02f7117baa99792acca598066e847c0a981bca5b642b1d1fcbc8f731dc0733c85eff4b53a7d9b7f2f895fac974a11a32a947889b4f64d25acbdf0d9ac2a81192009de3b2fc694063948008a870180d5cfac4996c3d9c5ffeced9e66f95c23744124cf40fb4801135f61929f8884036e1372c40bdeb85b2134cbe831fcbd28feca7f1acd3019f04ddc03577c222c8e4cd0f50c4bb0086c8268671cacc11a667c9584f8e3eb60246048b06e2f9e6f634e85cfc4bca83ba02b60e033a3d649bc72b5b83f71a7878128e051bf6db912091875f4a2e5082ca718aa4728ded03512092a15c44b842cc44911283581fcbfb2cf8408e41c69c467214aa7f222008ebbf1f760fa37973553fbc35cddef69ad9da1dfaf883e7b86d23b4230ef1d164254f449ebc4ac752dd69f9a80913f9938b8d8fed2250edeae79148a167205d9d7f58d2020a01e4ee47e666afd1515dc0293ac0b5736b08acf2606ce42d69187f7a3273aa012b21e7a04efdd90065df78cc1742d7bf6d8ec178cd4357b1ea7db8be1d9911becf440613c88b6e953c7b9149' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('3fdd11354544c3858d83682146baafba267929261c9c0128ad6bb97f59e7bf27c6e53bed306d57092e7ea505d2e281e7a1ada459686d42bf3e47f5bbd73bce561fe0f88fb3ec72aba6d56be34c855de6d109d5e3f87b1853be4c38157761e48bbca9fe158b6cb15c9500c0c65e6f0e6fe27e96487d7b94af3d07feadb245513d70f542cb78282653df5283e360cf330db6cebce81242c33ee94345a1b50a74a37424c1b7ad5e0d1f3be4c91016648ca50746d7ffc7b31bf353ab331bbac1325674')), S: new Uint8Array(bigintConversion.hexToBuf('19a13e697c4c9caf0e7217bc94d44ee4')), c: 140, dkLen: 2048, hash: 'SHA-224' }, output: '6301675af3da0f2c61e06da563f210dc8789c062c9cbebff524982430d6f1889aa8306ad6ab6e251e916e971d5a0d9be2333fb97fed6f2e06790f251c75733278ddaa7ad9dba8824dbb09a78f07c94b46914239c94294f7e921baa21e3c625bbead5c82fe26079b7a9b5a7a686a1afae96cb429a8b3e9cd98508206086200686834350c6ae900b18e7f0f29ed0f38fade05aa1d73cd79b432ec11ee7a9b226d470b643e801f7f06e6e4637003281c36fdb03b1d1355d35ea930fe706036f48f2e8026557b46222b7d8a51a6df1149c345be838f2b2d1f39713a08ecc68f986c5fd465a75f3ce4744f6a46935375d27a102c2b9c9ea83b3ed6bdb150f67e7822a0abbbe202f74cc0c98faa2085dd22e3ed8e10e2d3a72a09b7f38774f6c2cb8e8366def53b1a56387ad7311de5568c6636704a3412bcbe7298a837c68af9b90f629f8a9815137a5ce479610ba3e6928b93cf8598ac4b6de635633d91eef85350d55ded7b85ff18ce441eaae8c8251bdee1aeea307e36fadb1bac2bc9ae68516cb6102ae3177ed61b76349cfee3b83ec286d1d256e6577a859a6d268877ace8cc87465236a6a207ba158c9b63d82559d16e6dfc2d898f2a0abac6b196f127623aa61ac8d73738a4bbe7c40f7473423aabbafc1709d6eb8494f44a4fcb4b6a0491d9feee9a04dfe2d56900592d2fbea6a2c965a832423910acc714153b4087742791f71d617f77f338d14b97c27e31d164458cb2769916ed52b541a4faf01d30e5ab25d58493b6567268fc42d532097bca20aff1c8d06b0eaab2d5683c831a69a57f08ac0aae881539d424b463cb2e14d6f13d91c3d5da5a5c24d0b43b53a97de61362c826719907ede11ecd95612aa49e7e7ce15bb3174a98addfd4db867959f86e472ab164e048422ad773942b105339799f2a51da3a33bba91deee88eda96a44c8044e861796e3c4ccc665c6426448f6d313fa46dc638dacb00cd8dad42ba782a16124a4d9984e08cc66681e2de4e0a2719f2da3d4c08649d0e92a5f85145fe94cf620e750ad7771d5b0b67178f91a62cf5d7c15e28a1d58c63993316b300205d04ff8897f20fb7e70c1b2864309d23e4be07fd244269b09eb6b1fb09fc82d566f803d1c35c83b1678f1abc9a3b8eec36d94dcfff39514ce4d54852758acd2ebbcb692c39db0c580bfce7e16727491d412ddfa2faa3a8eff0eda0ddc1b4135029fdf27342f658d1cea71aa09b9fac3efcf11e2a069afe5446bb28c818db3891b9f9f96935cc3d5cb33a5b506d26af5ed467f892d821ed6e7386ec9012b612b3cb1c8c4c63aff0156bb9343ca0296503dad9925957a55b72cc7565eb0a4bee3e3f19a6661b8d7685cf81590c018a32926f92379e96eb1b361bb776b016be51ac2f29748df51393a7ff72335bae8d497d83d991f62775895bee684621a46831f9e0d552381b787a283529dee4f999f35148d05f641ceaaabc768040b296126f7506f574c4fdb7ddf3f52ebdfa73206934a8ac9a56a552c9537e6080ed42c91b44a1ae4a2495e665b2dbc026423569881042075fc46532bc9655f972b4833fe75eb9ccdf545dccf9689e38f7cd4db201964e8d2d4e6e0e9a8ea7d6c3b9c0ea27165bd487c6bca54e8ac2f321779c63b71d3f3bde569229f27d0e110c0e03fe217651421499f63efd6051933dd1973f84f62dd954f2dff3702e142009ed944f3ab29b214b9ff1c2eb7ab8a997d527cf8284c373d5916f4b4f3b8019d30348415fc0b514a6d5b5ed6d753627495ed997a584fc70dff5611175d77ab65bdb0edf8b975b2e917e210c827fa48d6c49e96dca3c93640dfa7f7b9dc5146d575df30a0deddafe8caee61265e8ed1ea939c5edc7eeecea9377b4fbc283f614a45e737f6ab624b7e51098dfc6a5e9a562fe2ec66bb243ae9baf9d58efe09c899118b48093f444d7d0e4c6fc4224e7162415a7e495cdbc54c8466db0f9485faa9465952ea9e605de86ae90501a8358d402dacf6b3074566225bba0699bc335a9d326a1d696695fe643002be049662e55ff05ef4fb2438b2e3ebdf28e78cd19d05130fd0dd9a287ec65b5e7a4e0dfe2f1d58bd6e87386689888327e68b46f385394500fefb806b725e58341dab1a9877daf64c791dd67ecb2baac7a1af83fabd03838dc479a70971602a6967882ffdba6938b1e5f4eee6b5e84db626e71ae8dc4b348196da1d5b379d462ca0a452a79cbb616754fdaa023a8769da937edc052cbb68b9761482bad0a504229a556ce64953559305f6dc898e1195e570b8df1340e458abb7d493c887e658b30feccc6bd7d0b14b911843105297f11f3e8727de1bf1bd9b7c6bec21c1b6943fd8c2acef1fe2f15d655a8200626e1d6270476b096aa1ce4707b6c5ef8788f932db99b87653efb04da72d0324641a06e05a43503227e48ac308c4c2e2c13a290caba3a99302ba6e14898c0564c98f08685fdab9b9b1cb5a81115165f2378ac24fcbb6777430a42a170229ecf9e8f8bd2c74d52bddc23ca2399f133c06b3c2ea27fd2a15aaf320a6c0995c528d565c02110cd9d5fead6835ced69525a97cc3aa9863be4b0e23461505073894a2b5814de2a182c111a236783f451fd2d7b3d941f23cca4b92571bb333d436aae6dcfbf894fb67f735bd0dd383e22d4f5c9ad3e2c52831458e9356e5cdbb343c56e7327c443084739e4e7115d2b950825c3abaf7d16354f6e07bb525b933a1e0668b5f1b5aeee8b3ea22912ee3cd375fca73b571cac555f97ba7646c69c5a842c9716f4c86a753179bcfb1bcb365ee542f3455b0f203de721e4fff3a812f138a026489a846b8ee75b51793687187c61610a67434be1db2e77a0c03fa10f88fd2d64b23584c9d36c86450ab78cd99e1dc51' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('3fdd11354544c3858d83682146baafba267929261c9c0128ad6bb97f59e7bf27c6e53bed306d57092e7ea505d2e281e7a1ada459686d42bf3e47f5bbd73bce561fe0f88fb3ec72aba6d56be34c855de6d109d5e3f87b1853be4c38157761e48bbca9fe158b6cb15c9500c0c65e6f0e6fe27e96487d7b94af3d07feadb245513d70f542cb78282653df5283e360cf330db6cebce81242c33ee94345a1b50a74a37424c1b7ad5e0d1f3be4c91016648ca50746d7ffc7b31bf353ab331bbac1325674')), S: new Uint8Array(bigintConversion.hexToBuf('19a13e697c4c9caf0e7217bc94d44ee4')), c: 140, dkLen: 2048, hash: 'SHA-512/224' }, output: '6a88aab5bc49fc4a1a164cdeb8224c1be163955fe4925f607ce264d86c0748f682e35ae4149840cb9d8cec72edc4b7630e93717a33bfd49000633797313d593bb7da87ea75565f5f5f095eb5089c0a40dc172d2cf39238debd9cf23d4a30c97c95457fe15ad22811267e59c5d5187ccd4715d30da3e813cc06f0fcc845b2ccaedd309c19ac22139b6408e96d6b12e8807b197af3caf6d5f74731ded64680c746569fa7124e40d4396116390ed4a9685a567a8306877fa2164c1211dac6272754111f4c4da54d0fad91c42f2a6400ca85fdccfa3cb04503d3bcc99e7db42db5441e8d996c85e166963f58d1bac6c588c9ee22e2a680bbce3104c38405bd6571f687d357dfc38f1f8a9749a11daad30eb5bfdc01dc0b381ea83b4d1ce71cfa11159a26c684c0524ce997a34fca341b2a6c51bf4ddbf99f2953b3870535d4f2fea6362a4cb5bf5a22c6f5ee6fbc11fb7eed27e0aa4e5a9cf77f01083851e9999baa9cfb66949ac456a31ee4d61ff7e1616ac8bd92e5d0f2c7a42703a0fcd34dbf9019effb18b2852dc7ccad4129502de8fb5a5c8d3fdb4f73536b0eda59ab881c644269c1ea17ffa1e82dd3b93792a3974acf16376b9a94483710fbeb9db54a5017b8409b0641c75b2c59a8b6d948d5fda11c4d87232255fac3b1fbe1d777ff303efc4391a0c0f83af757b51ff3dec89d9434ff8fdc51770f9608c846d16455aeb59325f73c9da530a7e3305fc33df86a17daf05eaf7125b13e84584d8ed62ff400b67398b3bf303e3ddfaf94a05c3e03f244005ed60fa07e45b897f7496cd8933177f88a2462b23d027cb90dab0450cb7a42d891082c7809a3e8b7045d18f75da8260f8ac60815849c4f7a22412acbf66aba7ee6e4977a8a0abf374376ec2287761f3d298ea4b3b1feceadef4e6e1974fe5480be166797348735c8ed8c639adb94c26fa5baa314a85a16a3353a2a07eddf423a680e15a5809c636c4bc89f2ee74500568d3708ade602d9306d9508fa9a2d777ca95feec3d6fca4f0ea6ab0029d0467941da44f729f8fe4db7ff0f1a9c9da3c7b5f2ed72430d8f090ce660065e147b2c8db68016a276b04c07101a7c927a096aed5180bb345051399ae1662ec9a16fc20d0bf3cdf15102c53c4f7423dde6f3dafe22022b1730f249067c5824cb09021b111c5f9b5bdc84c8d363945954ef0f3bfec372b3dfaa6537231d4aeb4a09ca034b59a48bb8578da3a7bfc211a5e94a441d346091399069d0d63a95cfc4dc608c999194bb900f5e4bdebe1553ea018589a0c5fce0e4e4f36125954706b12ac961d094af4213d0e6f658c42100363558fc4b711fc501ee907c1a1acebebbb698b6db5eabe517bdd7a315985dc6704326ea7cabe53c80c32c3aeb620700517f558a57ebd0592e232318bc476128b955db714033a8aaf8516ec12257e316aae3a60528f11f335697279ce4bc722d6fb347193a960cf1a83d710de67c53b503a287ff9c1561091d56154bc331e15b6ba546d1f3147141bef7338d6a8a0afa65fe67b9612424f90fa0bbea9524cd0a50bf0d0e3c512de0222742df128049a62657ac7f66d6fc7f7d02c5a278fa00a6c9c4016ab55f5faf4de772b0c4c315c179627949ac99ab822f54639dbfc978bab40e0b9d0afeb6c62f799574cff99378f38c9d8ad00bc06121ea4ab1ede79a19ecaf62d2ebe90f9a514148d75438746e9d534069b6ee8c68e697a82d10049c36de617190db12197a73e7d015636fe0f9753458df6f021e698c94ffc36bf129dff1adaf009d7a6b99836cf0000929cd3f959e00757df8ee9921024e63c058643c1b497a5d85deda3f436013f9039a5953a9d1b5766a94615b8aaabb1519f146aecf500a6e236725c630dcafe67c00b6dbfaebfe5039730e83460e115b84b1a8d8cd948648ab10baa60f2c38dd9ad92fb9a757c245e9b873209c8c7daa781d01dfde8cad010bcdfb660fadad3bf73e079ac353764907dcefeaa075c1ab530fc860930c79e59fc900fa1750e54964e924e1f529e63410203b0cc28285aefe9465c8ed85aa88a2beb6d4af8d8bbc0337375adc1a0452eb82ee4816b2675e1882804d0fe9362b88e1f5b97c3e1dceb69d27ad7f1be5c2e0cfd85dca905c51cd16ad3f7207482be7e1a43a5c0139b3b065ee99385561185cec6dcd12a072cbe6c67dfb5b1ed68e057026a42e13ec35256bd03dd6e0b2b0374052412a965c902dd6e61d9bc4287a29d68378e9ba60cb5716b3857c7d2287359962b02816a1778e4a8ef749e928275b0eb4453e19e343cfc909e696036cbc0e7958f5f995f5647febf94306cc04bd9315ed31eea1b9dd1367aa210cf5718cc47f63ee7cd5cb214c9dcfcb1671c30e8ae0ddd904152f99d8fede8fb90d2dc66f039944ccf77558a39176979f43e34a6c7a3920f0f2090714e0cfa6bc0e143818fbd03ea976579d71a5eeb09f27197a4f4f8f3ddafaf1a4162774b7bc2577639e51a851a86eee68cf5bf1c882463210ea3588303e27534e5e4515a785fb3f59ac000ae3e3f2cd266ea3816131eea81c9ca80cb4ee6df47d768fab018ccf29c13f461805901b17ed1eced05abf7995f873dd207b1ab783e833d2a2961189b3111b8bcde03e00585146f9e64490b656c0294bd9a79fe9bf968117bfa91110237cecc62cacb83db8fd4ac3a260532a21afbfc2c7917d66c89638f34b2f42656a818e5dcd0511b478cc515275013a850ad0ffa3662de72af7ae269a36e55ff485c28c32da6744935c23c9c516fba0d953cef565d8c04f5137a4a04a8fe56ec1c9fa3cbdb08d54cdb124fdfc8f00a7903a791488021ea374dc36d6dbbef8e2ea888be29e8d7ea3edf0270d0cb457b1244faca5751c2f64ea623dea95196ddd243' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('3fdd11354544c3858d83682146baafba267929261c9c0128ad6bb97f59e7bf27c6e53bed306d57092e7ea505d2e281e7a1ada459686d42bf3e47f5bbd73bce561fe0f88fb3ec72aba6d56be34c855de6d109d5e3f87b1853be4c38157761e48bbca9fe158b6cb15c9500c0c65e6f0e6fe27e96487d7b94af3d07feadb245513d70f542cb78282653df5283e360cf330db6cebce81242c33ee94345a1b50a74a37424c1b7ad5e0d1f3be4c91016648ca50746d7ffc7b31bf353ab331bbac1325674')), S: new Uint8Array(bigintConversion.hexToBuf('19a13e697c4c9caf0e7217bc94d44ee4')), c: 140, dkLen: 2048, hash: 'SHA-512/256' }, output: '9d0f62c8330361de759684b075d82d01524b6a8a1c1f6943df13fced4e2ff2c491c0e79167824b96ca28e7c53e1ee0db8538e198f0d82588994b23856a429d36e3d5b58c5fd1a42cc5da7b672b41a1be02a01e7615dbf9c2a412cd05d54b5b83895c2860cef9a3228d190fac3ccdcdae95427e3a0867d0adb5aab1398dbfc2d9d24446593f6449513a26de7abf6a12e0f02f8979ce6076b30109a702991ce8cf2f7056fd839fcaffdaecf51eaeb49e0620a2d4bbe0de81bba8dd224d403d70cebaeeb4135c90b057615d398954a34ed7f1282b0cd3ecd3d2ff83a4288e16642487ccd8272a2d2de6e90dcc880f4a69dabd6f3f7b2ecbf290b55c053537ea75dede1b250ec3d398c48edd8032695a7a9b8ad25c0981f3d31a580c307a5c2b21585d5d95cf0d913702f813c2158c5e406a8a387f52ef86575c0706281b728674ba3fcd71197cead1c014412221fadc4750b175a7384981bba77f4888ab5e05add4e7faaf9471657de32edeff83e36b9e11c420d874346fc9f806267e536719e31b622ffe3d423b266779d8c25cb068dc965fac0a6aaf07546ddf12eb22c2f67b4de117bee80569a0e0e97fd51b27f9f3918b783548b5b07bb4bdb8957f1fb36d44949023de21528e35db2c6d8f3006dd803b4dc898a52f2a82c349e0e4d162e95429bbd8d277a878826c688f0b3d479e7bb678f5e4643a1995666285907162d56a6a5722c64cfbe3ae1081229767f06d80ddf053bf77c652419ce14f800b733591527d3b7dd011c4cf7f1c782875272556ce86e158fe24a57bd2b57b20998110730b87fb46ca883881c6518e18ad2bf0a5535ecd6b5af8bc2b91f30ec98c94ad7aa067d02aac0f3e6f2ce9dc7eec1c78f9613372055e917869b21d7059894ab5ba1de8aaf01316681acd2f37d183960d0577df0d82819edc9dca5135a8efd1329605342f7e19037676ccf544eb3c2198c7cbd2c3159a5e301a1a33ff81117e0bb37b5720634ff270fe8ef8d97194ff0b186767b0026ff9bb48c25e65c05d09a24b8625e7104f9b53820244e5ca91fb777854c3e42edcc04e349e7411bd6bc0206c4f303b63273534307dd71fea70ed14fe410a5ef1bd576a349ff2c44d52c616cbf381a19a84c91e6b489b6dc0dc9831c1d7066786017576c0163a377d8d543561d5f65b5bef939294e3631faeec0297c321b8c81b0a0bd634a1b661c9544ed204abb6a9b28c237d46ddee8dce75dcd489a7ef4f681dcd3aec05c323e7a6e0b90ff1175f0332e556898a91b83406e7e1ae1b33926e9d0cf95731d5b1f40027a536b72f639de31d67cf61b37f90c8bf9bfd2ff84e6177b215994ebf3af0c508f609173c7246c3bc57d7af7a2494aa1360e2100cb4c7ab488db425a93c163407859b534c3fb84d52b512d26aa3e22baa7dd52aeacf5c982a923e4989d30a479746d81aaf47b2265d5416cb449390f61bf88cdfa250d3ed95385df19ff060eb4ca68c55902adedc4457bb3e2595fd6edfa079107a83464699b7b2f77e42ac1a4036d6fe3c0dfbdcec95217b0376b2c915d197550303e805682782e26caa75c69106251964c13ead6711013d92f62faa6f6e8b7e23606dc5fe298a6989ecff2deb0ae414f361de1a9da680ff0aee5a516902178df4270341ae14a1dfc18875abdf597a392b92c48f431dc080f173da8b598e5b3e37036306d794a0ff813d09431aeb64bbe032e546a25a637cde5411a5f2ffc0ee9fb6a41052784650ddcb3a37bea8c6cfcd49f99618990d051ecd6c15743ebe9670a02eb6d00caf5709975889de5632d4b283c11d2e6af023997071ed7060f4f8aef64deed2642a64b53e90ab732fd7b9c0f589771923a123afb76eb23834970460c54866324b635792d818d1d1a7efe3764f63546af3ae7176d682e3e8159e2ed8117aad31633983604eba5a746cb94a70b535cee029c2ceccaf8d9cf18bfc5e909418004a83519c8ae9334d3864acd02cf55462fb619744497a8ff1d0fb53eccc111828489328cb1455f9610a81e589d50c97bc2a58e865814e2255dcb8e136cdc20b3af8facdb9b5b3dd27e9d5fe523a55cccd23594f65d46a531601457a73d305673f3fc6ae128b2e0027133ca792088023dacabc04967eaf68f7dcf50d2e8d6071f6e1d4d346c54759dd2819a3d41edf5e160c547204f7b52f809f6d4b3ca8c8ce56c9b41f3425c234c0cec956fe6782ff9ccd7ff3f8f313a838a2fd2059f1ec94b4186332ff60ede726a8c598311fe7696ad74696e8af8d3199ddb5c3cc3b92f3dd1c0828462614455668f799e5a5e3f256f7a5d72715cfc6d7aab1f8edd7ad50475d984bcb0bb87c0d08a00dadcc3567fa7eca9a8c901ea54d7c7d32778dab38b8166abf80c90c6ca314a3936f12f2f2a6088eba726c0188c95bebbf51bcd43f43b6ac611d40461d73ca8d28241a505dc6a0f15f575afbd5fece65e226c94f83d15b7ae098df45a2bfc80d5ab437676f08b5494de8e7488a9c99da454ec697b462c9f5e0981c0eb3173eb4bbe0591f707f24c51c1df754ce3fb06f13cf1fe1eeece97aa6f1bc12a90aec17dc5124e3bfbb28e2dfda7eb1c9c377fd4ec5593fd41832507e9a2bf2b13496dcff7f0519cc8c02d00dac14db69325e5b89b3d1144e3465380db65bc439ad31c6ca722c3b573bf0665228743d4d1c7b469d718b4cb30d122f46647b3540f700fe51476297a609a304c5154598ed406eb49c0cd157801de9f763aa1508ae4d247157ffd195ebe9b63cfb1c1d262b9c4fd2ee6f407cf8dd8a30f6819b81b7c99fa0d6ba3685a5fe60ef0b2520f0b8326029a11d3128ad2e6dd0a79ea374aaf0af0407a60167e27bdc1df0dcd152d02d464f983c009a774f84986f11a99624add8ce55' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('768f74375fb004f34426bc9b776a44255b9b523f39533905a84947e3eac44f19e184ad3efb4ef4fca65bc23571e09b0e3bccd0b998fdabff23c0f67163a39fc15749c92bb62ed107a8748585191b8e20c95acba6a8e31d12bce6d2e448c6df4738bd20c6951a4c00c815305b1b4394f6461a5fae4d9e33bc603d9afa45499980d9aaad4bc465d4ddf0e7ac2627c6a6181e1a83ca931c32b90461d6ae13cdc1b66beaefec4dc9bb0b1bffa87b76ca5c943e5bfbf367603e3f314510660da92cca8903b8743f5fe62570fcdd533b83efc2f217c79608b1ea6fe7711987ff72c3c61162946b7ca9a6a0dfb26613a06fa493d338795a03f96750e0e2d8ec51377ff49887eb5961f4e9a29b3187cd1dfbd5040e8941f50a0eb71df3567699e449deec94593e1b45b07c851ad3b3149c8701dbca2e0ab9ed2c93293777358c123a17ceedf10ebf5b4f8d0c390fa5ed4c6c7ea486129f647df7206c8951c925cb283f31c79c3525a6212570d14d5fadac8c2efb493657b64683e3c3fe6546d7145fe6a97db4c2eb5a2f869f9b48bae7a4f808a9d82202e47c8f1e427561fcfa463ca08bb660978477d593b3b99ddd4352f54e7db957400d798321c5fe4bf5cd1b9c2f41014d7589507ab29f5571a0bac7b1ed531749fe2504feb9d70d723ffb5732e7f3c9d5b15dd9c6ae983b93e288181dc8570f800b4e305f971054a79a2c09201995c31eefee52a576d12c58b9d53d1e6e36ba1730e37b6cfcca08574466e65b3f41e359524b4b6f3f5c594767752d0bc248d2b7082b039452d3129287f62e79df648f7492db108c8d12f8b0cd78c93b10d999068d7945586b1aa3c520d9f00b8022bd5ed525218e62b2c7bf7e4fc12070c770c7ed0e741e8556bee42b58fbd9e0b5cc3a645cee610b1e4b2b6cb8e791ee982a7a344a2d14d6fb0362ebd40d65')), S: new Uint8Array(bigintConversion.hexToBuf('a178d1c37f769fb5172b324c8c17760b')), c: 413, dkLen: 3072, hash: 'SHA-224' }, output: '2e33197d66ce3b94df988870dfadf41219b5b3528e25e6e663b9dd958463608beba6fb91a6f0fac4917a66bc83779f4cb6f08eaa031739b88fcc66aaef90180617ad56a813108f26e5d6446b2b2e74972d8599ad804f16d7bfd46e12379fc5a482b79e17514716c99fa6b6f038fd9e089edfba79d3b1a17d8a6a7cbe0407a6b51f34d02638163da1b2d77e300ac4028b62b1f786f7baef963ea5cdac27bcc5259c0406d9fc2fcb4feff1be8457a9201271847ef2de64840ffdc3c8191b085fea9d67a6b0c9477cafd232aa03c8efc550c6578481ed2d5898ea1294f87cbc9fe6f39775577320f26fdd088c4da26909e1e49177fcf695bccb83e7d52a3ec5e83283ed40312b3a45eb9c9cf42ae4f7564f95f8d769852d7d1e914f57c68b567337faefb9cb4cc1232a582bf3880e288549f54ae3634522ea3b9f03a1a2fa9d197662352a450dd70dc9b186897e34b27bce4609dc7e78a43cf8f1be4ea07f4080fb55c138409ba01debba38f6eaa8046ad4a59979cfa0581ecd9550cb1400ba18d084585f7cd1a597b6bcab623aacaa8891874f55e2f354dd2595f184cc5f362e40721f46615c92167bdc10a99504a036f64e2c0362fe5cbf598a21a779b3fa7e6090f9fbb026bddcdb4095a4166856b18b45e7c4137f018d6a58a8efdd2063e0454a4462d416b35b39145d3464c727c74c92ef507104e3c08b4ad74c0c75951f0225ed8fb48977582f92ed6262e63efb10665ba3e1cec5a1ec50db96e09a9e6f2f4932e321f50784178f74e550b09d72e73e1193ca3e6284fcf1b5b99b4d46355d0b38977a50e727c1436d1e1175ab79b204d1ed9b193e6641c9ec70d0c70d4537b2ca8a282c37c4231d08b57b16038c504db5a97a2f1d483e2cf34c7da3c91536af6c7ebfa2d4d9a633c559560deafa25046fafd1f62e4a0572d809317d13aec0a35a9648799524e5bf9d14a80d2be549106e822aa9cfa7dab87d092b80094f60dc77ad06af735b90b2790b04283b728f5ed2bb9c63716d628619bd7fceb2f91d683a414856ed57f59fb62afe0f4b260c94f8314b8bc67f958ac10829df87d3da5851390066370c45fd4c5f45b653d430510797d8f96b4e4df6a0d7ccee7df6720f3e33cd5f0ac1f6079c33b4159599cfdba3d2a2c675aac21d44df56b0e7d159e4b08b70bdc362ee5e4419c3b549b943ec0451057baa0cfc695b1ac0d8f361e029099ce282eff7986860feb1fb0a845bf38ad344f77d8c09492db69a01d725b8ca16fc370ec59b754360cda640668d70a110fd68565f6b3eba30fdd5f04ea22c96f5a565d2eb5165e26f36c0d3c9568772fd55ee3d3b707301b381460772c1a9160f19f1ea4e886a00e71bbd81c4ce174331c01c17cb3f96e1d7ef2789d164774684d96b606ee0d85f790f0fc73651bf467764d00e485457d9b3a9b83f9e4f4fa7695f84e4f34f1ecf3e6ae91ddce5a40589dd535eb75ed219783309057fd17df881282c1c2b2db45f537ef4e3f816307d88a0260ad257444b8d6d4561961e3f31a41fad973e93b921cb607f01e98d1a77e56bf66e278344db669bb80345348a617f8669adb00464fc6cf51013246f96cdc2f9390aefb540db86580ae018cce1e1a23d3bb404399efed32779a849cc3db42579e1bd5169d678c7f79c0730cd3bdd39cb957ee8f240b1196e7e7b285645daabddddfa1f6022f88baae04bb29b26cad75db517c7fb719cc6d68e6c36c3f722d1817ea9134c93b034e8631f0c680789b44330dffd3c0dcdd772dd708fe0543e626f7c31f06d7aab2bcbb62635faa3ab6e977cfbc2d3baf870baefc726d939502c5d77ec79fcb352acce76e4a9e02916e1b5a3d2c38a5d5bf55971aeab2e2c8f4370c3e4a6952346c94f4a380d150a87ecc94ad1f1b88b5334f5318fbe9187df76a7b9a489dddc290bc45f75c0e5bc69f2ddb685f8206e38344dada424d414b7bb92515d82a7327bf81fb17dbb2bae6d279bdab441cf6818ce422ff9916a17cd3c60d1c33018ea12b921a569c3f7790f7ec17fbb1755684a5d71e9ed5fecce66b032ac59d57a1b0da360b84e5414771da41b2401243c41272142c9c609dfdf5f60257ac65ebae6707ce7548dd97dbfdfd8b67a590d3eb143daa4ee3ed792f2380ba7220193cd8a25bcee79d7a55fa0826625160a152a2a09667c2a491169899821fa1f48b891a046eec39cad4f8efa8c02697f171b7b3f6a5e341afb96013e77e5646587d16e2b79c84e473d3e497051500280d63b98e34974df933daf841b29bb8ab9bcc9b50af232753888861a11ca834bdd3513a7d1f20569b7d4e17df968ee29ec8a0b62c246fe3e58c56f46effd85325b8b4328212c815e4071b1b451c3610e4f596089568584f09efb6c4fcc94a6a31b71a3fdd50eb0e5b01f645607ca8aa25ff2a419fe8b227b16e5bb4363796ff9157c94e7aa5dcc1d959929639c706ab237814178e48ef8ca72cba26c6b380b18398082639d44dfc44ef8977503ac2199e6d10ad55e3b78b80dddeeeeff2e2f39dabead45910bbf1c57ee1eef85cee286be34b926ff811d8cd8c271d1518bce3a36fdb6ea975324ed70b41c243fce4ef83cab19fbb4a73c8378fe4bf09e17732042956df74752cb33dbdaf39ba8b40a4ecfce1a6462f1919157eacc476ffa6e02fe35c67bacfadfe0931148d1988f4898129b6d64813f73a52cb1c9cb7668aa6c8cbac774e76a04a83c75e7abd63c3e7864580d7f66120ce6768105726fd1522b9bb7169eefd86c68f096531177217e81f6c8df0a0917fe5f7a6e232936f74525a5920662601f5eee051839ed9f6a6beaadd8704220c83b07c9ecd0db5b2715eb67dbd9b4ad0a9b17b35c5de8000c233d81b8eb8535ecd89f978e7bbe5fc3737a30bc688e35e34518bd94ac915d993250f76fa3bf3f0bd3f66c73caeb5a39d7720ad55c120583ca4472d5dc1273ab7d3fcabd3b99257c7bf0515ad1cf2892a51bcc26846082f21594fd76112c3267c1cb91ee6f4634c512f5a27259f7cac80f954c572c254b6e05628548386dbc122a83b04cedc7b79d9147bff130d172e710dd3cc4f88ec854fc330b4ae6a2369a07cb49672bb7462f2576d255a454d0008fb043d4f441a40b4b7b43c42339fe96d24e86f5329219431fac7bccea1858ada7537d5db9bc66ba9c406db374871797681a5a898632d6c5d8f9f93ec7b1d4fd5c28dcce381de3baf49b3a8b1d7cd6199aed46b9ee46f2943e5521537f83f6e42ecf067a3c8a57703ad2f4f51d34d658a862bf10c62b1bbf454ecd3da20451cfdebbdae62fba0a92e000ceb3e56083fe8dda6488fdb6a67929585f1e5975af362bdd89c1825d2733482d5f54afabfd55d96c20491a31a61730f1d4f0872ceda57de1ba3d7ca705a8843c2a856c58482d1c7cf515fa2c61661a4306ce4e4feba2a0f58e1909974714a0ef50921d45ff32ba3c60f108dd46895b516d087ad62b48df601bb2b52d7e31cdd3b294c5cc778d376e1beed42b9316bfaac1ebfbaeaec58f92b7454eec768dad4cc8ac14521db8bc8298f20fc486b1880823616e70dceb97310f85209432084cb58500ac54e3b03708eb88a28741c865f5566b6d0c88240bee51ab570c7c0693c122c76bb2614e6812757b8522cb08652d9219edd20e2d96f5e1ecd20bdd759df13f9277c69c695e261e544d1f0b7e513d98e51cf4bb6a002df879056b883890bcec6fc3289f3a936e2b037f9ffcaf13660b4e39fe6a8da1fea35da19a968713390817b9854c335e8f61a1be06288e7e175060d64e82ead22795fb7412788ff7e4bd2fbf51d0ea6e1a2a439bfd9a164feba6fbbece33c576a3920a8be44e42d3f42b1e024f9066ff6ea4bac9933f23907ec5436497df98b88c9fe129bf56f54abad6319e21803a843d050a2450ae3305594a54f2ffc1fc9e544b1815d408a11ffd2c919721eacb1d461aa7588cc326c8b9c82927d89d710a33a40cf3fea2127abf5298a3eae2d58a734e10d0871d668d3f564e4d46bce00e1586c56b4eea33ab6e63435a20bd038c0cbb9bf79e7036089ee73cad524ff89352ebef2971ae91c7fd61f48307b7d7b4ae8db66b68dbb40337259172a2d85dc15366a0381e6563a33eea5cb99eb563b621bc306f41ed28e6a04777d0a67cb1b3875816d5e153e9888ee9d3f67b0518e1be2ec42d8e90c6f32aeb864d389ac6949143961996a07dde2cec47dc605a99ecc056dbc7bdc8037db31fe599f125d6a1df2a98f2bcdce99f41733e006a042414ff7b1148ceb0c517878feb3661fe897e087b3ecf904cb6153926372e4b9de27461fd8be1c1679294c78fc2dfee06' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('768f74375fb004f34426bc9b776a44255b9b523f39533905a84947e3eac44f19e184ad3efb4ef4fca65bc23571e09b0e3bccd0b998fdabff23c0f67163a39fc15749c92bb62ed107a8748585191b8e20c95acba6a8e31d12bce6d2e448c6df4738bd20c6951a4c00c815305b1b4394f6461a5fae4d9e33bc603d9afa45499980d9aaad4bc465d4ddf0e7ac2627c6a6181e1a83ca931c32b90461d6ae13cdc1b66beaefec4dc9bb0b1bffa87b76ca5c943e5bfbf367603e3f314510660da92cca8903b8743f5fe62570fcdd533b83efc2f217c79608b1ea6fe7711987ff72c3c61162946b7ca9a6a0dfb26613a06fa493d338795a03f96750e0e2d8ec51377ff49887eb5961f4e9a29b3187cd1dfbd5040e8941f50a0eb71df3567699e449deec94593e1b45b07c851ad3b3149c8701dbca2e0ab9ed2c93293777358c123a17ceedf10ebf5b4f8d0c390fa5ed4c6c7ea486129f647df7206c8951c925cb283f31c79c3525a6212570d14d5fadac8c2efb493657b64683e3c3fe6546d7145fe6a97db4c2eb5a2f869f9b48bae7a4f808a9d82202e47c8f1e427561fcfa463ca08bb660978477d593b3b99ddd4352f54e7db957400d798321c5fe4bf5cd1b9c2f41014d7589507ab29f5571a0bac7b1ed531749fe2504feb9d70d723ffb5732e7f3c9d5b15dd9c6ae983b93e288181dc8570f800b4e305f971054a79a2c09201995c31eefee52a576d12c58b9d53d1e6e36ba1730e37b6cfcca08574466e65b3f41e359524b4b6f3f5c594767752d0bc248d2b7082b039452d3129287f62e79df648f7492db108c8d12f8b0cd78c93b10d999068d7945586b1aa3c520d9f00b8022bd5ed525218e62b2c7bf7e4fc12070c770c7ed0e741e8556bee42b58fbd9e0b5cc3a645cee610b1e4b2b6cb8e791ee982a7a344a2d14d6fb0362ebd40d65')), S: new Uint8Array(bigintConversion.hexToBuf('a178d1c37f769fb5172b324c8c17760b')), c: 413, dkLen: 3072, hash: 'SHA-512/224' }, output: '07a8ca8afdb5d6c66d934c309e71154932eddc586ef671df8cd1c382d11a298b8fc26f57dc1956a70a7c05dda8c96b45a236609e20d70cbb546bcb3fb49d2cc65d606d5d1f206f101688dae5e54f16e057439d87b808432c36fe90330ecf2ae6884aad3cea077597277ed898509858e935f71d7033a8b27c6427d4c6678404080c48a6b6501e1991863e1f554c041846c40d225927f917104ea18a3c3e4fd5a8618169d36dff0223811729024e4deff08ac15792c118c694941970f49c5aa5238e4db3550cd05494fb5e37a6814659a2d690d0c8b58574b46a74cf1d9460757e0d671c77eb1c590d7e2880a8ab34a9dfe3da5b64bc13b3c9a45dfa8dfd0ef01844c42de5031205238d387a6a34b9b87a486c8430d9043b4a8d5f94d3bfaded013649a226ee549465a8ed74b591e9b7323663fd951adeed2c9b3bd7a157499995d879f120e6b8f596fd34768c0d5ed08d4dcea383921899310fe4af969987855ca97c67fb3a6d717f853e017e33b369579be6fffa5b95f13789bbf3ff30597a0c2b520138c3672dc1fedf74e34bba5b0f8ef91ddfaa8051b0864fe785c27bad6c6f995d4123339c109b9ef2e5daa927eecc90a96b824f17933197967fef54368ae3e3a9b9de01348b54a0d2959d3f60fbfc44ac16d0065b0034204b486d51a0df3e75b00cdf7be78ee18f8d9dacde74365ba90cc76d07acf6bdb54638063af4b20ee0d0a91bdb5d86911b329d00798cb992820c00fda3e7747dff6bae8f822540c8b0eaeba8d5655c55a1b68a76d01681256157dfd02d5971930134f01c5ca968cc30e1f47bbd5d14c21c072474298525b03fa0e92f82ab0ec617e2d62bc5720ece40e9ddb98130099bb95f37f26f414fbea6dc4ba15f1325b726823f2e6661a3ea0cbf6792c1abae434ad097921f1e54d308bc8148226c845da0037a62fa7199531b578fb8851cf29f6955bbb017f388de3330de96cb691e9f940318fcaf5faddc32a1997617ef89cdf2011cba560d0671aa2f103fb365a5875c871e779792eb501ccda908510a3f5e44b492c939c832fdb3d5454216b6481e29092b3aee3a64578a638ad4c531d15dc13993c57238443979205b846de2a6c9bdb079193e7d23207dae0c9a8076a4b6df83ea49499843f6a17ab8c766abc2f28eafce0b0d5537e52ca06f6ff5458b11d0920c39293821a1dff49d3275f3a7221f12d9943994b42cbafef2d411eae883f32cd56932398e49d7675c89e080fb8124dbe99dfc9cde35e90480ca6d0c1a7bb1b30541a32d66a05fe8a9dfc65b441ba25e753503c8d0164b5af32aca665b4968026423ec4db9d96ddb4828c1be53f876883b902d11420c9721e232e06d111699be42f065c185a9cf186af963aaf63c62a50267adffd981d3c7d0398e271fb4e52b3cfb5d7bb32d751ded2d6d5a6f89255a13028230124f0dde10b732378ac5afb905bb05bc4ad1f3641daef6a575104697a2da0beec10d8dc9cb6839fd00375f38231c0feeac9c2b3d455b47f837c68bb8cc53d455a7d06a49bf4e1c3dc6462272a58ec64a73a11344d91bf795c5e06b78b887e262e1433ac1d26614b149edf8379335a2c3d0e95506e49f12b69308a23a2b1165d34d5853cd585cbf9b17b343755293cd0b2af3a4609a21838e227e04dd23ece29218ecc1eda909d1bb1ed8221605e4dd21ca1ca7582eca37a28cb65eb1d413631d164ccbd6a6375b4b893301cb139dc91df346498089538b3f3901aa3da1fb1e08d9fed6ce97a702f8210fe95cf0ad2103d437c2102820a00f53b5b3fc6aaef0cee19013e325ea246e43a712d0d54f5b657ab7a0d9f0bc3288d6868fbae2567addeb67b32c041b818a7c4ec188fc2e539681cded96c220f3fa63aabc4d41e4ee3bb8554e72535816285b40309d250b827633f33415d6f7909784cd3e39be1642e1a730e38f4dab42f480201e67f822bd8f9842f17b20f40fec28a39de9e884c8de9822329075bdd0ed474c61312c113b2be94c5fad4911aff5003f1c1e7902b56f688944eb4064574538e153b30c713b0939e51d6f6f377f13479f3f969e17e6eb2d0991bf36bd92c5dcc02354988329c01dd25bcee4354d04395a39fa66de9d17dc575e311209f508b2b6e07d202bd1964bc9cb881a5c98a4fb0638c67ebb4df9fad2fabac6b6ba34b12e31207ece53a2bb0a41cd674d71542d90eaea684790ebaa7e6f34027aeaf2ca78cc87824a4c89e3c0d4d0ec67c34090484bb8b0f886a906398d541af686a96b0d21e63273e15696e96c100a2cff878bbc97678e4dac39444601c19c29b68378b5d040e5916be86c18b7a452c09e29565d0107853ce9d0e13b33eb962a589b841d836a096670103d9329ce9b27f58132b865136ff857d4d21a8be66f6e4200f218736ab2f0db5b675401be8b37c5ab95f79b39fb6345bcf085c2fbaee3157fd5c893c1356a3444e7f105925a3ce8c0d9b6ca13cf81303f375a45282c7677b93946e3d00d7e11d7eea7da6c7387dd68af0439b8a6b90a0003f4c515071fe3e67257a19d800f57bc95e71e0f6071bc482a257ad6e93b55bd987afb890eaba81cbbe3b9845e56a3b3807eba927727e7253167bed2cbbae6317c8522c38d9bc7e08f2c0bb4ab03a4aad897af45c05471ad1a1215a269dbc76b700510d394fe2c1594f1bb78da593f55bb12443dc34ed93ae85fbe53d7ab858e77f4bf761e803d8950170a4a9d895588a745db3bd9fa962f38fbfc42f811481bee87e9816c5b55dd8726f4b59e2d4a93cfce88f385a61b3fab13e330abcf16f8b3bd6f97cc76f104c2a2a203c05b20064c642558e74d48dbbc0b2daaa38a722162d9813878c0083f7763aa0096dc2367e1d823c96d9259e8263554eb704618ba8b4d553b105ce05216537aa53d7f01b5ff78a5479420a08df38e3d99a9e39c5553b7cb4d2f480ec8dca5f21e914da03d577c1748f84c1f4a56a9cf4024a337f5cb78873845a7e7aa18ee4cb0fb1ce6fbb6e93393bf0d74fc48f9bb3d9c2ff1d1ebb37db2b3f4ee233c0cc88d1a4240f076c59fa6c7c15203ea083b94fd60b91a81ffbe5da1bc76a806f58fce18d78bbd4c68554399b0e9af930885b0483342213707d8e14b9a0816b2304b1c61b6f2a00a6f07ed9860cfac8155c4ffc8dcd38c931312ef298eacfc197dc9f95921f8f192cdd6405ac45abe77d8cc297290502f6f3fe0e7f3a2e5f93a91d87d1a398b690393687d1eb5153417726f0c4b8b0633c59f5350ea4dff8238c6e269a85904fd99ce705e43bf1181e3f257bccb61501bb9d3a8ec9d24a9c8bf1204a668177e24fdb1c6d4b039ad02295f46f98ff30f0f813f724fe871fe96dbf160a7b22982a0964c88945f75767af748b6e49e5c6acb464534a4d51a46f861c1b2ccbe15dc8ff9499d53a012955421f1840eb2720772f0008edf58246198eab9281f0e37cd080625614b07976080a64fb1580250b28696b485db1392f4e07c6df31121d8214a114cc99e4b9f89afb1f1b9b9be4fb8e4b8361bbfe5a0715d8267422ff6f5e85f060f25bf4d531326d688f47edd2ad641a873dc233d078651a1b44e52a58248100aabc99a4bf9aa684606e48a86f63ffdfb27faff73dccf190c532fd6634cd3bf7546e215ed37d03a497b18fa7b85808aee52ba4876ad62062b849d7fa69b3c503be86da4c00402302d594920e1a75901193a072c3e6c4a3af6a7a022ff7bd87770f391f9ee71dd9084540fd794a3b74e99900f9f7d6cd5f1344d501e6b2654e6e69d5d2599b85b856957063bf2607bb68466a9a9a6ce13f84acefe26a6726c5a278fdeadaafa31fe47352a4d53e12ef223bb21a96851256ca2b6b187c5525b92fd318ae9326a5c1ae2c24c61f30b644e2aaea887b7c9ffaf4f2bf1fcc6e7711b0021b9182ec17a445936db03f0cb0039809dde2e5cfa349f28b1676684c91efcf283709c3bbfec1bbc5e0902cb85b2e1345b2a0f66e10386d5dccbf82962aad2b12636335279388f60d26a72f2ceeaa936bf927b8fea781f6eaf682fe602c9001c880c23a469592856acd910098408ea0497385e14d0f2339814634eab1c14722e60eb68e997693e668812c6378f71081366347ef56b4cb11d4d036d55b5a99b6b8a647177efe255506e646fffd6645b53635e275e985b8f013e085648404649f07b2fc30394cd885c52ae18a065525dabb45b224824f69eed93193cedcfef95ec6282137e6691a116fbec154a41fddc98284954da3ad4b29643daa347d601b71f28432cfac5aa9835fc729692b91b6d267161e44d070331d449750552d07e7570d285c66dcdf2f7a83b0c6e6a13c95abe' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('768f74375fb004f34426bc9b776a44255b9b523f39533905a84947e3eac44f19e184ad3efb4ef4fca65bc23571e09b0e3bccd0b998fdabff23c0f67163a39fc15749c92bb62ed107a8748585191b8e20c95acba6a8e31d12bce6d2e448c6df4738bd20c6951a4c00c815305b1b4394f6461a5fae4d9e33bc603d9afa45499980d9aaad4bc465d4ddf0e7ac2627c6a6181e1a83ca931c32b90461d6ae13cdc1b66beaefec4dc9bb0b1bffa87b76ca5c943e5bfbf367603e3f314510660da92cca8903b8743f5fe62570fcdd533b83efc2f217c79608b1ea6fe7711987ff72c3c61162946b7ca9a6a0dfb26613a06fa493d338795a03f96750e0e2d8ec51377ff49887eb5961f4e9a29b3187cd1dfbd5040e8941f50a0eb71df3567699e449deec94593e1b45b07c851ad3b3149c8701dbca2e0ab9ed2c93293777358c123a17ceedf10ebf5b4f8d0c390fa5ed4c6c7ea486129f647df7206c8951c925cb283f31c79c3525a6212570d14d5fadac8c2efb493657b64683e3c3fe6546d7145fe6a97db4c2eb5a2f869f9b48bae7a4f808a9d82202e47c8f1e427561fcfa463ca08bb660978477d593b3b99ddd4352f54e7db957400d798321c5fe4bf5cd1b9c2f41014d7589507ab29f5571a0bac7b1ed531749fe2504feb9d70d723ffb5732e7f3c9d5b15dd9c6ae983b93e288181dc8570f800b4e305f971054a79a2c09201995c31eefee52a576d12c58b9d53d1e6e36ba1730e37b6cfcca08574466e65b3f41e359524b4b6f3f5c594767752d0bc248d2b7082b039452d3129287f62e79df648f7492db108c8d12f8b0cd78c93b10d999068d7945586b1aa3c520d9f00b8022bd5ed525218e62b2c7bf7e4fc12070c770c7ed0e741e8556bee42b58fbd9e0b5cc3a645cee610b1e4b2b6cb8e791ee982a7a344a2d14d6fb0362ebd40d65')), S: new Uint8Array(bigintConversion.hexToBuf('a178d1c37f769fb5172b324c8c17760b')), c: 413, dkLen: 3072, hash: 'SHA-512/256' }, output: 'c1d26c5f5c9407c6fa5b3fc50f832c16e8432ac3b30e86d3d696d3ce1f2073811bf92fc9618c59b8903d6de277cc1258f4a90b558336492b8c943876a91bbf327dd7372ecdaf1d7c6152855be5576e749ecbb5ed08e8ec8da9c8fa778cc7382da084d41263cda11bf227473bf9c42f1d69a38d620a384868f5724e6c1eb2004447ca8eb7292833bcd864528be988ae9c78bca1f704be7440c7c38b824d0856461a78c25a4e847447a3a7a7fc402393d5f132d263aa9431cfd0507dc9e153787f6ff13069a7a3a5482925672feea6c19c367dca27b01c66f4b301346b26b36b79d8030d6e324ff1f0a944dc78a853239a7f828dd320798943203210cb8cf86f3758c92c4f4871533852ccff46c0f491503381b00e8bb66d2b6a83b941741e68a1645d22d198f2a5711665eef1b0a9c1727aefb6c29b8564ee3e8e579c033fb386f9d3e2c793e1535114f6c248825cdbfef91f40e05f5ba46b5b4ce708ecad8cec8049d9194f1782a48597f1e5151638eb6dd60b7adb0ca226062e8e827ff785ff7e6deac93499629d963be4a62cd19ec174f6e12036cb62c8c0bbb8d9272b0d76e065c4c8de371197063fa26200f1d5fa23a3f2539c74083fde667195ba647737692bb0e7c182f8fe5546f75187a38b983b33bc507ba2f7203603678708db6d314d4e8455cb8fb9def4d1f4b027d291a5ee648427fae6d749ef4f62182b01602a0803c46aa8042c77642368a62bcf639d9ebde5cf2a538aaac7d8c07062209a2b22f2256f308e7904a33f2d807474354ff6c909550bf138b0def9eaf4889e7f3a1aff37aed2c24499eb408e75ee113297f3de888361b7865ebd60a9131f1cc08948dbdb706b8fec3d28be8f02d6890351a2465dd22e297285814ba56cc206cb4a0f500b8d5b4e7420abe653560a218130fea8989b596f9a1fa09931ebf32060dad6bd6d008dc3005beaaba3f8b5823194e5f5e20761aa32ba55c4c5018648ff10f525adcc3efa25cd2a6b3539fa85d17eeb1b59bac993f4d391cb930696f45c3f0bba5c53bce4e9b89b78e6ca164a2466e1271ab58f3ceb84e18c9870c7cb60a81bc7b252212ec07cbd5c51f635b9b5c2fe5091b49c537cecd5babbdc8e275eb714b55aff2a003e1d9f41402f19c76d0d45677600162ff44126e11ec96ea67f80c3a20d688f8eec6706bedd88dabf308c0babcb608ebdf30d895dd167283a4d458b5b74c74860730f2cf0f5a8c73bce908c1afb19f7330bedd2d7ab5078a0d3972cfe31a241814262a7ed04c6c594e02704b476aeb8da80ec6684524fe3fcb005bfa8c63029ebc4e1642de86d3b491dfc950861b211eb3ad281d423f534b071f39320784ad7acb25dcdce9918598e54417b6447b1c89b7ab6fe6bef1d76b09267cba93a22667af93dec63bca849b1b22734dce6ba794980f4e2895ec39eee4658f855f58212b9063e223e7cd2e37c626ed70b6869d6a84f0850ca9c3c05651fb468b2ae8080833ac09b67e93e4038d0a516e3374eb5aa44facf3d31adf2875a338e5639e6a3ee3015bbc67840def70ad0177caf1139d389273a62c4a8ec36e3e9ac5d829e6f0a28cf756b8f8883075ded038f751c95aea28ef907800eb30a9cc28ddf170e222a3bc5fdbd5c5e0fbb9d88fb3ff33f1ad31b4cadd14a1af83e0df49fce5f84f7f31453b1fd915b6f5563eb57dd8f3159c2975207ae3e7b26f524d1293b791e58f5fd916412e817e1b951ca4e428cd45457a2bc910506a413faa27380329cd501552b4e4626e8f734e1f8cfd7bca88f698a831964e08a975d5e5fe0bb356d7b125655bdac1a7737f229b39f2635970ec14a623e0926756517f008195c5d220cae1841b25cbbc8a028cad648ddf5e7f3543a7a401270074f7ca8f097795717f6b012796ee5a69396b534ab6aa3bd9e074490187ee01d4d213147c477d2e21ca8e6cd3e473f0c7b946de37e4df1a5f11048db30d0f0d7b3efc83bfa5643f836d998b5fc61ecaf3f5ebe272efa94e461064b9d4f524ae0abbeced1d80af077148f4af33f1a3c143a92186466fcf50be367633b09e477920d83d66394ddc454d29b48c11dee823f6aec32f947aba63431ef0060c47dfce21aff1d42b0ffe2641d36fa8fed2683c63f45fefbd00498010aceb03eafec911588eb2c281c5241e0ec604f5834d911c42e62eaf3e2b4e27df2f5a50f611c5dbaf988081cf74e7d05bf229c9477a626efb54a4accf90b37e99f187ae3a2f1ed96296100ebbe3a53a61394b28d57c350d8c337986c2984530434e131ab9f61996b83c90659c83b40e726a70d9b0c58fde661c99e55e603904d90d110903ad8d30222e7ef53dec2742f63c881ed29a889e0e3a159024fede9f3707dd9d7efc55bcb57624c0ee936aaf2884742bfa7b7dfaa54152f2a345ecfd5cc6c48d487d46a8635819a767a72a436b1723f3ca91a49a359737a2e1b8ec47e90de982cbcd068cf2a3972a67e79cdbb1142a99a55e9e635e3d75ffc1b8ac9581c55ac8e6de361729a3679437dfc2dd07bbb805084112452c4ab3c7fc6cd497a000cbb677568c642cdf06a20be13765ad47736a378fce642bd1a5e0578059ec48835585b59e84b5bb25123f7371999056ed25b41170b54be625175a6533e6c4ae3b1140ceb6008eb1a73e1c8b737bf2964d7a268109d4de08180fe8129b3afde9ec602806b7a2d975437ff471b42a09b101869a940290c32976bb286f77122cd3fb0fd904e0519c7fbe304b0014c03b82ebb9bd56595f40a915da236ed19272f3d73f9a4f549b104ea5a68363d377f3d6ad6c42f1eb6d9b29527b4aa7d3979c77af7d831de845cd719b7d9558ec11564db07c5041fbe0c27067d9367457ede7e1775872e0b0ee62cc3efc9930e3cf820b3b3c11ae56c1753d116b4619d996932b1190f541f4d80789429358fd823c5f27d6dc8454d15670796b41175617819a59a2b9d0f7dcbc584dff16a73d3734d45c300945d9a35d73c3bae4f2b1f31015f2ad6ba18ace3a7d65be23a266b3bbe7928895e2d0b8db17eb8349a4f40d8b2ae595febcc9bc16794c21870b5c8de83042b7539239b3c6d6e6ccd96ccabd7afc5ebfe79c759e509cc3d0e7e4a3d4b3365264075eccceb089dfb95d90938bab81ec47c8bd3301e2ad78de457b3b172f8104e236e1079bc4ca93ba193638532518385e337dfde064dcbc604ac556865cc3943d3e3db6fdcbed3d7ed8b308a38096fde6919bda64ea3273fb81e44c4f75a034f050f407646f25c48da231ec9f55dcf09c562092bd3664a4f9be95b79826a0476014d13054d8f25d03b2f99dedccb5c1e747e7018c644afc294ade489c0abc0f98a5da2828ad7e5c92a6b74a9700dd3a98451a648ca507d0a56c171147a4a3e487e33b6830622b4359b2a4ded56bf47f5a629c17a8ec6e9b910f03696893e90f21524cf1b26d5788a857f32324542453899665e9c16f7082bb55e6a8cccb8d5df409c14b80eaf856bd306d5327d479ac877c95647c52661da7b9b98678f8db56b53d260464ec46c8b92cf29b647536ca3fd325df163d6faf0b4664b55d23734bc4452e69bea35e5cca8f304a3be2f97a45658e7fc9b01797acf260141164dcc1a82c75f4006605306a2d7baff29008584110e417c0c5e0a0bf7616f880f338d3e2eca86d600dbbaee75a1f50a898459541d3bd7f05939e86d995b5fe45a75aad20dd4f876781210bd0cb0bfa6f622ab19e1df911ab979478f9642eb22964b7fe57790c661a6f415d9cb87450ad2fdadbb83456b5d961da295c15453e8a2212159a62c72aee70173ba95494b3a122e982dc2542661f218622ed57cc597aa3b90d7a367bcda5b2bfcd0f98c8505f8165c3ad46daa1ed59803536ecb343de9e5150a83ced8263d2a74a1e3aaa6bf48bca1f74f3d5611d64128628b61e72913d96e0e60139c659a5bc11456d737587e08fb7155602dc79c2abc238cb38ca4943c6fc5a88ef631401c895694513886a2f242752cdb8a1b8168694cbe2ec87822cc896eca271c0eb25bf99db073e52ecb4584ce6a81d38198dc4f9ba59b01c10547dfc43fa479136e6f6c2e1152556dcb7b9798658c77787429f7c91682e21285e498e8b942c585149777e4f18f50a933ff91f5459c94aa6aed9c2b643eb9bdce577184b8d6101d793e36811eb5a708565f4d6e6f4fbfd4f16a87d126f762bf124dc9775fe053c33a235abf1008e30f1fa2d27be77f8740e3c3a2b3db88810542b1fd7b5223691554013e3017f371fd3cfdf146369258235e996af6b9493f8d8a89cdfd65f5d13369e6122e39e51be2f16d296e97d0b55fa0d406f5eb2d52b489' },
+  { input: { P: new Uint8Array(bigintConversion.hexToBuf('def168e1352a834157efe8d96e90daf984d528978a1d445431684c09eff7a18f35a993671aac2362f092e3c4efeff700e10f32e63723cfd4ffec6bfa9d9d8aca709af188ebac0e0fbe7b773d5b32bbbf40e89fc141aea25d77d3138d8a505b5119f6')), S: new Uint8Array(bigintConversion.hexToBuf('bf85c7b88182298d8d75b25acc203670')), c: 305, dkLen: 64, hash: 'SHA3-256' }, output: 'ef1b6442fb40d9329c8ab457c07fd4b2e447fdf480822cf3b2441d16065ca65793ee933e40fb001ad4e32483f30dc99a7cd121b251c5796664abb914e03dc60b' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('def168e1352a834157efe8d96e90daf984d528978a1d445431684c09eff7a18f35a993671aac2362f092e3c4efeff700e10f32e63723cfd4ffec6bfa9d9d8aca709af188ebac0e0fbe7b773d5b32bbbf40e89fc141aea25d77d3138d8a505b5119f6')), S: new Uint8Array(bigintConversion.hexToBuf('bf85c7b88182298d8d75b25acc203670')), c: 305, dkLen: 64, hash: 'SHA3-384' }, output: '68f26fbce72e967f7c635b52ac115079e634856830b97607ffb5c9d0fd6d57bb1983085ad235133190cf3ef41d7885d7c432d5bad72e5abe7b6ebde6dea1857f' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('def168e1352a834157efe8d96e90daf984d528978a1d445431684c09eff7a18f35a993671aac2362f092e3c4efeff700e10f32e63723cfd4ffec6bfa9d9d8aca709af188ebac0e0fbe7b773d5b32bbbf40e89fc141aea25d77d3138d8a505b5119f6')), S: new Uint8Array(bigintConversion.hexToBuf('bf85c7b88182298d8d75b25acc203670')), c: 305, dkLen: 64, hash: 'SHA3-512' }, output: 'b14199f3d0c6898cd24b45d1e68a3af4e0a52326562469f5fa8f4f87af6c93aa0b9f565bd6bca569c8193c7eb2d144a8f29dde64eded7980d81418c5bc17cd65' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('92adc652f231414f35105acba3e4324bf28e4ddd0b7fcf2a8f96382bb086ced595fe580eef55ea4e7efa99c4c4d8b94245521bd2a17ae5cb2c6bb13a84fa4104f3f631686b1a407eb4c9ff6cc6c70fefbddd563df6db3994c50873b18a43c5582040c4ac0f151aede819802bf8bbc8388a6d3c0ca746289f07e2ce1380bf5a811e8eaa0dc189e74d3233c52698164c92ed119b52a1abf5c4ee30ffeaeec1af607db4df734410c718d2311a1bf9d27790c40132e61d52e0bd9dd11799896485b227f16e93fb1aae422068bc2d63931b6547861a37939dd6c421976237a095c34a0f96371c1a5d3d8bf0216ddc1ec118f5eb2f2a02c3f81ce1ad95ecb1e8cecf391e50278e8adaeb510bab77e413b2b5f41c86d6feb9cbd1a510cf1c6851b3737696a4ccd9f5f473f3e4c7b24abe6273571614794816a7b94e73cfe1ea9c0498373400e5969f9f0f1ca464e5d74d726ff1c3e548f101aa1cd05191379adf8b715b6ed8d13c821cbd3699160878af016d9ccdaf3ff5a15ff9e41330b5fa577361a7f8509414bb19a67ef04b4cc2c1f378fdaa43d88a2cb8dcda75e1b987265e9baf527f23fb69110b1586edaf81b70a312d0c319b2588f624c100c036e7fd07fbf764ebf59f9681dbc92aec1b413436ed6a05cf02cc96016558d5915c5e3722eafc9555da99c1372c88cab61c8c03d7e85f5e792f9da0e2538bb5a439cbafeba5d5a27e88ca60e2bb1aed55aa9fdef8facaf29f619cdb2b2654397df1a4402f96cdc8347592ec134d67ec9b80b0ad839fe8e70ea1a8205029bdc287d09de2c1107912daabaabb5b2aeef54c9433267fa7dc7128ef5fd83a28b1dfec5c39e0a3c6d44db9d3e5fde1374fe9f9c513bbca921b28597616d346707fbad9c29ccfc490617ed30cdd7d8f1be3026d659df72cb53bfd9f55e32632c9b77ec80951ef0069b469e047ab0f48d8e8c17a4e77e448a7086eb1a95e0b7d5cce6e528227c395fab3ceda4fc1187cd940f7f726ea2952f5d3f1c23553449ea53684e3fe864f51ff66bc832ca04202305d59497e')), S: new Uint8Array(bigintConversion.hexToBuf('d9d23e695bc552baf648ada52faa330e')), c: 31, dkLen: 128, hash: 'SHA3-256' }, output: 'd027e8655e65fe1b51d64cd2acf612135a73804c67705cbb42f266a14cdaa3022f88f539e3ad1360758e4a0626316ac2bf7fb1119830530672d6011b4bb2c29d4da2d58ddcceb6162177205a0befaab6ba8828eff26ca35ef938789da0867d3dede21b86d823824994fd2b79b3ed7dfea97fa70bd3900ed1a7f2045f06b92c38' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('92adc652f231414f35105acba3e4324bf28e4ddd0b7fcf2a8f96382bb086ced595fe580eef55ea4e7efa99c4c4d8b94245521bd2a17ae5cb2c6bb13a84fa4104f3f631686b1a407eb4c9ff6cc6c70fefbddd563df6db3994c50873b18a43c5582040c4ac0f151aede819802bf8bbc8388a6d3c0ca746289f07e2ce1380bf5a811e8eaa0dc189e74d3233c52698164c92ed119b52a1abf5c4ee30ffeaeec1af607db4df734410c718d2311a1bf9d27790c40132e61d52e0bd9dd11799896485b227f16e93fb1aae422068bc2d63931b6547861a37939dd6c421976237a095c34a0f96371c1a5d3d8bf0216ddc1ec118f5eb2f2a02c3f81ce1ad95ecb1e8cecf391e50278e8adaeb510bab77e413b2b5f41c86d6feb9cbd1a510cf1c6851b3737696a4ccd9f5f473f3e4c7b24abe6273571614794816a7b94e73cfe1ea9c0498373400e5969f9f0f1ca464e5d74d726ff1c3e548f101aa1cd05191379adf8b715b6ed8d13c821cbd3699160878af016d9ccdaf3ff5a15ff9e41330b5fa577361a7f8509414bb19a67ef04b4cc2c1f378fdaa43d88a2cb8dcda75e1b987265e9baf527f23fb69110b1586edaf81b70a312d0c319b2588f624c100c036e7fd07fbf764ebf59f9681dbc92aec1b413436ed6a05cf02cc96016558d5915c5e3722eafc9555da99c1372c88cab61c8c03d7e85f5e792f9da0e2538bb5a439cbafeba5d5a27e88ca60e2bb1aed55aa9fdef8facaf29f619cdb2b2654397df1a4402f96cdc8347592ec134d67ec9b80b0ad839fe8e70ea1a8205029bdc287d09de2c1107912daabaabb5b2aeef54c9433267fa7dc7128ef5fd83a28b1dfec5c39e0a3c6d44db9d3e5fde1374fe9f9c513bbca921b28597616d346707fbad9c29ccfc490617ed30cdd7d8f1be3026d659df72cb53bfd9f55e32632c9b77ec80951ef0069b469e047ab0f48d8e8c17a4e77e448a7086eb1a95e0b7d5cce6e528227c395fab3ceda4fc1187cd940f7f726ea2952f5d3f1c23553449ea53684e3fe864f51ff66bc832ca04202305d59497e')), S: new Uint8Array(bigintConversion.hexToBuf('d9d23e695bc552baf648ada52faa330e')), c: 31, dkLen: 128, hash: 'SHA3-384' }, output: '1362a345ed9831cac481804069d957e347adce6db0b1a25edf6f4435fd45e0662fe9b2fc3e6df85f06af776392a27599482b4974d0fd388a621af32632e2ac66aa0a709c12f4e2bb82f08c9147541801ffb46160e797c1b6bb3a998b72382c584b580b6af56312cce23a9a5a149536b5fbb5a26d134dd54cb824161d5bfc6b75' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('92adc652f231414f35105acba3e4324bf28e4ddd0b7fcf2a8f96382bb086ced595fe580eef55ea4e7efa99c4c4d8b94245521bd2a17ae5cb2c6bb13a84fa4104f3f631686b1a407eb4c9ff6cc6c70fefbddd563df6db3994c50873b18a43c5582040c4ac0f151aede819802bf8bbc8388a6d3c0ca746289f07e2ce1380bf5a811e8eaa0dc189e74d3233c52698164c92ed119b52a1abf5c4ee30ffeaeec1af607db4df734410c718d2311a1bf9d27790c40132e61d52e0bd9dd11799896485b227f16e93fb1aae422068bc2d63931b6547861a37939dd6c421976237a095c34a0f96371c1a5d3d8bf0216ddc1ec118f5eb2f2a02c3f81ce1ad95ecb1e8cecf391e50278e8adaeb510bab77e413b2b5f41c86d6feb9cbd1a510cf1c6851b3737696a4ccd9f5f473f3e4c7b24abe6273571614794816a7b94e73cfe1ea9c0498373400e5969f9f0f1ca464e5d74d726ff1c3e548f101aa1cd05191379adf8b715b6ed8d13c821cbd3699160878af016d9ccdaf3ff5a15ff9e41330b5fa577361a7f8509414bb19a67ef04b4cc2c1f378fdaa43d88a2cb8dcda75e1b987265e9baf527f23fb69110b1586edaf81b70a312d0c319b2588f624c100c036e7fd07fbf764ebf59f9681dbc92aec1b413436ed6a05cf02cc96016558d5915c5e3722eafc9555da99c1372c88cab61c8c03d7e85f5e792f9da0e2538bb5a439cbafeba5d5a27e88ca60e2bb1aed55aa9fdef8facaf29f619cdb2b2654397df1a4402f96cdc8347592ec134d67ec9b80b0ad839fe8e70ea1a8205029bdc287d09de2c1107912daabaabb5b2aeef54c9433267fa7dc7128ef5fd83a28b1dfec5c39e0a3c6d44db9d3e5fde1374fe9f9c513bbca921b28597616d346707fbad9c29ccfc490617ed30cdd7d8f1be3026d659df72cb53bfd9f55e32632c9b77ec80951ef0069b469e047ab0f48d8e8c17a4e77e448a7086eb1a95e0b7d5cce6e528227c395fab3ceda4fc1187cd940f7f726ea2952f5d3f1c23553449ea53684e3fe864f51ff66bc832ca04202305d59497e')), S: new Uint8Array(bigintConversion.hexToBuf('d9d23e695bc552baf648ada52faa330e')), c: 31, dkLen: 128, hash: 'SHA3-512' }, output: 'f48b89b425bdc7036a368ec35aa6a23038d9e54dcbddbd4e400b8fdd7c4211ed9a5d95decfc600b2295dc5004359e5d00982b0822919b897e84916ae30c93428cbd577e455ad941a87b349ee0c02232bab8b8f5d12661e414b52d0f75b47ce0fe60b2eb316ca1f02a3b1276d91531fd50542f7f6213b6171a5e3efb022e3024d' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('f26e757013abc9ebac45c10932b7dc14d4e59eafa85523ff5365f3a3d7788533f6a15b')), S: new Uint8Array(bigintConversion.hexToBuf('df88bedc6e934124506fb1514024ff02')), c: 162, dkLen: 256, hash: 'SHA3-256' }, output: 'f8eead37d3ec9c8f18f55cc519fbe0a6b6ac05b802eeeb95a85fb7b01b5ecae651e9d9683da717ef79a8b64236ffc71b0fda6d9f5d83c09815b8bbeb0c2748d5b027c85967dcd08ecd97010a4d54d3e74e27b3226fb3e1b89ddb24fd9dd3a42e9407825e8ad52ed7e90a22e760a7c43cde4e6e452b495ba85b0e76ad57a02e8fef6b5a8b9194ea3c11cd4d18c02e084875f7b34ceb1c645fc2c43c25a71659a84ba7bb4b575dce3992f1282d7cba281dabd4d9d0213f51f7f792f80214fb1172207099baae043d886ea23f3bd7a3ba5033650734416cfc179a3360f7e7981c0555eceedc846b7db8c756d6c837b8328461f6e9d8e3ed668219d0ea32ab7a771f' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('f26e757013abc9ebac45c10932b7dc14d4e59eafa85523ff5365f3a3d7788533f6a15b')), S: new Uint8Array(bigintConversion.hexToBuf('df88bedc6e934124506fb1514024ff02')), c: 162, dkLen: 256, hash: 'SHA3-384' }, output: 'a77cb71169034e54d5918114db3a2fed6ca464de1300bdeba464e8db730ff59aa41c8889a0fb1d40b0d87c4e0864a99cb012e5e3954e3b6d75c7245a5bec83b5e586b51c68edcfed20532b29a8c9861236d2d350ef097c6746f08a7983db7b67fd447025586326925574b22447dcfe5a903b21521f3f280611b67a99322b13c653a780ae0fa7d4dd2284caf74641bed6998a0c99bf96c49a9f006f1da00222dab4a203ecf32f562c7baf75e36be0a6fff12edcb11ab23a9e91b0475719d4df82133fff70c5cb63ed24974473799ea1ef05b31598b66d9e60d5351a82bd47ffda144e35820c80617238b7714fa17cdc819d7499b2f7d141b6f564e45e7afcbf41' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('f26e757013abc9ebac45c10932b7dc14d4e59eafa85523ff5365f3a3d7788533f6a15b')), S: new Uint8Array(bigintConversion.hexToBuf('df88bedc6e934124506fb1514024ff02')), c: 162, dkLen: 256, hash: 'SHA3-512' }, output: '339765c0cf362690d50516daf7fd98f6472ce8a3d85fde986c5e3fc60dc43cd56a1aa93453d054f795ee8fae8302b831f0bd2cf6d5dbbd0a0c2f6a7e5bc005d64889fa282e69396fa7e3c865b19a56ef06e6a2e583cfbe67c406e2db19bdab22b203752b72f7b459feb39ca53fd8d80fe9cb14b6f4c09da8a44764d2672f719c0e9dd80f25a210ff8d258d69009213ea47ed38d926728ce1a408f68e53e3ca090c0e8ccce7f7ed548e89ae19f248355f74dc8cb9518b8b36feb458816df7d1a5bb066dc291c838583c1d43c46fb3718ada4b5a6f07115ef71adbb980a7a52f2ea36a9eef34f961cedc10495f20e98c5da081705e9f25c5081afa1529a62e5db0' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('736cd8bc1034375e0356adc288c1a974fe0f04db09c1e03cf30d6ae3b38255c2b396f22c3c418b77c36dee0969fb9ef8bab5fc831df842572d1c5c30864ac8ab7bd277c6c4ab22bda0ef46f14601499fc8d4702392849e329fddad853e766cfdced8ce0da40b1e764d22755838de323a47ed99519e3e648ce8bec8fe9d73daa7a5f494bf8812263d1007c847af556246ab92f6f462c55d05b9fbf783265bf503873a8e6243c1714992b373a9b0511e305f7a38349f1183055a243d1f679d21647ef47f66963a5877580c29a5c1735a84f6d344b104a419daf9bc9e8e9a100f30d42c0b6b9b630d079342287960f36b6daf886d122ecb74a67c22ef7a598754046917e8ad0a0342f52b18cfafe31722d9fc309aaba56c25e81fa005dd996ba047e95738bdc918cff8a4e6340f0fd1d2ddd4c1232663')), S: new Uint8Array(bigintConversion.hexToBuf('3c3ae63433dad886e295898f2fd18266')), c: 337, dkLen: 1024, hash: 'SHA3-256' }, output: 'bd2d304d0ac6e7a0e94a847bafc452013b2a9a59f9c9605387816eb588b48921bc0fd3d43c01442be7ce1dab2b6b257bc90653a1ee8d9d46df4266d57194edddb638e034247788c63ba04618952b00964001bf9a1db3bdc326065b7b989bf8af1828107dc5693df88dd0e4317e6ddaae69e172f26021be0d0e454a2cd89a3d048069088555a61e60c127f4b29f407ce51af4f32b832d6159a581ee799608fd4239099889b21ff94a6c415ced19269228b0bedd4fe80a800697d8e094ccce281398749b35ce48f09329d97417c7707b0b5e98130d8af1a2053ef5f2f7454e63a071ce6970c8c6b1d7fb56146bd712ec7738864724d67644fb9711a05451d082989659aec2159d9b6cde8c5fd518666e17a294af92c235f20423fc939d6e413bb4801b7c551cd8026dc79d695532d985a3c4da580483590b455170d323728c721375d439d0765e9e1c89500b2f2a0f4b204bfc347bd0eec625c0d93988612ec86ceb70a2ce2f8207ddd97ec71d764ecae8f15b9d07c226448ca8d1e0be83a1bca652361461225664817b465fd240a317e21b6369475f5176c0c215cfc27e95823812b146f3e88d6ea5ba565c9a3cabb8fe0231464cd6b9a18ab37467b6a8984d50e4273564eb9f691ed9588e1673dd4bf92f2e44e36bdb275a708eb4c35085bf890a21c33f68d299a0f6a7cccb8632fe5034552126f359d761c3d5fdd1511a0c7b8dd8bdeaa48fa30ba428b324990ff53d8acacd8c1f2e96a3bdaaba366927f6c23deb1e4ab355728e317673442befd61674cf8d671b1bac4f9bb53e1ff6c3a1a90abc4368f90e5041cd57823eb278c601ef4ece6e2206b5a06b1e6d03931b07f2051be75989d2a5b09bc90a3f43e0cee856a6e837a4c077a949d1e788da72f915b613cb2ca1a9dede9e15971f94a052d0f4f84e3d55a6c14b13682cf0409f44de76a278c096e362d4cc1ec241d933c2b6cfd419f3fb39d5baccb72f01d44894605f691dd4ad11f153a7001c4dbdfc31294956a648d74fc2a4cab61c8f10043c79678528039e0d3c3ca8f6c6b9ce149624bd7f524f5db42d740d392c01c92335c5288ed09f78e4feb4195a8cfc8cd09ddd7642cbb10b5f4ac839ba86ef5e46ded7f10b9cd05cd74293dd13a5706ae04a6988f90ba46127dc33b585c8f4072cf82c55ba94057e91865f181d14f6407930010fcf41b24a2694b67e35971a95ac4ed72f289ba724fd50e874203da8df5549d2589cd606321ff5ebf6545253bb2a7065752aeace3e7fe691a68d33f2ae3ba311ef4dbbb546f182bbc078bd1c7aa1fcda9ae97b6a6a689323329fdaf412f5d3e532c53ccd0e292535e7683569ecd0ca558c2f5e7fd2572e38b6331782ff2f25ed0d17cf0b74437594f59b5f6e39e471584d81c2a6bcc29ec94fac3462e3ad957a23925b8ca7ba9be1e7e066594de5d354' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('736cd8bc1034375e0356adc288c1a974fe0f04db09c1e03cf30d6ae3b38255c2b396f22c3c418b77c36dee0969fb9ef8bab5fc831df842572d1c5c30864ac8ab7bd277c6c4ab22bda0ef46f14601499fc8d4702392849e329fddad853e766cfdced8ce0da40b1e764d22755838de323a47ed99519e3e648ce8bec8fe9d73daa7a5f494bf8812263d1007c847af556246ab92f6f462c55d05b9fbf783265bf503873a8e6243c1714992b373a9b0511e305f7a38349f1183055a243d1f679d21647ef47f66963a5877580c29a5c1735a84f6d344b104a419daf9bc9e8e9a100f30d42c0b6b9b630d079342287960f36b6daf886d122ecb74a67c22ef7a598754046917e8ad0a0342f52b18cfafe31722d9fc309aaba56c25e81fa005dd996ba047e95738bdc918cff8a4e6340f0fd1d2ddd4c1232663')), S: new Uint8Array(bigintConversion.hexToBuf('3c3ae63433dad886e295898f2fd18266')), c: 337, dkLen: 1024, hash: 'SHA3-384' }, output: 'd2c4c48aeaf1c23824b9b056c54cecfc9a26b1cfd17b7f06034e5b845aaff31a29699637050a9342e77860a985dd65290a40622e3479d4540da9bfd6fdc1ac93bd0a7497f27d08a5439ad98e5d3e03f062310276069379d203b5adbbec8ce9ecfe83488ab6beb203d962e80269836e7330cfb61a56728d83795eec136f72e99d51bfe6e4fd34830322947a7c0fd621dfe6193d24afbdface8068624f4570df7c487862f35dbb7a936172f101e3267e660cd34f9b41b081c21e0333e2c5e6e4635173844db6d41f61495389001a8c1c8a52056265b5bc92def14c5fbf8ea633dd16011c8cb6ec593c6613996f67410f9b44690c6b4edc2ff86b21e77fa15edd41ed7029d9c059899afbaedf8e8633040182b859d07c19002d5084d7645bc2aed7df629bdfff4580126fd60457821d197d50febeb7e26cbac2ebb6847dadbb441c1571964b5e18d39a6fe2a1a29aae47bf9d38be14c715ec1cfe060b0a461e2f697c5c12e15377e2d4411bc4d309b0bec4bfceb511b60263a173a0035f0e8ffb19fff2a2d70bc8eb60448651f780215498da043e942da3c2f2f282618aeb74459197d0d91a96e882a5097d1dccc9074fa8de38138995e541149f6664f9ade43a7ed465c279192d792568c5a63f13aa6a0d3cdcce8ff63a20b65eb16e3dd365681edd6ed26147f6c51c754615e8bc1531a66eaedd0ce2c4ab2f090594e911eef0eb44115699fe61154bba7f50f431aa83d66797a9f3b83b7a16932e5d706386bb60e346787d09dfd3d91cc0c52902cea44697b35560f1bdc10ab20f710e8e3109bebefb8e8e691312713ea24d697f1937ffce0d9937a4839dfe64d37c244051a4e5d7e7d166eca5a78e44cf644cf62c63056679f422d43a1cdaa641233afe968c06b0bd6ae884e50de2158d30806bc8b6a35d07f2fd5fe9c4fce3eaf6fee534d442a45f7336d0fcd1cdfa7d8ccf1ee186b5e2ed963eaa7c6994752055bc572bdc786f615b976106a695e14ecc014209e1003dde834085f275072d363c97692f26cdf3cccad40f92df349de19e019caf9fdb9cc0c866d1d30896e89b4c4374ec1083e027af16e9f201109a4fe44818bd045af4c746fd70201efb8bfe308f83e9699e954c124ef4d19816852aa17f47739244263d6a26dfe59a3bb6badba045ada4cdf14b3595e6e742161c963ffd64d10b2a101ea5aae7ddf83d92ff2fc1e63901e19d2b560ebb2428740eb9deda297d3ea7bd5c2ac2e5290dd0bcbe41979521c96c37e94af13a3c7855ec2b9eb5c82bba96c7f67e590aa2c6a062882c9eb9161c89fbf48e75deae5690223e43a44f79b9d0b5bda7d09356db963dd76a796c105e556772856083fdcd8d76dd1d5c0073111ae82dd64648ad8f2f27a4947b555ac78bfb21882000b3609b679884cf4b301a0a41245231ac84f96509bb69974ab42145' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('736cd8bc1034375e0356adc288c1a974fe0f04db09c1e03cf30d6ae3b38255c2b396f22c3c418b77c36dee0969fb9ef8bab5fc831df842572d1c5c30864ac8ab7bd277c6c4ab22bda0ef46f14601499fc8d4702392849e329fddad853e766cfdced8ce0da40b1e764d22755838de323a47ed99519e3e648ce8bec8fe9d73daa7a5f494bf8812263d1007c847af556246ab92f6f462c55d05b9fbf783265bf503873a8e6243c1714992b373a9b0511e305f7a38349f1183055a243d1f679d21647ef47f66963a5877580c29a5c1735a84f6d344b104a419daf9bc9e8e9a100f30d42c0b6b9b630d079342287960f36b6daf886d122ecb74a67c22ef7a598754046917e8ad0a0342f52b18cfafe31722d9fc309aaba56c25e81fa005dd996ba047e95738bdc918cff8a4e6340f0fd1d2ddd4c1232663')), S: new Uint8Array(bigintConversion.hexToBuf('3c3ae63433dad886e295898f2fd18266')), c: 337, dkLen: 1024, hash: 'SHA3-512' }, output: '7a89bdab08a4999da4fb4f98b67a33dc341f4b0b9c4962cdb88f3f16c3fc469e0668cd3f2d9845251b8ad116bd53265db9a3077e70cded1def27a692b118c3a03fa0b5707ab59b6064d9c7437dcc3e6a3d59d464349cef9bbd455d7298a05e95038168222ffb256336b0a428111ff008167696a0afe7b6acd5916132e453a74e61b61c50e0e138fd1532282f06b0e108a50a845cf781cb6e8d3f520e960b94e0ab6780a8394783781b90da9a6207e06ccc5d546bd46bf077fe768f94c82cc2bb9f286d3691eacb350ccbe61da0a8a22b17350f70c3208c167a45e731003cebdb871a3dd93ceb01f03978a60ea752cda91565f161dbfbf8a5689b7a83a189fc25e72dbaa243904e9d91a496ed31375dd0c9c7b4bc42d67e2a588397deae508f75c0bbd24480e433edb40b1bca5b654b44aad39bd99498c9359e4691afef2e96cb9815dda97bcb5820e0c55b55cbed91666d54833c7f75f28052e215a483cd57efe211914294106a92eab78a6586c0b53f66a16d729fd53b6faf73edfdbcc6cdf2e3e0954c88febf95a852305fafbdeb6d16493e704ef54de93038c11d33b178582fdd2d463664afe9e2638c3df306326e2697f2f13c7a4534152732dbfa5304075d756fd8e58b3ef0d6580637e69a851e1170be31aa1ad2225e8acd5ecc347cffcffee326af3e300a39ab5401db6654b9777184a1a4b27183bb07f1832561b1d11d11a1ef08176da4544c3151a8a3b64c29323e2399ea7b3ff597fd2a63fd5846b7c97531dfe211e4a6058c88565697d9d31838b811e9f0ce9f314e1697ba130e3ea8c762eeccfc4ed3650226ac59539068f4c0eee5eafe070e501056614465df18e302d752f7164eebb4bb97de0a1531a96d62eafd64fa3280a248209218626822379e8150b448652772b5aea2ba58b6adedaaf3218043ad152785e914cbfdf9105d860f17eca9904e11bef4185320a5bddf0919a9e301209088b86237e741e85feba632c7380617c383cea2689753663b7ac66653c64b0fd0b45003561839da57a2364fa11dcb6ba60872acf848218b986d8c1db19b354a9762b7ad90834bae2d4fe17493cd10b7fb63a9d571890afef0f9282d7b9750dd86e743f98e3fe1362c1cc9e234f57de1332c1f5ffabf51f17e3321d8e79cb741acb55d3f53ea9dcdc1bd72e8ed3b4d84af549ad8ea0222cb4ba947b6cbf4f0ea144bd220e54296a56d7efe72228ef8b9a3558bd522cee2eb32b417988bbd3362d405bcfe78a9f3f3b862b760dc321371209f80cc886bb5dc8eb26fb9444be88a9d8bb829e9d68013a8809bb7d8fb449faed98ac25bfa5273a6a42019690a652c00e14d3de957dc7025cb8f839551abcdaed14542df4994c1fb6e45a597326a8abea97460bc41298a3d0c2e0c8a0900d21e71697679471741db9262cf5ae5e16d86411a05ee04da71' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('458f7ee334a8c6abda5cd0390e49c5e00d4f5c95990100a80b5ffcc054011292c9fce482d0e9283a9ee0a7bc82455ba52d0b710a4b5c8ee7545eb999e04e22c97fede0f4502b9935ef0013cf5211fe265bfb2acdfeea101f5ae0d264e938cf6378bf4537ac425357f43c590bb3ac7e0388b09634d3fe5634e15260040e54090be68c42e4ef54f9851f2642747ec0bd3c9ad27cd4589d081901d663b4ad8078d6be4d94e88caa02185b9ea6213e65e5598419d1b6c8a7445939b59c659032add265c023372eeac205844c8b58d776aa304a2257fc86dccc2c7f99ca692096535d27e388245547e7dcdcb0539bb799f5545238c1df5535f12567160423c0bd86fb102b25b92587c313ef653bd907318df0bd7ba7d86afc669dadfc9032de54edb77919e3ad2e856a')), S: new Uint8Array(bigintConversion.hexToBuf('08fa89882868b007c0db8f2051f11fdc')), c: 313, dkLen: 2048, hash: 'SHA3-256' }, output: 'b0f9488925653d01386959be582c62078aeaf74ae8e44f4a9012ea5cba402b74f85009886596981776950a863bca526dc92e5f3a41427209035c9b35f745d5ef59837fdd5a2d6cdde1efd258bb6b48a8f2e8a38bdd14d08e5b78a8e785fa8808e782382afb564a4513a49f3ad6ff94e33dee66f58740d11c3743aa80342a67488671425a63b9c56ff55771b7c80a982b1d7ee0b32b259e06ad89fcfb84de9e084f16207aedee1e0dbcefa60e60752e157817061e74ad31fbc2fdf6b26085a952c006bf9d8e393651d20d3ccb091cb72b3608f43f16dc9f710b3f9478cdcfc8098dab390d5acfa2348664232d25780ad967a01a829e85e2cede01f04761ac7e7dac180d8029325bc98ed0828018431a002279ccca33ee48a73f156068eed5dba5271fbc3a7f60be6277ceadda92e440c836a47aa53cdcaf58cf2f7b2bbb2b1008916ea426b28d48fe999383fd1a9d912107624ab1954cbdc51976dd9a316f52072b405180d8f9e185e3c26bdc47e582397743adf36cf3019de3cec81060732e0747e5ee02475e0968ec9c78f5971ca9d8595f8d6cced93ac681ecbb43dab46700174f9c2d098ec842ae4c941a57d592c5654e1d09efee5f96cf50d4058125e1513b594931e604405846e5d9b0c3d41e8fa357f0b04ea466b0d2b9a677f9b95782cbe76576b42022017c4a150ecbe06c15395dad5f0ea6e37ccdcb86006fc24a375566996cf228a3aa11b9442eddb15b08ca0a87acb44175eb06c573481c4893cca7f39cc581d0b1c9ac93be7ff96de0423711dc5da904308d870eca5cff1bc7e972d72cb43c8c6bc7eb1042b7cbc8eefc5fc7561672d23f67cd97692ff26cc52fb01b22807130e539c7b13f6e01717c5edfa651624e55dd06345eb05527434f5360f9a51098fb859a2c8101628b0c5d6c35883605039021c75d402e909541cbbbad15ac2f550932e16f6e81518b1cc6c1484b11b85e2c4e002810db7b6818a62b2fa5643819c18e0228b74c7928e94af2937075668582fe6336a1988a908d3793e045e5dd56d89b3ebef779116c7066c1a3ed30ada5fbac5fd9c167869be6f1aba2a22fa62c739140d6ced937c6b4491d10c34a1af0ef692d2c03508ed8c956c5fefba4489212b11a7b69813371b124f6d381aef66a4fdfa98446654e9f6f5bfdc034353a98c5c3c7059b44f8af0f374f81e8a32bfa855f9cd8660109fdc399ad968629a76aa93de3700fb2af8a237017cc70195ea9c951e0dd5a12c9f97dd6f37ae84398afd679cee2ef3fc17e90ca0baf1cec0fbe1a76551df1a97f53c95730b94392ca9a49c112172981592e0f62172551d6f678124afc22afc459b932ff15c604346bf11c429528fa047e450204a86b8b2f9f35506e164746c266aacd01aa161e2089ba7433f19c326899ace19a3fdd88a196edccd6d869230b9de9df29b77d414a7491ad36aa6e73c482f74ba64f2f174eaa9c97dcf35d59d3c2c8fc9774a11e058227a70a07c762a2ee98de0c0309937fe16dc33231f2e77ba49d61c7e76cee8cfff45eefe77cf7a4debb8c0529aa7ca565fa37584d0e2c29114a083e1b9a54df6ce5f0a2a57b66009c2a61ba889ba728e240466fe092c42e49ba2ad9408605bd0ecb491065863eb6af9dcaa712f32540d2cf80791d58e53a500db76dbd05b3506af4d4de681ac0f61100a78a588cf4ded96a262593f1e90e144f1d4b445b9afacece9e7b5ee7d05a26b82138770838b262146c48c61e9d679e1bd8c2cffc4dc3f872d7e1fbe2ddac71917e9f0842b29ab7d330d24ff3fc034260b8de4e8bcdb82064b767cf63746ace6bba0b106d3166aa8486fc39ed31c6a661c483417afa720bfc19d6cc90729e8a279cd8433fc24af229076dba1d0ce48310e0601a1527589de10d3cafb484ae587c78aa7ca0029ec3557916d5e769587732c9093af38909afdabd8fd21abd3894d7cbc7ccfdc73bc11a1c0f6441f7d8b79d8842028eb67972afe0b29d95fff4fad4353f5382b995366e552251ccae8b1adffda277e58d9c0cc594ee2eacbe0fa7a1bb896d04861d35867acba6265c523aefe40371ea82a51b6ee52ee1e5d6c0393ff66869340fb0ee2411c2859be50a6c49fb8b6dbbdb81719ecb72e8549ddc0db5d664b9a75b6d65df901ac3cb898efcb9199c64829346ab4af14aba8b88ab1abbf962004e151074c00c99f5ffee85bac1b258243f88716bcf2cafb5324412e5fdf0c63e9a32e50daf3723afba12414201ea4a166a03de9a78d0c4baa6293da719a707bd59647f5019350299129ab6d7039544773d9457cd359ebc579ba6c39d69db335dad28eb98a72153e93e7514ec2a801822a2df7d84df3d15c60bd51914ed943504c48f05c2e05728d7fcf2b46ddba122fde37417180f1a6a0a48306b821730c85b8ab7a641c47ec47477e52e13631100e7df10f0352860dcbd009118e1416023058759db4cdd6c57b46f9e5387cd81d101ff2b266947f914aaad03e9f755e6ede0e55e7fff44486dfcea543dbed6d00d625ce1036da750d91714dd5414127b5dbedfdec203482cc3f9ecda5d08fcb7b14dd186900493407a6d18e2cd922455395a7d16b368cac19ca18792192eb8e0da35fd690e0a1a87025cd031b7b874136000b567cc92df94d4717e04df51d254833ae795ed1ef879f311ad61696f9123b451c15775b5ba1ff9b1fe9813ad1ae46713cf422a515b60253847f168219f531d50d5ff5257a4d5a2d9099a9c0ef33cf61fa1c647136da9af3e8e7063c0035768176bff0bec52245bfb541db8b7cc660dc8fa2bb9908ce8f298017bf70bb02f03026da231a80f9aacb46343d815fd41914a64a95a91de582ac8bd003510425130858a3eea9baae8582ddba18ef5c788a74a' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('458f7ee334a8c6abda5cd0390e49c5e00d4f5c95990100a80b5ffcc054011292c9fce482d0e9283a9ee0a7bc82455ba52d0b710a4b5c8ee7545eb999e04e22c97fede0f4502b9935ef0013cf5211fe265bfb2acdfeea101f5ae0d264e938cf6378bf4537ac425357f43c590bb3ac7e0388b09634d3fe5634e15260040e54090be68c42e4ef54f9851f2642747ec0bd3c9ad27cd4589d081901d663b4ad8078d6be4d94e88caa02185b9ea6213e65e5598419d1b6c8a7445939b59c659032add265c023372eeac205844c8b58d776aa304a2257fc86dccc2c7f99ca692096535d27e388245547e7dcdcb0539bb799f5545238c1df5535f12567160423c0bd86fb102b25b92587c313ef653bd907318df0bd7ba7d86afc669dadfc9032de54edb77919e3ad2e856a')), S: new Uint8Array(bigintConversion.hexToBuf('08fa89882868b007c0db8f2051f11fdc')), c: 313, dkLen: 2048, hash: 'SHA3-384' }, output: '5fb0ba8e727cb26cf12a563d3b0ce672dfe6b4977070ca5f92788f1e7c9a45d65ef25c6e54e8b1c4d52bd9c9cf106a34222ee761aba01dbcb78133778535c410f07d86fcd6f2145e71f624f9ec4d83d4183471f86c65db7bf1b6aa83f15272211e9a6753979f3b37ea29815eaabcc02e7ad513dfc10c9bd16790a45a865178d2735319d18be0cc41a46cd2030436ef259a4e1263e08d77e13855244a6b9a0e0f6fc2da3890705bc46b28b01155fc3b35d947a3adb73eb780d6599d101d7ff593558fdf549e2225e4bb49155d97e54a7b07d9e5978be0a673126ae57b24d3a034d42be618c5a144c353481f3234ca6adae879c736572b4e0c3d66675de04e53fcdcda35cd97934282ed81eb59a261a0b6ad5595c26ff7f9e6d94a3ec64d01af3554ea8bb0cb3f5a112fc8c6342f862efd00a95e18c498f4414a4a6b729b62663a2604cf84e3c13d8ef0d57edc29be71d6b3cece1fc25e8eb625113a56a8fed37ff1965ae194f7d7ba4cf6639fcc8cb344bda3a56cda28e733b77336adb86d4d4bb0e7476bdd57e68c1ea53b692c4cc388ce5584af822562149f0f162aceb4e9c6a09847336a87dfde43b9ae753c1aeba8da37bf222c4034f0dd82e17ab941ad940dff62f29f997acc3bf55bf3c40f95a2ae269de48b328fa3664b6a81920452abe055df31626ed156665e61b4e363cdffc0e96877f71b06f5074157d7dddaf4420e4208889dfe8ef8318648936056b9588eaaf87081037c909adf79ca52b6a3aa0c96a0cc6f5568827c154eae30332d5aa0773d79a01741efed892c4ac467f7169a383daac07d6ae6c3578a76303a8a29a9708ae8532f50c787feeb91e95cbaaddafe07a6c0415d019fc312f3938e8a4c0975f94e1f6cbcd8bfc782e7e11344b427c29a364c69fe493441920405f37f4883b9dab191265ae23d5fc6216ea87fb94e4b1d8c16e0b39ebb7beae4009d9f5e88e7de63937c1019faadcb81c88ddb5cf838865a5a0fc687bae4fa2453cce3bc9b267796f22731e96510393ca4276e6c62210c43f3b0960cd2592234d8f261a82dfa71e03c27995f468566f115050522e9e6c327532e6e9a18923ea51b11af5dc3478c3f826a721585706765531d4b1f71e6c19c9c150886bbdf9148d1eb1eb6ad16b90b99e4508c6e26d5d03e5bddbaad25cd71487912c42b589fe48c92910aa6918a88799602a8987a1b0af947427142068a65886885f3c5946a347760ad0875d48f44acafa2716eae25a52a3ca1a47812eaf355d370302320945d6abb0e7a03131e3a9f84cdae139cfaebd2b6033bd7296db284f515a7cadf2cefd55e66bac1fa2dd4f3bdc1390f95f15c33f07ade55e895db788b9eedc293a9eb120317a41e62f89746025f9356b12929c5bb7ea3ef6836d41fc4314c15b311eb1cd3e1c5b96e032624394cf3a77dc3089c34fa571dd75c1c34abfaf05e4c287568ce4cde428465b2dcbb438555816445849e4af4f80b530193623a1997da52f791dfe822a0836403716697f16ced08c3a39dd399a97670e07a3917d6b15a0428b6f82dff49ba01819dfabb18aa9907e4fc3ffb50313b766d42fa32186fce818d1947110a4b05ebc614a628b25c20c11378ad5a5c7b81f4953895bbcd9f488da97e83a3ef61e399c11008f9ed936362c657237e5da5f3018a932488aa1767f34c83882cf59d552586c8fda26dac7c3aec5a55efb929c5dd1096f71756f46feec53eee3d350ca61b2370cd681167d27a8e156d93b9e5008950a1c492b5114a6837b16df90b611163e8f2a1ec5be4b611b0b53a9bbbce5e43bde148f6c5a6ddd8ceddb9d823df80e77a52b8ab01819c6b1f223a381e0929f7b1ccf2d3f1a6c991cb0ce41d66a2a45064c90a7dacebb6e375577aa14456f9e8e6547df778c9b20e55bd29d5e8ef58c7718a0edcc4da384530d74d659e121017449e44409e42078ce4856b412d1e2d80a7bcea7dcf2989f674188464c228a769b06f72801f96041c04e4486809b7cd57766cd1ff26a80b6c7e20ee4549b8154b34527905931b2e1b06c26c0d17fa818ac006da1e26aa6ead6bb9174076570b86a90cd099de156af6157c95b5a6127f273bdffc07e7f94ad746fa70faa8408d4718c8ab05d35e7acc8a28b0d58aa1c6d5011b472fa5da94c05ce4c0e81cd8c12a235f4db36a036cddcc2c55cadc4c43b8a4e46b97dbba481da57e158262e13854a081e3f2e6542e2f139c4c251729cbc86d40714e39109bc8ab7b0461c0f82e99ab8b5691da891ca0793703290333ee31e59a78b0d3373dcc804923071819eaf03012c95dbe30d8558eb33eaf44f7e2002457e2ed177dfb0aeabe1d22eb7f0e127319d3012450a4202fabc94e3585d975074de97b449d46049ea824bc67f36eeb3a0ae1227136007ffbba692d650f7399754c41123be8f871232dc86df253284bcdd0b92164fe889d9b9ba996d1f5e53764659cc239c01fdf25de3aa7d793fe533a3344d784e702ff218dceb04ec4b4b578307db95af9f89d984def63a287d8def5f7369454126d7f4e06eefb7f4ae696e1b1878fca9e778e3ef43bf378b5abe7aa71c43373d1c5ce9f73a3b40b5fe804f06f6abe1fc0c31fe6a14b2f45968e90b8072d502f50d5d750ff4b0c33042bc5ab3b97dd7e12afd48083dd634335f9f4a288881f0a407af08662897871bb86483ca15280385179edd66b966500c6efe5977fed58fa3e91a4a54c95a29af94b0182442ae44e63e852fee87dfab9af52cea3f7db0ad3f0c098068bdfed07653ab7ab45524ca7134e8235c5c1ad9bdb5026022abfad75178001bba073fb3805c41ce2b997a31441e606605f99900bb4d178d5f4a88adf5b88ca5609e3da8944f9aeebfda906ee59d067875df78e46' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('458f7ee334a8c6abda5cd0390e49c5e00d4f5c95990100a80b5ffcc054011292c9fce482d0e9283a9ee0a7bc82455ba52d0b710a4b5c8ee7545eb999e04e22c97fede0f4502b9935ef0013cf5211fe265bfb2acdfeea101f5ae0d264e938cf6378bf4537ac425357f43c590bb3ac7e0388b09634d3fe5634e15260040e54090be68c42e4ef54f9851f2642747ec0bd3c9ad27cd4589d081901d663b4ad8078d6be4d94e88caa02185b9ea6213e65e5598419d1b6c8a7445939b59c659032add265c023372eeac205844c8b58d776aa304a2257fc86dccc2c7f99ca692096535d27e388245547e7dcdcb0539bb799f5545238c1df5535f12567160423c0bd86fb102b25b92587c313ef653bd907318df0bd7ba7d86afc669dadfc9032de54edb77919e3ad2e856a')), S: new Uint8Array(bigintConversion.hexToBuf('08fa89882868b007c0db8f2051f11fdc')), c: 313, dkLen: 2048, hash: 'SHA3-512' }, output: 'e37bac085c3f6cba310d4ca595a7870684d964d0b0bdafad20a68bebc771a98bf579da17a1292a6b2e9386cf5ee0ff008aeac02c573dcd1af50a1c8c3f1c3fb53586c1e1c668f8ca95ba3c1425d98c9a28ed5bc0ab698a8a65051dd9e3c7d0da748e3cfbbfcaef041c19312d6a79f7399a56d7508c7400f97a718f3b2916426934b49432c813491859cf12407eb023bc7a3a15616f94220a7d7cfb4ace70639df449614e1ef1fcdc0dcf1785249c397cbab8c432b639330f7243feda5b160e001cf6b5ebb04bd3ae0efd71f9f5d15558a1146c5ec4860da0aab7ecf306d8ea8fed28ae1bfabfd104b0295255d080f44aa42e118d7b253cdca6f9ef1976c87613d5ac192bd981c5088c88094dbb530dd3f0d309da4b0a07f3c56dadcfae1b0d16ec7452075a2ae297e76cf1cfee73deeb608c3714339036d1becdd8e16ea0e29258ac0a8bb534ec826fd5a01b9cdfd5b6cf150b8cf5612e7a686ab9aed7f649aed31bc22f783a1330cc9ba82ac0f41d6440b6986e978dfed9375215427f4b46ee0d555043fadbafaf0f8913c64f49b28b3d4d1b29aa04268a7334136fa042424b96999a52559339519c63c2f5df2e1f9266533d6ae92484847b52315a979a9ca88d07bbbe6dc472f931bfe4aa5454c31fbe39fced5f20adbaf6c99968d1e3b96b8f8d1103f7855901b08de096c8ecbf0897724d61611de42769dcdc7802e85e9308104539c1a15d5a55082b4b8bc73ebee44d4d278147b395ac22b113cc5af20b51fa1cb19fa48a15005088e395b441745736fb13eb741c940527c84c507826ee85f4abcafe8dee647e2fb3f6a477bec4546a6e5b4c73cb20b020c0ec727195f741bec83b93cea99ac37b6ffa2f45ccaedf1bd03cdeab200e3f35bbcdea8a2c90f041a7ff02694ecbf915c9868f8b135d96d3d765a2ee4c40a8fa98463c6925f9571454c8e775dcb675488c039565c93de4cee4b15e16dca9561f4f4a876ba30c05cd277d6ce551418db25b98d18bf58cd12dfed3cf87e1402bc4910b02aac354a99aee7f117c8416519acfbeef06d73202bb697a46b1916fd8cc27ab6bf383fa7dd65a240bba3edba2c30a3cc0a354a2e9ccf3fb4c00e3a1ab49854edaa95919b7446894c03a77308d45aa1c179e4f966efc2da8ab4178979d572be7a657d33b2e9c401065be13da11f5dae5c5f8eb6b5bd03d31befb0dc5ea857e3fead0f0fff0d8194e24c2f0f4858fe3795f5219e6c4f2813e184f0d360e31c421c8722d7e17403c2fe87fab2ae15115e375428485cab170bfe509a848da3c0dc6d3e98772fe49f6ba155927a08b6ef9923c97b91696f5485d1d7c74a4ef993061ac86ca56bde5a4ed8a1b524d2e9a7ffe43fa3ecb7c0e091511ce625dc27132595e81d83ee3c6ba9710a7c410709985c8b9b9107da793d6db768ddc7bde73071e85e3f9b29902844422ae21985359e670228c8d67315f5c4870b941dd895145dd35060b521314aac281aaa6e9c32e8028da04f60a0240e60306c45ea86c3bb08cd43873d507696af6d375f70ff1ad68b0d4a50215f3a64b439026807527d980bafa069f454c9c91ad6d17bab7aadb21eab31672edeb5be34ee8731596d02e7aff8628388cfb022f484aa9cd556b6306c76a7a61e7a006cef119b3a720427230f9645f10cb70eca8160fddc91db7c4804a49c7e2fe6fe42d2da25d21b23f6543c21b2b507359e923c898bb50575ed7bc29a9d7857679f4671a25af91bdbb9b82376e01f6af30aaf083bf76ee5ae424dd042c21005c647c3a570f0cfe76d19bd3e27162d7f5acb5ef7b1a88507da887310ee4d8cbd3999617b7558eb7cd0db1ef0c18fbbd51854f31c9191db0544e90f131369f3c144ab3c4277d09e481d9b529036818f2a21f7b2b7864f01bac8b12fddac3f1ca8d7329531f0d3b88017d615a68a416a009f35adf0f7b5ca66f22963531195e7dc34212cf1fa2e4513695270bbe8f29c77162efc6534c50def923df4dae021b84e355f487faa34cc73a5a0fa104d7d138cef221175b428c9fcd6de5f5628107c9f473335a37f2a62e6e1864629176ca0ca615f1fc25aad55e4ae4ac114c9692cc6e1a15f39b079ac4139a87989ed7ff9b0cb49660a4447b409be2573b11e1e1e34a414b4b01cc3a98d0a6def3e906d5e1c3f062cb63e2993820a2651dedeec9e2f9d97f95295d46cba7240913132f1364131a93302a36b5127782529eab3350eb3fd40dba84c7083017f1cb89b17200adf32b6f2d5b36fb0d253915136f89c92a02b964485fa5be0ad3a8550ece72074c58f599df2e8406a612ff09e1bab7d426a1ac23e057fcbe217119bcf511a170b13818b02633e0d41c2198f6b75028cc31902f9f86a55a7472bfacdb0cae9d7d557642d1091df09bf41d9ae22ae1cb05e5a3d11b78010cef81cdd8b93fa901edf7c40e037605098abe8d47195ab16256801ad06bcaa537159259c93f712240d45b7de58b69b44f4f08c582bd19b5c23def5e94286f580e3aa8a5c46c96f2f3e4f465145cee8a5a55d103a84ac5caeda7eb783a8eed4f2069cab5fe9d1809e5514d6827fdb7fbed30fd3b06095be4a5a49e9166c3301a7a1ef552f63d645bde9c6b0b01f98460ea8e2f0080e9608676958ff98fdeb5485976c20e1bf7fcdeac3f7a307265485c9efa6901bac72b939941ef25a1e418e1f3667495315e78aca4f2cef91647fb7a67b0e90f3c9d1ee12d90df4c4aa6376f586a1045e76282c6a18f957f2b004a124be6d57481b8b8c360c1d2e3c48962527fe811e797bd9fccdb681aa64772b2d6c99be9a6306e1139b04cc5d8da927080ee126bf8f6aeeb08fa904e9e298455a850aebac3408a0d24e755070002ba8d825d244641f419fd16b834526f' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('819967409a00a64560cbb0047d47f60e53a8c15dd2e7a8ec85e23f209ab2d711afdc8d1fcf2d316be32d68c312b86c7ef8543e45742d72d37ba2b929890c4badea30a89669d3fe9a0281bf95ee22735fe2eb11c79a994c8887eeda73e831145ee9049395d02cb3338c90f1e9caa3dbf3282d0a5f8a452b025e14460e0999fe9cae239b1e4a766700200317acb59a0f44568c9e2ce31e4319e31197846bae395460268af79f2cc126a5376ba2e571939d44d643f6e759ebf4ff817a16e43275b75cc9b7aaf26674c8a0fccfc0b80d5a9368a8667579dfa4997a1bd496075065d3bc47362218db3f4fcbad138e1af5b7948e84425b4687414d062b2c1796a70e4b8cd0f0d91140fb6a20a992b58c1df35ea44c528afc40d9350d9c83d24f16556e9fe3dc3e93d9cde13ba5c05e77c5aec8b36b478d297d7ebfa6e199bd361e719481f3f89d388f5907aa1e8f8639c5ffccde5f9875c39edae66b6fdfb71c288b8330dc8b6104fe1d754154c10a17d54992e212f90ec06ac7f7e2618c54a89f5b25f251d5d8699ca4c6cbf416c20679ceaedd8d982e4c539931238cef20dde64cdaca4a3d04c3b87351498fec9e0aad6c59bc024070f46a6ae25e68286085b2b78280d4baea2f65655e6e03ea41fd52ce92da4e16b7fdd664aa805e8e6afff5fda8d863f994687d634a38cb8a1ef174477ba76e3edfecfb6e0fe33d55')), S: new Uint8Array(bigintConversion.hexToBuf('cda2439a62848632e2845c2b476caf26')), c: 470, dkLen: 3072, hash: 'SHA3-256' }, output: '633256e334aba401dddc0f14d88769a1cd90ed5fd02d90a03d64f789b7644d8861fbd6f1ef86e22976076266c6ed1e9cda48f3c714af38ad09d1579754a5804e8b2cfb6fa63f23ab31f9697017773b32f3bb245a0ff5adc6d0eeabb1afc98376196cf318288c11e753e62df84578b1149f8724ea9b5d60caa1cbe4467d73e06ec00e1b44c3ec5835ed37e224641412afa1777ef12163f0e899ce73b1476f539289c166901215fa2e69343993cac88f29f65df6d1cc630ea6fe06a2f0859fcedcc8efdfeaffc2a4500f6c4fd31c1f4d5c1b1041e7d3450990b269d64df36f2cf297a2eb2ce88421e2d16010271ccc1ddf200ed3913e21e956b0c9f4cf48fb0b7a691cbfc9aff2bf1dbc12c7ca543b9376ea2e48df401b438c7d1bab42f4be953b0aa07b74c8e026a025db0c078b9473a9f77ca2e7b3ae7833f308e9b4f60bca169abbe1c5d65e21ff64643bc02ac20008cad6b50630190da4bb34d8d21f4200352cdcdc56f2b8e5497d26dde24c015b13c360c945a29afbe38b8ba18cb622bfc51bdba1611812347608615369c4774af5c96608c36fc7af562c67fe5ca2930cea0ba04242536f650b3621ba800778418d002256a517ce3c7449de5dff814fed06fed9b5b3cb29da73eac057073786ad52c8890dcf22bbb0e630d34d92d61b8fd4e12190ba2480b26e572172065a351018a62276b364e741b44e5190baf7fb66d9ae78a3e63749d3a10486283a98cfe02239552f12977581cd5841102ddfa1a3a21630872a8e0e8f2153982afd8e48c66a251193c048a11129e0657df084f4a49e1d7f885a284e5cdb408e4c8aa90cc79af89ad03c2887f7a7c7aec602a5978c39bac30b81de9837a489b1f4b00d28bb8e3cf01c8d9ec0ab92ee46e8890db0bd6768fcc3b5c563d3442e048bf4a57ced84d84685c4d8b9cd43cde456bb4742f359bd975ccefe3da9572b08d74253e9a9e9e49db41b9c589b4ff000e247697c38366ff785d3b619c3d642d8a7b3ad32704e34c3b038a94be378309d901db21e1dba44320d5b42323223621a713bbcd20e652f24dbfd164f6a44c25aced23c14755201357cb3cc5235c0d9ad9d1dea9013a347b62d6b79b6d2f7af3d8eac7324b7f0692accdbbcfc80e98e49f20baa357307aecd9f41766a039d0ea6e6305a4452ab3bab48ce1b91dd4d1f87fd74d7e7f5ea729380187773a0446c8d3db300f0540accaa2865d56417098d673708367210a0089e0fd40dfffe9c309de702b4f150b5dcc6529f70c3731e12e7abd38a6058581fecb955271d8834beacba9033fb117d676f86a2c3ef4228c00731a9e3589456c24dadcc2efe1e0996b5e6bb9db8e9911c7f145281718c443acb32e3feb8470a80f5f303890789faf01ed09a6148e59e5a2fdede85b517a19c499f0858b0ced6881df4b19918d8a5f61f00afc7a90daa95cb48b6ef5df2468f75ddbe9b727271f03c897e0c22894e63652ef25a9e32c8b89927f19b02b566f6689119ae12e12efd97c9ba7f9040d76b8d0820c325d11e0232bc0e92b64c70acc21602387cdb87b05bb0d56fe17e075333a1835f39e6549a05e05e61f5f9f1269c010c4b8912df0b8ba8eb55f2cf15350efab236d5dba05986e808fd62733095565ac5e7626ab9e7503709bb42a340a67abd8502ee8753711ecc771645dd74d5141ebf5ca2e3873fa7d8e28472dea96db19ab0cf3777e8e8c8d972f478923ec37a91b933f98ff575945c464a2d9db268d13d7bcdce9f41df896d54736f74e4f0c3aaca539c5fb57f44abdfdb9f41fdfddba363165d6fda093b36fa60de1634c708cc686609447cd123b731fc0fb5e9cb41cfe3e054256a5fcf229b4bbfd9320b8083b869b3c67843225f7b47326024ee9da43694e8018660370728ef17d52a339e1a8ea4b9d63bef7c2262e3f185c2f9c181acdd7f85bc18da1e825212c4c9e08ef6090a0920b43ad269298a143226517765b43f24a229a5f3a654fd2dd4dd05aa64c8260af8fc1dad47105e6aa0ebab1b890c43a57ed67c765ca06fd5e1f317bcef2018c746087688e60105ebde55a76534b33ab2a8175c758f4f634094729aea5f848137127a0ba2fe044fd6f3594790db96e9336b6b954fdd6d557428248c8b9212ff4ab17bcd5a14354d340357feaa723f2cbc6dcf3f056ac86156eaeabec702f3b2c5fbf25c9c7954045de6ec38a3c0d63c0cef27fa409c1109d952972dfd637c7fb4f45f290f596129f58e0263c8cf54ca0ffa15ed1b2fc25cf3eac0dd716221472d73a77972875670561eb29a33806ba414fb9d2d1b504975479f3b8f336f4ec9ea00b60cf8a8d4df35d12dd512c7c3996988ac26ae8dbe8631ca5d85f98af52579b317cfeed2ce004a57457542f7437c0407c86b17642d737020709d0765e3a9b5d06c50d7366066d21a5a9e8fc12b0af5080f6601155d73e5c2c526c77def82dfef9c1f29ee8b783c7de919c8d3bcf6b98ceaf9f73e99ec17142f24e14fcba0a91516680758524ee76332ef9d661baed3307e3e75615d1d787cb1bfee485b1813deb4168134f8960cd5b839dde15bc7c2f52153d931b8ccb0530899368047a14ad7e9f16879b4475b53075df1a373047461c9b9eb56a4082a56d01e963fcd20819cec4dadadffd8a528469bb93c3bacfc56919d6b97fe5a8ae64b741c15c54caf787372e6ade51b975a6be11a09936b50e6fa179c07aef750cdc0fe7d54d016509e94329c495cdbd4f53d3b88ac2168d938ef42cd3d5ea7a05838c8720952dd98dbf648f3b4fec885e277223a79b471be1a69a5b47f3aaf26afd4be525e7d88225970213c5097f65238b2a4236f148e9f5dd0447a9160d79f0edb7ee873a3a0559954f49d97272128ec5706fd61d0de94990232d79336e05f3bc8f267cad22944910dfaae78f13373691c34454ab121b9a0aefe028bce67e747732be0c98108aaef6f578b354c4b941ff496b362f78553c8c2de5ddc11302ace19fbf4e018428abf93adbdf15ecf1bd8a5b6eb55af5c6463b6e982d7f22751d586e18d755912a89d32bd80275f0bcef38667b25afcd4468e28b634ab8c5e971d1b24012b746c50b7065de1f668930f530c468b0badb7c237d452e20d8964c3c245bae8fe866f0a09c2045158a878f8f17466d6ab9a4b79a24717fc206c175ad26d50e23d8c17a032f46b747dc1d5305adc10392b311062312c7ad29bf6d2ebe384c38c5a70f3798330aa4d4eeb20ed284b3415a96bf9ece6cbf58e1a733d6f863e7f59f48fc2aa9e3f670261df34dcffde38c2d936b8c59b1cb5bba9b58132ca1231f4a136c2df90ad610122daf21fc279e0b840dfcb1f73a3336ae4550c38c98f0b8312c73537e11a5626c0cee02c45bc3aff02b51faecf59e50925be4d755d0060d113e82c8c8e2e252584eda4acd65625688eb5d91fc3d2495aac51426f114e416856f1358399d3d4709dc7ce0fd4983bb6cca7230fb28b79ab6bd2142d1f5e1688c2dd7866563c899cf9cdf45f77b04e9ed47569eee9d38f57dac2f8f44c768de88dcbaf0f84cb3786d681766b226b653a546be566592280f3240d93c13afc39628eec3f643c20e236a239c9262e9b1df0e3b971d24249b8d5a8ce3184178778774e8d405dbcda9a75cac286a9dab72cdbf091957d91dfca90ee9c5b1011102eb187aaa51a15d0550e383e24b903fac417d81ff5edd259c8e489ad400514f30bce97eccb0c6b963a455f347eb2b78ccbd4c1d7126f51e92a99dbe4291adfca8c0e5a92a0f3f0a3dd5bb3c1aa8a4e4ce396a311df95ec8493ad76a06862abd44800f58af363fdebfda4ad4dc149a80bfc3ad45f56ef76347dd981636ac2f89ccccbf1010e445f3c9343acb342f66c1e6b9ee2b54b137d6bf69bf312bf274175eb8a981f869e532343ee6bb490e821788393a59366eec702112530482e128e9440b4dfb2de451cd49ff08929e7f968b9e800f3ef3366640c0876fa60221a59ceb67b5bfe02cdd0743edbd3ee9fd62318a8ee5bdf654935795bcb939807eba5cacbda339edf40443327c8aea7271a06c65cadcdffde67d6e618f3b0120640eef3a50eff94fedf56dae0f9efe38a74d0f39a6be7ea50c56abe44d8cd43094831214d1d7e0cab3f4655def67c85f921eb2c0200de29c2ee36432469a6d34888d71146aa8b9cc1390dad6a59806b96f6a973bc201e19f777eace8600813ca329086a1ea59e23140ca11976ccbb0192137efc230d7bc016407bccb1be051dba1097135316bb22d13960611d38ec352d2506a97d5026e5663b95cefde1a34c18936729974fa2a3296c16eb78d66f48d959949c49985f1d85776b76' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('819967409a00a64560cbb0047d47f60e53a8c15dd2e7a8ec85e23f209ab2d711afdc8d1fcf2d316be32d68c312b86c7ef8543e45742d72d37ba2b929890c4badea30a89669d3fe9a0281bf95ee22735fe2eb11c79a994c8887eeda73e831145ee9049395d02cb3338c90f1e9caa3dbf3282d0a5f8a452b025e14460e0999fe9cae239b1e4a766700200317acb59a0f44568c9e2ce31e4319e31197846bae395460268af79f2cc126a5376ba2e571939d44d643f6e759ebf4ff817a16e43275b75cc9b7aaf26674c8a0fccfc0b80d5a9368a8667579dfa4997a1bd496075065d3bc47362218db3f4fcbad138e1af5b7948e84425b4687414d062b2c1796a70e4b8cd0f0d91140fb6a20a992b58c1df35ea44c528afc40d9350d9c83d24f16556e9fe3dc3e93d9cde13ba5c05e77c5aec8b36b478d297d7ebfa6e199bd361e719481f3f89d388f5907aa1e8f8639c5ffccde5f9875c39edae66b6fdfb71c288b8330dc8b6104fe1d754154c10a17d54992e212f90ec06ac7f7e2618c54a89f5b25f251d5d8699ca4c6cbf416c20679ceaedd8d982e4c539931238cef20dde64cdaca4a3d04c3b87351498fec9e0aad6c59bc024070f46a6ae25e68286085b2b78280d4baea2f65655e6e03ea41fd52ce92da4e16b7fdd664aa805e8e6afff5fda8d863f994687d634a38cb8a1ef174477ba76e3edfecfb6e0fe33d55')), S: new Uint8Array(bigintConversion.hexToBuf('cda2439a62848632e2845c2b476caf26')), c: 470, dkLen: 3072, hash: 'SHA3-384' }, output: '953acf342eaa556f713560af7c8bff30c808a6622a6f10967687a71381a665ef29e790e8c7c289abe714b7bc5fb0bc17619f8debe423268a03970986c336507389717f731fbb28b9246e2f92fad0c0f976ab16bc7f9a8b747363eb37c86838ff825428bc65c0e231c6c762daaa8969901ee4c9e5fbd50f814516b5d21b3f610d81a719070e2df40ffd21a06d23371ce87c3ca7e13bb976ea44025ba0c97f97e284b70ec8a93aed22374c91f8c031355ebcc116250c4b2aa9510466f003bc6f15b9560b260811a802cbd4c20741a4cec81ace9ff7569273cdbb5a1512c1156818c755d30f566e125c0e1a1787def355d1116ba160df26e491688d294db65314be91bfbc28363f0f483b335fc9c126a1847cdcabff62b9bf93112e3d3aa0ffb05d7297b4dcaac906b0aa0cf349a4b0ed5fd84748e78c236eba6205443a129e946f96c5eacd9d40d426a4c8157bb653c0dc66200b65ac737b1865ce0a138c49fbf11bed29d89f6f671c56371fe86787582a3955af5d700b30ca19585bc86253665f02b631781a1b7dacb68a731ab503ad42ff7f809b799bb5b70e02b765bb4db4c1a3fceedc45f13b2db0b3b6756139e266b94e667bb45ce1c6e0b798ac7eaf63569e050f55c5665238bca8637652cac0820e0ab06a056feb4a3c778eb7edb58096a26d7927c2e73a5869a7c7e12bdb1d544752d2f1a4d36b6ffcc87147b068eb21c083540d324d3955987bb5c7467232fe14e3ab73eb287841ffb078abd51eb2e4e00d93f705adb4f2cf0b2117d1c42f3db9260885b5dcfabbcbdcddc775f679cd0ae1595de2602db0462691d716cec274c56f2f7760e6a0b225789a5e5f607d5d9879ba206259c1763731a8585deca0eb1b24c2048acc5da12236b19fa245ee45c6ab7446e12a0b4508178e4b7bbe9a0f54cab4c4cf60ffc2fc005069c9aa35997c7e61faddcee5ab76a3c5074554b9bbbac03398b56b482b91d738586fd89838637b08c612b5ca72235af55d1385cab5c239a2ddbf598def89c0f88c2d50f805daaabb157d0a0dd7674162f5f193a5052fd1893d1148dccb9817a55aee7015bd14ab0eae33ef4985271e5df2f552359f91a597339407bcc1c828d7635469a6a41436682ed13504f580a64f248bbdd57b03ae062cfad9ec8861bde05da28b14869d7975a25989cf81112c9a7b2f5ee16a74664da02cff3a39ce82d9e4ea27cf37215cb07b15e21a264c20a9301a9deb26bedcc0e0b3f0e266d45e7b95597b7a07743fb7806163a63cdccf1e949559bac7236cadb48c0e87d91f1a2b538a7dbaeccaa6b2abbf98bfcdb58bf48180d3de81faf60d2e9d61d2e45c237b68492123dcffc1e733ccffe2a64510fc05b5d7bbd7d6cc0c4cb648b171430f7d4e696df6b06232eeca9e7396b2fbbe88f899424da5aa067129f9db7da4268e6569105a2c39187d52fe309e4162b50bfe7b5efde1847fc8d3c04d542076fd30798347637b5590251154c0183bd6440c3b00e581ae6a84c9adf848547a7db859434d633e08f00e1050310cc6b9b9f44b8ef8145cf09dfb93b59298578435395738583c33da938a5c401dd73b00082fcdab8e22ccdfd3680d67320fede2aef074fb71de6e67c922bbb3099506c9d40f16860cb9b700a8fcdbb8b0686168abadf1fdcf173e9479c1fc124fc21dafbfaf6e953ab6db008bfacf6593f40ed4ffb9e5d9405b42c2a4bda0c9171181f61f94b6c768375aad3713df06ba2be6069b43fb4e855ddac56159602d7c3c380448462ff689ea9044b73f1a4962ea3cd3aa85839d14fb45b6f259f1643a10cf57bfeec5d991bfee411bd12b247c09530ef3716e33c2bd2a93d9aef140285a4946a832e9fa64cdb20fabfee7d7f5301787e38b5b9a3a2254dde33bc13e8b77a61f1aa901e8d8a3c61301b62e0a476d2e8179983fb1db4533ef899c3086714aad6aa6611910233472291673b2b10cc71a6fbfe7336e8ce32c7bf972c6c2980ec649045c942cf61df1f7d2ad8010c0c3fb343a8586bf9ba8ec9a672eadf4b9dc90d72beb594005361817c3fb206220fdf8d0b2c626f016ff7ff30feda1c07d0a01bf495416a86f047e02d41294445ad59a93bcacdb0de7f1e65cd2034eddafeb7b5e14f69d58893750d25818860b3c7974030131b3c6cc5f3e02f70584aaa6efe411a4f7758993e7c84f6db5e32f2da333143266b1753f47a3ea1b920394d0054c3f18cfd70c67944214b67e5db3b3fb1b11b429e54b69ae0cd4700febf444d4dfff178872f4a76b9308cee6d6c2c81eee9c97dbbbcc4eb9412f4ce83558318579c468ab9a8cb8483204a956c6cea0b604d5e86a6d54f9b98f5e5389558ceb73a1bfd60f87c1ce9b22bd434ed14da26897155a48f7a0f1e7c542b9c49fb3d1b57655421df581fc2ff29425225c6d72cfde6bfea0577e4259f9acf94a0fb357f696ca9af75a5fa3f2dab0c92ee3c2e247584869bb3432f28c445fd65418ed4a5135fa3835234adfff1b61c8393e6a205fc7cffbcb71d3d518ae06318f30bcd49cad4166a7201c2f901aff687e646e14f847b419b224f2481667b2c58a7e0ae7f4fd215a3bef63341a9e74eefe9f6b8d50d858781b62f74eee170dd32b04690fbe7cf7341046fee0cade43abd8cc2bc26114741ff6feaf0143224dcfd6c3b0c1965e805d987b6a78a0c72a307c1179311790758be825c4ab45c707e324629a616afd26562642c0f93fdd4f2a769d4fe5a3c85dec4677913d5b8e6269bc4e4297f20e6030abc4819a0e61432e9aca85a493d5549dcdd5dfa1102961ab933dedfe985508902c95d5cf515c22816227c11237badf7bccdc2fc070766b10b4c9656480f3e869ecdb2ac92208fa6d7e067300d330ba4f27d3ba7923d5f679ddf1506d8056b24a76a4a2a4f9b6bb7ecb3e295e36552a3148f719255d2410c586a2dcbda227f512d64e0f580b0d46d40f7666b4074c777feee7e5a7dc7bf4e1ea962061f91197fa653de627b2fcf7c89004a4809146307982629dc3765ffe9baa2eb38677a95822e7531f84674c1b720750fff0556b6f9565655ae0e22188c276df2b8e430be700e61e6f40d74948678701a7399f65f524fa04391f95467486d0bf63e28a647266a5aa9a2fbb798785b7adb5a32ac30e2d298ad9fc9bca48106f3016cd1b9c78ff4bdb6e93e4e61a5e19740369708e8fbd111bb8c2457c683de2339ecf87651fc825d4b82bcf038c2081b7eb7b213e87e7ea30c108b3ac8e5875586522a3d93990c8637f8a28fe395891ddeb8fd544d4c998449fda4bfa5fdfcb1c72b3c86321e2d1a95ca47121083e0a70dff7ccf2b19bc518434b76202d51500a3ba41dcc0c92d6a68c27038f84f86d6701dd6b22f195431e1006d224403cb7eeae916777355675eecef5601fe9135f62635a4e2b887050f580735ccbc92158983fdf5bc32230c5fb8388f1ace3354eab94975f549ef57873fc69441437e8bf98990964e49d7fbd1feb1ecf85bb3e799c8e9ca573b81de62209226ab48a8c3646b7f688ffb9134514325fcbcd9bd07fd9a771172ee6902125af13e519ee148bea53df647f0f30f900d40a60c5000690e3e02849e28dc2f7b46a031480893c116576163b1a4d2db5f304680b09dd1431c576ae3a8c044f4af6c70708dfc5267056027bd1166f65b30ebfd3e2add0d0cac64f15c15a40e2fee073c2194f5098ad155cd9a06087bbb8920c309d226b94bd460d9f443365c207f0d21d8a777f867f37625cc45d9640664a31b79b8f94a612608b995198f2620e3bc3890944288775917b818236ba0969e56bb857f38cab3ec527b7599bbc3d7aa7c03eef3e4b8b209059b2715057ccb279154c1d36440ce4870d45e61c0e191fbffed99af5b2c5753a23def0fb6bc78f014ae46f17d6e4feaaf3f8e7660848df6b98cfcc72d843e2c323cccc5d4856f5525276878fc7138a7aac29bb97456d978d41d2a092d8bbae7a551386d1733d340d21791b618c9235f75d3117279e0dbf80ada4cb798b14422aecbefaa0b976b91550e24ad630099880ce15780ee94749a6d2f0dd6764d1029d1246877e1f7f05131d99bdc001c2f7edadfa829dfb17f33804cc5d87f9c62b8407ed3420c6a61874b42e9aa5176ab487be5f94d72b4a93827d85dd30183f6c3644b8a95eab124e17ca80e081a9dfc46cb9d0ce8815f5cc72eeeed5001839ff9e6e3642ce3506999ab8c81bd8edac5ed10747a128f457acf206fde12fe0391429d78e6602563db8df7cdb73a533a75c7e62867f3aeed7ae6b00bcc0b5b4ca649536296e0d4ddd3ef18cf1bbc15232b5ac8ca39e7e854459af3ca6a0059450' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('819967409a00a64560cbb0047d47f60e53a8c15dd2e7a8ec85e23f209ab2d711afdc8d1fcf2d316be32d68c312b86c7ef8543e45742d72d37ba2b929890c4badea30a89669d3fe9a0281bf95ee22735fe2eb11c79a994c8887eeda73e831145ee9049395d02cb3338c90f1e9caa3dbf3282d0a5f8a452b025e14460e0999fe9cae239b1e4a766700200317acb59a0f44568c9e2ce31e4319e31197846bae395460268af79f2cc126a5376ba2e571939d44d643f6e759ebf4ff817a16e43275b75cc9b7aaf26674c8a0fccfc0b80d5a9368a8667579dfa4997a1bd496075065d3bc47362218db3f4fcbad138e1af5b7948e84425b4687414d062b2c1796a70e4b8cd0f0d91140fb6a20a992b58c1df35ea44c528afc40d9350d9c83d24f16556e9fe3dc3e93d9cde13ba5c05e77c5aec8b36b478d297d7ebfa6e199bd361e719481f3f89d388f5907aa1e8f8639c5ffccde5f9875c39edae66b6fdfb71c288b8330dc8b6104fe1d754154c10a17d54992e212f90ec06ac7f7e2618c54a89f5b25f251d5d8699ca4c6cbf416c20679ceaedd8d982e4c539931238cef20dde64cdaca4a3d04c3b87351498fec9e0aad6c59bc024070f46a6ae25e68286085b2b78280d4baea2f65655e6e03ea41fd52ce92da4e16b7fdd664aa805e8e6afff5fda8d863f994687d634a38cb8a1ef174477ba76e3edfecfb6e0fe33d55')), S: new Uint8Array(bigintConversion.hexToBuf('cda2439a62848632e2845c2b476caf26')), c: 470, dkLen: 3072, hash: 'SHA3-512' }, output: '3518faed22d90c53e67af6eec07ad7c63a4a84e366bf3724c9fa4255f3937fc938e2e1c5f6f8c713d6a1f13c28588b54b58bb0ba3e74c2e928ca8156a0a1fce7cd30fb6d6bac1e0d2b6ec662e7d678d2af87968efa488d600e78d900bdf47f29977e9958f564b3ba99f64afdf4c7eaaf0e4229d696ddd951aacc939b55bab62a8451fdb9fe2fe7093e5ea89298d696f69366304b85c78e2a500215140868e8f94bc18cca3ba36cae3b548e4e0ada94e341dd0fc550d61f59d5a383956842b7af868395655aedc4ab0ed128d97c88eb9040979352e4f2df1ef7b3a76ca8433b40ee0ca8f6c3e5f7c702b0c030b68c3f6f71631e7a4a82407bc0353b8ee003d39a2355307aedfd0ebefa219aae5921e4805892a3ca8484d3fdb78badc755c61d46c0b2c4fa909b76647fd5914df4ce2b5191224370379fe1220bd24b714d9b436fb70a63c988b50b1e7ef8ecf023deb420aa4a40e87e07c33f443de23ade61cde98225b0671a2c809257e808e2ef034f1af45583fa768dda5906be6530c0a2a3e21d760e49ec6cdd5748d9c0fc521f583cad16f81753744714ac5a6837fcbf3b449b9e82186e72f36e9ec5d22c5085ae7146c7f17a21de04121840375cfe8d124114c7ea0af2d2fccfa734d8e5d7fe3e51115b6c6e905fd45a47821ee0e1874175faea7f61c53703d067ea7a3bd8f95ec840a9c02b4575d0b487171a3ef5968ac82b4affcfcb640349a67b8959f0c6de2bb7106a3ec586490f8aaca03a96a2da9df01e6ef4e55d33f7ee5ce88094e36615d6748ccecc5125d7512e4c20a7a6214fa1c4f83396f6b9534c605b5816ee1b5da9e34e4ac3914e7b76c50ebbb15411b6bcf1f7fe76ea9060119f346c0218248b3e9bda0e6a77cb15fb6308b5699f5163780516b1c299be75b2a8a13709be0ff59291e234d5bdd3359e8fca87d704292d09d48a60b742bdd69682f7c1fa74b6a6bfc94db8e1da72b786d7b268ce2ac991ec7f00e9cc460da6661103efc7905cceff18716ff5e3773e0556fc0159a72bc8c9771b2c8c3c25ad94a488a9ee01721fed6867607a5cb33c3ff421f40080b19c5cbaca6a98ca71f327c28075c50f9d5a9982929afbf65b0f0eb3248087e8277598d90884922c49fa7b89ea7335f068e7e04adb8edf4abd3ddfafd142f8e350274f28e71fb90bbfcdfeb25c3e8665ffff53a99de76ef76a00624cbfb532b52eea0d73fc1e703f158a1418fa58cb2961238c71ef4b12e9a71b02c3db0abcce9cf954a5ebdb44b0a42003c57fdd49193d333b231e31dcc6e72bb1c4c9f5e80fb7285be60fa58e5d0f4cee73c9cfba02d024fc8844a4626402eda4c48cf93a64e5dfdbbfc02fe05854fc85ad5b8f563b61d92a6cdbb32ff1c08b4ed2e4afb48f32e004a6a7e2829b886b080b8505e9191ac2418834e68a185f4843194a9153a2ef0eae4b48ec61a7016966ff596d71899f1f7b18a954691a6dd7419b033cc9299b913fb2b69cd45351c7834e90ef6da6ca9c202a7e89b05f9e17141fd15c9f3421ebf081ab82abd4e87020f3964d8325cb63dbe3c3eb05e2b872b72eaf48ec3e0b15ce02ee31f2a4af039bdb99dee04d23175bb13a682ec51ebb08e5b3f442278e3895706976f5f2f253025241475d7ba0550c220e0494df4d962e70ca99ace350f643101b342f8049cfae96f6801ed497568aad92e1d265a19af80f1c87602233c2d8f2d7e35537e803dd9f76f4fde8daed72875be5312f05645b320c124ea41bf1199ba7339f200de164288eb4e27d6d7224b915efae64d2c006f4bfe0e415b4616989c82d9c29506d542bf89b83177be09b9a0c31d2f2755602b2642be3ec8e235bda52cdce78429e1647a725112bdcefe9c31ac1788929be9126047a352d409a9af26203ce35db62cb8a412b6d9dcc1586264956743ef06be334a97f06e3efd3af1f52837135d9304e376b98b7f0b92f8d57462677480936050bcde4d8a7f806c118a49cfc5539594cb5e41ddc12f2448b18ac5c30de3a121a6bef97368475e7b394e1c6b585e99c4e13e52dafa5072067a7fdf75265c98dc6c3ecf81c0b93557f9a02c8fd471452a5cf3c650591f5e9edc378eb1c8e8222a48240e1005661f726201a5a2760b63e5f27bfaa07fe03cc50005f543fe3baefd4a8137c743d90b22a9dcb82714ae80aac7b6250976c7df89fac47d9db7e5a10edf7b8daa76d58b8184283690efc98d1d497d4d8bfc62be03835ecea074a3f54758d76110d6ea9137508f8aa48fe9ae961318154e500cf07b899efa3676a63db3205ebe8659be07305dbebb7fd99fc7384afc26b1a2fe50e2d717c61154369a071cc27b90bd061d9aea0ebc67ccd03448f75ffb9b1651382d8f36ff300f726ccc67baeade1a3c49586e767928eb54c714aae9c6b9de926ff82a966c265bf4a9d62651b60e940d21b4b71b3424a867dbe8f5abc36172d9f1544dde264a91fe3d04a0f861b6aafbbefb3bcc72d7377810e4f984198163531072c2d133fa9e9ed6e61e781f0ed9907d5e6f0383d6a7ab2ad5c45db502babcc54d3e2d76c0365dadf0759490b7d7a7dc2ab66a437907dbaad61940df3caea28026050683b9f02e2c56bc2c569705a2698209d3c186d1a6e910d8328f0f6543a424efb64fb24f90364641d009b531fbc13d13f81f6ffcc5ca550b9d85444eb4456017a5ca916db18214cb4fb64a55edd54db3e2b5c2a9e19172dd1950e7f9570e593f6bea870768ba4c06f6cbead4016e63017c667e94f7784549d7ab4863804a7106ccc79fb85cd30da4bc989a2ead4be9824f94ae09244d59d362a024844ee0a45940c7499772c21334e14e5bdcf8ce19a2db46603177ca7fc113d4918e11e43457322908729c26a97f9511206ff45c5c80b55a062894ed6d3661a103e2ba92b17f2cc53b8c5ed3778fc052e58b6b76bd3510bf223714fb1b71e0df0c4a1bc889a75a0853634ee59d88fe3e9c126299e7d3dbc55c071291e6f32cdaae941a512cea2f6100bbba38c73c6eced0ec3a3090e0e6af487a5101eab923a88978408dc4f26058bd84d7ba878ed27c5198843dc0e2b76e3e0a16d1cc5a55b989338c70b29bc786fbe56c3bd606f3a930d96ad47ff214cc5c4b10010b882a68050d35d58c538e1a92a4cfc0e376d13f17ab6e5a0ebb2c40a5cf36a6a50366ea123a49b482aa0f97e00c5f551f8079ae4c05c59fffaceb29c03286591298c7663059d9536fcc862a2ae2aa3a7bf1ece688b7590011ad440f0dcaec0e09307146eef610800a9a9018920ccfee112c5ae139fd0e9564ca7395ecec2ce2a4577c69b8bf718c1ef187cc0d4bfef4e20b85d7177260986e129ceef63a3318d676ce52426fca9587998184d26dd5f8c7607ce5721c9f3f8b3f8b7f0184390ada87c3bd2d9f7e1c63695c87f98e1925c2a14d39884ebb06c4853d369fd09b229800a3bcc18ab4c088a7156fd1673d13935c15c1916e2aca0bdcf180a0c4fbac2a0ae5c47a7d5dcfc1a7080f74b12cf845becf03a9c3fddbf9b2c8c745cc3ad09a538de50f88c4ed0a003d491becd92e02b131b7b1c231cc60d67519905712fd7fd7ff3ba42737c8da0a9938aa9a78c3583e3bf07f74c3a51cdf105c3f70d1d7ff78f0a761160898f7c309d14339973186d10cd8cbdeeed5a879a0eb8dbf6982f55ac432a20a7e5f17002b57a2fec7c1f2ffd87f3d7c6f9c215058967d9886c67af55446d90c8e1e95420bbeb6acba54aef24d0243ff85e9616f5434922f93ed91906831dc9287d38c6e99357146a69cc78d4c092c6d5e91f6c07411f80844a3a83936dc639de05e10aa410af4a63ed79fe3e4ba978997ed4e4d853813f38769fa8d744febe4e85063257b3de70d672413420c7cbb13127c8f4051f168eb88ad38d8a7d97bd4a8598b3fe34dca72c1c20a7c0a0c6ad18b85b616cc58bbf25173f958588edc5f51439b5bb2e028dcba22bb92b3dad36ecf534ea5629447ebe546771d2db997f1f915af62e701bcf9fa34b705cc6c23a52a6710a077b9ce7e951a9c0a48f1ca5ac2f807b522c5778c0ff6f72eebb4d5a2fdf8871b787cc6a7f9cb6a19bf6cb09fe292726be0f2035514e5c876691ecaee8dca020607c9047eacc4fa23829ea9e456e88592090fab5323444ef50aaa14d5e161e9813b36d11abd98e1d93f9ecd8b73a14231956b1e800754e262f99d91f3b57e9ebcaf2b2c12c4821d76bef5c990df736bc2a18016d866927a5e7abc0243c27a4970caf1d890725839a2631b216a7ac70b864b7286c73dde54a5989aa056f6abaf33e88bfd832a2272b95d93b447911ee02ad3ec495a0ff3be347aca5f1977ab7' },
+  { input: { P: new Uint8Array(bigintConversion.hexToBuf('6eb6c8c87323e1bda0bc09921fd003e85f81e7465af6c6d418e1df861b51831ca7711681586468b973fb26290a0529ca3a6202d5c77d441a606b63e534e16dd159255e2fb60bad332236614690c0c7b2adbdd04883be343696ad0f57')), S: new Uint8Array(bigintConversion.hexToBuf('e3828949aa5c4f331ad61fb340c10c0b')), c: 119, dkLen: 64, hash: 'BLAKE2b-512' }, output: '5a96b58ff23089879944d6cfaa3d0d245d264c1f316722b287476d9f74310c0ab4d7d9133f2026ab0da81002c426abd14372cc05426967d58e6ac90fffe7885e' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('6eb6c8c87323e1bda0bc09921fd003e85f81e7465af6c6d418e1df861b51831ca7711681586468b973fb26290a0529ca3a6202d5c77d441a606b63e534e16dd159255e2fb60bad332236614690c0c7b2adbdd04883be343696ad0f57')), S: new Uint8Array(bigintConversion.hexToBuf('e3828949aa5c4f331ad61fb340c10c0b')), c: 119, dkLen: 64, hash: 'BLAKE2s-256' }, output: '92c3683bbf71791db15cdf889ede3bd8e300e60ff725176c156281082c119983dd4df950cb9247d8712122a6ea0f834107ce08c6dd7c946d4b3dfbd0ff0d94b9' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('b6ee658804ebf75e8dda6267f50f864fe74254a35095a8f9623dca74fda2c6010c0bd348a50fa643a2893f1240e26c7f0fdf896d3dfae203cd3b993f937c97063fc36453624e249410a2e835e4ad8254c59eefa34427ab71993c0b754c54cc71e7aaead857c972c5655c234c7e8251d7a917eb987d2a9b70a0bb4af383be3077abb5da393a26d288870a3b2bd62e1f296b152e0cdb42d9d70f3202ec208ff834b98fbe5e8a61f3399314437ab6e18f0926f32a7a04b695eef83a9f6e233b891adde1a30ab2851a8c4c67a4425672ba0aaf489f5896ccc1ff8b2730a443c3d5028135fe18769955a082246e54f3279ea581676038f898424043bd10730f3f0fa4c57f132bb8c163a151d620d7ae7db42e34de70f4b5a4a0d9dc4d3f3e42ddc2ed60cd36d980f29780fc59715677ef760731700858b0adeb35998591f1c3b26becc195fb2a7a149c5c05b26c4e7ee3bf35d565669d925a3530465823c6d77b66847116b4ad9a72419547fa9d7cf5725aeebfef727352b26dbcc33ccfcd76062f1354ef16104a3053d3be16ce9e830635350ccf9d331649f65ecf5806301176ae98cdee2ca44025a71b5958e1ec10af4337cabcccd3bb37830f0c085f37ed385d5361f23a4185dc707a965540b0ad682f951b4c4486db4c60f7d36daadd82a08fd1b2da11e2ae00fb72927ba15374684165995b363eb03edec223de7949bf1277fd15d641783c93334830df2abb7825054236d0b9ecc9bc80347cd038921f208527c94a530a9f34302ba0bcef5e21efcb05ead6a40809a961fbeb83fae365be687d536e9335050a527e030ca97430cc6dd19cfe0788c421715f29991084082b84d6c7e75a6d783d7869cb8bf53bbea1aa541a76d3b8b79bd9a84ecfde23aab983dbf9e8f88d48021de13c869ca28b18bca8d57ac7a1025e70ca7efd491f726ec8b76086e8608263695fa3e03fa84be6af8412805e68b4')), S: new Uint8Array(bigintConversion.hexToBuf('b8d53317aaabba59251f71cb139019ba')), c: 403, dkLen: 128, hash: 'BLAKE2b-512' }, output: 'efbbb69b6d8bd9d989c437b0c4ab95ab836516fe539102989322ea78d3d076623d20418aea684dea139f92bbe721c8c657ff933c8626de454baad5ddd66d1a37f56039ae6d02e67c50ab285180dd36b69328d7708c8cc99808c61aa00ec54b63f62898d111fa461f7979ec5f667fdbc501dff6f56d7a5e6c2a990d75b5110a62' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('b6ee658804ebf75e8dda6267f50f864fe74254a35095a8f9623dca74fda2c6010c0bd348a50fa643a2893f1240e26c7f0fdf896d3dfae203cd3b993f937c97063fc36453624e249410a2e835e4ad8254c59eefa34427ab71993c0b754c54cc71e7aaead857c972c5655c234c7e8251d7a917eb987d2a9b70a0bb4af383be3077abb5da393a26d288870a3b2bd62e1f296b152e0cdb42d9d70f3202ec208ff834b98fbe5e8a61f3399314437ab6e18f0926f32a7a04b695eef83a9f6e233b891adde1a30ab2851a8c4c67a4425672ba0aaf489f5896ccc1ff8b2730a443c3d5028135fe18769955a082246e54f3279ea581676038f898424043bd10730f3f0fa4c57f132bb8c163a151d620d7ae7db42e34de70f4b5a4a0d9dc4d3f3e42ddc2ed60cd36d980f29780fc59715677ef760731700858b0adeb35998591f1c3b26becc195fb2a7a149c5c05b26c4e7ee3bf35d565669d925a3530465823c6d77b66847116b4ad9a72419547fa9d7cf5725aeebfef727352b26dbcc33ccfcd76062f1354ef16104a3053d3be16ce9e830635350ccf9d331649f65ecf5806301176ae98cdee2ca44025a71b5958e1ec10af4337cabcccd3bb37830f0c085f37ed385d5361f23a4185dc707a965540b0ad682f951b4c4486db4c60f7d36daadd82a08fd1b2da11e2ae00fb72927ba15374684165995b363eb03edec223de7949bf1277fd15d641783c93334830df2abb7825054236d0b9ecc9bc80347cd038921f208527c94a530a9f34302ba0bcef5e21efcb05ead6a40809a961fbeb83fae365be687d536e9335050a527e030ca97430cc6dd19cfe0788c421715f29991084082b84d6c7e75a6d783d7869cb8bf53bbea1aa541a76d3b8b79bd9a84ecfde23aab983dbf9e8f88d48021de13c869ca28b18bca8d57ac7a1025e70ca7efd491f726ec8b76086e8608263695fa3e03fa84be6af8412805e68b4')), S: new Uint8Array(bigintConversion.hexToBuf('b8d53317aaabba59251f71cb139019ba')), c: 403, dkLen: 128, hash: 'BLAKE2s-256' }, output: '811dea2ffa7682a7d46abb4fe07823c86d859d626ddcfc1efc4f5b84a22c6f338e1b3801b96c45a53917ab1c82fde252dacf2a98c6589bd923b7593c4f9f0e60f62262a0e98aaffe15cb53186679f3c2798b4daa9d59eed4911bdc4ce49fa7bcb3abd37c6c8ffd25a24d75a4f3a73ab7f6d619d2fb170277ba6263e8335b8e21' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('3e5fb98854efc1c4e39a15eb4edea18ce852391266a728b1c5c2c9b3255b6e47c54a75bf093d67ade412d4e52721335ec964fd7ff5dfdee61cd54ba9c6d181705d2ab0d666ee53b8f7e3a8d58da706d115de149e2d1f6cb08dbc119328c554375838ca5fbe8326d0168bfe06c090eb2b0e8737f9c9f0747847af08baa71af28dd301ef43c063014827cad30b57fbc729f8c5e5330ee97b0fca0e4488138451')), S: new Uint8Array(bigintConversion.hexToBuf('899144601715997a24417f1acda9867e')), c: 367, dkLen: 256, hash: 'BLAKE2b-512' }, output: '0d8495828e4f942a3625cde3141d887e25c1311037ade276cc01a011c829ad6324fd65ad26b92e3c4f4d017ddb539548958f91caf2b2fa12c0f05faeb8221f43ecb252284bb0e70ad59b41543904a26e0613c7e37a5b5ed334bb5d66f4ba15dc66e711aaa3b484746c54efa8f0a97416455eeaa2cc215365a954566021d0a90cd834dae5f8e8449350097052b048e58ccf33b248be13f0982ff3a1880ec971ed09e4a93fbb1a03517e3b8493e8c5f96ceea43ff5d2f311db7661d1c696c82001a3477db8b4be4d6596bd8e560c57ecf49395cf873b17fab1368e8fdaae89145feee5673b8a5b26cdca6d027c10d4efea434efcadbf8d75bdb2e697b1db4109b2' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('3e5fb98854efc1c4e39a15eb4edea18ce852391266a728b1c5c2c9b3255b6e47c54a75bf093d67ade412d4e52721335ec964fd7ff5dfdee61cd54ba9c6d181705d2ab0d666ee53b8f7e3a8d58da706d115de149e2d1f6cb08dbc119328c554375838ca5fbe8326d0168bfe06c090eb2b0e8737f9c9f0747847af08baa71af28dd301ef43c063014827cad30b57fbc729f8c5e5330ee97b0fca0e4488138451')), S: new Uint8Array(bigintConversion.hexToBuf('899144601715997a24417f1acda9867e')), c: 367, dkLen: 256, hash: 'BLAKE2s-256' }, output: '621e74d76a7a5ff0f52d8c39784d6281b790f8e5048d4ffa8c41b83687dd4c6975dbd2eaf4cac798b852804f89bf4956f8a39d907c31dc4d46c31d5a9dc3094d50299a37970b102d30dcb35a1b60c24c4cc30a7402acb0c6914c485bc20e78ead40bfd3b83b8c26de51276a62b02f61298af11b8e67c0f3c4990b113ee021f316f5e0ac115fb21ff03e69d3ad91d8dda7b37438b1e1d994392a767eb32b469b87977b6fcb868de9f8f34f8cdbb4397ebb33873b2bc59ba1458d6c38a4c37e72ae382fd76e333304c48b1251495f679856e27401c8f51eb36123dde352adc9f52eba16f1a7f0c3b8db072b301f70e3a34dd72865b8d60dcf6dde3ae05e70ba674' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('23cffa2817bf8178bced4d8d087fbe82bfc87cf0ed76ddde6158ec71da62aa87984eeeb75c2c702e0438bcc754e02d7e7f3a4d3dac15cd3be00b78dd4675572725536acb1d4bfa54f8686abee40732c2b3d63279724830702d1e3a70d8506abc94fab143f859fc744127130827e157a6e06507281ce4160461c1741985381ec89ca249cef59c62833a5149532b692ed5805d31e72d4ff62dd4f8c97023f5ce0fc87835dfb2891afb8596e39e1f2d73fa2e039e21e3cb0d18d711b17c0d3646ce127ec11a5d4b71b0f872b1ca7360e10a30e5eba1491ceb608f7780af5ca65c355bd4c9527230d5306daf72c409caea21d707acb6ebde570082a6558b2cb62a8f9b56ee5727caef8144656d4e59520c20fafaf5cb028af349addefb613390d9da9c4bc0d9a5e38c071a362bdaefc00a417a33a29b13fce2f8a4008823bc025ca4f513807f256cb12fca27e17c4a5b12ee9dc1396e437d09dffe427860c20abe9a2e00b5d7ac5952815fc476074a923ad366eef4635bb9df628c00f873b1bc0015bfc9826579c12265561c2b30023d71b476eb4348595a43db11dcb1991dd371bdae26f606029bab7f7f1d10788c4cbf2b08ae7775476c05c44aed04c84fa3696a6328e0ff2e7f374a2368a6')), S: new Uint8Array(bigintConversion.hexToBuf('60d1cd6ad04c39e8240a50549bf5adbb')), c: 126, dkLen: 1024, hash: 'BLAKE2b-512' }, output: 'f294ecc4776e024f5ade2faffca5aa21b12b866373a9ed2bcb9ee96e8bfafc26f3dd7eba839c6c0960bc6b7da332268fffbd3994ef137baded8862a9e253c6ef2ff2453813948246549e3540772551fd7a99f2c988ffa109331c0df57497182772b8c30f67cb4ce00762f9f211dc9a84bbb4f114b791a6fe38f7a8df92af6a57b57c1d67eca1f7738b96f2c46a35bab0270767619af72fe77f1d9d2e2f35e43a64ecb16cf63c2b6ab8ce4a41fc5635a7d27e2386e8e5b88431701b93a5cb972ed543028a60967197557ce0c881f49128ce662b0295874ba3710436791c0e92be6f509198450f14c7994a76f12fb68fee0cc13fa9a0361fde4e4215f1f811cfdb366a4a436759d7788e624e8a2877d2d4f7c10c4c48046cff186bf389dc11370e6bd256c1f414ddc70d48fde85c787b7941dfd6fef441d26bbd5fdeb39aa7ffbc9642f718ff92321283b3dd45610225c839852a75edf202bd1a7adc76a2d5162904842eebbc9d889b21dde742fa59bec0879539904a85ec01934c6413ba8756a24433037fd1d013143711f682a39a1ab0eff0e31ba66d58aa2df136aff80d6339362e6609473ce606acd55b39873eff10ee18a2e00f97b34302d11f36e5e4e54553458d52a2bb472395ca27c43d3278373042825d9a1f6ae5bda81b521e1f1feebf3cb8151c6bf6f4fa26a83b83b7481314ceceaa2229cd5eaf02e86bc91dd8fbc0a168f64ca1c415116ac4ecfec61772bfc7649db8f71a786af590225b56d2bd87ba8a88276b32cb32402486b88127a35d2041869d2c22f184427de751c9eaf3b1b9df7cfd4394dc2b9c68b98ffe25e8b014f6683beee6d3e9125faf11015b952f9faccbed09ea1854530e1d142cd505eb9662ba7f7a1534e0fe301f9e7c886daf525f5ca6df40a162ca816402894031935194263c47768733a79f8b807ebde53b64e7e5b5b1c59ca824cabd5603434f8d6aa7d7a2b61b95e787eb73ba33320fc2bd33194e705a1a9d9b2446d2ddd1d31c061d0eba431b66f3c623aa3637b33d8ad64697451eb55f66edf9e8e28e3e15ab252528b9d2dbad2dbcd6b10d0edaec5c6f9e151b20f6eed1535ef450090da04d32e8ccc8963684633b2dce42ce6a2a148aa5d948da65e3bc5f044fb9f8061796f956912a37a0505bde9565df9f54533641980a52a4dacb6884b57427d4db843976744eca314500e1906600253ef95d0ffab4cc146cb740296047ef097eaa203443de8e9d46da62627a0da0e64dcc46a67da74189196da938a45782b348b13884b2918b3fd6429bfee0968b58d4766084e978e9cc4d21bf2009c56185e92b8095732d2e36aa075e9e2d3fc3eec3332abc8c215a8912160aafa7a93500fa92c239c815b8fbe8ac8b12ffddffae48555a02ee46c6ca691cb519562415f8d3b8c62a971cb0100e6f14f6b4fe3747f5ec0e' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('23cffa2817bf8178bced4d8d087fbe82bfc87cf0ed76ddde6158ec71da62aa87984eeeb75c2c702e0438bcc754e02d7e7f3a4d3dac15cd3be00b78dd4675572725536acb1d4bfa54f8686abee40732c2b3d63279724830702d1e3a70d8506abc94fab143f859fc744127130827e157a6e06507281ce4160461c1741985381ec89ca249cef59c62833a5149532b692ed5805d31e72d4ff62dd4f8c97023f5ce0fc87835dfb2891afb8596e39e1f2d73fa2e039e21e3cb0d18d711b17c0d3646ce127ec11a5d4b71b0f872b1ca7360e10a30e5eba1491ceb608f7780af5ca65c355bd4c9527230d5306daf72c409caea21d707acb6ebde570082a6558b2cb62a8f9b56ee5727caef8144656d4e59520c20fafaf5cb028af349addefb613390d9da9c4bc0d9a5e38c071a362bdaefc00a417a33a29b13fce2f8a4008823bc025ca4f513807f256cb12fca27e17c4a5b12ee9dc1396e437d09dffe427860c20abe9a2e00b5d7ac5952815fc476074a923ad366eef4635bb9df628c00f873b1bc0015bfc9826579c12265561c2b30023d71b476eb4348595a43db11dcb1991dd371bdae26f606029bab7f7f1d10788c4cbf2b08ae7775476c05c44aed04c84fa3696a6328e0ff2e7f374a2368a6')), S: new Uint8Array(bigintConversion.hexToBuf('60d1cd6ad04c39e8240a50549bf5adbb')), c: 126, dkLen: 1024, hash: 'BLAKE2s-256' }, output: '139d246d41003fa254e4ff9bde8415aa481a01b7ef2f67844fa34f45e8409e687d061e5a68547c21eb9817f08f42a067d5301fc049dd94cac284d4755837b83ee04229a8adb1bcb79d72ba162157c5eee4d4b4d7ca4585c4191d5b445524c6525b990f441a640d8ee800d9b2ce362ad99f5e47a75650d3b4b72a988fe34fb155778adc50d32e7c294ffde62d3e926f28df6e2a93b465525eb3c90e18213fd47e03d0b82664c5694ba0234bc75105529531a6a1d97e3eb0a3c5c092e3f256979c3ffaa01437f562c49ac4647e05a77c1dc741c116ff034569f1add6a85da95789a83fcb6a57e154c3fdc85ce49ae802829d159221731a378b895dcde5d024c5601179abdd78c7781d0c057d5b6fda14ddb0fd84b924a9d07bf36b2c8156c2e99a26a23d926314f5f7b46b6b79a3ecbfc53fa79c6577acd31acc9d561db795ab26da2fdede60f00d3de02040bf89ab23aa7799d0921fd704a70da164e404de00eb4c6bef2ea897c1d5de365e0ed0c0d3b5f040b2eea5c63d8f1e21503f53610c0a2aa7ccbadee6b3f6b50fa7e5f132b5365d1446dc6a0fe562565cd088f3a9c6199fb37c0a9abd00e9d08f451c90d9ca901238386be3746583284dfb9cf911b447273972257b974fd172d3e94eeea89418a14b508d48a0cdc687c58a3e93dd429606fad882b91a5d450a6905f197a76f0b83fae3c662edd8a7b06d46028019b4b6cbbb16099fe0f1574d2037f23a7465d45b1266ca4e7440eaf0ed0858db178af542cbe73c3ae1780d18832b42a9f29c576e5becf483e80b1d17179df867dc1716a61fd0ca0e42a13fad8b4ff11b5bcbee6126386d9948fe02f205b62f7113081f6aa927cf7ea627ba809e5c9f7dd1503843b23bcd5d54bc4a75c661a91ffccb970eb906774137d562e49e23e9c9277186362b4738fdfec27c58d58013e83443d9a97ecbdb78312216d407ae20a0d9a128935b889b29a1ac197cc15bb0b359c9b74b4d2a679781f519cd45c805dcab68f8097803ef9ee88275ded165c9d0657675a7e2c78df1ad69500a9ccd7c547f6cb0a990cf55bcaec3787b0fbcab13755036f2944bd757ee66d290b01b96adcd18ba5eb429fadcb2d6c6e9e459d29a965707e0f1fb30fd77f7d217b92cea3e35f3a4e95482371fcafb80f065596458b76acf691d76b69c528093fe39ceab00ef5bb49c1c625272839e9261c39e6d43b23f8a6b301e055affe1bd09383c42319f950bd22b671e853510cc7f91e800987714e730975e862f328ecfbfd9472e5c1ddf8868a8534724655fe671a4366545c46271a9e8bb088d41d7a40ae4a1b83cf3a5a67eb239ec25c23e3e0d0658816c71c3ceb905a4e6b723b714110adca61daeb791f1c8babf7be4cd080a303503b29d1651aacb1ad0bac2364b7e18f7bc94a2278aebc7ae0f470438815de3faabf61d90a8' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('6f9298c81f88a1cb3361936fa6c6b75800d70708a29a6b426e1217070548ba81dd38f4880268c2427f723fef645fe210e71e3eef7ab7342a34ec9113e36bf47eeb060d3c51deb44576b280a655a785cc2c009181a14a39121d83eb506e0cad2020ade16b9bb81f0761324d1a0c51cab3c0308812f5dfd3d9b0ea7c4f5f8f3715f0e15606d9564239ae07cb85283d9e0cea347e9ff3213b963cf2e52542670eaddfcf8065f3f6664e3002f0ba209fe1ea4b3ad59f5f26372e801f8d7b3eafdc2bec840f1059f362e143bd69a6200834b083b4276c90c6a82a5b7bcd36a57ab3304a35a033263b745910f1b6b3eb6fd56f80d862f95c75de1cefc7a592288e8cc0e02b7015d0f5cf8756c8ef2db55f1337b88eda3eac796e317ed1913e982057d7a7a6ef0e8c8e177dc006982b806f3fb027fee31c552ad67ecebe2cdd511f2e1a5c9e362ef221df57c049e54d37eec7dedfc4525750cb74b142fa65040b030e8cc29231c73cba8c3b2064a81f3415132e9a8aa9f75466604a024da8e864ec4f163de3d7c0f83a83f18ccaf442b542dceb7b69507fed364a650ae242c20183be7925a57492d75f4bdc857fa627b4c5f60d357e7769c8853beb502047526d786d42ff8ebf25c89ceb3f9b94')), S: new Uint8Array(bigintConversion.hexToBuf('9218b0a1273fd96b08d43ecb1a032593')), c: 21, dkLen: 2048, hash: 'BLAKE2b-512' }, output: '7f4e0a93ad13ba451af99889d696863a6cacd4dc6751030bc22d26710ae03e4d99f7496e1660fd7237c94052f93ffa057934845b8a395c2defe19143e21d098e7db5420d8c7ba48edcf589358755ca1e1b7178591ecfaaadeff1b053ca0525e65b86b341f22f3364523f170247dbda38894a2c8f1864e8e4ed0a29c7b261fa3719384c48a943ba70fc9d387e7d6fcc9a988c9583132f3cdca03bb222e22b9ccdf57a85dc17a2c9c7034d4e76e93233e467e8091f6156babd6b04a8788fa4e2bbdce9aac19c28d6521b023bc72464d7ffa5ed24200000a4daab71b18a9cfc65803c15cd31d0e7c3f435da742a218a6c60202710cbd4468ff23e9e4fea3d301138e8b93949038364b2149f683d2887510a3cf477d077dc680769719ac54c5289380eff68123e4abe9aaf767ae1c983e83bb433cf6ecb3ea0e906389e1d714f2ec47cc35ebfc4b44892d381be6420252b7b27b6265d4a6180ce0c00b4c70902b0edd1cab4306d09f96363ff763a1a930645dfea23693fcf91f8fdad77ac2e27a628735f7fc4b27d1033d05d9a5e5a8a58e3639908f990ed076f26a336741cbcb1d3be65f3f510e7429116bc7126f2a36d4f00d4f04ba23c67779b1004a6fff0e19fe36fa9296f6c7777dea819bc56e827c694bd6bb36a8815af40aea11725357ea3737ba8e973007c046804847aa331af4490f3f4582204853097e673fbb427c51077128f490137a129ea14ef8767a03b8e48d45bfff9d217a6f861aad2c4882f6038699f684d94b60cba948cfb7bea4bc4756c699cee67cad27b6d2579a065f16273424177d0542a659039e48366efe0964028b383cf3e67f450b718d94c3345d4a6271da6e821890b969c02566622ba4a9d9b5014d1c4076b25ae20f25a1edd597e48a6ab940082c2cf04b66abc0c42a69dcc1e23762242b78363fef6459e089353f29b4096d3ce622a297a26d393165222eefbf77a7e4d86330b646b007048d3eff660291235fb40ec1de98ddabcf8de3fbf5a12adbddf7de06dce79f38128692127cd0e3769a255e25f35a46244f138a5cfdbbfa300de9c351638cc7147cec43ecdbe7604a64115e32841212a4f5c88c8aa9d2ebdad60db4c99f870783db73b31534aa604e62b04e33bd7c7fd7c388d548abd663e42492ac51acd3805fb92dd27b6a786f99b0812175daaec5e6f2a3aa4114c5f1f267864c3d6c19028720a3f64aceceb84457d8dce964e32fcb11eab5a092a10e949a18664820271275cf22a475e77df5565ca37f388f85d9cfbbcbf4df01414b2068e97b441bcf87bd3b296aad0381ad9e42eaa3aa3eb97c4991a107cda859fc13bd6e717c9a98fbb6cb1ad1c2c2d0460877949f2030df00fedeed69de5e5284f58e37d5b80d8e75f92d926b1defe2e993f0f20604e770799adb3704d5c6ecdfec16b06ca4bc37e223c490a8d0e0f20ea36a4c785e48b9c6ce629232f76bb7ab0f0b5279ea13ed1eb4e70407e7692459d399c9b1b1f29e02b611bd8c875385418939a94712a2140e630154a8ae2bb561b156155f593673161af51a933cb529ef18368e91516c22650a1fe58333e7aa25de6c48a4d1a7f137752f32842519fa6a4b468b59d0060698d96ab7792e9e2767cc85a932f3d980931882ad0b41c4b9587c8ed57093ef18f609e27d5327e860aa2b84d2857cfcbffa64d2aba613a97389ca9486695ad8ed50c5e665567c30360c976104d1c0674de7411b74745fcad906d864ab5ec50b152a537149a147a75ee7eb9baeb446b347c362f8f7d65675c30e082174cfc0509964b1fba8206c99ae46c273e6e1415535efbd24fd6a1c346229522b9fc601c94b108213fe3d7cdee631e80b7cfc8a040e3bb70fa614e449a9aa5b75c0a15c5f8028f445597d1b9a1096ccaab08c12259816d84a388c7e9bf5d73a687b24e57991643d282351c3db609ce17c3d65be1b1ef02715b0e5606d17bca029f33852a2b19e94eb2162b21c576c849d96422f3a019206ba6525c5644748abf0202611374c5bb382d69d024cd9657bb34d3024a4bf56a09bd047bfc7179420576204d4ff2ecba1fcc102b1e313066f2f8f2345a412f7459b111ec5e64b6c50861f1b6e627d09432e40f6a87d5ed27ecf43cb208e806b3872026f32bf2a6d5ac709660d7178ff4b75eb42b7fff6f1922a727b7ebebbc3d74fb3f9251f80a8bfce79ee8a587882c7c927069c748bb124a8c7e2ef115ce704af9533d0272945c8a62852a565c9ee0e2b10841e615946ab5ff7d87b7115c15ec2203c7231ce6698c4709d5d60c17521540bd1f2965eff6726a54984f2f8409065fe83d79d5b1d9b5989f771fdc01d1368cc0202bb0334372edd8ca575f1295dc70e795bc066ad9d517f17322b4b99ec73ef7f80fa32d417e8724609f49196c76806f9f75ee6c03f5ee803f234f89123d90386b816a1e58d4f707f79ee638b8cc4ab7eb5f0703d852a5f9e575834f7607d8c5bba141c0d0139b56de1ad7aaae8336286b484226241df7aa21cc751ab963b241c9c42b41166a6e634de1302028a425b6d71e6cb40f4b4b7de5f9e22ba84e6741d3017b0d91357739e529f227e018762ca58344a2fd5ed3677260ed20f11ffc2ac163e2878784279bc2c379b83c16528fd9a5373155dc14270a8d10a091ead7e0f57ce802dc9f949a8af4439dc6f7ca757a1c854e2493d38fb58958e7b81102421396dcc068538a7f42bf670187aefa0257d2edc9223bbba8408c303178545550ce33f452ea574aa5db4d32111a91f5deb20131bd5c8f2e654bc23013f917ff421b1745372fa3a347d11e6672c709bde925e8cba4510ca77761ddff03e87426795e9782680d0eaf6874aad566fa42543a8167ab5c1dd5ee568c287760b7e97a30' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('6f9298c81f88a1cb3361936fa6c6b75800d70708a29a6b426e1217070548ba81dd38f4880268c2427f723fef645fe210e71e3eef7ab7342a34ec9113e36bf47eeb060d3c51deb44576b280a655a785cc2c009181a14a39121d83eb506e0cad2020ade16b9bb81f0761324d1a0c51cab3c0308812f5dfd3d9b0ea7c4f5f8f3715f0e15606d9564239ae07cb85283d9e0cea347e9ff3213b963cf2e52542670eaddfcf8065f3f6664e3002f0ba209fe1ea4b3ad59f5f26372e801f8d7b3eafdc2bec840f1059f362e143bd69a6200834b083b4276c90c6a82a5b7bcd36a57ab3304a35a033263b745910f1b6b3eb6fd56f80d862f95c75de1cefc7a592288e8cc0e02b7015d0f5cf8756c8ef2db55f1337b88eda3eac796e317ed1913e982057d7a7a6ef0e8c8e177dc006982b806f3fb027fee31c552ad67ecebe2cdd511f2e1a5c9e362ef221df57c049e54d37eec7dedfc4525750cb74b142fa65040b030e8cc29231c73cba8c3b2064a81f3415132e9a8aa9f75466604a024da8e864ec4f163de3d7c0f83a83f18ccaf442b542dceb7b69507fed364a650ae242c20183be7925a57492d75f4bdc857fa627b4c5f60d357e7769c8853beb502047526d786d42ff8ebf25c89ceb3f9b94')), S: new Uint8Array(bigintConversion.hexToBuf('9218b0a1273fd96b08d43ecb1a032593')), c: 21, dkLen: 2048, hash: 'BLAKE2s-256' }, output: '94f02c570e9240021da808ee9d4c33f89432f5bc61b59815d9919d4b6e97726fa3b46bbf04f91efdf3fa35f5374c19a571d6359dea7727401ba3acd0f6a3a97a2e5b36cbbee8550c07716f8831af4cc26da970ed50f7eb507cae91a5a1eadb427f074c7bcdc1ca13cb1845e692975c40364e7952ea709607066b8e1d6be072b39a47a711b73e92c8bb861a3df5af9a599a1fbed818e515139a1d2c7804288d4c0af64975b719f7e5d383300ee8cb546822940e78868096b4596bac22cad2af187abadbfec5a490cebe29019675e49d30736b3b42f76c61c67003ea987108fae746f139b83e803f5ed10c575cf3ffaa9724cc4a069aab86f2f94c259d1456bc0f063a714c24f5f7716ea11a346a815dfd6ea9c97e7bfea60b861fb682528ae9ffa80996a9d2eeea44604d34bf5045df7f20e710922d992422c260d377aaa24b9ac09c81a46222a23fb75fe28549af4c0807f233487fd24861e8c8cda2476f6b1f6d9f8c319956040ccb707b0684e19d4e9fa6d008a5c384c2607f31767ae30d084367c05a4eb84889a79f07614ea0ddbfec4b32628f9fa56fa8eeaf67dc49e3c629e6eeda61468132dcdb7b159e5103c7e395a8df870420623524056932c2ce9383d658d154be382591bc429e8b3ac3a5af26e7b4bea33ee4fedf75c4b6902bfea13651615dfd14a10d102e87930711c5e1f517ef081c98077f09c914c9676d100417902ce743ca738ff319feb380117801fbba521e5481809775b33b812eb2e654c45618be87056288d34e589b0f6492e6d81c5f14432943870346b3f4143f38d97607392a8528aa18e7ff7145bedf56612371c55c23a4badcb2002594a058a7f501c41ab7dba2c5182c37fe9cae642595648c079013e6d1395b6ca4fb350112dbf5a8a8d0f0f126d2723033a01a989a0b73377ba10adc9bda5fc118cc5a531efcb4abf56cd09f08a5ae4824fa033fa02ad452a162871dee08b6468424f5341ec6595fe7a0a8601dab2e69d728b6798ce8ee4293b825b54b22a0482ae03e2439806286644ab7c04df37ff65fd13937a149a4f4a4260c2faa799171b8ba5661a5d3f0bcdb3ae010b714abaf75b1d202b586c5da0e8d92995e301deaee46aed57a494561ed3ea6865283d4dc3e6a06cbe9734f13a0849c25765f59baacc584c3128408290af6e319c7b5b5eb549309ad3a0da8933f4a8b771bec1140e953e45c82ff2e7ad1098ec096968cd9ffe6b02cee2d9b1d9113b7346d1970e5c5184cad0144de2988b841e27f43066c032255e56db810e827b694f1bd02ab2ce80bbb2b3b90d41d8ab4d4fbdbd123ac85bf949a7791273a0126d388ea8b5f0056e336481bc46a4243fda3bc8c40e15347dae2b8277be11102f3ce3325af9ad98fa25c4f641c3fe3d7666201dd88adcfae58ad91a0fa8c1c50189b05abd1f6fb3c1872d9737a0d0fd8f116ee632ffa59b66dd38970a78df64cd380367d795290235c2231af3a211b25900da6e81f22f6c75bcee91916e4fb913def22bc74c9726cd8b28f47394938996fde38ec33adb23b022ff465850c35a4e3f409d5d7abb072cecdc600c12d39875bcefb48465738745be9ccf9898f69581ab430bbe0ec3b926f387e27dc7393fd0ceaf4f6bb7385c3eb89ba2fd7cf2451b748abf562bb422aae29a5c3b44d5f63bcd65c8493aed41015df00cbea15a805305d9845585c2be4ed3083aec6d8682df0c2f54e7fb45ad0e755a2ad961ce0c17811c22aa70318b89bd9290978fdab0c9e02bce4cc4076b24b8db05abb366750a017dd76aa743bd291c9a4df89afb26617390171cbbfaefbc2fbe42c5e752052ba7836b9731e3cd23c67db32e7f257a73e454668517f049fcd4c32d508b72fc740b02960ab884bca4d4c703e2af570582154dc564dd8d3de112e411885ec8c1d47491e291388690160191718cc1d2db066f93c1f2a7947f3e60953d5aefe2328a710f0841bff64f73ba7483f053bc0f676cbf362d18899775f24de322c408180b2fb7bdae3f55d64cc9a259e68828eaf4748ae9ab348f52d3a84995b30d06bd9c1c055afbcf5f399f3a70a34f7e328eb2e76de42bfe894ef1567f3a7ee41de4a04dfdd4c08ceb77bb4f88bb292daa6e201a924f6a4aafda66d136cfd99dbd050e910c113e377a2d6720f99fd68f86671a2ad35dbd0631912ff7f4842ca2e4ba242faa38601d8e342ea740ed51274753a4e7c02d5a1782dd2451cb1c4e68e2b254278703604b3a9d84009a708d185ecf4863a162fb42cfea747234bd859c02c9a8d0d5c2ffdeb4147309700c0060c76196aab4cd1efb14bdeea8083942ca47cb977b9721c9037e06dc33f9d0c401337897c01798dff64b0b0db3fdef0ae2dbd3e05a7fc7549b7909185703859c96712e1a312b907f6e83f9d3366694b08fdf6be508f2174cc5a596b114cd1ccfb8804b5736f30ab0df79c9f338516360c36cac1f70fcef80e074b200f98bd37af5b5b78253be5bfaa2c1842260ba0c3911a6f27a160a435897c93d967d15fe715d5c547a0a8a706f7cd0096a8cc69b99b33fe72febdb8036533b8dc4463ee7998bb7307e7d82a79dd233f4cbf9d237aedde3f58df5b8dda6eb521feae69d5036d562400022a0bc17e62c2b2af04f6e4a0036339d97ad235d77ab85e37cd287332e736f74a1f16cf3334b26350702cd88a75f93f184253e0ad5f70ec5f789342923cfccd7bc480c7f5533c076845bc19555ca7b47d72ccc312ad2f8dd397f3e08af3299e82fa57491e02c55604ab9bc8acb0373dc3bd1eb750a0fad54db26a5a6c434cc667fb235979bdae49d1f1c26239615e70b355cbb86c36401f4fab24fe5f9fc4cf9a900607986b9a74db8fd65d16d4db76bfed3cc3c581f07098740069' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('7e0136e52bf50ec31be9dc682ccca110d0d175530d182a08fd02e2be90e9e8d36445b35988dc7ae1dbf907571636da7e2b15e95e0127c595ea18bf26152464c13681cf697ed56c8f1ef0b8c748f26d4a56c134c5b4731a9bb11c076db96748f8425bc14276787023fd8c0833d5b634d2b14dc620c5187332c431bcd570670d7e0b870ab72e2a39e55564fbcc0c94a0d2e16c626f40f9ce719b')), S: new Uint8Array(bigintConversion.hexToBuf('4023cfb66b9308d3de3d83dfb256d898')), c: 469, dkLen: 3072, hash: 'BLAKE2b-512' }, output: '015818c2cd21066336d49684284a0bbbcb939bc28b2f2a4139afbd3edf05bafc0aaeb7a9a678e2d6ddac85a724bc1ad91038e203c297fcfd070964e5857be86b007e760054e6b75aee78c904cd8a45af58dd1649a7f5b1b19f54452914c12189e0920728dead91352e0a5401e08cb4c64dfb1bff26cf872f4a081cbb72619eba022571f5af429e2e282e7ee904223360a451c27280e96ca71d1322de57bba4e42e5dfb66688d0cec5318a86765b3dd69a76cf53ecb7a23752839ac8c254a48967821822675c5f55b31d2142f647e23506604d9ffdbfe7fca088153744c5ae563442b7aa0254a8eb5294f6e8036af7e9325958ca573f3ea75d4683534ed567498c2736422064c70107e4768c1e6150eac975623d81ffab2a190a37f50c9a2adf0c04553952f2a46756b0a4a3922a032342f2b7e8b256f357494b8a917b344deb532473019ed3b9a86e8cc6c366528446718996c4f885f298cddbdeedd2cc7cae94ab62a69597324640240a8b24306e1b01b76a0b620c76610a3d70b24a5f765640cbfbdd2ca84c4d7978f451c45ea07e36ae4570cb615b90963c890c9d3bfda9dc36db4f50328d77dd173050d9ff769799d88149d7d4c88f7e95aed3e0736f1f49692668c97b4bd7f50136584c098b5c9df5fc3197e6b0597136af354363584a450752b13b8a7d756e2cd8428b9a075519570e113eeff0f51cd92dc6bbc372ba3074853d6f4ae5e98493905091e7e11c5171729fe7d7aebe103e8b19bf4fd4de4206649bd5db5ad647f48040031ff9da381fcb6d035a5a1e36b5de60aea85f986ba6a7822c6fdd7f211a406203e12bae2984a6458cf25614ffa5cc8b46dee59c191a908541938e6b58d3f375965674f070585f8c5545fd5392c74937819d393132cb333466cc6179811f65a8b34568e501c52b6feb65890a3aa4c0e3b877c27be9f90ed02b0dd2945ca43d8549e78d0805f8dd78ef861af1ac67ca41b4df02579af64645f35c3c7dfa4dba4d1cbf9963bc314949d6355736006eee6437c86db7d300798c76b7c9cd5bfacc856d8fe8798297bb838e7d37019f7fce21450542a60fffa39796117f96606987602ef593145db6ad9968e50994efe1d612fea6777dc4d5dcf6bba8b0a8f35bfdc4ec9d58fbdaf88a9f034810a14661804896eba4f639617c22018c96d188671d1e8714393da8b0430a4066d226ea198b93a869bbe4d3a8a171a801905dac34ebc00b7f7667513ae369968f0b83945385fa5fabe97db973dbb6318367a855699be63fd1cc4860bbb6f40808ad5bb1656cd41dab278f2782afa2431c1e55bc42c1619744f378465ece064da381ba0a46f11df8feef1e3c45027241f944422941ca4e47a99669e3556db3ab13fe1cc6e4985b683cae55ee2722f23b4ff95df66826b92c14deceac36648d23b302f6f0d16239e9deca5162c6dc320139e94e385c57445bd98ecd4254798f712c36061b990b099dca100b5459cef37cbed07867a86064ad73b325176bbad1514dcc9ec87c86340b911327b5094b432778ad83db544d6844bf4c05e7a4173fcf388c6839318496f3157aa4920abfb5193f6bdf437cf466c5dd4961a803b084b46bbb1561775cc77e6d04108c88e9ece900218581c39d5caa709d140c9a1ad057474c79cbd36f03a7994a70c250c648e8a6e50f1380217ba0646e17e9efdca2fb523b675f4071986134b8459eb89af492cf8eba9702cca394f665880f756c3a17ca021d81e02b60663611b19a44170a990c0c63ef8b4815060e678e23a7b2b7a1617d393e475c2e3bd8536c180819b3b322f07bae1b30cb969ff669f69b4ef39f609df81cf0210eb180afbfd5132ef53adffe3b7846f6d80e7f5764091eda78e9b1c379ad90b3e6cc5fdd31a3171e4076e00ac35d7ea0f4ad5e777c9137816751ff20ee38853e49b5e8ae9637dde4b50758038da018ee3ee742d0c2f63dae7609c6af64dc04d20d894a790ee8e8cd02b11e60ce55197f7b92d73d8ced007c57d86bbfecf2bcd6a6be45406b35b8e37b4492b0a428554b13cef86d0dc815ae645f9c8ab558a9dc2b05f9116f72c6fa2120c40da1fbdeb21dd3e4fb0283d9baf64be5efa981372075a13231b989efa8a7d04e5c2198b1465a0fec31b89abe9b8b9c871b14d2a363fa0d6a321a9fa191b86d0ca58a976f4135207fd5a7969d212d8a831526cf0e097b8b89034682daf0271463a4229e6303131706588dd0179b2de3d61833dc1589bf4371993803a5ad7774aa90635adbd06253324c324b4759b510a98d2869a48e5f67aa598c4d958f252485cf3b9cc33c82939f6abd1ea6b3828c7d863c71d704cdf4a1bd9eb6f474e6966c618d814f0c2f77c61bb8b3ad562c0dc9d092ec32a0b994923c73c02f95a267364c3a7e83edb574cdbad9067465d36d6f1a26fd90615860d99c02ba6189032fedded08c1cb61ba1204782119ad1d0c11edb4c8e78538b2f3f450750df1da7c09b2f821abfbd4408d775c00685be066fc157b3411eebcf492dac10c62bd578da2af68845948c5b31ef53c54ad3df32cfec6cd51e595a6264778af91187952a5cbb157811a68312661f2445440e9ea4d41eedd5190b8532e0afe8043b0b1761b6356d58608a577dfcd40c48999e580b2e7121430b540deb9834a7960d032479c6ca6da9f7fef8ac5a5b0644090cbe7e735d435ab7b8d90d3812e12a4de5f997d059a2363532ef23f5821725dbb8639fcaf4b3ee4a9d1d67d7d11cce54b166432103a6c6ef6c62bd9a87ed85555cb53c9dc19a1b2d4163aa37e6fb581dafca06a307b8e54d3067517ec1d436d634f1a3fc07d6d685fab328e9be47c8dd785dbb9a09419f68ff033f221fdb2bb347a41b60e2677b8679d00126aa0a778d568caeedb242833903ba3cc653769459b00722e78da33bbdf1e6757e018ffdf2f382f5c550d5536966b14625b943c1276a9fd87ce8217008d5740f48b477af38523e0871f49ab09233ee989f77b35046755d9ffc67906059dfec7a363442d69a080d8acec612b021407ea11ca9d59cab08f73c540ed32fa97819a67451eeac7c6948c5b4a7b915b6bdc6d689019b85ac4c64e417134c3fa31450f02cdda4dd73b183a809f38b1a4d2de9c5a5538585f8826915553f8182f7e4544b8f67ef5f530cb56a9cc37f6cb1517b662aa53293770b8bfe2800caad2c3921203b97ebc073fe68df407fe29d26d34adb1e69fc38e7aaf65e01652ce039f432ceafd0d1d13a5afb96a4aa8af30be81d148f4d71d4b78b3df51ed486a4514c8b010eed8a6fae4afdbbd4c09c0786c27956376b41a4c1f86de6328adc24040e71c2e9e643ebd1a61aa6399cd0852b2d21017dfa1166de07aaadd18686def2704bcaa6fddb37e19328bf55c2b928644996b637c2a467c60e574682d5dc3d39e0c6ce829b8df11047946fe2a3298c8e6458c41a206d5bc39d2a50ea8d95669e6f0116db3bbfcd45e25e207adc43459633c6f3aa87c28760c63f23717c8525696946a9b16125df55bb4cac93fd6963bb5bec2865cfa51efa9b96052ecc18eb85464f6ed9bee97b50278a30554ab7d00926948aec7e17407a426373ce4ee386eed93467376c5a981ff687020c527f59748e7ffddf83dc0addde1ccf1ac1ebe5c283c32109db213284f010776a1f3b93c2f87d7e1e927f1910f39d18cc731bb2611338a42cb73ef5c1acbcb1610def2bbb92e9214da3b216bd9ef0220eae14d575bbdb6f8a6f0c77acff282d42de0e22e988a8086b8b2884280674321b3e18e18fcac3d861f89c821687f0f0c47e7b1185125f039047ce30c709a9573916201fca8a8d42bb64436859eaacd6317ad91a62985a553e094f49689173247fcd0bbd148226675313cfee0e54b264f319dba219fd9e8291e52d23a05fbfeae2c14c00d1a9beffbc6e94db635292d9c5957bb2ee302cc493409ea643867e95feb27416a5997da8f91dd9f7f2d39462f9e4e6eedeb1f067c82531c3756c552c7c2cebe7f0618a2a5e996d021b7f596ee761ee6ac6ddfd92e4f57372359839a5c9ce55e6ba9688f86dde092fb3971a94e67e6c53b29ded226278708b4860a5b40a850aaff350d4261b2866715d841748f6946454d66b0d6a0cc5ea4c2da3f4f7019e79ab450fb27c040ff58227570aeafd837ea94b91188aef8fc877ef6d49e7350583342000d01ff8c2cdf5b68e46a84432c0c4e31210fa70a819c68e087e474ebffb121c3459f241f554a026f016d723ca84257c9e6a2b17297a1ada79264bd6bec40cb735cd85caef33cb668533675dc02d3576cac77bd65693692c750b9a7c7cba47b3295f80dce2c7fa5' }, { input: { P: new Uint8Array(bigintConversion.hexToBuf('7e0136e52bf50ec31be9dc682ccca110d0d175530d182a08fd02e2be90e9e8d36445b35988dc7ae1dbf907571636da7e2b15e95e0127c595ea18bf26152464c13681cf697ed56c8f1ef0b8c748f26d4a56c134c5b4731a9bb11c076db96748f8425bc14276787023fd8c0833d5b634d2b14dc620c5187332c431bcd570670d7e0b870ab72e2a39e55564fbcc0c94a0d2e16c626f40f9ce719b')), S: new Uint8Array(bigintConversion.hexToBuf('4023cfb66b9308d3de3d83dfb256d898')), c: 469, dkLen: 3072, hash: 'BLAKE2s-256' }, output: 'aebed6157899e1fc9424555223f2a9e8c6ec550af96b5636997e6cce4c6a09ba565e6103fb67596539d945a155470759f4d4d7b4efe9f2894452e8db9ef63401541c0a675a72f9baf962b72f57d2f4e3a2b0f784573f0943285d2f0ede2403923c0a37e46028c5b6ac040942c751cccb131131fb317705924429d17b2e264280b1b4dda4e0558994125f049b26ee2a1ab88d6d1581320590e8672adfd156a0ecbcbb694ec96ba72a2a3bec858f5b21848fdb2e8205d5528c9ada286c5f4f341dd494c0db2fe0fae2f891f258541790faf131b5923252f2db09309fe948086bc38d61429b1072896ad17d78916da1d1e58798979c56133f34792a168048b9de13ae43b338296472dfe868751ff79669b3be5bb916b21a035eaadde4fc6fd828b2b48dc1de5a2120e50f008b32e8c77eddf6ea4b9291d668f3efef8b452f7906ea62ee089047e135e493e1cf8cd92b1862b2da4ff21755e4616a98497b997b5d999a0375cf439706f81b403cae48b7df72011a9a8da69c54aa6d6dc84afc54e46bc2950fb74b482a3c9bef7051947c8500dc6c0fa85aee67ed0da3ee878093f2aa4ed3e61ad27aa2814eb32595a3d0534800e80b428139a718be3e1e52624475aab6a382c042b8730552c566eebb60d9a42abef76ae983d03fb7b9a047fc58e07c5c550de134dc920394438dac67daed85b14fc507ec7859a6acc0c1284515d7ab2c0eb26da2d791396d6031fb01994d06353e8af53055457580a02487f0812cb085d44385e4fe37204e4a5985f2ef4749d0813eb8a6792fa38c2c66262af8bde79841ad38dc001ba23f63fb381fd541559c6d58cad77e1a556dc0347ac01585f898071e58fdc809b5fb5a765a5f7213c8d768cfd165cffd392a73966304a8c51bc33740958dbb1834df3ad115519aeb66283f3c5e8cfe69230d1b61098be2e9d300e6135afb73d534f104b4e0c857a3b085c39f953b02976d15c9f3cb42ca3c2b833d061ef2e74eac6c4925d55bfe3f6c48dc448e72707cc7b36463aa90a48b475b1501163228517561cf28f24d6644d2918e2b3938bbef3b16bcf3d9d783f5801f7f3892908eee9b26a8c97c80553e8d2b811bba5191e0c686353f482244704e4c303296f032c6ef0503e9d49a9c9606591fd6d7e2191178b3aa5806b73be560561423ba29a8a941e909bee0835e3b863b658a34b904482798f40f33801a460f638da2510b2e3cef10b8ea3a37e5c7b23f5a41373f1f53824c3ef6ecef6188034ee993315ef8a915a187fb24a1837bc8bfc26a36fc48a97393ace2f9ea4ec1c8b0134a502809cf473903069fd09afc35f6b52cb3e50e345d5b7ff9de97a3bbff02d4c9b84fedce3f929fba1c281ac30045bccf56ff7dd59ee2f3175a878a8d8ff5a3f167aa7ce67ed0bd879b701df7171c58e0cc2e52ae5d88eb64ac279ca57bb18cdd15c3d9e390e28e4a642b6956cda31b80439d47aaf82719e93bea3b0220f534d22da3f3668b961786ba5a8952d189ff3b35e30ef88eddc7b77e7585e9db5f74f39b9dda92598683e4753a2245bfa01f49a1a4d0928150c8401875a8c4c6b7dd46d3e332ac170bfa3e01b95aaa4bff6a0f85dd1ef602acde2329e0a621acbd6762f43bb65f3f86d630d5d6b63bc69cd24ba6066202271aa436cae1ef858c115dc09e44039f9f06612c8e7a2d92fa99be39b72de242777d74af4a6d7c547d6564c79b10204ea1926a33c6dd5a8f62e92f50499ac9b659680641953110b11144c9ac1c127a33153ec63025b0a2369a55dc0347f73965b468949ec229e62fd2d95c3fc108701d7cbb3a0319d4ce7177e0ea86ee37652489d8481468359f39101636dfe4e3f964f1333fbf078ec1d347e29254cd5443f113f3a7b82b614635ef0993e7484a84e750d4e7c24bbd3b8737ffae487f8a501e84f48f503d6efc386fb4e2f30adea514fd9b35f00b5419503df8f8a3cf95d8af7118afb85302fba5439aee4fcd58c78319888612b25a7b780463ec4c1a60634741e90e5934b598e484063a155054a976533344403b3f30721a56f1e80c8543dd767f78d4679d9891f6946a8e81bba4d726a3e8ace2b95244ddb73f539ea0d49219cdcadfc5f7945c453fe80de79ef6206f16a6dda12a183ce90342675ef0c0756753fe70fe699983aaa30104af4c58fbdb3a130be04a4e559c0f6106951dd0cb1d9ef216f7a28e3e40bb00685ccb29c76ebfd0c50bbea48dfbf8b95d6ce2dbe62efc777654a275ad0eecdd8fee8148fc360b3550298692cf9665f7ef2eddbe66af91a92b5bbc79da13f3514e4504a36b629c3ed002575db3fe14d7c510c5cfc76ffbca5f51ea9872af507da73972e6d228da374fd544a05cee6dc3ae706c26d7e8b39caba9adffdb0ade0dcba39c0acab28437eba938a6fd81522d744fc7a2af787b60345cad77e23f4cc332bd89fccb2f748c035c8d799c4cb2a9b56cffb2d65f5dfc61d43d5aa4d543890c9da74faed55a7e483f0b8c0e8c1b56926a696b2c222283411260bba0d9a849d6b0d7448e6cc55fe13afd1403773ae62fe86cc19e479dea1d826ebb0cc3989b0390baaf939dd9e604d2c61f377cf27159dbee0248a6604da27afe9c8f13a77b7bc51bc67ea7131a081a0b27dcd2a1ce1b0c0c8b6cd3fb2703a4af9e5d7dbf2927a8be601598be3656e45e80fef5ccf9c4d7090645a4daa846ddf979bb35f9e66ee21c7d412f3fc76ceeec0180dc2e8c6445397f2180c5ff8ecc8db05bb5bf563739d55262666c14754cf5b95748ac2e6743bf2149f44a57f1a676bce3cd5c69051c5af9600bde95aec267c95b073a4dca50c050c3910763370cf2c46e2f12d2212c4b7d35e4c63c123b868e110bce2c12c3c2b54b526da0c6f19b4faa1e2e012e03b0ba6c03d62bf98d425025683c5dc1b81f35590b29f71867be07b6f8290b387cebe11da1ef48391abfcab57c3643b1cb437ee0667e7d73b4301f02f1246870174fc7049fd3052f38b4384afd6a718c406eb91f97800d66f1ed59c78d86a9de491ced5f11c815ab46e1661e64efb1d87c7a7cf54e9cbb1b2a4ab417709899e7ff71f79750e3ac9a62817c917480c56de57d880e1cd3a1409c2bfe7fb2213d1702be18b8a3f107109589a3f72c0cc24e611fbafbb95f405734af12cb6a4abdc4df81cf0799964697eed64eb71d34c7a9b7490f01e21bde3d82bd2965cc2fbdabb5e18785e9f4cf1c768432ab032f9665beeb23d6cb6d9e00ceececf1fa57e2f4fe958804b920841b7bc1f8f6844ba8a9e5ca01d54e5adfa9343d41e86c2249003e229e549a91790ded97ab01c51af2b1868266f137dae4e04adfda17fc31beabb2449e71fe4be2c184af1a3f5ad71f9670dc3319d6df74ff7be468bd79cf4db344c20d2807c6bfd1e277e92760cd17cccb529cba83f88557568236d3b9c5b78f96a027a8df2067c9ab65d502ab926a09fec4a816cdc308550a36e501a07f9b3afd7872c6c0f9e1c4e1ece910f8ecf2eb5fbfcad51109040bbc8d7368eccd8e091583a212f5494c1723a68acd5ac51a81f3bea8256001bb9e98999fdd86759a84495edd3c014a0796eda610d1b9b40e7be85345aef381f3a38f823945ae31f22f5019366404a6104cf7a2b5ad7449ae4d137b5f38ed3487505cf7b4f19c0be289b7fc7ae0d3c8b58c9a41d56d04787bbfb86ba83c710153a6415c30051dab8be7aeafe73b0feb7596d608fe152e897fc4c4cf565cf3b6490ad71faa4d1dd9827ae433953619f9134e95e92d4078dbf3a06b5a72b6daaa60120b1cbc25ba65fefb3dfe29da0d8a735bd1692386e7ef9cc5f45989a62b21b5eeb84edf873bdaced9a6004c569108c1d87f72224543c1c9cc50bf169ba1410d59afdfdb4ebbfaf7e363e490f65712f94a6058f9f5ce91ddb9506dbbccb3955f63bdfcc42b39929600ec504fcc03146b94aa321ebafdd61fea1171137a099b529eab51e28aed885a1ef1a1aa84842fc431f0ed5eefce90cf90ffee62c320ec73e5fb924e5d168f168c0ede7d2abf313201c38519fba5ed551f893481d8e0c9fcdd0a3934dd6b4e4bec173d651ee3f306d8a677723b63547af07160f107811c891f69129c199e93e0f3496a0da47cd8b556ec6ee5e7c88449a6e4a3b5d2820beab9a88e6a494689df150642b089f6acd22e68ed81f3ef83616f6f6808cfba5c26db27a1ad1d3a2535c919cc3460ad4a02c526d30a8f74495668a4195d4954b332f59ebeed5ea82b4b181cbb1a7617a04d4610b685cca2131b80fdd5687d0702f15cb1a8a3da602e0cb293d1222204f527eba3c472c7cefec3d6c6d36388bf068df82a356ca4fa' }
 ]
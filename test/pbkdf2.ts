@@ -1,5 +1,5 @@
 import * as bigintConversion from 'bigint-conversion'
-import scrypt, { HashAlg } from '#pkg'
+import scrypt, { AbortError, BackendError, calibrate, createPbkdf2Pool, createWorkerDeriver, DerivedKeyAlgorithm, detectRuntime, hash, HashAlg, Hasher, InvalidHashError, InvalidInputError, InvalidIterationsError, InvalidKeyLengthError, InvalidOptionError, needsRehash, PasswordNormalization, PasswordNormalizationError, pbkdf2DeriveKey, Pbkdf2Backend, Pbkdf2Diagnostics, Pbkdf2Error, Pbkdf2Progress, pbkdf2HmacSync, presets, probeNativeLimits, registerPrf, setCompliance, StringEncoding, unregisterPrf, verify } from '#pkg'
 import { vectors } from '../test-vectors/pbkdf2'
 
 describe('testing pbkdf2', function () {
@@ -15,6 +15,8 @@ describe('testing pbkdf2', function () {
             throw new Error('should have failed')
           } catch (err) {
             chai.expect(err).to.be.instanceOf(vector.error)
+            chai.expect(err).to.be.instanceOf(Pbkdf2Error)
+            chai.expect(err).to.have.property('code', vector.code)
           }
         })
       } else {
@@ -31,3 +33,1242 @@ describe('testing pbkdf2', function () {
     })
   }
 })
+
+describe('testing pbkdf2HmacSync', function () {
+  this.timeout(360000)
+
+  for (const vector of vectors) {
+    describe(`${vector.comment ?? ''} : ${JSON.stringify(vector.input)}`, function () {
+      if ('error' in vector) {
+        it(`should throw because of ${vector.error !== undefined ? vector.error.toString() : 'unknown reason'}`, function () {
+          try {
+            // @ts-expect-error
+            pbkdf2HmacSync(vector.input.P, vector.input.S, vector.input.c, vector.input.dkLen, vector.input.hash)
+            throw new Error('should have failed')
+          } catch (err) {
+            chai.expect(err).to.be.instanceOf(vector.error)
+            chai.expect(err).to.be.instanceOf(Pbkdf2Error)
+            chai.expect(err).to.have.property('code', vector.code)
+          }
+        })
+      } else {
+        it(`should match ${vector.output}`, function () {
+          const ret = pbkdf2HmacSync(vector.input.P, vector.input.S, vector.input.c, vector.input.dkLen, vector.input.hash as HashAlg)
+          chai.expect(ret.byteLength).to.equal(vector.input.dkLen)
+          chai.expect(bigintConversion.bufToHex(ret)).to.equal(vector.output)
+        })
+      }
+    })
+  }
+
+  if (_MODULE_TYPE === 'CJS') {
+    it('should be a property of the function require() returns, as the rest of the named exports', function () {
+      chai.expect(scrypt).to.be.a('function')
+      chai.expect(scrypt).to.have.property('pbkdf2HmacSync', pbkdf2HmacSync)
+      chai.expect(scrypt).to.have.property('presets', presets)
+    })
+  }
+})
+
+describe('testing pbkdf2 with the pure-JS backend', function () {
+  this.timeout(360000)
+
+  for (const vector of vectors) {
+    if ('error' in vector) continue
+    describe(`${vector.comment ?? ''} : ${JSON.stringify(vector.input)}`, function () {
+      it(`pbkdf2Hmac should match ${vector.output}`, async function () {
+        const ret = await scrypt(vector.input.P, vector.input.S, vector.input.c, vector.input.dkLen, vector.input.hash as HashAlg, { backend: 'js' })
+        chai.expect(bigintConversion.bufToHex(ret)).to.equal(vector.output)
+      })
+      it(`pbkdf2HmacSync should match ${vector.output}`, function () {
+        const ret = pbkdf2HmacSync(vector.input.P, vector.input.S, vector.input.c, vector.input.dkLen, vector.input.hash as HashAlg, { backend: 'js' })
+        chai.expect(bigintConversion.bufToHex(ret)).to.equal(vector.output)
+      })
+    })
+  }
+
+  it('should be rejected if the backend is not valid', async function () {
+    try {
+      // @ts-expect-error
+      await scrypt('password', 'salt', 1, 32, 'SHA-256', { backend: 'md5' })
+      throw new Error('should have failed')
+    } catch (err) {
+      chai.expect(err).to.be.instanceOf(RangeError)
+    }
+  })
+})
+
+describe('testing pbkdf2 with registered PRFs', function () {
+  this.timeout(360000)
+
+  // Any deterministic function will do. These ones are built on top of the library itself, so they work everywhere
+  const toyHash = (msg: Uint8Array): Uint8Array => new Uint8Array(pbkdf2HmacSync(msg, 'toy', 1, 32, 'SHA-256'))
+  const toyPrf = (key: Uint8Array, msg: Uint8Array): Uint8Array => new Uint8Array(pbkdf2HmacSync(key, msg, 1, 20, 'SHA-1'))
+
+  before(function () {
+    registerPrf('toy-hash', { outputLength: 32, blockSize: 64, digest: toyHash })
+    registerPrf('toy-prf', { outputLength: 20, prf: toyPrf })
+  })
+  after(function () {
+    unregisterPrf('toy-hash')
+    unregisterPrf('toy-prf')
+  })
+
+  const vectors = [
+    { hash: 'toy-hash', output: '6beaf881caa0170ec712550d5744eb8c628022e3ebfb879df9b7b115176e4edc38cdb5843395348b' },
+    { hash: 'toy-prf', output: 'b58a2a55f00f55b010a21703dcc47422f4d9fe3b378ea1c04b1aec18435abb10c8cfd27fdefc82a7' }
+  ]
+  for (const vector of vectors) {
+    it(`${vector.hash}: pbkdf2Hmac should match ${vector.output}`, async function () {
+      const ret = await scrypt('password', 'salt', 1000, 40, vector.hash)
+      chai.expect(bigintConversion.bufToHex(ret)).to.equal(vector.output)
+    })
+    it(`${vector.hash}: pbkdf2HmacSync should match ${vector.output}`, function () {
+      const ret = pbkdf2HmacSync('password', 'salt', 1000, 40, vector.hash)
+      chai.expect(bigintConversion.bufToHex(ret)).to.equal(vector.output)
+    })
+  }
+
+  it('should not allow overriding a built-in hash', function () {
+    chai.expect(() => registerPrf('SHA-256', { outputLength: 32, prf: toyPrf })).to.throw(RangeError)
+  })
+
+  it('should be rejected if the PRF is not registered', async function () {
+    try {
+      await scrypt('password', 'salt', 1, 32, 'not-registered')
+      throw new Error('should have failed')
+    } catch (err) {
+      chai.expect(err).to.be.instanceOf(RangeError)
+    }
+  })
+})
+
+describe('testing cancellation', function () {
+  this.timeout(30000)
+
+  for (const backend of ['auto', 'js'] as const) {
+    const c = backend === 'js' ? 100000000 : 3000000 // native derivations cannot be stopped, so don't keep them running for too long
+    it(`[${backend}] should be rejected with an AbortError if the signal is already aborted`, async function () {
+      const controller = new AbortController()
+      controller.abort()
+      try {
+        await scrypt('password', 'salt', 1000, 32, 'SHA-256', { backend, signal: controller.signal })
+        throw new Error('should have failed')
+      } catch (err) {
+        chai.expect(err).to.be.instanceOf(AbortError)
+      }
+    })
+    it(`[${backend}] should be rejected with an AbortError as soon as the signal is aborted`, async function () {
+      const controller = new AbortController()
+      const start = Date.now()
+      setTimeout(() => controller.abort(), 50)
+      try {
+        await scrypt('password', 'salt', c, 32, 'SHA-256', { backend, signal: controller.signal })
+        throw new Error('should have failed')
+      } catch (err) {
+        chai.expect(err).to.be.instanceOf(AbortError)
+        chai.expect(Date.now() - start).to.be.lessThan(5000)
+      }
+    })
+    it(`[${backend}] should be rejected with an AbortError when the timeout expires`, async function () {
+      try {
+        await scrypt('password', 'salt', c, 32, 'SHA-256', { backend, timeoutMs: 50 })
+        throw new Error('should have failed')
+      } catch (err) {
+        chai.expect(err).to.be.instanceOf(AbortError)
+      }
+    })
+  }
+
+  it('[js] should stop iterating once it is cancelled', async function () {
+    const controller = new AbortController()
+    let reports = 0
+    setTimeout(() => controller.abort(), 50)
+    try {
+      await scrypt('password', 'salt', 100000000, 32, 'SHA-256', { backend: 'js', signal: controller.signal, onProgress: () => { reports++ }, progressGranularity: 0.00001 })
+      throw new Error('should have failed')
+    } catch (err) {
+      chai.expect(err).to.be.instanceOf(AbortError)
+    }
+    const reportsWhenAborted = reports
+    chai.expect(reportsWhenAborted).to.be.greaterThan(0)
+    await new Promise(resolve => setTimeout(resolve, 200))
+    chai.expect(reports).to.equal(reportsWhenAborted)
+  })
+
+  it('pbkdf2HmacSync should throw an AbortError when the timeout expires', function () {
+    try {
+      pbkdf2HmacSync('password', 'salt', 100000000, 32, 'SHA-256', { backend: 'js', timeoutMs: 50 })
+      throw new Error('should have failed')
+    } catch (err) {
+      chai.expect(err).to.be.instanceOf(AbortError)
+    }
+  })
+
+  it('should not be cancelled if it finishes before the timeout', async function () {
+    const ret = await scrypt('password', 'salt', 1, 32, 'SHA-256', { timeoutMs: 10000 })
+    chai.expect(ret.byteLength).to.equal(32)
+  })
+})
+
+describe('testing progress reporting', function () {
+  this.timeout(30000)
+
+  const checkProgress = (reports: Pbkdf2Progress[], expectedReports: number): void => {
+    chai.expect(reports.length).to.equal(expectedReports)
+    for (let i = 1; i < reports.length; i++) {
+      chai.expect(reports[i].fraction).to.be.greaterThan(reports[i - 1].fraction)
+    }
+    chai.expect(reports.filter(report => report.fraction === 1).length).to.equal(1)
+    chai.expect(reports[reports.length - 1]).to.deep.equal({ block: 2, blocks: 2, iteration: 1000, iterations: 1000, fraction: 1 })
+  }
+
+  it('pbkdf2Hmac should report monotonic progress reaching 1 exactly once', async function () {
+    const reports: Pbkdf2Progress[] = []
+    const ret = await scrypt('password', 'salt', 1000, 40, 'SHA-256', { onProgress: progress => reports.push(progress), progressGranularity: 0.1 })
+    chai.expect(ret).to.deep.equal(await scrypt('password', 'salt', 1000, 40, 'SHA-256'))
+    checkProgress(reports, 10)
+  })
+
+  it('pbkdf2HmacSync should report monotonic progress reaching 1 exactly once', function () {
+    const reports: Pbkdf2Progress[] = []
+    const ret = pbkdf2HmacSync('password', 'salt', 1000, 40, 'SHA-256', { onProgress: progress => reports.push(progress), progressGranularity: 0.3 })
+    chai.expect(ret).to.deep.equal(pbkdf2HmacSync('password', 'salt', 1000, 40, 'SHA-256'))
+    checkProgress(reports, 4) // 30%, 60%, 90% and 100%
+  })
+
+  it('should be rejected if progressGranularity is not valid', async function () {
+    try {
+      await scrypt('password', 'salt', 1, 32, 'SHA-256', { onProgress: () => {}, progressGranularity: 0 })
+      throw new Error('should have failed')
+    } catch (err) {
+      chai.expect(err).to.be.instanceOf(RangeError)
+    }
+  })
+})
+
+describe('testing derivation in a Web Worker', function () {
+  this.timeout(30000)
+
+  if (typeof Worker === 'undefined') {
+    it('should be rejected if Web Workers are not available', async function () {
+      chai.expect(() => createWorkerDeriver()).to.throw(RangeError)
+      try {
+        await scrypt('password', 'salt', 1000, 32, 'SHA-256', { worker: true })
+        throw new Error('should have failed')
+      } catch (err) {
+        chai.expect(err).to.be.instanceOf(RangeError)
+      }
+    })
+    return
+  }
+
+  it('the shared worker should be created even if navigator.hardwareConcurrency is not available', async function () {
+    // It must run first, before the shared worker is created
+    Object.defineProperty(navigator, 'hardwareConcurrency', { value: undefined, configurable: true })
+    try {
+      const ret = await scrypt('password', 'salt', 1, 32, 'SHA-256', { worker: true })
+      chai.expect(ret).to.deep.equal(await scrypt('password', 'salt', 1, 32, 'SHA-256'))
+    } finally {
+      delete (navigator as { hardwareConcurrency?: number }).hardwareConcurrency // the prototype getter is back
+    }
+  })
+
+  for (const vector of vectors) {
+    if ('error' in vector) continue
+    it(`${JSON.stringify(vector.input)} should match ${vector.output}`, async function () {
+      const ret = await scrypt(vector.input.P, vector.input.S, vector.input.c, vector.input.dkLen, vector.input.hash as HashAlg, { worker: true })
+      chai.expect(bigintConversion.bufToHex(ret)).to.equal(vector.output)
+    })
+  }
+
+  it('a worker deriver should report progress and be cancellable', async function () {
+    const deriver = createWorkerDeriver()
+    const reports: Pbkdf2Progress[] = []
+    const ret = await deriver.derive('password', 'salt', 1000, 32, 'SHA-256', { onProgress: progress => reports.push(progress) })
+    chai.expect(ret).to.deep.equal(await scrypt('password', 'salt', 1000, 32))
+    chai.expect(reports[reports.length - 1].fraction).to.equal(1)
+    try {
+      await deriver.derive('password', 'salt', 100000000, 32, 'SHA-256', { backend: 'js', timeoutMs: 50 })
+      throw new Error('should have failed')
+    } catch (err) {
+      chai.expect(err).to.be.instanceOf(AbortError)
+    } finally {
+      deriver.terminate()
+    }
+  })
+})
+
+describe('testing the worker_threads pool', function () {
+  this.timeout(30000)
+
+  if (IS_BROWSER) {
+    it('should not be available in browsers', function () {
+      chai.expect(() => createPbkdf2Pool()).to.throw(RangeError)
+    })
+    return
+  }
+
+  const pool = createPbkdf2Pool({ size: 2, maxQueue: 1 })
+  after(async function () {
+    await pool.close()
+  })
+
+  for (const vector of vectors) {
+    if ('error' in vector) continue
+    it(`${JSON.stringify(vector.input)} should match ${vector.output}`, async function () {
+      const ret = await pool.derive(vector.input.P, vector.input.S, vector.input.c, vector.input.dkLen, vector.input.hash as HashAlg)
+      chai.expect(bigintConversion.bufToHex(ret)).to.equal(vector.output)
+    })
+  }
+
+  for (const vector of vectors) {
+    if ('error' in vector) continue
+    it(`${JSON.stringify(vector.input)} should match ${vector.output} with the blocks spread across the workers`, async function () {
+      const ret = await pool.derive(vector.input.P, vector.input.S, vector.input.c, vector.input.dkLen, vector.input.hash as HashAlg, { backend: 'js' })
+      chai.expect(bigintConversion.bufToHex(ret)).to.equal(vector.output)
+    })
+  }
+
+  it('should take a preset as pbkdf2Hmac does', async function () {
+    const salt = new Uint8Array(16).fill(7)
+    const ret = await pool.derive('password', salt, presets.nist800132, { output: 'hex' })
+    chai.expect(ret).to.equal(await scrypt('password', salt, presets.nist800132, { output: 'hex' }))
+    try {
+      await pool.derive('password', 'salt', presets.nist800132)
+      throw new Error('should have failed')
+    } catch (err) {
+      chai.expect(err).to.be.instanceOf(InvalidInputError)
+    }
+  })
+
+  it('should reject derivations once the queue is full', async function () {
+    const derivations = [1, 2, 3, 4].map(async () => await pool.derive('password', 'salt', 10000, 32))
+    const results = await Promise.allSettled(derivations)
+    chai.expect(results.filter(result => result.status === 'fulfilled').length).to.equal(3) // 2 workers + 1 queued
+    for (const result of results) {
+      if (result.status === 'rejected') {
+        chai.expect(result.reason).to.be.instanceOf(BackendError)
+        chai.expect(result.reason).to.have.property('code', 'ERR_PBKDF2_BACKEND')
+      }
+    }
+  })
+
+  it('should count every part of a derivation spread across the workers against the queue bound', async function () {
+    const busy = [1, 2].map(async () => await pool.derive('password', 'salt', 100000, 32))
+    const spread = pool.derive('password', 'salt', 1000, 64, 'SHA-256', { backend: 'js' }) // 2 parts, with 1 place left in the queue
+    const results = await Promise.allSettled([...busy, spread])
+    chai.expect(results.map(result => result.status)).to.deep.equal(['fulfilled', 'fulfilled', 'rejected'])
+    chai.expect((results[2] as PromiseRejectedResult).reason).to.have.property('code', 'ERR_PBKDF2_BACKEND')
+    chai.expect(pool.queued).to.equal(0)
+  })
+
+  it('should reject derivations with a BackendError once it is closed', async function () {
+    const closed = createPbkdf2Pool({ size: 1 })
+    await closed.close()
+    try {
+      await closed.derive('password', 'salt', 1000, 32)
+      throw new Error('should have failed')
+    } catch (err) {
+      chai.expect(err).to.be.instanceOf(BackendError)
+      chai.expect(err).to.have.property('code', 'ERR_PBKDF2_BACKEND')
+    }
+  })
+
+  it('should be rejected with an AbortError when the timeout expires', async function () {
+    try {
+      await pool.derive('password', 'salt', 100000000, 32, 'SHA-256', { backend: 'js', timeoutMs: 50 })
+      throw new Error('should have failed')
+    } catch (err) {
+      chai.expect(err).to.be.instanceOf(AbortError)
+    }
+  })
+})
+
+describe('testing the output option', function () {
+  const hex = '0c60c80f961f0e71f3a9b524af6012062fe037a6' // RFC 6070: 'password', 'salt', 1 iteration, 20 bytes, SHA-1
+  const expected = {
+    uint8array: new Uint8Array(bigintConversion.hexToBuf(hex, true) as ArrayBuffer),
+    hex,
+    base64: 'DGDID5YfDnHzqbUkr2ASBi/gN6Y=',
+    base64url: 'DGDID5YfDnHzqbUkr2ASBi_gN6Y',
+    bigint: BigInt('0x' + hex)
+  }
+  for (const [output, value] of Object.entries(expected) as Array<[keyof typeof expected, unknown]>) {
+    it(`pbkdf2Hmac should return the derived key as ${output}`, async function () {
+      const ret = await scrypt('password', 'salt', 1, 20, 'SHA-1', { output })
+      chai.expect(ret).to.deep.equal(value)
+    })
+    it(`pbkdf2HmacSync should return the derived key as ${output}`, function () {
+      const ret = pbkdf2HmacSync('password', 'salt', 1, 20, 'SHA-1', { output })
+      chai.expect(ret).to.deep.equal(value)
+    })
+  }
+
+  it('should return an ArrayBuffer of exactly dkLen bytes by default', async function () {
+    const ret: ArrayBuffer = await scrypt('password', 'salt', 1, 20, 'SHA-1', { output: 'arraybuffer' })
+    chai.expect(ret.byteLength).to.equal(20)
+    chai.expect(bigintConversion.bufToHex(ret)).to.equal(hex)
+  })
+
+  it('should type the derived key after the output option', async function () {
+    const asHex: string = await scrypt('password', 'salt', 1, 20, 'SHA-1', { output: 'hex' })
+    const asBigint: bigint = pbkdf2HmacSync('password', 'salt', 1, 20, 'SHA-1', { output: 'bigint' })
+    chai.expect(BigInt('0x' + asHex)).to.equal(asBigint)
+  })
+
+  if (!IS_BROWSER) {
+    it('should return a Buffer on Node', async function () {
+      const ret = await scrypt('password', 'salt', 1, 20, 'SHA-1', { output: 'buffer' })
+      chai.expect(Buffer.isBuffer(ret)).to.equal(true)
+      chai.expect(ret.toString('hex')).to.equal(hex)
+    })
+  }
+
+  it('should be rejected if the output is not valid', async function () {
+    try {
+      // @ts-expect-error
+      await scrypt('password', 'salt', 1, 20, 'SHA-1', { output: 'utf8' })
+      throw new Error('should have failed')
+    } catch (err) {
+      chai.expect(err).to.be.instanceOf(RangeError)
+    }
+  })
+})
+
+describe('testing pbkdf2DeriveKey', function () {
+  this.timeout(30000)
+
+  const exportKey = async (key: CryptoKey): Promise<string> => {
+    const subtle = IS_BROWSER ? crypto.subtle : (await import('crypto')).webcrypto.subtle as SubtleCrypto
+    return bigintConversion.bufToHex(await subtle.exportKey('raw', key))
+  }
+
+  const targets: Array<{ derivedKeyAlgorithm: DerivedKeyAlgorithm, bits: number }> = [
+    { derivedKeyAlgorithm: 'AES-GCM', bits: 256 },
+    { derivedKeyAlgorithm: { name: 'AES-CBC', length: 128 }, bits: 128 },
+    { derivedKeyAlgorithm: { name: 'AES-CTR', length: 192 }, bits: 192 },
+    { derivedKeyAlgorithm: 'AES-KW', bits: 256 },
+    { derivedKeyAlgorithm: 'HMAC', bits: 512 },
+    { derivedKeyAlgorithm: { name: 'HMAC', hash: 'SHA-512' }, bits: 1024 },
+    { derivedKeyAlgorithm: { name: 'HMAC', hash: 'SHA-1', length: 160 }, bits: 160 }
+  ]
+  for (const { derivedKeyAlgorithm, bits } of targets) {
+    for (const backend of ['auto', 'js'] as const) {
+      it(`[${backend}] should derive a ${JSON.stringify(derivedKeyAlgorithm)} key of ${bits} bits`, async function () {
+        const key = await pbkdf2DeriveKey('password', 'salt', 1000, { hash: 'SHA-256', derivedKeyAlgorithm, extractable: true, backend })
+        chai.expect(key.type).to.equal('secret')
+        chai.expect(await exportKey(key)).to.equal(bigintConversion.bufToHex(await scrypt('password', 'salt', 1000, bits / 8, 'SHA-256')))
+      })
+    }
+  }
+
+  it('should derive a non-extractable AES-GCM key that can be used right away', async function () {
+    const key = await pbkdf2DeriveKey('password', 'salt', 1000, { hash: 'SHA3-256', derivedKeyAlgorithm: 'AES-GCM' })
+    chai.expect(key.extractable).to.equal(false)
+    chai.expect(key.usages).to.have.members(['encrypt', 'decrypt'])
+    try {
+      await exportKey(key)
+      throw new Error('should have failed')
+    } catch (err) {
+      chai.expect((err as Error).message).to.not.equal('should have failed')
+    }
+  })
+
+  if (!IS_BROWSER) {
+    it('should return a KeyObject on Node', async function () {
+      const key = await pbkdf2DeriveKey('password', 'salt', 1000, { derivedKeyAlgorithm: 'HMAC', extractable: true, output: 'keyobject' })
+      chai.expect(key.type).to.equal('secret')
+      chai.expect(key.export().toString('hex')).to.equal(bigintConversion.bufToHex(await scrypt('password', 'salt', 1000, 64)))
+    })
+
+    it('should not return a KeyObject, which can always be exported, for a non-extractable key', async function () {
+      try {
+        // @ts-expect-error
+        const key = await pbkdf2DeriveKey('password', 'salt', 1000, { derivedKeyAlgorithm: 'HMAC', output: 'keyobject' })
+        key.export()
+        throw new Error('should have failed')
+      } catch (err) {
+        chai.expect(err).to.be.instanceOf(InvalidOptionError)
+        chai.expect(err).to.have.property('code', 'ERR_PBKDF2_INVALID_OPTION')
+      }
+    })
+  }
+
+  it('should be rejected if the derived key algorithm is not valid', async function () {
+    for (const derivedKeyAlgorithm of ['AES-XTS', { name: 'AES-GCM', length: 512 }, { name: 'HMAC', hash: 'SHA3-256' }]) {
+      try {
+        // @ts-expect-error
+        await pbkdf2DeriveKey('password', 'salt', 1, { derivedKeyAlgorithm })
+        throw new Error('should have failed')
+      } catch (err) {
+        chai.expect(err).to.be.instanceOf(RangeError)
+      }
+    }
+  })
+
+  it('should be rejected if the usages do not fit the algorithm', async function () {
+    try {
+      await pbkdf2DeriveKey('password', 'salt', 1, { derivedKeyAlgorithm: 'HMAC', usages: ['encrypt'] })
+      throw new Error('should have failed')
+    } catch (err) {
+      chai.expect(err).to.be.instanceOf(RangeError)
+    }
+  })
+})
+
+describe('testing password hashing (PHC strings)', function () {
+  this.timeout(30000)
+
+  const phc = '$pbkdf2-sha256$i=1000,l=32$c2FsdHNhbHRzYWx0c2FsdA$8nX7hwFEzIB8aPajJTYK8weHQc5Ngz0pFVAKvSu4jQA' // 'password' with salt 'saltsaltsaltsalt'
+
+  it('should hash a password into a PHC string with a random salt', async function () {
+    const hashed = await hash('password', { iterations: 1000 })
+    chai.expect(hashed).to.match(/^\$pbkdf2-sha256\$i=1000,l=32\$[A-Za-z0-9+/]{22}\$[A-Za-z0-9+/]{43}$/)
+    chai.expect(await hash('password', { iterations: 1000 })).to.not.equal(hashed)
+  })
+
+  for (const hashAlg of ['SHA-1', 'SHA-512', 'SHA3-256', 'BLAKE2s-256'] as const) {
+    it(`${hashAlg}: should verify the password it was hashed from`, async function () {
+      const hashed = await hash('password', { hash: hashAlg, iterations: 10, saltLength: 8 })
+      chai.expect(await verify('password', hashed)).to.equal(true)
+      chai.expect(await verify('Password', hashed)).to.equal(false)
+    })
+  }
+
+  it('should verify a known PHC string', async function () {
+    chai.expect(await verify('password', phc)).to.equal(true)
+    chai.expect(await verify('passwore', phc)).to.equal(false)
+    chai.expect(await verify('password', phc, { backend: 'js' })).to.equal(true)
+  })
+
+  it('should tell whether a hash needs to be rehashed', function () {
+    chai.expect(needsRehash(phc)).to.equal(true) // 1000 < 600000 iterations
+    chai.expect(needsRehash(phc, { iterations: 1000 })).to.equal(false)
+    chai.expect(needsRehash(phc, { iterations: 1000, hash: 'SHA-512' })).to.equal(true)
+    chai.expect(needsRehash(phc, { iterations: 1000, saltLength: 32 })).to.equal(true)
+    chai.expect(needsRehash(phc, { iterations: 1000, keyLength: 64 })).to.equal(true)
+  })
+
+  it('should be rejected if the PHC string is not valid', async function () {
+    const invalid = [
+      '$argon2id$v=19$m=65536,t=3,p=4$c2FsdA$aGFzaA',
+      '$pbkdf2-md5$i=1000,l=32$c2FsdA$8nX7hwFEzIB8aPajJTYK8weHQc5Ngz0pFVAKvSu4jQA',
+      '$pbkdf2-sha256$l=32$c2FsdA$8nX7hwFEzIB8aPajJTYK8weHQc5Ngz0pFVAKvSu4jQA',
+      '$pbkdf2-sha256$i=1000,l=16$c2FsdA$8nX7hwFEzIB8aPajJTYK8weHQc5Ngz0pFVAKvSu4jQA',
+      '$pbkdf2-sha256$i=1000,l=32$c2Fsd*$8nX7hwFEzIB8aPajJTYK8weHQc5Ngz0pFVAKvSu4jQA'
+    ]
+    for (const phc of invalid) {
+      try {
+        await verify('password', phc)
+        throw new Error('should have failed')
+      } catch (err) {
+        chai.expect(err).to.be.instanceOf(RangeError)
+      }
+      chai.expect(() => needsRehash(phc)).to.throw(RangeError)
+    }
+  })
+})
+
+describe('testing iteration-count calibration', function () {
+  this.timeout(60000)
+
+  for (const backend of ['auto', 'js'] as const) {
+    it(`[${backend}] should return an iteration count and store it for later calls`, async function () {
+      const c = await calibrate({ hash: 'SHA-256', dkLen: 32, targetMs: 50, backend })
+      chai.expect(Number.isInteger(c) && c > 0).to.equal(true)
+      chai.expect(await calibrate({ hash: 'SHA-256', dkLen: 32, targetMs: 50, backend })).to.equal(c)
+      const recalibrated = await calibrate({ hash: 'SHA-256', dkLen: 32, targetMs: 50, backend, recalibrate: true })
+      chai.expect(Number.isInteger(recalibrated) && recalibrated > 0).to.equal(true)
+      chai.expect(await calibrate({ hash: 'SHA-256', dkLen: 32, targetMs: 50, backend })).to.equal(recalibrated)
+    })
+  }
+
+  it('should return an iteration count the native implementation can run', async function () {
+    const c = await calibrate({ hash: 'SHA-256', dkLen: 32, targetMs: 50 })
+    const limits = await probeNativeLimits()
+    chai.expect(c).to.be.at.most((IS_BROWSER ? limits.webcrypto : limits.node)?.maxIterations as number)
+    let diagnostics: Pbkdf2Diagnostics | undefined
+    await scrypt('password', 'salt', c, 32, 'SHA-256', { onDiagnostics: d => { diagnostics = d } })
+    chai.expect(diagnostics?.backend).to.equal(IS_BROWSER ? 'webcrypto' : 'node')
+  })
+
+  it('should be rejected if the options are not valid', async function () {
+    for (const options of [{ targetMs: 0 }, { hash: 'MD5' }, { dkLen: -1 }]) {
+      try {
+        await calibrate(options)
+        throw new Error('should have failed')
+      } catch (err) {
+        chai.expect(err).to.be.instanceOf(RangeError)
+      }
+    }
+  })
+})
+
+describe('testing presets', function () {
+  this.timeout(30000)
+
+  const salt = 'saltsaltsaltsalt'
+
+  it('should provide the OWASP (2023) and NIST SP 800-132 parameters', function () {
+    chai.expect(presets.owasp2023.sha1).to.deep.include({ id: 'owasp2023.sha1', hash: 'SHA-1', c: 1300000 })
+    chai.expect(presets.owasp2023.sha256).to.deep.include({ id: 'owasp2023.sha256', hash: 'SHA-256', c: 600000, dkLen: 32, minSaltLength: 16 })
+    chai.expect(presets.owasp2023.sha512).to.deep.include({ id: 'owasp2023.sha512', hash: 'SHA-512', c: 210000 })
+    chai.expect(presets.nist800132).to.deep.include({ id: 'nist800132', hash: 'SHA-256', c: 1000, minSaltLength: 16 })
+    chai.expect(Object.isFrozen(presets.owasp2023.sha256)).to.equal(true)
+  })
+
+  it('pbkdf2Hmac and pbkdf2HmacSync should fill in c, dkLen and hash from a preset', async function () {
+    const expected = await scrypt('password', salt, 1000, 32, 'SHA-256')
+    chai.expect(await scrypt('password', salt, presets.nist800132)).to.deep.equal(expected)
+    chai.expect(pbkdf2HmacSync('password', salt, presets.nist800132)).to.deep.equal(expected)
+    chai.expect(await scrypt('password', salt, presets.nist800132, { output: 'hex' })).to.equal(bigintConversion.bufToHex(expected))
+  })
+
+  it('should be rejected if the salt is shorter than the preset minimum', async function () {
+    try {
+      await scrypt('password', 'salt', presets.nist800132)
+      throw new Error('should have failed')
+    } catch (err) {
+      chai.expect(err).to.be.instanceOf(RangeError)
+    }
+    chai.expect(() => pbkdf2HmacSync('password', 'salt', presets.nist800132)).to.throw(RangeError)
+  })
+
+  it('should be rejected if the preset is followed by anything but the options', async function () {
+    const salt = new Uint8Array(16)
+    try {
+      // @ts-expect-error
+      await scrypt('password', salt, presets.nist800132, 99)
+      throw new Error('should have failed')
+    } catch (err) {
+      chai.expect(err).to.be.instanceOf(InvalidOptionError)
+    }
+    // @ts-expect-error
+    chai.expect(() => pbkdf2HmacSync('password', salt, presets.nist800132, 'SHA-512')).to.throw(InvalidOptionError)
+    // @ts-expect-error
+    chai.expect(() => pbkdf2HmacSync('password', salt, presets.nist800132, null)).to.throw(InvalidOptionError)
+    chai.expect(pbkdf2HmacSync('password', salt, presets.nist800132, undefined)).to.be.instanceOf(ArrayBuffer)
+  })
+
+  it('hash should name the preset in the PHC string, and verify and needsRehash should accept it', async function () {
+    const hashed = await hash('password', { preset: presets.nist800132 })
+    chai.expect(hashed).to.match(/^\$pbkdf2-sha256\$i=1000,l=32,p=nist800132\$[A-Za-z0-9+/]{22}\$[A-Za-z0-9+/]{43}$/)
+    chai.expect(await verify('password', hashed)).to.equal(true)
+    chai.expect(needsRehash(hashed, presets.nist800132)).to.equal(false)
+    chai.expect(needsRehash(hashed, presets.owasp2023.sha256)).to.equal(true)
+  })
+
+  it('hash should not allow combining a preset with explicit parameters', async function () {
+    try {
+      await hash('password', { preset: presets.nist800132, iterations: 10 })
+      throw new Error('should have failed')
+    } catch (err) {
+      chai.expect(err).to.be.instanceOf(RangeError)
+    }
+  })
+})
+
+describe('testing password normalization', function () {
+  const derive = (P: string, normalize?: PasswordNormalization): string => bigintConversion.bufToHex(pbkdf2HmacSync(P, 'salt', 1, 32, 'SHA-256', { normalize }))
+  const precomposed = '\u00E9' // LATIN SMALL LETTER E WITH ACUTE
+  const decomposed = 'e\u0301' // e + combining acute accent
+
+  it('NFC and NFKC should derive the same key from canonically equivalent passwords', async function () {
+    chai.expect(derive(precomposed)).to.not.equal(derive(decomposed))
+    chai.expect(derive(decomposed, 'NFC')).to.equal(derive(precomposed))
+    chai.expect(derive(decomposed, 'NFKC')).to.equal(derive(precomposed))
+    chai.expect(bigintConversion.bufToHex(await scrypt(decomposed, 'salt', 1, 32, 'SHA-256', { normalize: 'NFC' }))).to.equal(derive(precomposed))
+  })
+
+  const saslprepVectors: Array<[string, string]> = [ // RFC 4013, section 3, and some more
+    ['I\u00ADX', 'IX'], // soft hyphen mapped to nothing
+    ['user', 'user'],
+    ['USER', 'USER'],
+    ['\u00AA', 'a'], // NFKC
+    ['\u2168', 'IX'], // NFKC
+    ['pass\u00A0word', 'pass word'], // non-ASCII space
+    ['\u06271\u0628', '\u06271\u0628'] // RandALCat first and last
+  ]
+  for (const [password, prepared] of saslprepVectors) {
+    it(`saslprep should prepare ${JSON.stringify(password)} as ${JSON.stringify(prepared)}`, function () {
+      chai.expect(derive(password, 'saslprep')).to.equal(derive(prepared))
+    })
+  }
+
+  const opaqueStringVectors: Array<[string, string]> = [ // RFC 8265, section 4.3, and some more
+    ['correct horse battery staple', 'correct horse battery staple'],
+    ['Correct Horse Battery Staple', 'Correct Horse Battery Staple'],
+    ['\u03C0\u00DF\u00E5', '\u03C0\u00DF\u00E5'],
+    ['Jack of \u2666s', 'Jack of \u2666s'],
+    ['foo\u1680bar', 'foo bar'], // OGHAM SPACE MARK mapped to SPACE
+    ['a\u030A', '\u00E5'], // NFC
+    ['\u0915\u094D\u200D', '\u0915\u094D\u200D'] // ZWJ after a virama
+  ]
+  for (const [password, prepared] of opaqueStringVectors) {
+    it(`opaquestring should prepare ${JSON.stringify(password)} as ${JSON.stringify(prepared)}`, function () {
+      chai.expect(derive(password, 'opaquestring')).to.equal(derive(prepared))
+    })
+  }
+
+  const invalid: Array<[string, PasswordNormalization, string]> = [
+    ['\u0007', 'saslprep', 'prohibited'], // RFC 4013, section 3
+    ['\u06271', 'saslprep', 'bidi'], // RFC 4013, section 3
+    ['\u0627a\u0628', 'saslprep', 'bidi'],
+    ['a\u0221', 'saslprep', 'unassigned'], // unassigned in Unicode 3.2
+    ['\uE000', 'saslprep', 'prohibited'],
+    ['', 'opaquestring', 'empty'], // RFC 8265, section 4.3
+    ['my cat is a \u0009by', 'opaquestring', 'prohibited'], // RFC 8265, section 4.3
+    ['a\u200Db', 'opaquestring', 'context'],
+    ['\uE000', 'opaquestring', 'prohibited']
+  ]
+  for (const [password, normalize, reason] of invalid) {
+    it(`${normalize} should reject ${JSON.stringify(password)} (${reason})`, async function () {
+      try {
+        await scrypt(password, 'salt', 1, 32, 'SHA-256', { normalize })
+        throw new Error('should have failed')
+      } catch (err) {
+        chai.expect(err).to.be.instanceOf(PasswordNormalizationError)
+        chai.expect(err).to.be.instanceOf(RangeError)
+        chai.expect((err as PasswordNormalizationError).reason).to.equal(reason)
+      }
+    })
+  }
+
+  it('should not normalize passwords given as bytes', function () {
+    const P = new TextEncoder().encode(decomposed)
+    chai.expect(bigintConversion.bufToHex(pbkdf2HmacSync(P, 'salt', 1, 32, 'SHA-256', { normalize: 'NFC' }))).to.equal(derive(decomposed))
+  })
+})
+
+describe('testing string encodings', function () {
+  const derive = (P: string | Uint8Array, S: string | Uint8Array, options = {}): string => bigintConversion.bufToHex(pbkdf2HmacSync(P, S, 1, 32, 'SHA-256', options))
+
+  const encodings: Array<[StringEncoding, string, number[]]> = [
+    ['utf-8', 'pa\u00DF', [0x70, 0x61, 0xC3, 0x9F]],
+    ['utf-16le', 'pa\u00DF', [0x70, 0x00, 0x61, 0x00, 0xDF, 0x00]],
+    ['utf-16le', '\u{1F600}', [0x3D, 0xD8, 0x00, 0xDE]], // surrogate pair
+    ['bmpstring', 'pa\u00DF', [0x00, 0x70, 0x00, 0x61, 0x00, 0xDF, 0x00, 0x00]], // RFC 7292, appendix B.1
+    ['bmpstring', '', [0x00, 0x00]],
+    ['latin1', 'pa\u00DF', [0x70, 0x61, 0xDF]]
+  ]
+  for (const [encoding, str, bytes] of encodings) {
+    it(`${JSON.stringify(str)} should be encoded as ${encoding}`, function () {
+      chai.expect(derive(str, 'salt', { passwordEncoding: encoding })).to.equal(derive(new Uint8Array(bytes), 'salt'))
+      chai.expect(derive('password', str, { saltEncoding: encoding })).to.equal(derive('password', new Uint8Array(bytes)))
+    })
+  }
+
+  it('the encoding should only apply to string inputs', async function () {
+    const P = new Uint8Array([0x70, 0x61, 0xDF])
+    chai.expect(bigintConversion.bufToHex(await scrypt(P, 'salt', 1, 32, 'SHA-256', { passwordEncoding: 'utf-16le', saltEncoding: 'latin1' }))).to.equal(derive(P, 'salt'))
+  })
+
+  it('should be applied after normalization', function () {
+    chai.expect(derive('e\u0301', 'salt', { normalize: 'NFC', passwordEncoding: 'latin1' })).to.equal(derive(new Uint8Array([0xE9]), 'salt'))
+  })
+
+  const invalid: Array<[StringEncoding, string]> = [
+    ['latin1', '\u03C0'],
+    ['bmpstring', '\u{1F600}'],
+    ['utf-16le', 'a\uD800'],
+    ['utf-8', 'a\uD800'],
+    ['utf-8', '\uDC00a'],
+    ['bmpstring', '\uDC00a']
+  ]
+  for (const [encoding, str] of invalid) {
+    it(`${JSON.stringify(str)} cannot be encoded as ${encoding}`, async function () {
+      try {
+        await scrypt(str, 'salt', 1, 32, 'SHA-256', { passwordEncoding: encoding })
+        throw new Error('should have failed')
+      } catch (err) {
+        chai.expect(err).to.be.instanceOf(RangeError)
+        chai.expect((err as Error).message).to.include(encoding)
+      }
+      chai.expect(() => pbkdf2HmacSync('password', str, 1, 32, 'SHA-256', { saltEncoding: encoding })).to.throw(RangeError, 'The salt has')
+    })
+  }
+
+  it('the default UTF-8 encoding should keep replacing unpaired surrogates with U+FFFD', function () {
+    chai.expect(derive('a\uD800', 'salt')).to.equal(derive('a\uFFFD', 'salt'))
+    chai.expect(derive('password', 'a\uD800')).to.equal(derive('password', 'a\uFFFD'))
+  })
+
+  it('should reject unknown encodings', function () {
+    chai.expect(() => pbkdf2HmacSync('password', 'salt', 1, 32, 'SHA-256', { passwordEncoding: 'utf-32' as StringEncoding })).to.throw(RangeError, 'passwordEncoding')
+    chai.expect(() => pbkdf2HmacSync('password', 'salt', 1, 32, 'SHA-256', { saltEncoding: 'ascii' as StringEncoding })).to.throw(RangeError, 'saltEncoding')
+  })
+})
+
+describe('testing backends and diagnostics', function () {
+  this.timeout(360000)
+
+  const expected = '55ac046e56e3089fec1691c22544b605f94185216dde0465e68b9d57c20dacbc' // RFC 7914, section 11: the first 32 octets of PBKDF2-HMAC-SHA256 with 1 iteration
+  const backends: Array<Exclude<Pbkdf2Backend, 'auto'>> = IS_BROWSER ? ['webcrypto', 'js'] : ['node', 'webcrypto', 'js']
+
+  for (const backend of backends) {
+    it(`[${backend}] should derive the key and report it in the diagnostics`, async function () {
+      const reports: Pbkdf2Diagnostics[] = []
+      const ret = await scrypt('passwd', 'salt', 1, 32, 'SHA-256', { backend, onDiagnostics: diagnostics => reports.push(diagnostics) })
+      chai.expect(bigintConversion.bufToHex(ret)).to.equal(expected)
+      chai.expect(reports).to.have.length(1)
+      chai.expect(reports[0]).to.include({ backend, requestedBackend: backend, worker: false })
+      chai.expect(reports[0].fallbackReason).to.equal(undefined)
+      chai.expect(reports[0].elapsedMs).to.be.a('number').and.to.be.at.least(0)
+    })
+  }
+
+  it('[auto] should use the native implementation of the environment', async function () {
+    let diagnostics: Pbkdf2Diagnostics | undefined
+    await scrypt('passwd', 'salt', 1, 32, 'SHA-256', { onDiagnostics: d => { diagnostics = d } })
+    chai.expect(diagnostics).to.include({ backend: IS_BROWSER ? 'webcrypto' : 'node', requestedBackend: 'auto' })
+    chai.expect(diagnostics?.fallbackReason).to.equal(undefined)
+  })
+
+  it('[auto] should report why it falls back to the pure-JS implementation', async function () {
+    let diagnostics: Pbkdf2Diagnostics | undefined
+    await scrypt('passwd', 'salt', 1, 32, 'SHA-256', { onProgress: () => {}, onDiagnostics: d => { diagnostics = d } })
+    chai.expect(diagnostics).to.include({ backend: 'js', requestedBackend: 'auto' })
+    chai.expect(diagnostics?.fallbackReason).to.include('progress')
+  })
+
+  it('pbkdf2HmacSync should report the diagnostics too', function () {
+    let diagnostics: Pbkdf2Diagnostics | undefined
+    const ret = pbkdf2HmacSync('passwd', 'salt', 1, 32, 'SHA-256', { onDiagnostics: d => { diagnostics = d } })
+    chai.expect(bigintConversion.bufToHex(ret)).to.equal(expected)
+    chai.expect(diagnostics).to.include(IS_BROWSER ? { backend: 'js', requestedBackend: 'auto' } : { backend: 'node', requestedBackend: 'auto' })
+    if (IS_BROWSER) chai.expect(diagnostics?.fallbackReason).to.include('synchronous')
+  })
+
+  const unsupported: Array<[string, Pbkdf2Backend, HashAlg, { onProgress?: () => void }]> = [
+    ['progress reporting', 'webcrypto', 'SHA-256', { onProgress: () => {} }],
+    ['a hash WebCrypto does not support', 'webcrypto', 'SHA3-256', {}],
+    ['progress reporting', 'node', 'SHA-256', { onProgress: () => {} }]
+  ]
+  for (const [what, backend, hash, options] of unsupported) {
+    it(`[${backend}] should be rejected instead of falling back if it cannot be used with ${what}`, async function () {
+      try {
+        await scrypt('passwd', 'salt', 1, 32, hash, { ...options, backend })
+        throw new Error('should have failed')
+      } catch (err) {
+        chai.expect(err).to.be.instanceOf(RangeError)
+        chai.expect((err as Error).message).to.include(`The ${backend} backend cannot be used`)
+      }
+    })
+  }
+
+  it('[webcrypto] cannot be used synchronously', function () {
+    chai.expect(() => pbkdf2HmacSync('passwd', 'salt', 1, 32, 'SHA-256', { backend: 'webcrypto' })).to.throw(RangeError, 'synchronous')
+  })
+
+  if (!IS_BROWSER) {
+    it('the pool should report that the derivation ran in a worker', async function () {
+      const pool = createPbkdf2Pool({ size: 1 })
+      try {
+        let diagnostics: Pbkdf2Diagnostics | undefined
+        const ret = await pool.derive('passwd', 'salt', 1, 32, 'SHA-256', { onDiagnostics: d => { diagnostics = d } })
+        chai.expect(bigintConversion.bufToHex(ret)).to.equal(expected)
+        chai.expect(diagnostics).to.include({ backend: 'node', requestedBackend: 'auto', worker: true })
+        await pool.derive('passwd', 'salt', 1, 32, 'SHA-256', { backend: 'webcrypto' }).then(() => { throw new Error('should have failed') }, err => chai.expect(err).to.be.instanceOf(RangeError))
+      } finally {
+        await pool.close()
+      }
+    })
+  }
+
+  it('every backend should reject the same invalid inputs', async function () {
+    for (const backend of backends) {
+      for (const [c, dkLen] of [[0, 32], [1.5, 32], [2 ** 60, 32], [1, 0], [1, -1], [1, NaN]]) {
+        try {
+          await scrypt('passwd', 'salt', c, dkLen, 'SHA-256', { backend })
+          throw new Error('should have failed')
+        } catch (err) {
+          chai.expect(err).to.be.instanceOf(RangeError)
+          chai.expect((err as Error).message).to.match(/^(c|dkLen) must be/)
+        }
+      }
+    }
+  })
+})
+
+describe('testing native limits', function () {
+  this.timeout(360000)
+
+  it('should probe the limits of the native implementations once', async function () {
+    const limits = await probeNativeLimits()
+    chai.expect(await probeNativeLimits()).to.deep.equal(limits)
+    if (IS_BROWSER) {
+      chai.expect(limits.node).to.equal(undefined)
+    } else {
+      chai.expect(limits.node?.hashes).to.include.members(['SHA-1', 'SHA-256', 'SHA-384', 'SHA-512'])
+      chai.expect(limits.node?.maxIterations).to.equal(2 ** 31 - 1)
+    }
+    chai.expect(limits.webcrypto?.hashes).to.be.an('array')
+    for (const hash of limits.webcrypto?.hashes ?? []) chai.expect(['SHA-1', 'SHA-256', 'SHA-384', 'SHA-512']).to.include(hash)
+    chai.expect(limits.webcrypto?.maxIterations).to.be.at.least(1)
+    chai.expect(limits.webcrypto?.maxBits).to.be.at.least(256)
+  })
+
+  if (!IS_BROWSER) {
+    it('[auto] iteration counts over the limit of Node\'s crypto should go to the pure-JS implementation', async function () {
+      const c = 2 ** 31 // Node would reject it right away
+      let diagnostics: Pbkdf2Diagnostics | undefined
+      const derivation = scrypt('password', 'salt', c, 32, 'SHA-256', { timeoutMs: 50, onDiagnostics: d => { diagnostics = d } })
+      await derivation.then(() => { throw new Error('should have failed') }, err => chai.expect(err).to.be.instanceOf(AbortError))
+      chai.expect(diagnostics).to.equal(undefined)
+      chai.expect(() => pbkdf2HmacSync('password', 'salt', c, 32, 'SHA-256', { backend: 'node' })).to.throw(RangeError, 'does not support more than 2147483647 iterations')
+    })
+  }
+
+  it('[webcrypto] derivations over its limits should be rejected', async function () {
+    const { webcrypto } = await probeNativeLimits()
+    if (webcrypto === undefined || webcrypto.maxIterations === Infinity) this.skip()
+    try {
+      await scrypt('password', 'salt', (webcrypto as { maxIterations: number }).maxIterations + 1, 32, 'SHA-256', { backend: 'webcrypto' })
+      throw new Error('should have failed')
+    } catch (err) {
+      chai.expect(err).to.be.instanceOf(RangeError)
+    }
+  })
+})
+
+describe('testing runtime detection', function () {
+  it(`should detect that it runs on ${IS_BROWSER ? 'a browser' : 'Node'}`, function () {
+    chai.expect(detectRuntime()).to.equal(IS_BROWSER ? 'browser' : 'node')
+  })
+
+  it('should use WebCrypto from the global crypto where there is one', async function () {
+    if (typeof globalThis.crypto?.subtle === 'undefined') this.skip()
+    const { webcrypto } = await probeNativeLimits()
+    chai.expect(webcrypto?.hashes).to.include('SHA-256')
+  })
+})
+
+describe('testing error codes', function () {
+  const rejection = async (derivation: Promise<unknown>): Promise<unknown> => await derivation.then(() => { throw new Error('should have failed') }, err => err)
+
+  it('every subclass should be a Pbkdf2Error and a RangeError with its code', async function () {
+    const err = await rejection(scrypt('password', 'salt', 1, 32, 'MD5' as HashAlg))
+    chai.expect(err).to.be.instanceOf(InvalidHashError)
+    chai.expect(err).to.be.instanceOf(Pbkdf2Error)
+    chai.expect(err).to.be.instanceOf(RangeError)
+    chai.expect(err).to.include({ name: 'InvalidHashError', code: 'ERR_PBKDF2_INVALID_HASH' })
+  })
+
+  it('invalid options should be rejected with ERR_PBKDF2_INVALID_OPTION', async function () {
+    const err = await rejection(scrypt('password', 'salt', 1, 32, 'SHA-256', { backend: 'openssl' as Pbkdf2Backend }))
+    chai.expect(err).to.be.instanceOf(InvalidOptionError)
+    chai.expect(err).to.have.property('code', 'ERR_PBKDF2_INVALID_OPTION')
+    chai.expect(() => pbkdf2HmacSync('password', 'salt', 1, 32, 'SHA-256', { timeoutMs: -1 })).to.throw(InvalidOptionError)
+  })
+
+  it('a PasswordNormalizationError should be an InvalidInputError', async function () {
+    const err = await rejection(scrypt('', 'salt', 1, 32, 'SHA-256', { normalize: 'opaquestring' }))
+    chai.expect(err).to.be.instanceOf(PasswordNormalizationError)
+    chai.expect(err).to.be.instanceOf(InvalidInputError)
+    chai.expect(err).to.have.property('code', 'ERR_PBKDF2_INVALID_INPUT')
+  })
+
+  it('an explicit backend that cannot run the derivation should be rejected with ERR_PBKDF2_BACKEND on every implementation', async function () {
+    const err = await rejection(scrypt('password', 'salt', 1, 32, 'SHA3-256', { backend: 'webcrypto' }))
+    chai.expect(err).to.be.instanceOf(BackendError)
+    chai.expect(err).to.have.property('code', 'ERR_PBKDF2_BACKEND')
+    chai.expect(() => pbkdf2HmacSync('password', 'salt', 1, 32, 'SHA-256', { backend: 'webcrypto' })).to.throw(BackendError)
+  })
+
+  it('an invalid PHC string should be rejected with ERR_PBKDF2_INVALID_INPUT', async function () {
+    const err = await rejection(verify('password', '$scrypt$ln=16$salt$hash'))
+    chai.expect(err).to.be.instanceOf(InvalidInputError)
+  })
+
+  if (!IS_BROWSER) {
+    it('the pool should reject with the same codes', async function () {
+      const pool = createPbkdf2Pool({ size: 1 })
+      try {
+        const err = await rejection(pool.derive('password', 'salt', 0, 32))
+        chai.expect(err).to.have.property('code', 'ERR_PBKDF2_INVALID_ITERATIONS')
+      } finally {
+        await pool.close()
+      }
+    })
+  }
+})
+
+describe('testing SP 800-132 compliance', function () {
+  this.timeout(60000)
+  const salt = new Uint8Array(16)
+  const rejection = async (derivation: Promise<unknown>): Promise<unknown> => await derivation.then(() => { throw new Error('should have failed') }, err => err)
+
+  it('compliant derivations should give the same key as without compliance mode', async function () {
+    const derivedKey = await scrypt('password', salt, 1000, 32, 'SHA-256', { compliance: 'sp800-132', output: 'hex' })
+    chai.expect(derivedKey).to.equal(await scrypt('password', salt, 1000, 32, 'SHA-256', { output: 'hex' }))
+    chai.expect(pbkdf2HmacSync('password', salt, presets.nist800132, { compliance: 'sp800-132', output: 'hex' })).to.equal(derivedKey)
+  })
+
+  const violations: Array<[string, [number, number, number, HashAlg], typeof Pbkdf2Error, string]> = [
+    ['a salt shorter than 128 bits', [15, 1000, 32, 'SHA-256'], InvalidInputError, 'salt of at least 128 bits'],
+    ['fewer than 1000 iterations', [16, 999, 32, 'SHA-256'], InvalidIterationsError, 'at least 1000 iterations'],
+    ['a key shorter than 112 bits', [16, 1000, 13, 'SHA-256'], InvalidKeyLengthError, 'at least 112 bits'],
+    ['BLAKE2b-512', [16, 1000, 32, 'BLAKE2b-512'], InvalidHashError, 'approved hashes']
+  ]
+  for (const [description, [saltLength, c, dkLen, hash], error, message] of violations) {
+    it(`${description} should be rejected`, async function () {
+      const err = await rejection(scrypt('password', new Uint8Array(saltLength), c, dkLen, hash, { compliance: 'sp800-132' }))
+      chai.expect(err).to.be.instanceOf(error)
+      chai.expect((err as Error).message).to.include(message)
+      chai.expect(() => pbkdf2HmacSync('password', new Uint8Array(saltLength), c, dkLen, hash, { compliance: 'sp800-132' })).to.throw(error, message)
+    })
+  }
+
+  it('SHA-1, which is approved for HMAC, should only be refused with disallowSha1', async function () {
+    const derivedKey = await scrypt('password', salt, 1000, 20, 'SHA-1', { compliance: 'sp800-132', output: 'hex' })
+    chai.expect(derivedKey).to.equal(await scrypt('password', salt, 1000, 20, 'SHA-1', { output: 'hex' }))
+    const err = await rejection(scrypt('password', salt, 1000, 20, 'SHA-1', { compliance: { mode: 'sp800-132', disallowSha1: true } }))
+    chai.expect(err).to.be.instanceOf(InvalidHashError)
+    chai.expect((err as Error).message).to.include('disallowSha1')
+    chai.expect(() => pbkdf2HmacSync('password', salt, 1000, 20, 'SHA-1', { compliance: { mode: 'sp800-132', disallowSha1: true } })).to.throw(InvalidHashError)
+    chai.expect(() => setCompliance({ mode: 'sp800-132', disallowSha1: 1 as unknown as boolean })).to.throw(InvalidOptionError)
+  })
+
+  it('a configurable floor of iterations should be enforced, but not one under 1000', async function () {
+    const err = await rejection(scrypt('password', salt, 5000, 32, 'SHA-256', { compliance: { mode: 'sp800-132', minIterations: 10000 } }))
+    chai.expect(err).to.be.instanceOf(InvalidIterationsError)
+    chai.expect(() => pbkdf2HmacSync('password', salt, 1000, 32, 'SHA-256', { compliance: { mode: 'sp800-132', minIterations: 500 } })).to.throw(InvalidOptionError)
+    chai.expect(() => pbkdf2HmacSync('password', salt, 1000, 32, 'SHA-256', { compliance: 'fips' as 'none' })).to.throw(InvalidOptionError)
+  })
+
+  it('the pure-JS implementation should be refused unless explicitly allowed', async function () {
+    const err = await rejection(scrypt('password', salt, 1000, 32, 'SHA-256', { compliance: 'sp800-132', backend: 'js' }))
+    chai.expect(err).to.be.instanceOf(BackendError)
+    chai.expect((err as Error).message).to.include('not a validated cryptographic module')
+    const fallback = await rejection(scrypt('password', salt, 1000, 32, 'SHA-256', { compliance: 'sp800-132', onProgress: () => {} }))
+    chai.expect(fallback).to.be.instanceOf(BackendError)
+    chai.expect((fallback as Error).message).to.include('cannot report progress')
+    const derivedKey = await scrypt('password', salt, 1000, 32, 'SHA-256', { compliance: { mode: 'sp800-132', allowJs: true }, backend: 'js', output: 'hex' })
+    chai.expect(derivedKey).to.equal(await scrypt('password', salt, 1000, 32, 'SHA-256', { output: 'hex' }))
+  })
+
+  it('the compliance mode should be settable globally and overridable per derivation', async function () {
+    setCompliance('sp800-132')
+    try {
+      const err = await rejection(scrypt('password', 'salt', 1000, 32))
+      chai.expect(err).to.be.instanceOf(InvalidInputError)
+      chai.expect((await rejection(hash('password', { hash: 'SHA-256', iterations: 999 })))).to.be.instanceOf(InvalidIterationsError)
+      await scrypt('password', 'salt', 1, 32, 'SHA-256', { compliance: 'none' })
+    } finally {
+      setCompliance('none')
+    }
+    chai.expect(() => setCompliance({ mode: 'sp800-132', allowJs: 'yes' as unknown as boolean })).to.throw(InvalidOptionError)
+    await scrypt('password', 'salt', 1, 32)
+  })
+})
+
+describe('testing caller-supplied output and wiping', function () {
+  this.timeout(60000)
+  const expected = '120fb6cffcf8b32c43e7225256c4f837a86548c92ccc35480805987cb70be17b' // SHA-256, c = 1, dkLen = 32
+  const backends: Pbkdf2Backend[] = IS_BROWSER ? ['auto', 'js'] : ['node', 'js']
+  const rejection = async (derivation: Promise<unknown>): Promise<unknown> => await derivation.then(() => { throw new Error('should have failed') }, err => err)
+
+  for (const backend of backends) {
+    it(`[${backend}] the derived key should be written into the caller's Uint8Array`, async function () {
+      const into = new Uint8Array(32)
+      const derivedKey = await scrypt('password', 'salt', 1, 32, 'SHA-256', { backend, into })
+      chai.expect(derivedKey).to.equal(into)
+      chai.expect(bigintConversion.bufToHex(into)).to.equal(expected)
+      const intoSync = new Uint8Array(32)
+      chai.expect(pbkdf2HmacSync('password', 'salt', 1, 32, 'SHA-256', { backend, into: intoSync, output: 'uint8array' })).to.equal(intoSync)
+      chai.expect(bigintConversion.bufToHex(intoSync)).to.equal(expected)
+    })
+  }
+
+  it('into should have room for exactly dkLen bytes and only be combined with the uint8array output', async function () {
+    chai.expect(() => pbkdf2HmacSync('password', 'salt', 1, 32, 'SHA-256', { into: new Uint8Array(31) })).to.throw(InvalidOptionError, 'dkLen (32) bytes')
+    chai.expect(() => pbkdf2HmacSync('password', 'salt', 1, 32, 'SHA-256', { into: new Uint8Array(32), output: 'hex' })).to.throw(InvalidOptionError)
+    try {
+      await scrypt('password', 'salt', 1, 32, 'SHA-256', { into: new Uint16Array(16) as unknown as Uint8Array })
+      throw new Error('should have failed')
+    } catch (err) {
+      chai.expect(err).to.be.instanceOf(InvalidOptionError)
+    }
+  })
+
+  it('wipe should not change the derived key nor touch the password and salt given as bytes', async function () {
+    const password = new TextEncoder().encode('password')
+    const salt = new TextEncoder().encode('salt')
+    for (const backend of ['auto', 'js'] as Pbkdf2Backend[]) {
+      const derivedKey = await scrypt(password, salt, 1, 32, 'SHA-256', { backend, wipe: true, output: 'hex' })
+      chai.expect(derivedKey).to.equal(expected)
+      chai.expect(new TextDecoder().decode(password)).to.equal('password')
+      chai.expect(new TextDecoder().decode(salt)).to.equal('salt')
+    }
+    chai.expect(pbkdf2HmacSync('password', 'salt', 1, 32, 'SHA-256', { wipe: true, output: 'hex' })).to.equal(expected)
+    chai.expect(await verify('password', await hash('password', { iterations: 1000, wipe: true }), { wipe: true })).to.equal(true)
+  })
+
+  it('a cancelled derivation should leave the caller\'s Uint8Array zero-filled with wipe', async function () {
+    const into = new Uint8Array(64).fill(0xff)
+    try {
+      await scrypt('password', 'salt', 100000000, 64, 'SHA-256', { backend: 'js', into, wipe: true, timeoutMs: 50 })
+      throw new Error('should have failed')
+    } catch (err) {
+      chai.expect(err).to.be.instanceOf(AbortError)
+    }
+    await new Promise(resolve => setTimeout(resolve, 100)) // the derivation stops at its next chunk
+    chai.expect(into.every(byte => byte === 0)).to.equal(true)
+  })
+
+  if (!IS_BROWSER) {
+    it('a cancelled native derivation should never write into the caller\'s Uint8Array', async function () {
+      const c = 2000000
+      let start = performance.now()
+      await scrypt('password', 'salt', c, 64, 'SHA-256', { backend: 'node' })
+      const elapsed = performance.now() - start
+
+      const into = new Uint8Array(64)
+      let diagnosed = false
+      start = performance.now()
+      const err = await rejection(scrypt('password', 'salt', c, 64, 'SHA-256', { backend: 'node', into, wipe: true, timeoutMs: 20, onDiagnostics: () => { diagnosed = true } }))
+      chai.expect(err).to.be.instanceOf(AbortError)
+      await new Promise(resolve => setTimeout(resolve, 2 * elapsed + 100 - (performance.now() - start))) // Node's crypto keeps running until it is done
+      chai.expect(into.every(byte => byte === 0)).to.equal(true)
+      chai.expect(diagnosed).to.equal(false)
+
+      chai.expect(() => pbkdf2HmacSync('password', 'salt', c, 64, 'SHA-256', { backend: 'node', into, timeoutMs: 1 })).to.throw(AbortError)
+      chai.expect(into.every(byte => byte === 0)).to.equal(true)
+    })
+  }
+
+  /**
+   * Runs `fn` recording every Uint8Array it allocates, either directly or by encoding strings
+   */
+  async function allocations (fn: () => Promise<unknown>): Promise<Uint8Array[]> {
+    const allocated: Uint8Array[] = []
+    const { Uint8Array: OriginalUint8Array, TextEncoder: OriginalTextEncoder } = globalThis
+    globalThis.Uint8Array = new Proxy(OriginalUint8Array, {
+      construct (target, args) {
+        const arr: Uint8Array = Reflect.construct(target, args)
+        allocated.push(arr)
+        return arr
+      }
+    })
+    globalThis.TextEncoder = class extends OriginalTextEncoder {
+      encode (input?: string): Uint8Array {
+        const arr = super.encode(input)
+        allocated.push(arr)
+        return arr
+      }
+    }
+    try {
+      await fn()
+    } finally {
+      globalThis.Uint8Array = OriginalUint8Array
+      globalThis.TextEncoder = OriginalTextEncoder
+    }
+    return allocated
+  }
+  const isZero = (arr: Uint8Array): boolean => arr.every(byte => byte === 0)
+
+  it('wipe should zero-fill the raw derived key once it is encoded as a string or a bigint', async function () {
+    for (const output of ['hex', 'base64', 'base64url', 'bigint'] as const) {
+      const kept = await allocations(async () => await scrypt('password', 'salt', 2, 32, 'SHA-256', { backend: 'js', output }))
+      chai.expect(kept.some(arr => !isZero(arr))).to.equal(true) // without wipe, at least the derived key is left behind
+      const wiped = await allocations(async () => await scrypt('password', 'salt', 2, 32, 'SHA-256', { backend: 'js', output, wipe: true }))
+      chai.expect(wiped.every(isZero), output).to.equal(true)
+      const wipedSync = await allocations(async () => pbkdf2HmacSync('password', 'salt', 2, 32, 'SHA-256', { backend: 'js', output, wipe: true }))
+      chai.expect(wipedSync.every(isZero), output).to.equal(true)
+    }
+  })
+
+  it('wipe should zero-fill the encoded password and salt even if the rest of the inputs are not valid', async function () {
+    const options = { wipe: true, compliance: 'sp800-132' } as const // the salt is too short for it
+    const encoded = await allocations(async () => {
+      chai.expect(await rejection(scrypt('password', 'salt', 1000, 32, 'SHA-256', options))).to.be.instanceOf(InvalidInputError)
+      chai.expect(() => pbkdf2HmacSync('password', 'salt', 1000, 32, 'SHA-256', options)).to.throw(InvalidInputError)
+      chai.expect(await rejection(scrypt('password', 'salt', presets.owasp2023.sha256, { wipe: true }))).to.be.instanceOf(InvalidInputError)
+      chai.expect(() => pbkdf2HmacSync('password', 'salt', 1, 32, 'SHA-256', { wipe: true, into: new Uint8Array(31) })).to.throw(InvalidOptionError)
+    })
+    chai.expect(encoded.length).to.be.greaterThan(0)
+    chai.expect(encoded.every(isZero)).to.equal(true)
+  })
+
+  it('wipe should zero-fill the HMAC hash states and the copies of the key the PRF keeps', async function () {
+    // A hash function whose hashers just collect their input, so that every buffer holding key material can be inspected afterwards
+    const buffers: Uint8Array[] = []
+    const toyHash = (msg: Uint8Array): Uint8Array => new Uint8Array(pbkdf2HmacSync(msg, 'toy', 1, 32, 'SHA-256'))
+    class SpyHasher implements Hasher {
+      data = new Uint8Array(256)
+      length = 0
+      constructor () {
+        buffers.push(this.data)
+      }
+
+      update (data: Uint8Array): this {
+        this.data.set(data, this.length)
+        this.length += data.length
+        return this
+      }
+
+      digestInto (out: Uint8Array): void {
+        out.set(toyHash(this.data.subarray(0, this.length)))
+      }
+
+      digest (): Uint8Array {
+        const out = new Uint8Array(32)
+        buffers.push(out)
+        this.digestInto(out)
+        return out
+      }
+
+      cloneInto (hasher?: Hasher): SpyHasher {
+        const to = (hasher ?? new SpyHasher()) as SpyHasher
+        to.data.set(this.data)
+        to.length = this.length
+        return to
+      }
+
+      destroy (): void {
+        this.data.fill(0)
+        this.length = 0
+      }
+    }
+    const keys: Uint8Array[] = []
+    registerPrf('spy-hash', { outputLength: 32, blockSize: 64, create: () => new SpyHasher() })
+    registerPrf('spy-prf', { outputLength: 32, prf: (key, msg) => { keys.push(key); return toyHash(msg) } })
+    try {
+      const password = new Uint8Array(100).fill(0x70) // longer than the block size, so that it is hashed first
+      const isZero = (buffer: Uint8Array): boolean => buffer.every(byte => byte === 0)
+
+      await scrypt(password, 'salt', 2, 32, 'spy-hash')
+      chai.expect(buffers.some(buffer => !isZero(buffer))).to.equal(true) // without wipe, the key pads stay in the hash states
+      buffers.length = 0
+      await scrypt(password, 'salt', 2, 32, 'spy-hash', { wipe: true })
+      chai.expect(buffers.length).to.be.greaterThan(0)
+      chai.expect(buffers.every(isZero)).to.equal(true)
+      buffers.length = 0
+      pbkdf2HmacSync(password, 'salt', 2, 32, 'spy-hash', { wipe: true })
+      chai.expect(buffers.every(isZero)).to.equal(true)
+
+      await scrypt(password, 'salt', 2, 32, 'spy-prf', { wipe: true })
+      chai.expect(keys.length).to.be.greaterThan(0)
+      chai.expect(keys.every(isZero)).to.equal(true)
+      chai.expect(isZero(password)).to.equal(false)
+    } finally {
+      unregisterPrf('spy-hash')
+      unregisterPrf('spy-prf')
+    }
+  })
+
+  if (!IS_BROWSER) {
+    it('the pool should write the derived key into the caller\'s Uint8Array too', async function () {
+      const pool = createPbkdf2Pool({ size: 2 })
+      try {
+        const into = new Uint8Array(96)
+        const derivedKey = await pool.derive('password', 'salt', 1, 96, 'SHA-256', { backend: 'js', into, wipe: true })
+        chai.expect(derivedKey).to.equal(into)
+        chai.expect(bigintConversion.bufToHex(into)).to.equal(await scrypt('password', 'salt', 1, 96, 'SHA-256', { output: 'hex' }))
+      } finally {
+        await pool.close()
+      }
+    })
+  }
+})